@@ -76,6 +76,8 @@ class ManitoCLI {
       .argument('<path>', 'Directory path to scan')
       .option('-p, --port <port>', 'Server port (auto-detected if not specified)')
       .option('-o, --output <file>', 'Output file for results')
+      .option('-b, --base <ref>', 'Only scan files changed since this git ref, plus their dependents')
+      .option('--update-baseline', 'Record the current conflicts in .manito/baseline.json so only new ones are reported')
       .action(async (scanPath, options) => {
         await this.handleScan(scanPath, options);
       });
@@ -116,10 +118,12 @@ class ManitoCLI {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          path: scanPath,
+          path: path.resolve(scanPath),
           options: {
             patterns: ['**/*.{js,jsx,ts,tsx}'],
-            excludePatterns: ['node_modules/**', 'dist/**', 'build/**']
+            excludePatterns: ['node_modules/**', 'dist/**', 'build/**'],
+            ...(options.base && { baseRef: options.base }),
+            ...(options.updateBaseline && { updateBaseline: true })
           }
         })
       });
@@ -132,19 +136,57 @@ class ManitoCLI {
       
       if (result.success) {
         console.log('✅ Scan completed successfully');
+        if (result.data.changeSet) {
+          const { baseRef, changedFiles, affectedFiles } = result.data.changeSet;
+          console.log(`🌿 Changed since ${baseRef}: ${changedFiles.length} files (${affectedFiles.length} affected)`);
+        }
         console.log(`📊 Files scanned: ${result.data.files?.length || 0}`);
         console.log(`🔗 Dependencies found: ${result.data.dependencies?.length || 0}`);
         console.log(`⚠️  Conflicts detected: ${result.data.conflicts?.length || 0}`);
+        const suppressed = result.data.suppressed;
+        if (suppressed?.total > 0) {
+          console.log(`🙈 Suppressed: ${suppressed.total} (${suppressed.comments} by comments, ${suppressed.baseline} by baseline)`);
+        }
         
         if (options.output) {
           await fs.writeFile(options.output, JSON.stringify(result.data, null, 2));
           console.log(`💾 Results saved to: ${options.output}`);
         }
+
+        // Architecture rule errors fail the command so CI can gate on them
+        const violations = (result.data.conflicts || []).filter(conflict =>
+          conflict.type === 'architecture_violation' && conflict.severity === 'error'
+        );
+        if (violations.length > 0) {
+          console.log(`🚫 Architecture violations: ${violations.length}`);
+          violations.forEach(violation => console.log(`   - ${violation.message}`));
+          process.exitCode = 1;
+        }
+
+        // So do the project's quality gates, when it has any
+        const qualityGate = result.data.qualityGate;
+        if (qualityGate) {
+          const failed = qualityGate.gates.filter(gate => !gate.passed);
+          if (failed.length === 0) {
+            console.log(`✅ Quality gate passed (${qualityGate.gates.length} checks)`);
+          } else {
+            console.log(`🚫 Quality gate failed: ${failed.length} of ${qualityGate.gates.length} checks`);
+            failed.forEach(gate => {
+              console.log(`   - ${gate.label}: ${gate.actual} (limit ${gate.threshold})`);
+              gate.offenders.slice(0, 5).forEach(offender => console.log(`       ${typeof offender === 'string'
+                ? offender
+                : `${offender.name} in ${offender.file}:${offender.line} (${offender.complexity})`}`));
+            });
+            process.exitCode = 1;
+          }
+        }
       } else {
         console.log('❌ Scan failed:', result.error);
+        process.exitCode = 1;
       }
     } catch (error) {
       console.error('❌ Error:', error.message);
+      process.exitCode = 1;
     }
   }
 
@@ -10,7 +10,8 @@ import {
   BarChart3,
   Network,
   FileText,
-  Brain
+  Brain,
+  GitCompare
 } from 'lucide-react'
 import Header from './components/Header'
 import Sidebar from './components/Sidebar'
@@ -28,6 +29,7 @@ import { ScanningLoader, LoadingOverlay } from './components/Loading'
 import ProgressTracker from './components/ProgressTracker'
 import Tooltip from './components/Tooltip'
 import EnhancedFilesTab from './components/EnhancedFilesTab'
+import ScanDiff from './components/ScanDiff'
 import useWebSocket from './hooks/useWebSocket'
 import { useUserFeedback, handleErrorWithFeedback, handleSuccessWithFeedback } from './utils/userFeedback'
 import dynamicPortConfig from './utils/portConfig.js';
@@ -479,6 +481,7 @@ function AppContent() {
     { id: 'conflicts', label: 'Conflicts', icon: AlertCircle },
     { id: 'files', label: 'Files', icon: FileText },
     { id: 'ckg', label: 'Knowledge Graph', icon: Brain },
+    { id: 'compare', label: 'Compare Scans', icon: GitCompare },
   ]
 
   return (
@@ -646,6 +649,7 @@ function AppContent() {
                     <ConflictsList 
                       conflicts={scanResults.conflicts}
                       files={scanResults.files}
+                      suppressed={scanResults.suppressed}
                     />
                   </div>
                 )}
@@ -663,6 +667,11 @@ function AppContent() {
                     />
                   </div>
                 )}
+                {selectedTab === 'compare' && (
+                  <div className="h-full p-2 sm:p-4">
+                    <ScanDiff projectId={currentProject?.id || scanResults.projectId} />
+                  </div>
+                )}
               </div>
             </div>
           ) : (
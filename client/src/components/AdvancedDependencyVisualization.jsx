@@ -26,7 +26,8 @@ import {
   Download,
   Play,
   Pause,
-  SkipBack
+  SkipBack,
+  Boxes
 } from 'lucide-react';
 
 const AdvancedDependencyVisualization = ({
@@ -38,10 +39,11 @@ const AdvancedDependencyVisualization = ({
   height = 800
 }) => {
   // Multi-level state management
-  const [viewLevel, setViewLevel] = useState('project'); // project, module, file, symbol
+  const [viewLevel, setViewLevel] = useState('project'); // project, package, module, file, symbol
   const [drillPath, setDrillPath] = useState([]);
   const [selectedNode, setSelectedNode] = useState(null);
   const [focusedFile, setFocusedFile] = useState(null);
+  const [focusedPackage, setFocusedPackage] = useState(null);
   
   // Flow state
   const [activeFlows, setActiveFlows] = useState(new Set());
@@ -54,6 +56,7 @@ const AdvancedDependencyVisualization = ({
   const [showLabels, setShowLabels] = useState(true);
   const [showMetrics, setShowMetrics] = useState(true);
   const [filterMode, setFilterMode] = useState('all');
+  const [showPackageBoundaries, setShowPackageBoundaries] = useState(true);
   
   // Interaction state
   const [hoveredNode, setHoveredNode] = useState(null);
@@ -66,6 +69,10 @@ const AdvancedDependencyVisualization = ({
   const containerRef = useRef();
   const tooltipRef = useRef();
 
+  // Package graph from a monorepo scan (null for single-package projects)
+  const workspaces = scanResults?.workspaces || null;
+  const viewLevels = ['project', ...(workspaces ? ['package'] : []), 'module', 'file', 'symbol'];
+
   // Enhanced color schemes
   const semanticColors = {
     // File types
@@ -86,6 +93,8 @@ const AdvancedDependencyVisualization = ({
     critical: { base: '#ef4444', range: [31, Infinity] }
   };
 
+  const packagePalette = ['#0ea5e9', '#a855f7', '#14b8a6', '#f97316', '#e11d48', '#84cc16', '#6366f1', '#d946ef'];
+
   const layerColors = {
     presentation: { base: '#3b82f6', description: 'User Interface' },
     business: { base: '#10b981', description: 'Business Logic' },
@@ -98,7 +107,7 @@ const AdvancedDependencyVisualization = ({
     if (scanResults && svgRef.current) {
       renderVisualization();
     }
-  }, [scanResults, viewLevel, activeFlows, isolatedFlow, colorMode, layoutMode, searchQuery, filterMode]);
+  }, [scanResults, viewLevel, activeFlows, isolatedFlow, colorMode, layoutMode, searchQuery, filterMode, focusedPackage, showPackageBoundaries]);
 
   const renderVisualization = () => {
     const svg = d3.select(svgRef.current);
@@ -161,6 +170,9 @@ const AdvancedDependencyVisualization = ({
       case 'project':
         ({ nodes, edges } = processProjectLevel());
         break;
+      case 'package':
+        ({ nodes, edges } = processPackageLevel());
+        break;
       case 'module':
         ({ nodes, edges } = processModuleLevel());
         break;
@@ -222,8 +234,63 @@ const AdvancedDependencyVisualization = ({
     return { nodes, edges };
   };
 
+  const processPackageLevel = () => {
+    if (!workspaces) return { nodes: [], edges: [] };
+
+    const nodes = workspaces.packages.map((pkg, index) => ({
+      id: `package-${pkg.name}`,
+      name: pkg.name,
+      filePath: pkg.relativeDir,
+      type: 'package',
+      files: pkg.filePaths,
+      size: Math.max(20, Math.min(60, 12 + Math.sqrt(pkg.linesOfCode))),
+      color: colorMode === 'complexity'
+        ? getComplexityColor(pkg.averageComplexity)
+        : packagePalette[index % packagePalette.length],
+      complexity: pkg.averageComplexity,
+      dependencies: {
+        incoming: pkg.dependents.length,
+        outgoing: pkg.dependencies.length
+      },
+      metadata: {
+        lines: pkg.linesOfCode,
+        files: pkg.files,
+        instability: pkg.instability,
+        externalDependencies: pkg.externalDependencies.length,
+        conflicts: pkg.conflicts
+      }
+    }));
+
+    // Edges inside a package cycle are drawn dashed red
+    const inCycle = (from, to) => workspaces.cycles.some(cycle => cycle.includes(from) && cycle.includes(to));
+    const edges = workspaces.edges.map(edge => ({
+      source: `package-${edge.from}`,
+      target: `package-${edge.to}`,
+      imports: edge.imports,
+      width: Math.min(8, 1 + Math.log2(edge.imports + 1)),
+      color: inCycle(edge.from, edge.to) ? '#ef4444' : '#6b7280',
+      style: inCycle(edge.from, edge.to) ? 'dashed' : null
+    }));
+
+    return { nodes, edges };
+  };
+
+  // Workspace package of a file, by longest directory prefix
+  const findFilePackage = (filePath) => {
+    if (!workspaces) return null;
+    return workspaces.packages
+      .filter(pkg => pkg.dir && (filePath === pkg.dir || filePath.startsWith(`${pkg.dir}/`)))
+      .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+  };
+
   const processFileLevel = () => {
     let files = scanResults.files;
+
+    if (focusedPackage) {
+      const pkg = workspaces?.packages.find(entry => entry.name === focusedPackage);
+      const packageFiles = new Set(pkg?.filePaths || []);
+      files = files.filter(file => packageFiles.has(file.filePath));
+    }
     
     // If we're focused on a specific module/layer, filter files
     if (drillPath.length > 0) {
@@ -264,6 +331,11 @@ const AdvancedDependencyVisualization = ({
     // Create layout based on mode
     const simulation = createIntelligentLayout(nodes, edges, width, height);
 
+    // Package boundaries sit behind everything else
+    const updatePackageBoundaries = viewLevel === 'file' && showPackageBoundaries && workspaces
+      ? renderPackageBoundaries(container, nodes)
+      : null;
+
     // Render edges first (so they appear behind nodes)
     const linkGroup = container.append('g').attr('class', 'edges');
     const links = linkGroup
@@ -351,6 +423,8 @@ const AdvancedDependencyVisualization = ({
 
       nodeElements
         .attr('transform', d => `translate(${d.x},${d.y})`);
+
+      updatePackageBoundaries?.();
     });
 
     // Event handlers
@@ -410,12 +484,69 @@ const AdvancedDependencyVisualization = ({
     }
   };
 
+  /**
+   * Draw a labelled box around the files of each workspace package.
+   * Returns an updater to call on every simulation tick.
+   */
+  const renderPackageBoundaries = (container, nodes) => {
+    const groups = d3.group(
+      nodes.filter(node => findFilePackage(node.filePath)),
+      node => findFilePackage(node.filePath).name
+    );
+    if (groups.size === 0) return null;
+
+    const packageNames = workspaces.packages.map(pkg => pkg.name);
+    const boundaryGroup = container.append('g').attr('class', 'package-boundaries');
+    const boundaries = boundaryGroup
+      .selectAll('g')
+      .data(Array.from(groups, ([name, members]) => ({ name, members })))
+      .enter().append('g')
+      .attr('class', 'package-boundary');
+
+    const colorFor = (name) => packagePalette[packageNames.indexOf(name) % packagePalette.length];
+
+    boundaries.append('rect')
+      .attr('rx', 12)
+      .attr('fill', d => colorFor(d.name))
+      .attr('fill-opacity', 0.06)
+      .attr('stroke', d => colorFor(d.name))
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '6,4');
+
+    boundaries.append('text')
+      .text(d => d.name)
+      .attr('font-size', '12px')
+      .attr('font-weight', '700')
+      .attr('fill', d => colorFor(d.name))
+      .style('pointer-events', 'none');
+
+    return () => {
+      boundaries.each(function (d) {
+        const padding = 16;
+        const x0 = d3.min(d.members, node => node.x - (node.size || 20)) - padding;
+        const y0 = d3.min(d.members, node => node.y - (node.size || 20)) - padding - 14;
+        const x1 = d3.max(d.members, node => node.x + (node.size || 20)) + padding;
+        const y1 = d3.max(d.members, node => node.y + (node.size || 20)) + padding;
+        const boundary = d3.select(this);
+        boundary.select('rect')
+          .attr('x', x0)
+          .attr('y', y0)
+          .attr('width', x1 - x0)
+          .attr('height', y1 - y0);
+        boundary.select('text')
+          .attr('x', x0 + 10)
+          .attr('y', y0 + 16);
+      });
+    };
+  };
+
   const drillDown = (node) => {
     // Save current state for breadcrumb navigation
     const currentState = {
       level: viewLevel,
       selectedNode,
       focusedFile,
+      focusedPackage,
       zoomLevel,
       timestamp: Date.now()
     };
@@ -430,6 +561,11 @@ const AdvancedDependencyVisualization = ({
           setFocusedFile(null);
         }
         break;
+
+      case 'package':
+        setViewLevel('file');
+        setFocusedPackage(node.name);
+        break;
         
       case 'module':
         setViewLevel('file');
@@ -457,6 +593,7 @@ const AdvancedDependencyVisualization = ({
     setViewLevel(previousState.level);
     setSelectedNode(previousState.selectedNode);
     setFocusedFile(previousState.focusedFile);
+    setFocusedPackage(previousState.focusedPackage);
     
     // Animate transition
     animateTransition('drill-up');
@@ -511,6 +648,8 @@ const AdvancedDependencyVisualization = ({
 
     if (viewLevel === 'project') {
       return createLayeredLayout(nodes, edges, width, height);
+    } else if (viewLevel === 'package') {
+      return createPackageLayout(nodes, edges, width, height);
     } else if (nodeCount < 20) {
       return createCircularLayout(nodes, edges, width, height);
     } else if (density > 0.3) {
@@ -540,6 +679,15 @@ const AdvancedDependencyVisualization = ({
       .force('collision', d3.forceCollide().radius(d => (d.size || 20) + 5));
   };
 
+  const createPackageLayout = (nodes, edges, width, height) => {
+    // Few, large nodes: spread them out and keep heavy edges short
+    return d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(edges).id(d => d.id).distance(d => 220 - Math.min(100, d.imports * 10)))
+      .force('charge', d3.forceManyBody().strength(-600))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .force('collision', d3.forceCollide().radius(d => (d.size || 20) + 30));
+  };
+
   const animateActiveFlows = (container, nodes, edges) => {
     activeFlows.forEach(flowId => {
       const flow = userFlows.find(f => f.id === flowId);
@@ -651,7 +799,8 @@ const AdvancedDependencyVisualization = ({
       test: '🧪',
       page: '📄',
       hook: '🎣',
-      layer: '📚'
+      layer: '📚',
+      package: '📦'
     };
     
     return iconMap[node.type] || '📄';
@@ -698,7 +847,7 @@ const AdvancedDependencyVisualization = ({
           <div className="flex items-center space-x-2">
             <Layers className="w-4 h-4 text-gray-500" />
             <div className="flex border border-gray-300 rounded-md">
-              {['project', 'module', 'file', 'symbol'].map(level => (
+              {viewLevels.map(level => (
                 <button
                   key={level}
                   onClick={() => setViewLevel(level)}
@@ -757,6 +906,18 @@ const AdvancedDependencyVisualization = ({
             <Eye className="w-4 h-4" />
           </button>
 
+          {workspaces && (
+            <button
+              onClick={() => setShowPackageBoundaries(!showPackageBoundaries)}
+              className={`p-2 rounded-md transition-colors ${
+                showPackageBoundaries ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+              }`}
+              title="Toggle Package Boundaries"
+            >
+              <Boxes className="w-4 h-4" />
+            </button>
+          )}
+
           <button
             onClick={() => setShowMetrics(!showMetrics)}
             className={`p-2 rounded-md transition-colors ${
@@ -785,6 +946,7 @@ const AdvancedDependencyVisualization = ({
               setDrillPath([]);
               setSelectedNode(null);
               setFocusedFile(null);
+              setFocusedPackage(null);
               setIsolatedFlow(null);
             }}
             className="p-2 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
@@ -804,6 +966,7 @@ const AdvancedDependencyVisualization = ({
               setDrillPath([]);
               setSelectedNode(null);
               setFocusedFile(null);
+              setFocusedPackage(null);
             }}
             className="text-blue-600 hover:text-blue-800 flex items-center space-x-1"
           >
@@ -820,6 +983,7 @@ const AdvancedDependencyVisualization = ({
                   setViewLevel(item.level);
                   setSelectedNode(item.selectedNode);
                   setFocusedFile(item.focusedFile);
+                  setFocusedPackage(item.focusedPackage);
                 }}
                 className="text-blue-600 hover:text-blue-800"
               >
@@ -879,6 +1043,12 @@ const AdvancedDependencyVisualization = ({
             <span>
               Level: {viewLevel} • {scanResults?.files?.length || 0} files
             </span>
+            {workspaces && (
+              <span>
+                {workspaces.packages.length} packages ({workspaces.manager} workspaces)
+                {focusedPackage && ` • in ${focusedPackage}`}
+              </span>
+            )}
             {activeFlows.size > 0 && (
               <span>
                 {activeFlows.size} flow{activeFlows.size > 1 ? 's' : ''} active
@@ -0,0 +1,94 @@
+import React, { useState } from 'react'
+import { FileText } from 'lucide-react'
+
+const formatFilePath = (filePath = '') => {
+  const parts = filePath.split('/')
+  return parts.length > 3 ? `.../${parts.slice(-3).join('/')}` : filePath
+}
+
+const fragmentLabel = (fragment) =>
+  `${formatFilePath(fragment.filePath)}:${fragment.startLine}-${fragment.endLine}`
+
+function FragmentPane({ fragment, fragments, selected, onSelect, otherLines }) {
+  const lines = (fragment.code || '').split('\n')
+
+  return (
+    <div className="flex flex-col min-w-0 bg-gray-900/60 border border-gray-700/50 rounded-lg overflow-hidden">
+      <div className="flex items-center space-x-2 px-3 py-2 border-b border-gray-700/50 text-xs">
+        <FileText className="w-3 h-3 text-gray-500 flex-shrink-0" />
+        {fragments.length > 2 ? (
+          <select
+            value={selected}
+            onChange={(e) => onSelect(Number(e.target.value))}
+            onClick={(e) => e.stopPropagation()}
+            className="input-field py-1 px-2 text-xs font-mono min-w-0 flex-1"
+          >
+            {fragments.map((entry, index) => (
+              <option key={index} value={index}>{fragmentLabel(entry)}</option>
+            ))}
+          </select>
+        ) : (
+          <span className="font-mono text-gray-300 truncate" title={fragment.filePath}>
+            {fragmentLabel(fragment)}
+          </span>
+        )}
+      </div>
+      <pre className="text-xs font-mono overflow-auto max-h-80 py-2">
+        {lines.map((line, index) => {
+          // Type-2 clones differ in names and literals; mark the lines where that happens
+          const differs = otherLines[index] !== undefined && otherLines[index].trim() !== line.trim()
+          return (
+            <div key={index} className={`flex px-3 ${differs ? 'bg-yellow-500/10' : ''}`}>
+              <span className="w-10 flex-shrink-0 pr-3 text-right text-gray-600 select-none">
+                {fragment.startLine + index}
+              </span>
+              <span className={differs ? 'text-yellow-200' : 'text-gray-300'}>{line || ' '}</span>
+            </div>
+          )
+        })}
+      </pre>
+    </div>
+  )
+}
+
+function CloneComparison({ clone }) {
+  const fragments = clone?.fragments || []
+  const [leftIndex, setLeftIndex] = useState(0)
+  const [rightIndex, setRightIndex] = useState(1)
+
+  if (fragments.length < 2) return null
+
+  const left = fragments[leftIndex] || fragments[0]
+  const right = fragments[rightIndex] || fragments[1]
+  const leftLines = (left.code || '').split('\n')
+  const rightLines = (right.code || '').split('\n')
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-gray-400">
+        <span>
+          {clone.type === 1 ? 'Exact copy' : 'Copy with renamed identifiers or changed literals'}
+          {' · '}{clone.tokens} tokens · {fragments.length} copies
+        </span>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+        <FragmentPane
+          fragment={left}
+          fragments={fragments}
+          selected={leftIndex}
+          onSelect={setLeftIndex}
+          otherLines={rightLines}
+        />
+        <FragmentPane
+          fragment={right}
+          fragments={fragments}
+          selected={rightIndex}
+          onSelect={setRightIndex}
+          otherLines={leftLines}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default CloneComparison
@@ -12,12 +12,26 @@ import {
   FileText,
   GitBranch,
   Zap,
-  Clock
+  Clock,
+  Unlink,
+  FileX,
+  EyeOff,
+  Layers,
+  PackageMinus,
+  PackageX,
+  PackageSearch,
+  Copy,
+  ShieldAlert,
+  KeyRound,
+  Scissors,
+  Puzzle
 } from 'lucide-react'
+import CloneComparison from './CloneComparison'
 
-function ConflictsList({ conflicts = [] }) {
+function ConflictsList({ conflicts = [], suppressed = null }) {
   const [filterSeverity, setFilterSeverity] = useState('all')
   const [filterType, setFilterType] = useState('all')
+  const [filterRule, setFilterRule] = useState('all')
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedConflict, setSelectedConflict] = useState(null)
 
@@ -92,20 +106,88 @@ function ConflictsList({ conflicts = [] }) {
       label: 'Outdated Dependency',
       icon: Clock,
       description: 'Dependencies that should be updated for security or features'
+    },
+    unresolved_import: {
+      label: 'Unresolved Import',
+      icon: Unlink,
+      description: 'Local imports that do not resolve to any file on disk'
+    },
+    unreachable_file: {
+      label: 'Unreachable File',
+      icon: FileX,
+      description: 'No entry point (package.json main/bin/exports or configured entries) imports this file, directly or indirectly'
+    },
+    unused_export: {
+      label: 'Unused Export',
+      icon: EyeOff,
+      description: 'This export is never imported by any file reachable from an entry point'
+    },
+    architecture_violation: {
+      label: 'Architecture Violation',
+      icon: Layers,
+      description: 'An import crosses a boundary that .manito/rules.json forbids'
+    },
+    unused_dependency: {
+      label: 'Unused Dependency',
+      icon: PackageMinus,
+      description: 'A package listed in dependencies is never imported or run from npm scripts'
+    },
+    missing_dependency: {
+      label: 'Missing Dependency',
+      icon: PackageX,
+      description: 'A package is imported but not declared in the nearest package.json, so it only works if something else installs it'
+    },
+    dev_dependency_in_production: {
+      label: 'Dev Dependency in Production',
+      icon: PackageSearch,
+      description: 'Production code imports a package that is only a devDependency and will be missing from production installs'
+    },
+    security_issue: {
+      label: 'Security Issue',
+      icon: ShieldAlert,
+      description: 'A security rule matched this code: eval, command or SQL injection, unescaped HTML, hardcoded secrets, or user input reaching one of these sinks'
+    },
+    exposed_secret: {
+      label: 'Exposed Secret',
+      icon: KeyRound,
+      description: 'A credential is committed to the project: a provider API key, a private key, or a high-entropy value in code or config files'
+    },
+    dead_code: {
+      label: 'Dead Code',
+      icon: Scissors,
+      description: 'Code inside a file that never runs or whose result is never read: unused locals, parameters and private members, statements after return or throw, and branches behind constant conditions'
+    },
+    plugin_error: {
+      label: 'Plugin Error',
+      icon: Puzzle,
+      description: 'A project plugin in .manito/plugins failed to load or threw while analyzing files; the rest of the scan ran without it'
+    },
+    duplicate_code: {
+      label: 'Duplicate Code',
+      icon: Copy,
+      description: 'The same token sequence appears in several places, identically (type-1) or with renamed identifiers and literals (type-2)'
     }
   }
 
+  // Types raised by project plugins, which the map above cannot know
+  const pluginTypes = Array.from(new Set(
+    validConflicts.filter(c => c.plugin && !conflictTypes[c.type]).map(c => c.type)
+  )).sort()
+
+  const formatType = (type) => type.replace(/[_-]+/g, ' ').replace(/\b\w/g, char => char.toUpperCase())
+
   // Filter conflicts
   const filteredConflicts = validConflicts.filter(conflict => {
     const matchesSeverity = filterSeverity === 'all' || conflict.severity === filterSeverity
     const matchesType = filterType === 'all' || conflict.type === filterType
+    const matchesRule = filterType !== 'dead_code' || filterRule === 'all' || conflict.rule === filterRule
     const matchesSearch = searchTerm === '' || 
       conflict.message.toLowerCase().includes(searchTerm.toLowerCase()) ||
       (conflict.files && Array.isArray(conflict.files) && conflict.files.some(file => 
         typeof file === 'string' && file.toLowerCase().includes(searchTerm.toLowerCase())
       ))
     
-    return matchesSeverity && matchesType && matchesSearch
+    return matchesSeverity && matchesType && matchesRule && matchesSearch
   })
 
   // Group conflicts by severity
@@ -131,8 +213,34 @@ function ConflictsList({ conflicts = [] }) {
     return filePath
   }
 
+  const securitySuggestions = {
+    'no-eval': 'Parse data with JSON.parse or look the operation up in a map instead of evaluating code.',
+    'no-new-function': 'Replace the generated function with a regular function that takes the varying parts as arguments.',
+    'child-process-injection': 'Use execFile/spawn with a fixed command and pass user-controlled values as separate arguments, never through a shell string.',
+    'sql-concatenation': 'Use placeholders ($1, ?) and pass the values separately, or a query builder that escapes them.',
+    'dangerously-set-inner-html': 'Render the content as text, or sanitize the HTML (e.g. DOMPurify) right before passing it in.',
+    'hardcoded-secret': 'Move the value to an environment variable or a secrets manager and rotate the exposed secret.',
+    'tainted-flow': 'Validate or sanitize the input before it reaches the sink, or use an API that treats it as data.'
+  }
+
+  const deadCodeRules = {
+    'unused-variable': { label: 'Unused variables', suggestion: 'Remove the declaration, or prefix the name with _ if it is kept on purpose.' },
+    'unused-parameter': { label: 'Unused parameters', suggestion: 'Drop the parameter and update the callers, or prefix it with _ if the signature is fixed.' },
+    'unused-private-member': { label: 'Unused private members', suggestion: 'Remove the member; nothing outside the class can reach it.' },
+    'unreachable-code': { label: 'Unreachable code', suggestion: 'Remove the statements, or move them before the return/throw if they were meant to run.' },
+    'constant-condition': { label: 'Constant conditions', suggestion: 'Remove the condition and the branch that never runs, or use a real flag if it is a toggle.' }
+  }
+
   const getSuggestion = (conflict) => {
     switch (conflict.type) {
+      case 'security_issue':
+        return securitySuggestions[conflict.rule] || 'Review how this code handles untrusted data.'
+      case 'dead_code':
+        return deadCodeRules[conflict.rule]?.suggestion || 'Remove the code that never runs or is never read.'
+      case 'plugin_error':
+        return 'Fix the plugin module or remove it from .manito/plugins. Plugins must export an object with a visitor or an analyzeFile hook.'
+      case 'exposed_secret':
+        return 'Rotate the secret, then load it from an environment variable or secrets manager. If it is a false positive, add its fingerprint or path to .manito/secrets-allowlist.json.'
       case 'circular_dependency':
         return 'Consider refactoring to break the circular dependency by introducing an interface or moving shared logic to a separate module.'
       case 'isolated_file':
@@ -143,6 +251,22 @@ function ConflictsList({ conflicts = [] }) {
         return 'Optimize the identified code pattern for better performance.'
       case 'outdated_dependency':
         return 'Update the dependency to the latest stable version.'
+      case 'unresolved_import':
+        return 'Fix the import path, or add the alias to tsconfig/jsconfig paths or package.json imports so it can be resolved.'
+      case 'unreachable_file':
+        return 'Delete the file if it is dead code. If it is loaded some other way, add it to "entryPoints" in .manito/config.json.'
+      case 'unused_export':
+        return 'Remove the export keyword or the symbol itself if nothing outside this file needs it.'
+      case 'unused_dependency':
+        return 'Remove the package from package.json, or add it to "ignoreDependencies" if it is loaded indirectly (plugins, CLI tools).'
+      case 'missing_dependency':
+        return 'Add the package to the dependencies of the package.json closest to the importing file.'
+      case 'dev_dependency_in_production':
+        return 'Move the package from devDependencies to dependencies, or stop importing it from production code.'
+      case 'duplicate_code':
+        return 'Extract the shared code into one function or module and call it from each place, passing what differs as parameters.'
+      case 'architecture_violation':
+        return 'Move the shared logic into a layer both sides may depend on, or route the call through an allowed layer. Update .manito/rules.json only if the boundary itself is wrong.'
       default:
         return 'Review and address this issue based on your project requirements.'
     }
@@ -204,14 +328,33 @@ function ConflictsList({ conflicts = [] }) {
 
           <select
             value={filterType}
-            onChange={(e) => setFilterType(e.target.value)}
+            onChange={(e) => {
+              setFilterType(e.target.value)
+              setFilterRule('all')
+            }}
             className="input-field py-2 px-3 text-sm"
           >
             <option value="all">All Types</option>
             {Object.entries(conflictTypes).map(([type, config]) => (
               <option key={type} value={type}>{config.label}</option>
             ))}
+            {pluginTypes.map(type => (
+              <option key={type} value={type}>{formatType(type)}</option>
+            ))}
           </select>
+
+          {filterType === 'dead_code' && (
+            <select
+              value={filterRule}
+              onChange={(e) => setFilterRule(e.target.value)}
+              className="input-field py-2 px-3 text-sm"
+            >
+              <option value="all">All Dead Code</option>
+              {Object.entries(deadCodeRules).map(([rule, config]) => (
+                <option key={rule} value={rule}>{config.label}</option>
+              ))}
+            </select>
+          )}
         </div>
       </div>
 
@@ -265,11 +408,14 @@ function ConflictsList({ conflicts = [] }) {
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center space-x-2 mb-1">
                         <h3 className="text-sm font-semibold text-white">
-                          {conflictTypeConfig?.label || 'Unknown Issue'}
+                          {conflictTypeConfig?.label || (conflict.plugin ? formatType(conflict.type) : 'Unknown Issue')}
                         </h3>
                         <span className={`badge ${config.badge}`}>
                           {conflict.severity}
                         </span>
+                        {conflict.plugin && (
+                          <span className="badge badge-info">{conflict.plugin}</span>
+                        )}
                       </div>
                       
                       <p className="text-sm text-gray-300 mb-2">
@@ -357,6 +503,12 @@ function ConflictsList({ conflicts = [] }) {
                         </div>
                       </div>
                     </div>
+
+                    {conflict.clone && (
+                      <div className="mt-4" onClick={(e) => e.stopPropagation()}>
+                        <CloneComparison clone={conflict.clone} />
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -372,6 +524,14 @@ function ConflictsList({ conflicts = [] }) {
             <span>Total Conflicts: <span className="text-white font-semibold">{conflicts.length}</span></span>
             <span>•</span>
             <span>Showing: <span className="text-white font-semibold">{filteredConflicts.length}</span></span>
+            {suppressed?.total > 0 && (
+              <>
+                <span>•</span>
+                <span title={`${suppressed.comments} by manito-ignore comments, ${suppressed.baseline} by the baseline`}>
+                  Suppressed: <span className="text-white font-semibold">{suppressed.total}</span>
+                </span>
+              </>
+            )}
           </div>
           <div className="flex items-center space-x-2 text-gray-400">
             <RefreshCw className="w-4 h-4" />
@@ -23,6 +23,7 @@ function GraphVisualization({ data }) {
   const [filterType, setFilterType] = useState('all')
   const [zoomLevel, setZoomLevel] = useState(1)
   const [hoveredNode, setHoveredNode] = useState(null)
+  const [hoveredEdge, setHoveredEdge] = useState(null)
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 })
 
   const nodeTypes = {
@@ -51,6 +52,43 @@ function GraphVisualization({ data }) {
     return dependencies || {};
   };
 
+  // Links between scanned files. Scans with edge details carry the imported
+  // bindings and import kind; older results only have the dependency map.
+  const buildLinks = (data, nodeIds) => {
+    if (Array.isArray(data.edges)) {
+      return data.edges
+        .filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to))
+        .map(edge => ({
+          source: edge.from,
+          target: edge.to,
+          value: Math.max(1, edge.specifiers?.length || 0),
+          specifiers: edge.specifiers || [],
+          typeOnly: edge.typeOnly,
+          dynamic: edge.dynamic,
+          sideEffect: edge.sideEffect,
+          reexport: edge.reexport
+        }))
+    }
+
+    const links = []
+    Object.entries(processDependencies(data.dependencies)).forEach(([from, to]) => {
+      [].concat(to || []).forEach(target => {
+        if (nodeIds.has(from) && nodeIds.has(target)) {
+          links.push({ source: from, target, value: 1, specifiers: [] })
+        }
+      })
+    })
+    return links
+  }
+
+  const describeEdgeKind = (edge) => {
+    if (edge.dynamic) return 'Dynamic import'
+    if (edge.typeOnly) return 'Type-only import'
+    if (edge.sideEffect) return 'Side-effect import'
+    if (edge.reexport) return 'Re-export'
+    return 'Import'
+  }
+
   // Improve node type detection
   const determineNodeType = (file) => {
     const path = file.filePath || file.path || '';
@@ -149,6 +187,34 @@ function GraphVisualization({ data }) {
     );
   };
 
+  // Edge tooltip listing what flows across the import
+  const EdgeTooltip = ({ edge, position }) => {
+    if (!edge) return null
+
+    return (
+      <div
+        className="absolute bg-gray-800 border border-gray-600 rounded-lg p-3 text-sm shadow-lg z-[99995] pointer-events-none max-w-xs"
+        style={{ left: position.x + 10, top: position.y - 10 }}
+      >
+        <div className="font-semibold text-white truncate">
+          {edge.source.label} → {edge.target.label}
+        </div>
+        <div className="text-gray-400">{describeEdgeKind(edge)}</div>
+        {edge.specifiers.length > 0 && (
+          <ul className="mt-1 text-xs text-gray-300 font-mono">
+            {edge.specifiers.map(spec => (
+              <li key={`${spec.kind}-${spec.name}-${spec.local}`} className={spec.unused ? 'text-gray-500' : ''}>
+                {spec.kind === 'namespace' ? `* as ${spec.local}` : spec.kind === 'default' ? `default as ${spec.local}` : spec.name}
+                {spec.typeOnly && <span className="text-blue-400"> (type)</span>}
+                {spec.unused && <span className="text-yellow-500"> unused</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    )
+  }
+
   useEffect(() => {
     if (!data || !data.files || !Array.isArray(data.files) || data.files.length === 0) {
       // Clear previous visualization if no data
@@ -230,21 +296,8 @@ function GraphVisualization({ data }) {
         filePath: file.filePath || file.path || ''
       }))
 
-      // Create links from dependencies with fixed data processing
-      const processedDeps = processDependencies(data.dependencies);
-      const links = []
-      
-      if (processedDeps && typeof processedDeps === 'object') {
-        Object.entries(processedDeps).forEach(([from, to]) => {
-          if (from && to) {
-            links.push({
-              source: from,
-              target: to,
-              value: 1
-            })
-          }
-        })
-      }
+      // Create links between scanned files
+      const links = buildLinks(data, new Set(nodes.map(n => n.id)))
 
       // Create force simulation
       const simulation = d3.forceSimulation(nodes)
@@ -258,9 +311,19 @@ function GraphVisualization({ data }) {
         .selectAll('line')
         .data(links)
         .enter().append('line')
-        .attr('stroke', '#4b5563')
-        .attr('stroke-width', 2)
-        .attr('stroke-opacity', 0.6)
+        .attr('stroke', d => d.typeOnly ? '#60a5fa' : '#4b5563')
+        .attr('stroke-width', d => Math.min(6, 1 + d.value))
+        .attr('stroke-opacity', d => d.sideEffect ? 0.3 : 0.6)
+        .attr('stroke-dasharray', d => d.dynamic ? '6,4' : d.typeOnly ? '2,3' : null)
+        .on('mouseover', function(event, d) {
+          d3.select(this).attr('stroke-opacity', 1)
+          setHoveredEdge(d)
+          setTooltipPosition({ x: event.pageX, y: event.pageY })
+        })
+        .on('mouseout', function(event, d) {
+          d3.select(this).attr('stroke-opacity', d.sideEffect ? 0.3 : 0.6)
+          setHoveredEdge(null)
+        })
 
       // Create nodes
       const node = g.append('g')
@@ -358,6 +421,7 @@ function GraphVisualization({ data }) {
     setFilterType('all')
     setSelectedNode(null)
     setHoveredNode(null)
+    setHoveredEdge(null)
   }
 
   // Show empty state if no data
@@ -374,7 +438,7 @@ function GraphVisualization({ data }) {
 
   const processedDeps = processDependencies(data.dependencies);
   const nodeCount = data.files.length;
-  const linkCount = Object.keys(processedDeps).length;
+  const linkCount = Array.isArray(data.edges) ? data.edges.length : Object.keys(processedDeps).length;
 
   return (
     <div className="relative w-full h-full">
@@ -402,6 +466,10 @@ function GraphVisualization({ data }) {
         node={hoveredNode}
         position={tooltipPosition}
       />
+      <EdgeTooltip
+        edge={hoveredEdge}
+        position={tooltipPosition}
+      />
       
       {/* Selected Node Info */}
       {selectedNode && (
@@ -15,6 +15,14 @@ import {
   Package
 } from 'lucide-react'
 
+// Matches the scanner's default per-function hotspot limits
+const HOTSPOT_THRESHOLDS = { cyclomatic: 10, cognitive: 15 }
+
+const formatFilePath = (filePath = '') => {
+  const parts = filePath.split('/')
+  return parts.length > 2 ? `.../${parts.slice(-2).join('/')}` : filePath
+}
+
 function MetricsPanel({ data, className = '' }) {
   const complexityChartRef = useRef()
   const filesizeChartRef = useRef()
@@ -30,6 +38,8 @@ function MetricsPanel({ data, className = '' }) {
         totalSize: 0,
         avgComplexity: 0,
         complexFiles: 0,
+        complexUnit: 'files',
+        hotspots: [],
         largeFiles: 0,
         fileTypes: {},
         complexityDistribution: { low: 0, medium: 0, high: 0 },
@@ -42,8 +52,21 @@ function MetricsPanel({ data, className = '' }) {
       const files = data.files
       const totalLines = files.reduce((sum, f) => sum + (f.lines || 0), 0)
       const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0)
-      const avgComplexity = files.reduce((sum, f) => sum + (f.complexity || 0), 0) / files.length
-      const complexFiles = files.filter(f => (f.complexity || 0) > 5)
+      // Per-function metrics from the scanner; older scans and non-JS files only have file totals
+      const functions = files.flatMap(f => (f.functions || [])
+        .filter(fn => typeof fn.cognitive === 'number')
+        .map(fn => ({ ...fn, file: f.filePath })))
+      const byFunction = functions.length > 0
+
+      const avgComplexity = byFunction
+        ? functions.reduce((sum, fn) => sum + fn.complexity, 0) / functions.length
+        : files.reduce((sum, f) => sum + (f.complexity || 0), 0) / files.length
+      const hotspots = data.complexityHotspots?.length
+        ? data.complexityHotspots
+        : functions
+          .filter(fn => fn.complexity > HOTSPOT_THRESHOLDS.cyclomatic || fn.cognitive > HOTSPOT_THRESHOLDS.cognitive)
+          .sort((a, b) => b.cognitive - a.cognitive || b.complexity - a.complexity)
+      const complexFiles = byFunction ? hotspots : files.filter(f => (f.complexity || 0) > 5)
       const largeFiles = files.filter(f => (f.lines || 0) > 200)
       
       // File type distribution
@@ -54,11 +77,17 @@ function MetricsPanel({ data, className = '' }) {
       })
 
       // Complexity distribution
-      const complexityDistribution = {
-        low: files.filter(f => (f.complexity || 0) <= 3).length,
-        medium: files.filter(f => (f.complexity || 0) > 3 && (f.complexity || 0) <= 6).length,
-        high: files.filter(f => (f.complexity || 0) > 6).length
-      }
+      const complexityDistribution = byFunction
+        ? {
+            low: functions.filter(fn => fn.complexity <= 5).length,
+            medium: functions.filter(fn => fn.complexity > 5 && fn.complexity <= HOTSPOT_THRESHOLDS.cyclomatic).length,
+            high: functions.filter(fn => fn.complexity > HOTSPOT_THRESHOLDS.cyclomatic).length
+          }
+        : {
+            low: files.filter(f => (f.complexity || 0) <= 3).length,
+            medium: files.filter(f => (f.complexity || 0) > 3 && (f.complexity || 0) <= 6).length,
+            high: files.filter(f => (f.complexity || 0) > 6).length
+          }
 
       return {
         totalFiles: files.length,
@@ -66,6 +95,8 @@ function MetricsPanel({ data, className = '' }) {
         totalSize,
         avgComplexity: Math.round(avgComplexity * 10) / 10,
         complexFiles: complexFiles.length,
+        complexUnit: byFunction ? 'functions' : 'files',
+        hotspots,
         largeFiles: largeFiles.length,
         fileTypes,
         complexityDistribution,
@@ -81,6 +112,8 @@ function MetricsPanel({ data, className = '' }) {
         totalSize: 0,
         avgComplexity: 0,
         complexFiles: 0,
+        complexUnit: 'files',
+        hotspots: [],
         largeFiles: 0,
         fileTypes: {},
         complexityDistribution: { low: 0, medium: 0, high: 0 },
@@ -386,7 +419,9 @@ function MetricsPanel({ data, className = '' }) {
               <span className="text-white font-semibold">{metrics.avgComplexity}</span>
             </div>
             <div className="flex justify-between items-center">
-              <span className="text-gray-400">Complex Files (&gt;5)</span>
+              <span className="text-gray-400">
+                {metrics.complexUnit === 'functions' ? 'Complex Functions' : 'Complex Files (>5)'}
+              </span>
               <span className={`font-semibold ${metrics.complexFiles > 0 ? 'text-yellow-400' : 'text-green-400'}`}>
                 {metrics.complexFiles}
               </span>
@@ -486,6 +521,57 @@ function MetricsPanel({ data, className = '' }) {
         </div>
       </div>
 
+      {/* Complexity Hotspots */}
+      {metrics.complexUnit === 'functions' && (
+        <div className="glass-panel p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white flex items-center space-x-2">
+              <Zap className="w-5 h-5 text-orange-400" />
+              <span>Complexity Hotspots</span>
+            </h3>
+            <span className="text-xs text-gray-400">
+              Functions over cyclomatic {HOTSPOT_THRESHOLDS.cyclomatic} or cognitive {HOTSPOT_THRESHOLDS.cognitive}
+            </span>
+          </div>
+          {metrics.hotspots.length === 0 ? (
+            <p className="text-sm text-green-400">No functions over the complexity limits</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left text-xs">
+                  <th className="py-1 font-medium">Function</th>
+                  <th className="py-1 font-medium">File</th>
+                  <th className="py-1 font-medium text-right">Cyclomatic</th>
+                  <th className="py-1 font-medium text-right">Cognitive</th>
+                  <th className="py-1 font-medium text-right">Nesting</th>
+                  <th className="py-1 font-medium text-right">Params</th>
+                  <th className="py-1 font-medium text-right">Lines</th>
+                </tr>
+              </thead>
+              <tbody>
+                {metrics.hotspots.slice(0, 10).map(fn => (
+                  <tr key={`${fn.file}:${fn.line}:${fn.name}`} className="border-t border-gray-800">
+                    <td className="py-1 font-mono text-white truncate">{fn.name}</td>
+                    <td className="py-1 font-mono text-gray-400 truncate" title={fn.file}>
+                      {formatFilePath(fn.file)}:{fn.line}
+                    </td>
+                    <td className={`py-1 text-right ${fn.complexity > HOTSPOT_THRESHOLDS.cyclomatic ? 'text-red-400' : 'text-gray-300'}`}>
+                      {fn.complexity}
+                    </td>
+                    <td className={`py-1 text-right ${fn.cognitive > HOTSPOT_THRESHOLDS.cognitive ? 'text-red-400' : 'text-gray-300'}`}>
+                      {fn.cognitive}
+                    </td>
+                    <td className="py-1 text-right text-gray-300">{fn.nesting}</td>
+                    <td className="py-1 text-right text-gray-300">{fn.params}</td>
+                    <td className="py-1 text-right text-gray-300">{fn.lines}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       {/* File Types */}
       <div className="glass-panel p-6">
         <h3 className="text-lg font-semibold text-white mb-4 flex items-center space-x-2">
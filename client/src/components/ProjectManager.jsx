@@ -32,18 +32,227 @@ import {
   GitCompare,
   GitBranchPlus,
   GitFork,
-  Copy
+  Copy,
+  Pause,
+  Play
 } from 'lucide-react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { useToast } from './Toast'
 import { useSettings } from '../contexts/SettingsContext'
 
+const STATUS_COLORS = {
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  skipped: 'text-red-400',
+  cancelled: 'text-gray-400',
+  queued: 'text-yellow-400'
+};
+
+const describeSchedule = (schedule) => (
+  schedule.type === 'cron'
+    ? `cron ${schedule.cron}${schedule.timezone ? ` (${schedule.timezone})` : ''}`
+    : `every ${schedule.interval_minutes} min`
+);
+
+// Recurring scans of one project: list, add, pause/resume and delete
+const ScheduleEditor = ({ project, formatDate }) => {
+  const [type, setType] = useState('interval');
+  const [name, setName] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(60);
+  const [cronExpression, setCronExpression] = useState('0 2 * * *');
+  const [timezone, setTimezone] = useState('');
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const queryKey = ['projectSchedules', project.id];
+
+  const notify = (kind, message) => {
+    try {
+      toast[kind](message);
+    } catch (error) {
+      console.warn('Toast not available:', error.message);
+    }
+  };
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options,
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message || data.error || 'Request failed');
+    return data.data;
+  };
+
+  const schedulesQuery = useQuery({
+    queryKey,
+    queryFn: () => request(`/api/projects/${project.id}/schedules`),
+    refetchInterval: 30000,
+  });
+
+  const onError = (error) => notify('error', `Schedule update failed: ${error.message}`);
+
+  const createScheduleMutation = useMutation({
+    mutationFn: (schedule) => request(`/api/projects/${project.id}/schedules`, {
+      method: 'POST',
+      body: JSON.stringify(schedule),
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKey);
+      setName('');
+      notify('success', 'Scan schedule added');
+    },
+    onError,
+  });
+
+  const pauseScheduleMutation = useMutation({
+    mutationFn: ({ id, paused }) => request(`/api/projects/${project.id}/schedules/${id}/${paused ? 'pause' : 'resume'}`, {
+      method: 'POST',
+    }),
+    onSuccess: () => queryClient.invalidateQueries(queryKey),
+    onError,
+  });
+
+  const deleteScheduleMutation = useMutation({
+    mutationFn: (id) => request(`/api/projects/${project.id}/schedules/${id}`, { method: 'DELETE' }),
+    onSuccess: () => queryClient.invalidateQueries(queryKey),
+    onError,
+  });
+
+  const handleCreateSchedule = (e) => {
+    e.preventDefault();
+    createScheduleMutation.mutate({
+      type,
+      ...(name.trim() && { name: name.trim() }),
+      ...(type === 'cron'
+        ? { cron: cronExpression.trim(), ...(timezone.trim() && { timezone: timezone.trim() }) }
+        : { interval_minutes: Number(intervalMinutes) }),
+    });
+  };
+
+  const schedules = schedulesQuery.data || [];
+  const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm placeholder-gray-400 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 space-y-3" onClick={(e) => e.stopPropagation()}>
+      <h4 className="text-sm font-medium text-gray-300 flex items-center space-x-2">
+        <Calendar className="w-4 h-4" />
+        <span>Scheduled Scans</span>
+      </h4>
+
+      {schedulesQuery.isLoading ? (
+        <p className="text-xs text-gray-500">Loading schedules...</p>
+      ) : schedules.length === 0 ? (
+        <p className="text-xs text-gray-500">No scheduled scans. Scheduled scans run at background priority.</p>
+      ) : (
+        <ul className="space-y-2">
+          {schedules.map((schedule) => (
+            <li key={schedule.id} className="flex items-center justify-between p-2 bg-gray-900 rounded text-xs">
+              <div className="min-w-0">
+                <div className="text-gray-200 truncate">
+                  {schedule.name} <span className="text-gray-500 font-mono">{describeSchedule(schedule)}</span>
+                </div>
+                <div className="text-gray-500 space-x-3">
+                  <span>{schedule.paused ? 'Paused' : `Next: ${schedule.next_run_at ? formatDate(schedule.next_run_at) : 'per cron'}`}</span>
+                  <span>
+                    Last: {formatDate(schedule.last_run_at)}
+                    {schedule.last_status && (
+                      <span className={`ml-1 ${STATUS_COLORS[schedule.last_status] || 'text-gray-400'}`} title={schedule.last_error || ''}>
+                        ({schedule.last_status})
+                      </span>
+                    )}
+                  </span>
+                  <span>{schedule.run_count || 0} runs</span>
+                </div>
+              </div>
+              <div className="flex items-center space-x-1 ml-2">
+                <button
+                  onClick={() => pauseScheduleMutation.mutate({ id: schedule.id, paused: !schedule.paused })}
+                  className="p-1 text-gray-400 hover:text-gray-200 hover:bg-gray-700 rounded"
+                  title={schedule.paused ? 'Resume schedule' : 'Pause schedule'}
+                >
+                  {schedule.paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+                </button>
+                <button
+                  onClick={() => {
+                    if (confirm(`Delete schedule "${schedule.name}"?`)) {
+                      deleteScheduleMutation.mutate(schedule.id);
+                    }
+                  }}
+                  className="p-1 text-gray-400 hover:text-red-400 hover:bg-red-500/10 rounded"
+                  title="Delete schedule"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreateSchedule} className="flex flex-wrap items-center gap-2">
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+          <option value="interval">Every</option>
+          <option value="cron">Cron</option>
+        </select>
+        {type === 'interval' ? (
+          <label className="flex items-center space-x-1 text-xs text-gray-400">
+            <input
+              type="number"
+              min={5}
+              value={intervalMinutes}
+              onChange={(e) => setIntervalMinutes(e.target.value)}
+              className={`${inputClass} w-20`}
+              required
+            />
+            <span>minutes</span>
+          </label>
+        ) : (
+          <>
+            <input
+              type="text"
+              value={cronExpression}
+              onChange={(e) => setCronExpression(e.target.value)}
+              placeholder="0 2 * * *"
+              className={`${inputClass} w-28 font-mono`}
+              title="minute hour day-of-month month day-of-week"
+              required
+            />
+            <input
+              type="text"
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+              placeholder="Timezone (optional)"
+              className={`${inputClass} w-40`}
+            />
+          </>
+        )}
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name (optional)"
+          className={`${inputClass} w-36`}
+        />
+        <button
+          type="submit"
+          disabled={createScheduleMutation.isLoading}
+          className="flex items-center space-x-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white rounded text-sm transition-colors"
+        >
+          <Plus className="w-3 h-3" />
+          <span>{createScheduleMutation.isLoading ? 'Adding...' : 'Add'}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
 const ProjectManager = ({ onProjectSelect, currentProjectId, className = '' }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [selectedProject, setSelectedProject] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newProjectName, setNewProjectName] = useState('');
   const [newProjectPath, setNewProjectPath] = useState('');
+  const [scheduleProjectId, setScheduleProjectId] = useState(null);
   const toast = useToast();
   const queryClient = useQueryClient();
 
@@ -470,6 +679,18 @@ const ProjectManager = ({ onProjectSelect, currentProjectId, className = '' }) =
                                     <Copy className="w-4 h-4" />
                                     <span>Copy Path</span>
                                   </button>
+
+                                  <button
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      setScheduleProjectId(scheduleProjectId === project.id ? null : project.id);
+                                      setSelectedProject(null);
+                                    }}
+                                    className="w-full px-3 py-2 text-left text-sm text-gray-300 hover:bg-gray-700 flex items-center space-x-2"
+                                  >
+                                    <Calendar className="w-4 h-4" />
+                                    <span>Scan Schedules</span>
+                                  </button>
                                   
                                   <button
                                     onClick={(e) => {
@@ -516,6 +737,10 @@ const ProjectManager = ({ onProjectSelect, currentProjectId, className = '' }) =
                             </button>
                           </div>
                         </div>
+
+                        {scheduleProjectId === project.id && (
+                          <ScheduleEditor project={project} formatDate={formatDate} />
+                        )}
                       </div>
                     );
                   })}
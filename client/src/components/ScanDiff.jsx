@@ -0,0 +1,277 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import {
+  GitCompare,
+  FilePlus,
+  FileMinus,
+  AlertTriangle,
+  CheckCircle,
+  Link2,
+  Link2Off,
+  TrendingUp,
+  TrendingDown,
+  Loader2,
+  ArrowRight
+} from 'lucide-react'
+
+const formatFilePath = (filePath = '') => {
+  const parts = filePath.split('/')
+  return parts.length > 3 ? `.../${parts.slice(-3).join('/')}` : filePath
+}
+
+const formatScanLabel = (scan) => {
+  const date = scan.completed_at || scan.started_at
+  return `#${String(scan.id).slice(0, 8)} — ${date ? new Date(date).toLocaleString() : 'unknown date'}`
+}
+
+function DiffSection({ title, icon: Icon, color, items, emptyText, renderItem }) {
+  return (
+    <div className="glass-panel p-4 flex flex-col min-h-0">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <Icon className={`w-4 h-4 ${color}`} />
+          <h3 className="text-sm font-semibold text-white">{title}</h3>
+        </div>
+        <span className="text-xs text-gray-400">{items.length}</span>
+      </div>
+      {items.length === 0 ? (
+        <p className="text-xs text-gray-500">{emptyText}</p>
+      ) : (
+        <div className="space-y-1 max-h-48 overflow-y-auto">
+          {items.map(renderItem)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ScanDiff({ projectId }) {
+  const [fromId, setFromId] = useState('')
+  const [toId, setToId] = useState('')
+
+  const scansQuery = useQuery({
+    queryKey: ['project-scans', projectId],
+    queryFn: async () => {
+      const response = await fetch(`/api/projects/${projectId}/scans?limit=50`)
+      const data = await response.json()
+      return data.success ? data.data.filter(scan => scan.status === 'completed') : []
+    },
+    enabled: !!projectId
+  })
+
+  const diffQuery = useQuery({
+    queryKey: ['scan-diff', projectId, fromId, toId],
+    queryFn: async () => {
+      const params = new URLSearchParams()
+      if (fromId) params.set('from', fromId)
+      if (toId) params.set('to', toId)
+      const response = await fetch(`/api/projects/${projectId}/scans/diff?${params}`)
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.message || data.error || 'Failed to compare scans')
+      return data.data
+    },
+    enabled: !!projectId && (scansQuery.data?.length || 0) >= 2,
+    retry: false
+  })
+
+  if (!projectId) {
+    return (
+      <div className="h-full flex items-center justify-center text-gray-400 text-sm">
+        Select or scan a project to compare its scans.
+      </div>
+    )
+  }
+
+  const scans = scansQuery.data || []
+  const diff = diffQuery.data
+
+  const summaryCards = diff ? [
+    { label: 'Files added', value: diff.summary.filesAdded, color: 'text-green-400' },
+    { label: 'Files removed', value: diff.summary.filesRemoved, color: 'text-red-400' },
+    { label: 'New conflicts', value: diff.summary.conflictsNew, color: 'text-yellow-400' },
+    { label: 'Resolved conflicts', value: diff.summary.conflictsResolved, color: 'text-green-400' },
+    { label: 'Edges added / broken', value: `${diff.summary.edgesNew} / ${diff.summary.edgesBroken}`, color: 'text-blue-400' },
+    {
+      label: 'Complexity change',
+      value: `${diff.summary.complexityDelta > 0 ? '+' : ''}${diff.summary.complexityDelta}`,
+      color: diff.summary.complexityDelta > 0 ? 'text-red-400' : 'text-green-400'
+    }
+  ] : []
+
+  return (
+    <div className="h-full flex flex-col space-y-6 overflow-y-auto">
+      {/* Header and scan pickers */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Compare Scans</h2>
+          <p className="text-gray-400">What changed between two scans of this project</p>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <select
+            value={fromId}
+            onChange={(e) => setFromId(e.target.value)}
+            className="input-field py-2 px-3 text-sm"
+          >
+            <option value="">Previous scan</option>
+            {scans.map(scan => (
+              <option key={scan.id} value={scan.id}>{formatScanLabel(scan)}</option>
+            ))}
+          </select>
+          <ArrowRight className="w-4 h-4 text-gray-400" />
+          <select
+            value={toId}
+            onChange={(e) => setToId(e.target.value)}
+            className="input-field py-2 px-3 text-sm"
+          >
+            <option value="">Latest scan</option>
+            {scans.map(scan => (
+              <option key={scan.id} value={scan.id}>{formatScanLabel(scan)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {scansQuery.isLoading || diffQuery.isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-400">
+          <Loader2 className="w-5 h-5 animate-spin mr-2" />
+          Comparing scans...
+        </div>
+      ) : scans.length < 2 ? (
+        <div className="text-center py-12">
+          <GitCompare className="w-12 h-12 text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-400">Run at least two scans of this project to compare them</p>
+        </div>
+      ) : diffQuery.error ? (
+        <div className="glass-panel p-4 text-sm text-red-300">{diffQuery.error.message}</div>
+      ) : diff && (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4">
+            {summaryCards.map(card => (
+              <div key={card.label} className="metric-card">
+                <div className={`text-2xl font-bold ${card.color}`}>{card.value}</div>
+                <div className="text-sm text-gray-400">{card.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <DiffSection
+              title="Added files"
+              icon={FilePlus}
+              color="text-green-400"
+              items={diff.files.added}
+              emptyText="No files added"
+              renderItem={(file) => (
+                <div key={file} className="text-xs font-mono text-gray-300 bg-gray-800/50 px-2 py-1 rounded truncate" title={file}>
+                  {formatFilePath(file)}
+                </div>
+              )}
+            />
+            <DiffSection
+              title="Removed files"
+              icon={FileMinus}
+              color="text-red-400"
+              items={diff.files.removed}
+              emptyText="No files removed"
+              renderItem={(file) => (
+                <div key={file} className="text-xs font-mono text-gray-300 bg-gray-800/50 px-2 py-1 rounded truncate" title={file}>
+                  {formatFilePath(file)}
+                </div>
+              )}
+            />
+            <DiffSection
+              title="New conflicts"
+              icon={AlertTriangle}
+              color="text-yellow-400"
+              items={diff.conflicts.new}
+              emptyText="No new conflicts"
+              renderItem={(conflict, index) => (
+                <div key={index} className="text-xs bg-gray-800/50 px-2 py-1 rounded">
+                  <span className="badge badge-warning mr-2">{conflict.type}</span>
+                  <span className="text-gray-300">{conflict.message}</span>
+                </div>
+              )}
+            />
+            <DiffSection
+              title="Resolved conflicts"
+              icon={CheckCircle}
+              color="text-green-400"
+              items={diff.conflicts.resolved}
+              emptyText="No conflicts resolved"
+              renderItem={(conflict, index) => (
+                <div key={index} className="text-xs bg-gray-800/50 px-2 py-1 rounded">
+                  <span className="badge badge-info mr-2">{conflict.type}</span>
+                  <span className="text-gray-400 line-through">{conflict.message}</span>
+                </div>
+              )}
+            />
+            <DiffSection
+              title="New dependency edges"
+              icon={Link2}
+              color="text-blue-400"
+              items={diff.edges.new}
+              emptyText="No new edges"
+              renderItem={(edge, index) => (
+                <div key={index} className="text-xs font-mono text-gray-300 bg-gray-800/50 px-2 py-1 rounded truncate">
+                  {formatFilePath(edge.from)} → {formatFilePath(edge.to)}
+                </div>
+              )}
+            />
+            <DiffSection
+              title="Broken dependency edges"
+              icon={Link2Off}
+              color="text-red-400"
+              items={diff.edges.broken}
+              emptyText="No broken edges"
+              renderItem={(edge, index) => (
+                <div key={index} className="text-xs font-mono text-gray-300 bg-gray-800/50 px-2 py-1 rounded truncate">
+                  {formatFilePath(edge.from)} → {formatFilePath(edge.to)}
+                  {edge.reason === 'target_removed' && <span className="text-red-400 ml-2">(file removed)</span>}
+                </div>
+              )}
+            />
+          </div>
+
+          {/* Complexity deltas */}
+          <div className="glass-panel p-4">
+            <h3 className="text-sm font-semibold text-white mb-3">Complexity changes</h3>
+            {diff.complexity.length === 0 ? (
+              <p className="text-xs text-gray-500">No complexity or size changes in files present in both scans</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-1 font-medium">File</th>
+                    <th className="py-1 font-medium text-right">Complexity</th>
+                    <th className="py-1 font-medium text-right">Δ</th>
+                    <th className="py-1 font-medium text-right">Lines Δ</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.complexity.map(entry => (
+                    <tr key={entry.file} className="border-t border-gray-800">
+                      <td className="py-1 font-mono text-gray-300 truncate" title={entry.file}>{formatFilePath(entry.file)}</td>
+                      <td className="py-1 text-right text-gray-400">{entry.before} → {entry.after}</td>
+                      <td className={`py-1 text-right ${entry.delta > 0 ? 'text-red-400' : entry.delta < 0 ? 'text-green-400' : 'text-gray-400'}`}>
+                        <span className="inline-flex items-center justify-end space-x-1">
+                          {entry.delta > 0 && <TrendingUp className="w-3 h-3" />}
+                          {entry.delta < 0 && <TrendingDown className="w-3 h-3" />}
+                          <span>{entry.delta > 0 ? '+' : ''}{entry.delta}</span>
+                        </span>
+                      </td>
+                      <td className="py-1 text-right text-gray-400">{entry.linesDelta > 0 ? '+' : ''}{entry.linesDelta}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ScanDiff
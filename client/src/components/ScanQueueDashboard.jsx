@@ -12,7 +12,10 @@ import {
   RefreshCw,
   BarChart3,
   FileText,
-  Activity
+  Activity,
+  Users,
+  GitMerge,
+  ListOrdered
 } from 'lucide-react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useToast } from './Toast';
@@ -91,10 +94,15 @@ const ScanQueueDashboard = ({ className = '' }) => {
     }
   };
 
+  const PENDING_STATUSES = ['pending', 'queued', 'retrying'];
+
   const getJobStatusIcon = (status) => {
     switch (status) {
       case 'pending':
+      case 'queued':
         return <Clock className="w-4 h-4 text-yellow-400" />;
+      case 'retrying':
+        return <RefreshCw className="w-4 h-4 text-orange-400" />;
       case 'running':
         return <Loader className="w-4 h-4 text-blue-400 animate-spin" />;
       case 'completed':
@@ -111,7 +119,10 @@ const ScanQueueDashboard = ({ className = '' }) => {
   const getJobStatusColor = (status) => {
     switch (status) {
       case 'pending':
+      case 'queued':
         return 'text-yellow-400 bg-yellow-400/10 border-yellow-400/20';
+      case 'retrying':
+        return 'text-orange-400 bg-orange-400/10 border-orange-400/20';
       case 'running':
         return 'text-blue-400 bg-blue-400/10 border-blue-400/20';
       case 'completed':
@@ -146,7 +157,7 @@ const ScanQueueDashboard = ({ className = '' }) => {
   const jobs = jobsQuery.data || [];
   const isLoading = queueStatusQuery.isLoading || jobsQuery.isLoading;
 
-  const pendingJobs = jobs.filter(job => job.status === 'pending');
+  const pendingJobs = jobs.filter(job => PENDING_STATUSES.includes(job.status));
   const runningJobs = jobs.filter(job => job.status === 'running');
   const completedJobs = jobs.filter(job => job.status === 'completed');
   const failedJobs = jobs.filter(job => job.status === 'failed');
@@ -231,6 +242,24 @@ const ScanQueueDashboard = ({ className = '' }) => {
                   <div className="text-xl sm:text-2xl font-bold text-red-400">{failedJobs.length}</div>
                 </div>
               </div>
+              {queueStatus.maxConcurrentJobs && (
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs text-gray-400">
+                  <span>
+                    Limits: {queueStatus.maxConcurrentJobs} concurrent, {queueStatus.maxJobsPerProject ?? '∞'} per project
+                  </span>
+                  {queueStatus.queuedByPriority && (
+                    <span>
+                      Queued: {queueStatus.queuedByPriority.interactive || 0} interactive, {queueStatus.queuedByPriority.background || 0} background
+                    </span>
+                  )}
+                  {queueStatus.coalescedRequests > 0 && (
+                    <span className="flex items-center space-x-1">
+                      <GitMerge className="w-3 h-3" />
+                      <span>{queueStatus.coalescedRequests} duplicate request{queueStatus.coalescedRequests !== 1 ? 's' : ''} merged</span>
+                    </span>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Jobs List */}
@@ -268,8 +297,40 @@ const ScanQueueDashboard = ({ className = '' }) => {
                             <span className={`px-2 py-1 text-xs rounded-full border flex-shrink-0 ${getJobStatusColor(job.status)}`}>
                               {job.status}
                             </span>
+                            {job.priority && (
+                              <span
+                                className={`px-2 py-1 text-xs rounded-full border flex-shrink-0 ${
+                                  job.priority === 'background'
+                                    ? 'text-gray-400 bg-gray-400/10 border-gray-400/20'
+                                    : 'text-purple-400 bg-purple-400/10 border-purple-400/20'
+                                }`}
+                                title="Interactive scans start before background (scheduled) ones"
+                              >
+                                {job.priority}
+                              </span>
+                            )}
                           </div>
 
+                          {(job.queuePosition || job.waiters?.length > 1 || job.waitingReason) && (
+                            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mb-2 text-xs">
+                              {job.queuePosition && (
+                                <span className="flex items-center space-x-1 text-gray-300">
+                                  <ListOrdered className="w-3 h-3 text-gray-500" />
+                                  <span>#{job.queuePosition} in line</span>
+                                </span>
+                              )}
+                              {job.waiters?.length > 1 && (
+                                <span className="flex items-center space-x-1 text-gray-300" title="Identical requests merged into this job">
+                                  <Users className="w-3 h-3 text-gray-500" />
+                                  <span>{job.waiters.length} requests share this scan</span>
+                                </span>
+                              )}
+                              {job.waitingReason && (
+                                <span className="text-yellow-400/90">{job.waitingReason}</span>
+                              )}
+                            </div>
+                          )}
+
                           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4 text-xs sm:text-sm mb-3">
                             <div className="flex items-center space-x-2">
                               <Clock className="w-3 h-3 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
@@ -313,13 +374,29 @@ const ScanQueueDashboard = ({ className = '' }) => {
                                 {job.completedAt && <div>Completed: {formatDate(job.completedAt)}</div>}
                                 {job.scanData?.path && <div>Path: {job.scanData.path}</div>}
                                 {job.scanData?.options && <div>Options: {JSON.stringify(job.scanData.options)}</div>}
+                                {job.maxAttempts && <div>Attempts: {job.attempts} of {job.maxAttempts}</div>}
                               </div>
+                              {job.decisions?.length > 0 && (
+                                <>
+                                  <h4 className="text-xs sm:text-sm font-medium text-white mt-3 mb-2">Scheduling</h4>
+                                  <ol className="space-y-1 text-xs text-gray-300">
+                                    {job.decisions.map((decision, index) => (
+                                      <li key={index} className="flex space-x-2">
+                                        <span className="text-gray-500 flex-shrink-0">
+                                          {new Date(decision.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+                                        </span>
+                                        <span>{decision.message}</span>
+                                      </li>
+                                    ))}
+                                  </ol>
+                                </>
+                              )}
                             </div>
                           )}
                         </div>
 
                         <div className="flex items-center space-x-1 sm:space-x-2 ml-2 sm:ml-4 flex-shrink-0">
-                          {(job.status === 'pending' || job.status === 'running') && (
+                          {(PENDING_STATUSES.includes(job.status) || job.status === 'running') && (
                             <button
                               onClick={(e) => {
                                 e.stopPropagation();
@@ -41,9 +41,9 @@ export class AIAnalysisFormatter {
       // Issues and conflicts
       issues: {
         circularDependencies: [],
-        deadCode: { unusedFunctions: [], unusedVariables: [], unusedImports: [], unreachableCode: [] },
+        deadCode: this.identifyDeadCode(),
         duplicatePatterns: [],
-        unusedDependencies: [],
+        unusedDependencies: this.findUnusedDependencies(),
         securityVulnerabilities: { high: [], medium: [], low: [], total: 0 },
         performanceIssues: { largeFiles: [], complexFunctions: [], heavyDependencies: [], inefficientPatterns: [] }
       },
@@ -117,7 +117,7 @@ export class AIAnalysisFormatter {
           type: this.getDependencyType(fromFile, toDep),
           properties: {
             isCircular: this.isCircularDependency(fromFile, toDep),
-            isExternal: !toDep.startsWith('.') && !toDep.startsWith('/'),
+            isExternal: this.scanner.isExternalDependency(toDep),
             strength: this.calculateDependencyStrength(fromFile, toDep),
             direction: 'outgoing'
           }
@@ -294,23 +294,48 @@ export class AIAnalysisFormatter {
       unusedFunctions: [],
       unusedVariables: [],
       unusedImports: [],
-      unreachableCode: []
+      unreachableCode: [],
+      unusedFiles: [],
+      unusedExports: []
     };
 
-    // Analyze for dead code patterns
+    // Files and exports no entry point reaches, from the scanner's reachability pass
+    const reachability = this.scanner.reachability;
+    if (reachability) {
+      deadCode.unusedFiles = reachability.unreachableFiles.map(file => ({
+        file,
+        relativePath: this.scanner.rootPath ? path.relative(this.scanner.rootPath, file) : file
+      }));
+      deadCode.unusedExports = reachability.unusedExports;
+    }
+
+    // Locals, parameters and statements inside files, from scanFile
+    for (const [file, analysis] of this.scanner.fileResults.entries()) {
+      for (const finding of analysis.deadCode || []) {
+        const entry = { file, ...finding };
+        if (finding.rule === 'unreachable-code' || finding.rule === 'constant-condition') {
+          deadCode.unreachableCode.push(entry);
+        } else if (finding.kind === 'function') {
+          deadCode.unusedFunctions.push(entry);
+        } else {
+          deadCode.unusedVariables.push(entry);
+        }
+      }
+    }
+
     return deadCode;
   }
 
   findUnusedDependencies() {
-    const unusedDeps = [];
-    
-    // Check for dependencies that are imported but not used
-    for (const [file, deps] of this.scanner.dependencyGraph.entries()) {
-      const analysis = this.scanner.getFileAnalysis(file);
-      // Implementation would check if imports are actually used
-    }
+    const report = this.scanner.packageDependencies;
+    if (!report) return [];
 
-    return unusedDeps;
+    // One list so consumers can group by `kind`
+    return [
+      ...report.unused.map(entry => ({ kind: 'unused', ...entry })),
+      ...report.missing.map(entry => ({ kind: 'missing', ...entry })),
+      ...report.devInProduction.map(entry => ({ kind: 'devInProduction', ...entry }))
+    ];
   }
 
   assessSecurityVulnerabilities() {
@@ -396,10 +421,7 @@ export class AIAnalysisFormatter {
   }
 
   getDependencyType(fromFile, toDep) {
-    if (toDep.startsWith('.')) return 'relative';
-    if (toDep.startsWith('/')) return 'absolute';
-    if (toDep.startsWith('@')) return 'alias';
-    return 'external';
+    return this.scanner.getDependencyType(fromFile, toDep);
   }
 
   calculateFanIn(filePath) {
@@ -1,5 +1,10 @@
+import { parse } from '@babel/parser';
+import traverse from '@babel/traverse';
 import fs from 'fs/promises';
 import path from 'path';
+import { measureFunction, summarizeFunctions } from './analyzers/function-complexity.js';
+
+const traverseFunction = traverse.default || traverse;
 
 export class AIFileFormatter {
   constructor() {
@@ -355,8 +360,28 @@ export class AIFileFormatter {
     return classes;
   }
 
-  // Calculate complexity
+  // Calculate complexity: summed per-function cyclomatic complexity for
+  // JavaScript/TypeScript, a keyword estimate for anything Babel cannot parse
   calculateComplexity(content) {
+    try {
+      const ast = parse(content, {
+        sourceType: 'unambiguous',
+        errorRecovery: false,
+        plugins: ['jsx', 'typescript', 'decorators-legacy', 'classProperties', 'dynamicImport']
+      });
+      const functions = [];
+      traverseFunction(ast, {
+        Function(fnPath) {
+          functions.push(measureFunction(fnPath));
+        }
+      });
+      return summarizeFunctions(functions).complexity;
+    } catch {
+      return this.estimateComplexity(content);
+    }
+  }
+
+  estimateComplexity(content) {
     const lines = content.split('\n');
     let complexity = 0;
     
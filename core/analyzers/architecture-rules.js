@@ -0,0 +1,206 @@
+/**
+ * Architecture Rules
+ * Enforces declarative import boundaries between globs and layers, read from
+ * `.manito/rules.json`:
+ *
+ *   {
+ *     "layers": { "ui": ["src/components/**", "src/pages/**"], "db": "src/db/**" },
+ *     "rules": [
+ *       { "name": "ui-no-db", "from": "ui", "forbid": ["db", "external:pg"] },
+ *       { "from": "src/services/**", "allow": ["db", "src/utils/**"], "severity": "warning" }
+ *     ]
+ *   }
+ *
+ * A target is a layer name, a glob relative to the project root, one of the
+ * built-in layers from DependencyAnalyzer (presentation, business, data,
+ * infrastructure), or `external:<package glob>`. `allow` rules always permit
+ * imports within the `from` set, and only check packages when they list an
+ * `external:` target.
+ */
+
+import { Minimatch } from 'minimatch';
+import fs from 'fs/promises';
+import path from 'path';
+import { DependencyAnalyzer } from './dependency-analyzer.js';
+import { EXTERNAL_PREFIX } from '../resolvers/module-resolver.js';
+
+const BUILT_IN_LAYERS = ['presentation', 'business', 'data', 'infrastructure'];
+const SEVERITIES = ['error', 'warning', 'info'];
+
+export class ArchitectureRules {
+  constructor(config = {}, options = {}) {
+    this.options = {
+      rootPath: null,
+      rulesPath: null,
+      ...options
+    };
+    this.dependencyAnalyzer = new DependencyAnalyzer();
+    this.layers = new Map();
+    this.rules = [];
+    this.compile(config);
+  }
+
+  /**
+   * Load rules for a project, or null when it has no rules file
+   */
+  static async load(rootPath, rulesPath = null) {
+    const filePath = rulesPath || path.join(rootPath, '.manito', 'rules.json');
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    return new ArchitectureRules(config, { rootPath, rulesPath: filePath });
+  }
+
+  compile(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Architecture rules must be a JSON object');
+    }
+
+    for (const [name, globs] of Object.entries(config.layers || {})) {
+      const patterns = Array.isArray(globs) ? globs : [globs];
+      if (patterns.length === 0 || patterns.some(glob => typeof glob !== 'string')) {
+        throw new Error(`Layer "${name}" must be a glob or a list of globs`);
+      }
+      this.layers.set(name, patterns.map(glob => new Minimatch(glob, { dot: true })));
+    }
+
+    if (!Array.isArray(config.rules)) {
+      throw new Error('Architecture rules file needs a "rules" array');
+    }
+
+    this.rules = config.rules.map((rule, index) => {
+      const name = rule.name || `rule-${index + 1}`;
+      const toList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+      const from = toList(rule.from);
+      if (from.length === 0) {
+        throw new Error(`Rule "${name}" needs a "from" layer or glob`);
+      }
+      if (rule.allow === undefined && rule.forbid === undefined) {
+        throw new Error(`Rule "${name}" needs "allow" or "forbid"`);
+      }
+
+      const severity = rule.severity || 'error';
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Rule "${name}" has unknown severity "${severity}"`);
+      }
+
+      const allow = rule.allow === undefined ? null : toList(rule.allow).map(token => this.compileTarget(token, name));
+
+      return {
+        name,
+        severity,
+        message: rule.message || null,
+        from: from.map(token => this.compileTarget(token, name)),
+        allow,
+        allowExternal: allow ? allow.some(target => target.kind === 'external') : true,
+        forbid: toList(rule.forbid).map(token => this.compileTarget(token, name))
+      };
+    });
+  }
+
+  compileTarget(token, ruleName) {
+    if (typeof token !== 'string' || token.length === 0) {
+      throw new Error(`Rule "${ruleName}" has an invalid target: ${JSON.stringify(token)}`);
+    }
+    if (token.startsWith(EXTERNAL_PREFIX)) {
+      return { kind: 'external', token, matcher: new Minimatch(token.slice(EXTERNAL_PREFIX.length)) };
+    }
+    if (this.layers.has(token)) {
+      return { kind: 'layer', token };
+    }
+    if (BUILT_IN_LAYERS.includes(token)) {
+      return { kind: 'builtin', token };
+    }
+    return { kind: 'glob', token, matcher: new Minimatch(token, { dot: true }) };
+  }
+
+  relative(filePath) {
+    return path.relative(this.options.rootPath, filePath).split(path.sep).join('/');
+  }
+
+  matches(target, filePath) {
+    if (filePath.startsWith(EXTERNAL_PREFIX)) {
+      return target.kind === 'external' && target.matcher.match(filePath.slice(EXTERNAL_PREFIX.length));
+    }
+
+    const relativePath = this.relative(filePath);
+    switch (target.kind) {
+      case 'layer':
+        return this.layers.get(target.token).some(matcher => matcher.match(relativePath));
+      case 'builtin':
+        return this.dependencyAnalyzer.determineArchitecturalLayer(relativePath) === target.token;
+      case 'glob':
+        return target.matcher.match(relativePath);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Layers (declared in the rules file) that a file belongs to
+   */
+  layersOf(filePath) {
+    const relativePath = this.relative(filePath);
+    return Array.from(this.layers.entries())
+      .filter(([, matchers]) => matchers.some(matcher => matcher.match(relativePath)))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Check every edge of a CodeScanner dependency graph against the rules
+   */
+  check(dependencyGraph) {
+    const violations = [];
+
+    for (const [from, targets] of dependencyGraph.entries()) {
+      const rules = this.rules.filter(rule => rule.from.some(target => this.matches(target, from)));
+      if (rules.length === 0) continue;
+
+      for (const to of targets) {
+        const isExternal = to.startsWith(EXTERNAL_PREFIX);
+
+        for (const rule of rules) {
+          const forbidden = rule.forbid.find(target => this.matches(target, to));
+          let reason = forbidden ? `forbids ${forbidden.token}` : null;
+
+          if (!reason && rule.allow && (!isExternal || rule.allowExternal)) {
+            const allowed = rule.from.some(target => this.matches(target, to)) ||
+              rule.allow.some(target => this.matches(target, to));
+            if (!allowed) {
+              reason = `only allows ${rule.allow.map(target => target.token).join(', ') || 'imports within its own layer'}`;
+            }
+          }
+
+          if (reason) {
+            const toLabel = isExternal ? to.slice(EXTERNAL_PREFIX.length) : this.relative(to);
+            violations.push({
+              rule: rule.name,
+              severity: rule.severity,
+              from,
+              to,
+              message: `${rule.message ? `${rule.message}: ` : ''}${this.relative(from)} imports ${toLabel} (rule "${rule.name}" ${reason})`
+            });
+          }
+        }
+      }
+    }
+
+    return violations;
+  }
+}
+
+export default ArchitectureRules;
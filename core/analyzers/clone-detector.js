@@ -0,0 +1,257 @@
+/**
+ * Clone Detector
+ * Token-based duplicate code detection across scanned files, in any language:
+ *
+ * - type-1 clones are identical token sequences, whitespace and comments aside
+ * - type-2 clones differ only in identifier names and literal values
+ *
+ * Every window of `minTokens` normalized tokens is hashed. Windows that match
+ * at the same offset in two places are extended into maximal clone pairs, and
+ * pairs covering the same token sequence are grouped.
+ */
+
+import fs from 'fs/promises';
+
+export const DEFAULT_MIN_CLONE_TOKENS = 50;
+
+// Comments start with # instead of //, which is an operator in these languages
+const HASH_COMMENT_FILE = /\.(py|rb)$/;
+
+const STRING = [
+  '"""[\\s\\S]*?"""',
+  "'''[\\s\\S]*?'''",
+  '"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"',
+  "'(?:\\\\[\\s\\S]|[^'\\\\\\n])*'",
+  '`(?:\\\\[\\s\\S]|[^`\\\\])*`'
+].join('|');
+const tokenPattern = (comment) =>
+  new RegExp(`(\\s+)|(${comment})|(${STRING})|(\\d[\\w.]*)|([A-Za-z_$][\\w$]*)|(\\S)`, 'g');
+const C_TOKENS = tokenPattern('\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/|<!--[\\s\\S]*?-->');
+const HASH_TOKENS = tokenPattern('#[^\\n]*');
+
+// Keywords keep their text in type-2 normalization; every other word is an identifier
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'begin', 'break', 'case', 'catch', 'class', 'const',
+  'continue', 'def', 'default', 'defer', 'del', 'delete', 'do', 'elif', 'else', 'elsif', 'end', 'enum',
+  'except', 'export', 'extends', 'false', 'final', 'finally', 'fn', 'for', 'from', 'func', 'function',
+  'go', 'if', 'impl', 'implements', 'import', 'in', 'instanceof', 'interface', 'is', 'lambda', 'let',
+  'loop', 'match', 'module', 'mut', 'new', 'nil', 'None', 'not', 'null', 'or', 'package', 'pass',
+  'private', 'protected', 'pub', 'public', 'raise', 'rescue', 'return', 'self', 'static', 'struct',
+  'super', 'switch', 'this', 'throw', 'throws', 'trait', 'True', 'true', 'False', 'try', 'type',
+  'typeof', 'undefined', 'unless', 'until', 'use', 'val', 'var', 'void', 'when', 'where', 'while',
+  'with', 'yield'
+]);
+
+const HASH_BASES = [[131, 1000000007], [137, 998244353]];
+
+export class CloneDetector {
+  constructor(options = {}) {
+    this.options = {
+      minTokens: DEFAULT_MIN_CLONE_TOKENS, // Shortest clone reported, in tokens
+      maxOccurrences: 20, // Locations kept per window, so repetitive code stays cheap
+      maxFragmentLines: 200, // Lines of code kept per fragment for side-by-side views
+      ...options
+    };
+  }
+
+  /**
+   * Read and compare scanned files ([{ filePath }])
+   */
+  async detect(files) {
+    const sources = [];
+    for (const { filePath } of files) {
+      try {
+        sources.push({ filePath, content: await fs.readFile(filePath, 'utf-8') });
+      } catch (error) {
+        console.warn(`Could not read ${filePath} for clone detection:`, error.message);
+      }
+    }
+    return this.detectInSources(sources);
+  }
+
+  /**
+   * Clone groups, largest first:
+   * [{ id, type, tokens, lines, fragments: [{ filePath, startLine, endLine, code }] }]
+   */
+  detectInSources(sources) {
+    const { minTokens, maxOccurrences } = this.options;
+    const vocabulary = new Map();
+    const files = sources.map(({ filePath, content }) => {
+      const tokens = tokenize(content, filePath);
+      const ids = tokens.map(token => {
+        if (!vocabulary.has(token.normalized)) vocabulary.set(token.normalized, vocabulary.size + 1);
+        return vocabulary.get(token.normalized);
+      });
+      return { filePath, content, tokens, ids };
+    }).filter(file => file.tokens.length >= minTokens);
+
+    const index = new Map(); // window hash -> [{ file, pos }]
+    const runs = new Map(); // file pair and offset -> run being extended
+    const pairs = [];
+
+    files.forEach((file, fileIndex) => {
+      windowHashes(file.ids, minTokens).forEach((hash, pos) => {
+        const seen = index.get(hash) || [];
+        for (const other of seen) {
+          const offset = pos - other.pos;
+          const sameFile = other.file === fileIndex;
+          if (sameFile && offset < minTokens) continue;
+
+          const key = `${other.file}:${fileIndex}:${offset}`;
+          const run = runs.get(key);
+          if (run && run.last === pos - 1) {
+            // Copies inside one file must not overlap
+            if (!sameFile || pos - run.startB + minTokens <= offset) run.end = pos;
+            run.last = pos;
+            continue;
+          }
+          if (sameWindow(files[other.file].ids, other.pos, file.ids, pos, minTokens)) {
+            const created = { a: other.file, startA: other.pos, b: fileIndex, startB: pos, end: pos, last: pos };
+            runs.set(key, created);
+            pairs.push(created);
+          }
+        }
+        if (seen.length < maxOccurrences) {
+          seen.push({ file: fileIndex, pos });
+          index.set(hash, seen);
+        }
+      });
+    });
+
+    return this.groupPairs(files, pairs);
+  }
+
+  groupPairs(files, pairs) {
+    const groups = new Map();
+    for (const pair of pairs) {
+      const length = pair.end - pair.startB + this.options.minTokens;
+      const key = `${length}:${sequenceHash(files[pair.a].ids, pair.startA, length)}`;
+      if (!groups.has(key)) {
+        groups.set(key, { tokens: length, fragments: [] });
+      }
+      const group = groups.get(key);
+      for (const [fileIndex, start] of [[pair.a, pair.startA], [pair.b, pair.startB]]) {
+        // Pairs found at different offsets of repeated code would otherwise overlap
+        const overlaps = group.fragments.some(fragment => fragment.fileIndex === fileIndex &&
+          start < fragment.start + length && fragment.start < start + length);
+        if (!overlaps) {
+          group.fragments.push({ ...this.fragment(files[fileIndex], start, length), start, fileIndex });
+        }
+      }
+    }
+
+    return Array.from(groups.values())
+      .filter(({ fragments }) => fragments.length > 1)
+      .map(({ tokens, fragments }) => {
+        fragments.sort((a, b) => a.filePath.localeCompare(b.filePath) || a.startLine - b.startLine);
+        const [first] = fragments;
+        const exact = fragments.every(fragment => sameText(files[first.fileIndex].tokens, first.start, files[fragment.fileIndex].tokens, fragment.start, tokens));
+        return {
+          type: exact ? 1 : 2,
+          tokens,
+          lines: first.endLine - first.startLine + 1,
+          fragments: fragments.map(({ filePath, startLine, endLine, code }) => ({ filePath, startLine, endLine, code }))
+        };
+      })
+      .sort((a, b) => b.tokens - a.tokens || a.fragments[0].filePath.localeCompare(b.fragments[0].filePath) ||
+        a.fragments[0].startLine - b.fragments[0].startLine)
+      .filter((group, index, sorted) => !isSubsumed(group, sorted.slice(0, index)))
+      .map((group, index) => ({ id: `clone-${index + 1}`, ...group }));
+  }
+
+  fragment(file, start, length) {
+    const startLine = file.tokens[start].line;
+    const endLine = file.tokens[start + length - 1].endLine;
+    const code = file.content.split('\n')
+      .slice(startLine - 1, Math.min(endLine, startLine - 1 + this.options.maxFragmentLines))
+      .join('\n');
+    return { filePath: file.filePath, startLine, endLine, code };
+  }
+}
+
+/**
+ * Split source into tokens with their line range and type-2 normal form
+ */
+export function tokenize(content, filePath = '') {
+  const pattern = new RegExp(HASH_COMMENT_FILE.test(filePath) ? HASH_TOKENS : C_TOKENS);
+  const tokens = [];
+  let line = 1;
+  for (const match of content.matchAll(pattern)) {
+    const [text, space, comment, string, number, word] = match;
+    const newlines = countNewlines(text);
+    if (!space && !comment) {
+      let normalized = text;
+      if (string || number) normalized = '$literal';
+      else if (word && !KEYWORDS.has(word)) normalized = '$name';
+      tokens.push({ value: text, normalized, line, endLine: line + newlines });
+    }
+    line += newlines;
+  }
+  return tokens;
+}
+
+/**
+ * Whether every fragment lies inside a fragment of a larger group, as when
+ * three copies share a long clone and two of them a shorter one around it
+ */
+function isSubsumed(group, larger) {
+  return group.fragments.every(fragment => larger.some(other => other.fragments.some(outer =>
+    outer.filePath === fragment.filePath && outer.startLine <= fragment.startLine && outer.endLine >= fragment.endLine
+  )));
+}
+
+function windowHashes(ids, size) {
+  if (ids.length < size) return [];
+
+  const hashes = [];
+  const state = HASH_BASES.map(([base, mod]) => {
+    let power = 1;
+    for (let i = 1; i < size; i++) power = (power * base) % mod;
+    return { base, mod, power, value: 0 };
+  });
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const entry of state) {
+      if (i >= size) {
+        entry.value = (entry.value - (ids[i - size] * entry.power) % entry.mod + entry.mod) % entry.mod;
+      }
+      entry.value = (entry.value * entry.base + ids[i]) % entry.mod;
+    }
+    if (i >= size - 1) {
+      hashes.push(`${state[0].value}:${state[1].value}`);
+    }
+  }
+  return hashes;
+}
+
+function sequenceHash(ids, start, length) {
+  return HASH_BASES.map(([base, mod]) => {
+    let value = 0;
+    for (let i = start; i < start + length; i++) value = (value * base + ids[i]) % mod;
+    return value;
+  }).join(':');
+}
+
+function sameWindow(idsA, startA, idsB, startB, length) {
+  for (let i = 0; i < length; i++) {
+    if (idsA[startA + i] !== idsB[startB + i]) return false;
+  }
+  return true;
+}
+
+function sameText(tokensA, startA, tokensB, startB, length) {
+  for (let i = 0; i < length; i++) {
+    if (tokensA[startA + i].value !== tokensB[startB + i].value) return false;
+  }
+  return true;
+}
+
+function countNewlines(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+}
+
+export default CloneDetector;
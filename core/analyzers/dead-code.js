@@ -0,0 +1,219 @@
+/**
+ * Dead Code
+ * Scope analysis on the Babel AST of every JavaScript/TypeScript file, run
+ * during scanFile. Findings look like
+ * { rule, message, name?, kind?, line, column, endLine }.
+ *
+ * Module-level bindings are left to the unused import and reachability
+ * checks, which know about the rest of the project. Names starting with `_`
+ * are treated as deliberately unused.
+ */
+
+import traverse from '@babel/traverse';
+
+const traverseFunction = traverse.default || traverse;
+
+export const DEAD_CODE_RULES = {
+  'unused-variable': 'A local variable, function or class is declared but never read',
+  'unused-parameter': 'A function parameter is never read, and no later parameter is either',
+  'unused-private-member': 'A private class field, method or accessor is never read',
+  'unreachable-code': 'Statements after return, throw, break or continue never run',
+  'constant-condition': 'A condition always has the same value, so one of its branches never runs'
+};
+
+const TERMINATORS = new Set(['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement']);
+// Hoisted, or erased at compile time, so harmless after a terminator
+const INERT_STATEMENTS = new Set([
+  'FunctionDeclaration', 'EmptyStatement', 'TSTypeAliasDeclaration', 'TSInterfaceDeclaration',
+  'TSDeclareFunction', 'TSModuleDeclaration'
+]);
+const DECLARATIONS = {
+  VariableDeclarator: 'variable',
+  FunctionDeclaration: 'function',
+  ClassDeclaration: 'class'
+};
+
+/**
+ * Run every check over a parsed file. `references` holds names read where
+ * Babel's scope does not see it: type annotations and component markup.
+ */
+export function findDeadCode(ast, { references = new Set() } = {}) {
+  const findings = [];
+  const seenScopes = new Set();
+  const ignored = (name) => name.startsWith('_') || references.has(name);
+
+  const report = (rule, node, message, extra = {}, endNode = node) => {
+    findings.push({
+      rule,
+      message,
+      ...extra,
+      line: node.loc?.start.line,
+      column: node.loc ? node.loc.start.column + 1 : undefined,
+      endLine: endNode.loc?.end.line
+    });
+  };
+
+  const checkBindings = (scope) => {
+    if (seenScopes.has(scope) || scope.path.isProgram()) return;
+    seenScopes.add(scope);
+
+    for (const [name, binding] of Object.entries(scope.bindings)) {
+      const kind = DECLARATIONS[binding.path.type];
+      if (!kind || binding.referenced || ignored(name) || isOmittedByRest(binding)) continue;
+      if (binding.path.node.declare || binding.path.parentPath?.node.declare) continue;
+
+      const what = { variable: 'Variable', function: 'Local function', class: 'Local class' }[kind];
+      const assigned = binding.constantViolations.length > 0 ? 'assigned but never used' : 'declared but never used';
+      report('unused-variable', binding.identifier, `${what} '${name}' is ${assigned}`, { name, kind });
+    }
+  };
+
+  const checkParams = (path) => {
+    const { node } = path;
+    if (!node.body || node.kind === 'set' || node.declare) return;
+
+    const params = path.get('params').map(param => {
+      // constructor(private repo) declares a class member, checked with the other private members
+      if (param.isTSParameterProperty()) return { param, used: true };
+      const names = Object.keys(param.getBindingIdentifiers());
+      const used = names.some(name => ignored(name) || path.scope.getOwnBinding(name)?.referenced);
+      return { param, used, names };
+    });
+
+    // Like ESLint's "after-used": earlier parameters hold positions for the ones that are read
+    let lastUsed = -1;
+    params.forEach(({ used }, index) => { if (used) lastUsed = index; });
+    params.slice(lastUsed + 1).forEach(({ param, names }) => {
+      const target = param.isAssignmentPattern() ? param.get('left') : param.isRestElement() ? param.get('argument') : param;
+      if (!target.isIdentifier()) return;
+      report('unused-parameter', target.node, `Parameter '${names[0]}' is never used`, { name: names[0] });
+    });
+  };
+
+  const checkPrivateMembers = (path) => {
+    const members = [];
+    for (const member of path.get('body')) {
+      const { node } = member;
+      if (member.isClassPrivateProperty() || member.isClassPrivateMethod()) {
+        members.push({ name: `#${node.key.id.name}`, node: node.key });
+      } else if ((member.isClassProperty() || member.isClassMethod()) && node.accessibility === 'private' && !node.computed) {
+        const name = node.key.name ?? node.key.value;
+        if (name !== undefined && node.kind !== 'constructor') members.push({ name, node: node.key });
+      } else if (member.isClassMethod({ kind: 'constructor' })) {
+        for (const param of node.params) {
+          if (param.type === 'TSParameterProperty' && param.accessibility === 'private') {
+            const id = param.parameter.type === 'AssignmentPattern' ? param.parameter.left : param.parameter;
+            members.push({ name: id.name, node: id });
+          }
+        }
+      }
+    }
+    if (members.length === 0) return;
+
+    const read = readMemberNames(path);
+    const className = path.parent.id?.name || 'anonymous class';
+    for (const { name, node } of members) {
+      if (read.has(name) || ignored(name.replace(/^#/, ''))) continue;
+      report('unused-private-member', node, `Private member '${name}' of ${className} is never used`, { name });
+    }
+  };
+
+  const checkUnreachable = (path) => {
+    const statements = path.node.body ?? path.node.consequent;
+    if (!Array.isArray(statements)) return;
+
+    const index = statements.findIndex(statement => TERMINATORS.has(statement.type));
+    if (index === -1) return;
+    const dead = statements.slice(index + 1).filter(statement => !INERT_STATEMENTS.has(statement.type) &&
+      !(statement.type === 'VariableDeclaration' && statement.kind === 'var' && statement.declarations.every(d => !d.init)));
+    if (dead.length === 0) return;
+
+    const terminator = statements[index].type.replace('Statement', '').toLowerCase();
+    report('unreachable-code', dead[0], `Unreachable code after ${terminator}`, {}, dead[dead.length - 1]);
+  };
+
+  const checkCondition = (path, deadWhen, branchKey, otherKey) => {
+    const value = path.get(path.isLogicalExpression() ? 'left' : 'test').evaluateTruthy();
+    if (value === undefined) return;
+
+    const dead = value === deadWhen ? path.node[branchKey] : otherKey && path.node[otherKey];
+    if (!dead) return;
+    const description = path.isLogicalExpression()
+      ? `Left side of ${path.node.operator} is always ${value}, so the right side never runs`
+      : `Condition is always ${value}, so the ${value ? 'else branch' : path.isLoop() ? 'loop body' : 'branch'} never runs`;
+    report('constant-condition', dead, description);
+  };
+
+  traverseFunction(ast, {
+    Scopable(path) {
+      checkBindings(path.scope);
+    },
+    Function(path) {
+      checkParams(path);
+    },
+    ClassBody(path) {
+      checkPrivateMembers(path);
+    },
+    'BlockStatement|Program|SwitchCase'(path) {
+      checkUnreachable(path);
+    },
+    'IfStatement|ConditionalExpression'(path) {
+      checkCondition(path, false, 'consequent', 'alternate');
+    },
+    'WhileStatement|ForStatement'(path) {
+      if (path.node.test) checkCondition(path, false, 'body');
+    },
+    LogicalExpression(path) {
+      const { operator } = path.node;
+      if (operator === '&&') checkCondition(path, false, 'right');
+      if (operator === '||') checkCondition(path, true, 'right');
+    }
+  });
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * `const { id, ...rest } = props` declares id only to leave it out of rest
+ */
+function isOmittedByRest(binding) {
+  const { node } = binding.path;
+  if (node.type !== 'VariableDeclarator' || node.id.type !== 'ObjectPattern') return false;
+  const rest = node.id.properties.find(property => property.type === 'RestElement');
+  return Boolean(rest) && rest.argument.name !== binding.identifier.name;
+}
+
+/**
+ * Member names read anywhere in a class body; assignments alone do not count
+ */
+function readMemberNames(classBody) {
+  const names = new Set();
+  const nameOf = (property, computed) => {
+    if (property.type === 'PrivateName') return `#${property.id.name}`;
+    if (!computed && property.type === 'Identifier') return property.name;
+    if (property.type === 'StringLiteral') return property.value;
+    return null;
+  };
+
+  classBody.traverse({
+    'MemberExpression|OptionalMemberExpression'(path) {
+      const { parent, node } = path;
+      if (parent.type === 'AssignmentExpression' && parent.left === node && parent.operator === '=') return;
+      const name = nameOf(node.property, node.computed);
+      if (name) names.add(name);
+    },
+    BinaryExpression(path) {
+      // #field in object
+      if (path.node.left.type === 'PrivateName') names.add(`#${path.node.left.id.name}`);
+    },
+    ObjectPattern(path) {
+      for (const property of path.node.properties) {
+        if (property.type === 'ObjectProperty') {
+          const name = nameOf(property.key, property.computed);
+          if (name) names.add(name);
+        }
+      }
+    }
+  });
+  return names;
+}
@@ -638,7 +638,7 @@ export class DependencyAnalyzer {
   isComponent(filePath) {
     return filePath.includes('component') || 
            filePath.includes('page') || 
-           /\.(jsx|tsx)$/.test(filePath);
+           /\.(jsx|tsx|vue|svelte)$/.test(filePath);
   }
 
   isService(filePath) {
@@ -0,0 +1,210 @@
+/**
+ * Function Complexity
+ * Per-function metrics measured on the Babel AST during scanFile:
+ *
+ * - cyclomatic: 1 + decision points (if, ternary, loops, case, catch, &&, ||, ??)
+ * - cognitive: SonarSource cognitive complexity. Control structures cost
+ *   1 + their nesting level; else/else-if, changes of logical operator,
+ *   labelled jumps and direct recursion cost 1.
+ * - nesting: deepest nesting of control structures
+ * - params, lines: parameter count and length in lines
+ *
+ * Nested functions are measured on their own and do not add to their parent.
+ */
+
+export const DEFAULT_COMPLEXITY_THRESHOLDS = {
+  cyclomatic: 10,
+  cognitive: 15
+};
+
+const LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+const LOGICAL_OPERATORS = ['&&', '||', '??'];
+const LOGICAL_ASSIGNMENTS = ['&&=', '||=', '??='];
+
+/**
+ * Measure the function at a Babel path (any node matching the `Function` alias)
+ */
+export function measureFunction(fnPath) {
+  const { node } = fnPath;
+  const name = getFunctionName(fnPath);
+  const ownName = node.id?.name || (name.includes('.') ? null : name);
+
+  let cyclomatic = 1;
+  let cognitive = 0;
+  let nesting = 0;
+  let maxNesting = 0;
+
+  const nests = (path) => {
+    if (path.isIfStatement()) return !isElseIf(path);
+    return path.isConditionalExpression() || path.isSwitchStatement() ||
+      path.isCatchClause() || LOOPS.includes(path.node.type);
+  };
+
+  fnPath.traverse({
+    enter(path) {
+      // Nested functions get their own entry
+      if (path.isFunction()) {
+        path.skip();
+        return;
+      }
+
+      const current = path.node;
+      switch (current.type) {
+        case 'IfStatement':
+          cyclomatic++;
+          cognitive += isElseIf(path) ? 1 : 1 + nesting;
+          if (current.alternate && current.alternate.type !== 'IfStatement') {
+            cognitive++; // plain else
+          }
+          break;
+        case 'ConditionalExpression':
+        case 'SwitchStatement':
+        case 'CatchClause':
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'WhileStatement':
+        case 'DoWhileStatement':
+          if (current.type !== 'SwitchStatement') cyclomatic++;
+          cognitive += 1 + nesting;
+          break;
+        case 'SwitchCase':
+          if (current.test) cyclomatic++;
+          break;
+        case 'LogicalExpression':
+          if (LOGICAL_OPERATORS.includes(current.operator)) {
+            cyclomatic++;
+            // a && b && c counts once; each switch of operator counts again
+            const parent = path.parent;
+            if (parent.type !== 'LogicalExpression' || parent.operator !== current.operator) {
+              cognitive++;
+            }
+          }
+          break;
+        case 'AssignmentExpression':
+          if (LOGICAL_ASSIGNMENTS.includes(current.operator)) {
+            cyclomatic++;
+            cognitive++;
+          }
+          break;
+        case 'BreakStatement':
+        case 'ContinueStatement':
+          if (current.label) cognitive++;
+          break;
+        case 'CallExpression':
+          if (ownName && current.callee.type === 'Identifier' && current.callee.name === ownName) {
+            cognitive++; // recursion
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (nests(path)) {
+        nesting++;
+        maxNesting = Math.max(maxNesting, nesting);
+      }
+    },
+    exit(path) {
+      if (!path.isFunction() && nests(path)) {
+        nesting--;
+      }
+    }
+  });
+
+  const start = node.loc?.start.line || null;
+  const end = node.loc?.end.line || start;
+
+  return {
+    name,
+    kind: getFunctionKind(node),
+    line: start,
+    endLine: end,
+    params: node.params.length,
+    lines: start ? end - start + 1 : 0,
+    complexity: cyclomatic,
+    cognitive,
+    nesting: maxNesting,
+    async: Boolean(node.async),
+    generator: Boolean(node.generator)
+  };
+}
+
+function isElseIf(path) {
+  return path.parentPath?.isIfStatement() && path.key === 'alternate';
+}
+
+function getFunctionKind(node) {
+  if (node.type === 'ArrowFunctionExpression') return 'arrow';
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' || node.type === 'ObjectMethod') {
+    if (node.kind === 'constructor') return 'constructor';
+    if (node.kind === 'get') return 'getter';
+    if (node.kind === 'set') return 'setter';
+    return 'method';
+  }
+  return 'function';
+}
+
+function keyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberName(node.object);
+    const property = keyName(node.property);
+    return object && property ? `${object}.${property}` : property;
+  }
+  return null;
+}
+
+/**
+ * Best-effort readable name: declared id, method key (prefixed with the class
+ * name), or the variable, property or member the function is assigned to
+ */
+export function getFunctionName(fnPath) {
+  const { node, parent } = fnPath;
+
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+    const className = fnPath.parentPath?.parentPath?.node.id?.name;
+    const method = keyName(node.key) || '<computed>';
+    return className ? `${className}.${method}` : method;
+  }
+  if (node.type === 'ObjectMethod') {
+    return keyName(node.key) || '<computed>';
+  }
+  if (node.id?.name) return node.id.name;
+
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : '<anonymous>';
+    case 'AssignmentExpression':
+      return memberName(parent.left) || '<anonymous>';
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return keyName(parent.key) || '<anonymous>';
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return node.type === 'ArrowFunctionExpression' ? '<arrow>' : '<anonymous>';
+  }
+}
+
+/**
+ * File-level totals from a file's function entries
+ */
+export function summarizeFunctions(functions) {
+  return {
+    complexity: functions.reduce((sum, fn) => sum + fn.complexity, 0),
+    cognitiveComplexity: functions.reduce((sum, fn) => sum + fn.cognitive, 0),
+    maxFunctionComplexity: functions.reduce((max, fn) => Math.max(max, fn.complexity), 0),
+    maxNesting: functions.reduce((max, fn) => Math.max(max, fn.nesting), 0)
+  };
+}
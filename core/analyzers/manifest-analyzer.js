@@ -0,0 +1,296 @@
+/**
+ * Manifest Analyzer
+ * Reads the dependency manifests of non-JS ecosystems (Gemfile and gemspecs,
+ * Package.swift, build.gradle[.kts]) into the same dependencies /
+ * devDependencies maps analyzePackageJson() reports for package.json.
+ *
+ * Manifests are code in all three ecosystems; only the declarative forms are
+ * read, anything computed at build time is skipped.
+ */
+
+import { glob } from 'glob';
+import fs from 'fs/promises';
+import path from 'path';
+
+const MANIFEST_PATTERNS = ['**/Gemfile', '**/*.gemspec', '**/Package.swift', '**/build.gradle', '**/build.gradle.kts'];
+const GRADLE_CONFIGURATION = /^(\w*?)(implementation|api|compile|compileOnly|runtimeOnly|runtime|kapt|ksp|annotationProcessor)$/i;
+const GRADLE_TEST_CONFIGURATION = /^(test|androidTest|testFixtures|kaptTest|kspTest)/;
+const DEV_GEM_GROUPS = ['development', 'test'];
+
+export class ManifestAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      excludePatterns: [],
+      ...options
+    };
+    this.rootPath = path.resolve(this.options.rootPath);
+  }
+
+  /**
+   * Returns [{ ecosystem, manifest, name, dependencies, devDependencies }],
+   * one entry per manifest file
+   */
+  async analyze() {
+    const files = await glob(MANIFEST_PATTERNS, {
+      cwd: this.rootPath,
+      absolute: true,
+      nodir: true,
+      ignore: this.options.excludePatterns
+    });
+
+    const manifests = [];
+    for (const file of files.sort()) {
+      try {
+        const content = await fs.readFile(file, 'utf-8');
+        const parsed = await this.parse(file, content);
+        if (parsed) manifests.push({ manifest: file, ...parsed });
+      } catch (error) {
+        console.warn(`Could not read manifest ${file}:`, error.message);
+      }
+    }
+    return manifests;
+  }
+
+  async parse(file, content) {
+    const base = path.basename(file);
+    const dirName = path.basename(path.dirname(file));
+
+    if (base === 'Gemfile') return { ecosystem: 'rubygems', ...parseGemfile(content, dirName) };
+    if (base.endsWith('.gemspec')) return { ecosystem: 'rubygems', ...parseGemspec(content, base.slice(0, -8)) };
+    if (base === 'Package.swift') return { ecosystem: 'swiftpm', ...parsePackageSwift(content, dirName) };
+    if (base.startsWith('build.gradle')) {
+      const catalog = await this.loadVersionCatalog(path.dirname(file));
+      return { ecosystem: 'gradle', ...parseGradle(content, dirName, catalog) };
+    }
+    return null;
+  }
+
+  /**
+   * gradle/libs.versions.toml of the nearest enclosing Gradle build
+   */
+  async loadVersionCatalog(dir) {
+    for (let current = dir; current.startsWith(this.rootPath); current = path.dirname(current)) {
+      try {
+        return parseVersionCatalog(await fs.readFile(path.join(current, 'gradle', 'libs.versions.toml'), 'utf-8'));
+      } catch {
+        // keep looking upwards
+      }
+      if (current === this.rootPath) break;
+    }
+    return null;
+  }
+}
+
+function stripComments(content, lineComment) {
+  // Drop comments outside string literals
+  const pattern = lineComment === '#'
+    ? /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|#.*$/gm
+    : /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\/\/.*$|\/\*[\s\S]*?\*\//gm;
+  return content.replace(pattern, (match, string) => string || '');
+}
+
+/**
+ * Quoted strings in a Ruby/Groovy argument list
+ */
+function quotedStrings(text) {
+  return Array.from(text.matchAll(/["']([^"']*)["']/g), match => match[1]);
+}
+
+function parseGemfile(content, name) {
+  const dependencies = {};
+  const devDependencies = {};
+  // One entry per open do/if block; group blocks carry their group names
+  const blocks = [];
+
+  for (const rawLine of stripComments(content, '#').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      continue;
+    }
+    const group = line.match(/^group\s*\(?\s*(.+?)\s*\)?\s+do\b/);
+    if (group) {
+      blocks.push(Array.from(group[1].matchAll(/:(\w+)|["'](\w+)["']/g), match => match[1] || match[2]));
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line) || /^(if|unless|case|begin)\b/.test(line)) {
+      blocks.push(null);
+      continue;
+    }
+
+    const gem = line.match(/^gem\s*\(?\s*["']([^"']+)["'](.*)$/);
+    if (!gem) continue;
+    const [, gemName, rest] = gem;
+
+    // gem "rspec", group: :test / groups: [:development, :test]
+    const inline = rest.match(/:?groups?:?\s*(?:=>\s*)?(\[[^\]]*\]|:\w+)/);
+    const groups = [
+      ...blocks.filter(Boolean).flat(),
+      ...(inline ? Array.from(inline[1].matchAll(/:(\w+)/g), match => match[1]) : [])
+    ];
+    const dev = groups.length > 0 && groups.every(entry => DEV_GEM_GROUPS.includes(entry));
+    (dev ? devDependencies : dependencies)[gemName] = gemRequirement(rest);
+  }
+
+  return { name, dependencies, devDependencies };
+}
+
+function gemRequirement(rest) {
+  const source = rest.match(/:?(git|github|path):?\s*(?:=>\s*)?["']([^"']+)["']/);
+  if (source) return `${source[1]}:${source[2]}`;
+  // Version constraints are the positional strings before any option
+  const positional = rest.split(/,\s*:?\w+:|,\s*:\w+\s*=>/)[0];
+  const constraints = quotedStrings(positional);
+  return constraints.length > 0 ? constraints.join(', ') : '*';
+}
+
+function parseGemspec(content, fallbackName) {
+  const dependencies = {};
+  const devDependencies = {};
+  const source = stripComments(content, '#');
+
+  for (const match of source.matchAll(/\.add_(runtime_|development_)?dependency\s*\(?\s*["']([^"']+)["']([^\n]*)/g)) {
+    const [, kind, gemName, rest] = match;
+    const constraints = quotedStrings(rest);
+    (kind === 'development_' ? devDependencies : dependencies)[gemName] = constraints.length > 0 ? constraints.join(', ') : '*';
+  }
+
+  const name = source.match(/\.name\s*=\s*["']([^"']+)["']/)?.[1] || fallbackName;
+  return { name, dependencies, devDependencies };
+}
+
+/**
+ * Argument text of each call to `callee`, found by matching parentheses
+ */
+function callArguments(content, callee) {
+  const calls = [];
+  let index = content.indexOf(callee);
+  while (index !== -1) {
+    let depth = 0;
+    let end = index + callee.length - 1;
+    for (; end < content.length; end++) {
+      if (content[end] === '(') depth++;
+      if (content[end] === ')' && --depth === 0) break;
+    }
+    calls.push(content.slice(index + callee.length, end));
+    index = content.indexOf(callee, end);
+  }
+  return calls;
+}
+
+function parsePackageSwift(content, fallbackName) {
+  const source = stripComments(content, '//');
+  const dependencies = {};
+
+  for (const args of callArguments(source, '.package(')) {
+    const url = args.match(/url:\s*"([^"]+)"/)?.[1];
+    const localPath = args.match(/path:\s*"([^"]+)"/)?.[1];
+    const id = args.match(/id:\s*"([^"]+)"/)?.[1];
+    const declared = args.match(/name:\s*"([^"]+)"/)?.[1];
+    const name = declared ||
+      (url && url.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '')) ||
+      (localPath && path.basename(localPath)) ||
+      id;
+    if (!name) continue;
+    dependencies[name] = localPath ? `path:${localPath}` : swiftRequirement(args);
+  }
+
+  // let package = Package(name: "App", ...)
+  const name = source.match(/Package\s*\(\s*name:\s*"([^"]+)"/)?.[1] || fallbackName;
+  return { name, dependencies, devDependencies: {} };
+}
+
+/**
+ * SwiftPM requirements written as npm-style ranges
+ */
+function swiftRequirement(args) {
+  let match = args.match(/"([^"]+)"\s*\.\.([.<])\s*"([^"]+)"/);
+  if (match) return `>=${match[1]} ${match[2] === '<' ? '<' : '<='}${match[3]}`;
+  if ((match = args.match(/upToNextMinor\s*\(\s*from:\s*"([^"]+)"/))) return `~${match[1]}`;
+  if ((match = args.match(/(?:from:|upToNextMajor\s*\(\s*from:)\s*"([^"]+)"/))) return `^${match[1]}`;
+  if ((match = args.match(/(?:exact:|\.exact\s*\()\s*"([^"]+)"/))) return match[1];
+  if ((match = args.match(/(branch|revision):\s*"([^"]+)"/))) return `${match[1]}:${match[2]}`;
+  return '*';
+}
+
+function parseGradle(content, name, catalog) {
+  const source = stripComments(content, '//');
+  const dependencies = {};
+  const devDependencies = {};
+  const add = (configuration, coordinate, version) => {
+    const known = configuration.match(GRADLE_CONFIGURATION);
+    if (!known) return; // classpath, id(...), repositories and the like
+    const dev = GRADLE_TEST_CONFIGURATION.test(configuration) || /Test$/.test(known[1]);
+    (dev ? devDependencies : dependencies)[coordinate] = version || '*';
+  };
+
+  const call = String.raw`^\s*(\w+)\s*\(?\s*(?:(?:platform|enforcedPlatform)\s*\(\s*)?`;
+  // implementation 'group:artifact:version' / implementation("group:artifact:version")
+  for (const [, configuration, notation] of source.matchAll(new RegExp(`${call}["']([^"'\\s$]+:[^"'\\s]+)["']`, 'gm'))) {
+    const [group, artifact, version] = notation.replace(/@\w+$/, '').split(':');
+    add(configuration, `${group}:${artifact}`, version);
+  }
+  // implementation group: 'g', name: 'a', version: 'v'
+  const mapNotation = /^\s*(\w+)\s*\(?\s*group\s*[:=]\s*["']([^"']+)["']\s*,\s*name\s*[:=]\s*["']([^"']+)["'](?:\s*,\s*version\s*[:=]\s*["']([^"']+)["'])?/gm;
+  for (const [, configuration, group, artifact, version] of source.matchAll(mapNotation)) {
+    add(configuration, `${group}:${artifact}`, version);
+  }
+  // implementation(libs.androidx.core.ktx) from gradle/libs.versions.toml
+  if (catalog) {
+    for (const [, configuration, alias] of source.matchAll(new RegExp(`${call}libs\\.([\\w.]+)`, 'gm'))) {
+      const library = catalog.get(alias);
+      if (library) add(configuration, library.module, library.version);
+    }
+  }
+
+  return { name, dependencies, devDependencies };
+}
+
+/**
+ * [libraries] of a Gradle version catalog, keyed by accessor path
+ * (androidx-core-ktx is libs.androidx.core.ktx)
+ */
+function parseVersionCatalog(content) {
+  const versions = new Map();
+  const libraries = new Map();
+  let section = null;
+
+  for (const rawLine of stripComments(content, '#').split('\n')) {
+    const line = rawLine.trim();
+    const header = line.match(/^\[(\w+)\]$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+    const entry = line.match(/^([\w.-]+)\s*=\s*(.+)$/);
+    if (!entry) continue;
+    const [, key, value] = entry;
+
+    if (section === 'versions') {
+      versions.set(key, quotedStrings(value)[0]);
+    } else if (section === 'libraries') {
+      const field = (fieldName) => value.match(new RegExp(`\\b${fieldName.replace('.', '\\.')}\\s*=\\s*["']([^"']+)["']`))?.[1];
+      let module = field('module') || (field('group') && `${field('group')}:${field('name')}`);
+      let version = field('version');
+      if (!module && /^["']/.test(value)) {
+        // okhttp = "com.squareup.okhttp3:okhttp:4.12.0"
+        const [group, artifact, inlineVersion] = quotedStrings(value)[0].split(':');
+        module = `${group}:${artifact}`;
+        version = inlineVersion;
+      }
+      if (module) libraries.set(key.replace(/[-_]/g, '.'), { module, version: version || '*', versionRef: field('version.ref') });
+    }
+  }
+
+  // version.ref may name a version declared after the library
+  for (const library of libraries.values()) {
+    if (library.versionRef) library.version = versions.get(library.versionRef) || '*';
+    delete library.versionRef;
+  }
+  return libraries;
+}
+
+export default ManifestAnalyzer;
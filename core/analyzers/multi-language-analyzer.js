@@ -1,10 +1,15 @@
 /**
  * Multi-Language Code Analyzer
- * Supports analysis beyond JavaScript/TypeScript
+ * Supports analysis beyond JavaScript/TypeScript. Languages with a tree-sitter
+ * grammar are parsed; the regex extractors below are the fallback when the
+ * grammar is not installed. Swift has no usable grammar and is tokenized by
+ * SwiftAnalyzer.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { TreeSitterEngine } from '../parsers/tree-sitter-engine.js';
+import { SwiftAnalyzer } from './swift-analyzer.js';
 
 export class MultiLanguageAnalyzer {
   constructor() {
@@ -20,6 +25,8 @@ export class MultiLanguageAnalyzer {
       'swift': { extensions: ['.swift'], analyzer: this.analyzeSwift.bind(this) },
       'kotlin': { extensions: ['.kt', '.kts'], analyzer: this.analyzeKotlin.bind(this) }
     };
+    this.treeSitter = new TreeSitterEngine();
+    this.swift = new SwiftAnalyzer();
   }
 
   /**
@@ -47,8 +54,21 @@ export class MultiLanguageAnalyzer {
       return this.analyzeGeneric(filePath);
     }
 
+    if (this.treeSitter.supportsAnalysis(language)) {
+      const content = await fs.readFile(filePath, 'utf-8');
+      try {
+        const analysis = await this.treeSitter.analyze(language, content, filePath);
+        if (analysis) {
+          return analysis;
+        }
+      } catch (error) {
+        console.warn(`tree-sitter analysis failed for ${filePath}, using regex extraction:`, error.message);
+      }
+    }
+
     const config = this.supportedLanguages[language];
-    return await config.analyzer(filePath);
+    const analysis = await config.analyzer(filePath);
+    return { parser: 'regex', ...analysis };
   }
 
   /**
@@ -873,116 +893,10 @@ export class MultiLanguageAnalyzer {
     return Math.min(complexity, 10);
   }
 
-  // Swift analysis
+  // Swift analysis: no grammar is installable, so SwiftAnalyzer walks tokens
   async analyzeSwift(filePath) {
     const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
-    return {
-      language: 'swift',
-      filePath,
-      lines: lines.length,
-      size: Buffer.byteLength(content, 'utf8'),
-      imports: this.extractSwiftImports(content),
-      classes: this.extractSwiftClasses(content),
-      structs: this.extractSwiftStructs(content),
-      functions: this.extractSwiftFunctions(content),
-      protocols: this.extractSwiftProtocols(content),
-      complexity: this.calculateSwiftComplexity(content)
-    };
-  }
-
-  extractSwiftImports(content) {
-    const imports = [];
-    const importRegex = /import\s+(\w+)/g;
-    let match;
-    
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push({
-        module: match[1],
-        line: content.substring(0, match.index).split('\n').length
-      });
-    }
-    
-    return imports;
-  }
-
-  extractSwiftClasses(content) {
-    const classes = [];
-    const classRegex = /class\s+(\w+)/g;
-    let match;
-    
-    while ((match = classRegex.exec(content)) !== null) {
-      classes.push({
-        name: match[1],
-        line: content.substring(0, match.index).split('\n').length
-      });
-    }
-    
-    return classes;
-  }
-
-  extractSwiftStructs(content) {
-    const structs = [];
-    const structRegex = /struct\s+(\w+)/g;
-    let match;
-    
-    while ((match = structRegex.exec(content)) !== null) {
-      structs.push({
-        name: match[1],
-        line: content.substring(0, match.index).split('\n').length
-      });
-    }
-    
-    return structs;
-  }
-
-  extractSwiftFunctions(content) {
-    const functions = [];
-    const funcRegex = /func\s+(\w+)\s*\(/g;
-    let match;
-    
-    while ((match = funcRegex.exec(content)) !== null) {
-      functions.push({
-        name: match[1],
-        line: content.substring(0, match.index).split('\n').length
-      });
-    }
-    
-    return functions;
-  }
-
-  extractSwiftProtocols(content) {
-    const protocols = [];
-    const protocolRegex = /protocol\s+(\w+)/g;
-    let match;
-    
-    while ((match = protocolRegex.exec(content)) !== null) {
-      protocols.push({
-        name: match[1],
-        line: content.substring(0, match.index).split('\n').length
-      });
-    }
-    
-    return protocols;
-  }
-
-  calculateSwiftComplexity(content) {
-    let complexity = 1;
-    
-    const patterns = [
-      /\bif\b/g, /\belse\b/g, /\bswitch\b/g, /\bcase\b/g,
-      /\bfor\b/g, /\bwhile\b/g,
-      /\bguard\b/g, /\btry\b/g, /\bcatch\b/g,
-      /&&/g, /\|\|/g, /\?/g
-    ];
-    
-    patterns.forEach(pattern => {
-      const matches = content.match(pattern);
-      if (matches) complexity += matches.length;
-    });
-    
-    return Math.min(complexity, 10);
+    return this.swift.analyze(content, filePath);
   }
 
   // Kotlin analysis
@@ -0,0 +1,169 @@
+/**
+ * Package Dependency Analyzer
+ * Compares the packages a project imports with what its package.json files
+ * declare: unused dependencies, undeclared imports, and devDependencies that
+ * production code relies on. Each file is checked against its nearest
+ * package.json, so workspace packages in a monorepo are judged separately.
+ */
+
+import { Minimatch } from 'minimatch';
+import path from 'path';
+import { EXTERNAL_PREFIX } from '../resolvers/module-resolver.js';
+import { IMPLICIT_ENTRY_PATTERNS } from './reachability-analyzer.js';
+
+// Files whose imports only need devDependencies
+export const DEV_FILE_PATTERNS = [
+  ...IMPLICIT_ENTRY_PATTERNS,
+  '**/{test,tests,e2e,cypress,fixtures,scripts}/**'
+];
+
+const JS_FILE = /\.(js|jsx|ts|tsx|mjs|cjs|vue|svelte)$/;
+const RUNTIME_SECTIONS = ['dependencies', 'peerDependencies', 'optionalDependencies'];
+
+export class PackageDependencyAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      resolver: null, // ModuleResolver used for the scan, for package scopes and builtins
+      workspaces: null, // WorkspaceDetector.detect() result for monorepos
+      devFilePatterns: DEV_FILE_PATTERNS,
+      ignoreDependencies: [], // Package names never reported
+      ...options
+    };
+    this.devMatchers = this.options.devFilePatterns.map(pattern => new Minimatch(pattern, { dot: true }));
+  }
+
+  isDevFile(filePath) {
+    const relativePath = path.relative(this.options.rootPath, filePath).split(path.sep).join('/');
+    return this.devMatchers.some(matcher => matcher.match(relativePath));
+  }
+
+  /**
+   * @param {Map<string, Set<string>>} dependencyGraph - CodeScanner.dependencyGraph
+   */
+  analyze(dependencyGraph) {
+    const { resolver, rootPath } = this.options;
+    const rootScope = resolver.findPackageScope(path.resolve(rootPath));
+    const { workspaces } = this.options;
+    const isMonorepo = Boolean(rootScope && workspaces?.packages.length);
+    const ignored = new Set(this.options.ignoreDependencies);
+
+    // package.json dir -> { scope, used: Map<name, { prod: Set<file>, dev: Set<file> }> }
+    const packages = new Map();
+    const track = (scope) => {
+      if (!packages.has(scope.dir)) {
+        packages.set(scope.dir, { scope, used: new Map() });
+      }
+      return packages.get(scope.dir);
+    };
+    if (rootScope) track(rootScope);
+    if (isMonorepo) {
+      workspaces.packages
+        .map(pkg => resolver.findPackageScope(pkg.dir))
+        .filter(Boolean)
+        .forEach(track);
+    }
+
+    for (const [file, targets] of dependencyGraph.entries()) {
+      if (!JS_FILE.test(file)) continue;
+      const scope = resolver.findPackageScope(path.dirname(file));
+      if (!scope) continue;
+
+      const entry = track(scope);
+      const bucket = this.isDevFile(file) ? 'dev' : 'prod';
+      for (const target of targets) {
+        const name = this.packageNameOf(target, scope);
+        if (!name) continue;
+        if (!entry.used.has(name)) {
+          entry.used.set(name, { prod: new Set(), dev: new Set() });
+        }
+        entry.used.get(name)[bucket].add(file);
+      }
+    }
+
+    const workspaceNames = new Set(
+      Array.from(packages.values()).map(({ scope }) => scope.pkg.name).filter(Boolean)
+    );
+
+    const report = {
+      packages: [],
+      unused: [],
+      missing: [],
+      devInProduction: []
+    };
+
+    for (const { scope, used } of packages.values()) {
+      const packageJson = path.join(scope.dir, 'package.json');
+      const declared = this.declaredSections(scope.pkg);
+      // Workspace members can use what the root hoists
+      const hoisted = isMonorepo && scope !== rootScope ? this.declaredSections(rootScope.pkg) : null;
+
+      report.packages.push({
+        name: scope.pkg.name || path.basename(scope.dir),
+        packageJson,
+        dependencies: Object.keys(scope.pkg.dependencies || {}).length,
+        devDependencies: Object.keys(scope.pkg.devDependencies || {}).length
+      });
+
+      for (const [name, { prod, dev }] of used.entries()) {
+        if (ignored.has(name) || name === scope.pkg.name) continue;
+
+        const runtime = declared.runtime.has(name) || hoisted?.runtime.has(name);
+        const devOnly = !runtime && (declared.dev.has(name) || hoisted?.dev.has(name));
+
+        if (!runtime && !devOnly) {
+          if (resolver.isBuiltin(name)) continue;
+          report.missing.push({
+            name,
+            packageJson,
+            workspace: workspaceNames.has(name),
+            files: Array.from(new Set([...prod, ...dev])).sort()
+          });
+        } else if (devOnly && prod.size > 0) {
+          report.devInProduction.push({ name, packageJson, files: Array.from(prod).sort() });
+        }
+      }
+
+      const scripts = Object.values(scope.pkg.scripts || {}).join('\n');
+      for (const name of Object.keys(scope.pkg.dependencies || {})) {
+        if (ignored.has(name) || used.has(name) || name.startsWith('@types/')) continue;
+        // Packages run as CLIs from npm scripts are used without being imported
+        if (this.isReferencedByScripts(name, scripts)) continue;
+        report.unused.push({ name, packageJson, section: 'dependencies' });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Package an edge target belongs to. Imports of sibling workspace packages
+   * resolve to their source files, so those count as uses of the sibling.
+   */
+  packageNameOf(target, fromScope) {
+    if (target.startsWith(EXTERNAL_PREFIX)) {
+      return target.slice(EXTERNAL_PREFIX.length);
+    }
+
+    const { workspaces, resolver } = this.options;
+    if (!workspaces) return null;
+
+    const targetScope = resolver.findPackageScope(path.dirname(target));
+    if (!targetScope || targetScope.dir === fromScope.dir || !targetScope.pkg.name) return null;
+    return workspaces.packages.some(pkg => pkg.dir === targetScope.dir) ? targetScope.pkg.name : null;
+  }
+
+  declaredSections(pkg = {}) {
+    const runtime = new Set(RUNTIME_SECTIONS.flatMap(section => Object.keys(pkg[section] || {})));
+    return { runtime, dev: new Set(Object.keys(pkg.devDependencies || {})) };
+  }
+
+  isReferencedByScripts(name, scripts) {
+    if (!scripts) return false;
+    const binName = name.startsWith('@') ? name.split('/')[1] : name;
+    const escaped = binName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[\\s/&|;"'])${escaped}($|[\\s&|;"'])`, 'm').test(scripts) || scripts.includes(name);
+  }
+}
+
+export default PackageDependencyAnalyzer;
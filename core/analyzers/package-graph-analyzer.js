@@ -0,0 +1,173 @@
+/**
+ * Package Graph Analyzer
+ * Rolls the file dependency graph of a monorepo up to its workspace packages:
+ * which packages import which, how often, and per-package size, complexity
+ * and coupling metrics
+ */
+
+import path from 'path';
+import { EXTERNAL_PREFIX } from '../resolvers/module-resolver.js';
+import { findWorkspacePackage } from '../resolvers/workspace-detector.js';
+
+// Files outside every workspace package (root scripts, configs)
+export const ROOT_PACKAGE = '(root)';
+
+export class PackageGraphAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      ...options
+    };
+  }
+
+  /**
+   * @param {object} workspaces - WorkspaceDetector.detect() result
+   * @param {object} scan - { files, dependencyGraph, conflicts }
+   */
+  analyze(workspaces, { files, dependencyGraph, conflicts = [] }) {
+    const nodes = new Map();
+    const node = (name, dir = null) => {
+      if (!nodes.has(name)) {
+        nodes.set(name, {
+          name,
+          dir,
+          relativeDir: dir ? path.relative(this.options.rootPath, dir).split(path.sep).join('/') : '.',
+          files: [],
+          linesOfCode: 0,
+          complexity: 0,
+          conflicts: 0,
+          dependencies: new Set(),
+          dependents: new Set(),
+          externalDependencies: new Set()
+        });
+      }
+      return nodes.get(name);
+    };
+
+    workspaces.packages.forEach(pkg => node(pkg.name, pkg.dir));
+    const packageOf = (filePath) => findWorkspacePackage(workspaces.packages, filePath)?.name || ROOT_PACKAGE;
+
+    for (const file of files) {
+      const entry = node(packageOf(file.filePath));
+      entry.files.push(file.filePath);
+      entry.linesOfCode += file.lines || 0;
+      entry.complexity += file.complexity || 0;
+    }
+
+    const edges = new Map();
+    for (const [from, targets] of dependencyGraph.entries()) {
+      const source = node(packageOf(from));
+
+      for (const to of targets) {
+        if (to.startsWith(EXTERNAL_PREFIX)) {
+          source.externalDependencies.add(to.slice(EXTERNAL_PREFIX.length));
+          continue;
+        }
+
+        const target = packageOf(to);
+        if (target === source.name) continue;
+
+        source.dependencies.add(target);
+        node(target).dependents.add(source.name);
+
+        const key = `${source.name}\u0000${target}`;
+        if (!edges.has(key)) {
+          edges.set(key, { from: source.name, to: target, imports: 0, files: new Set() });
+        }
+        const edge = edges.get(key);
+        edge.imports++;
+        edge.files.add(from);
+      }
+    }
+
+    for (const conflict of conflicts) {
+      const file = conflict.files?.[0];
+      if (file) node(packageOf(file)).conflicts++;
+    }
+
+    const packages = Array.from(nodes.values())
+      .filter(entry => entry.name !== ROOT_PACKAGE || entry.files.length > 0)
+      .map(entry => {
+        const efferent = entry.dependencies.size;
+        const afferent = entry.dependents.size;
+        return {
+          name: entry.name,
+          dir: entry.dir,
+          relativeDir: entry.relativeDir,
+          files: entry.files.length,
+          filePaths: entry.files.sort(),
+          linesOfCode: entry.linesOfCode,
+          complexity: entry.complexity,
+          averageComplexity: entry.files.length > 0 ? Math.round((entry.complexity / entry.files.length) * 10) / 10 : 0,
+          conflicts: entry.conflicts,
+          dependencies: Array.from(entry.dependencies).sort(),
+          dependents: Array.from(entry.dependents).sort(),
+          externalDependencies: Array.from(entry.externalDependencies).sort(),
+          // Martin's instability: 0 = everything depends on it, 1 = depends on everything
+          instability: efferent + afferent > 0 ? Math.round((efferent / (efferent + afferent)) * 100) / 100 : 0
+        };
+      });
+
+    return {
+      manager: workspaces.manager,
+      rootDir: workspaces.rootDir,
+      packages,
+      edges: Array.from(edges.values()).map(edge => ({
+        from: edge.from,
+        to: edge.to,
+        imports: edge.imports,
+        files: Array.from(edge.files).sort()
+      })),
+      cycles: this.findCycles(packages)
+    };
+  }
+
+  /**
+   * Groups of packages that depend on each other in a cycle (strongly
+   * connected components with more than one package)
+   */
+  findCycles(packages) {
+    const byName = new Map(packages.map(pkg => [pkg.name, pkg]));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const connect = (name) => {
+      index.set(name, counter);
+      lowLink.set(name, counter);
+      counter++;
+      stack.push(name);
+      onStack.add(name);
+
+      for (const dep of byName.get(name)?.dependencies || []) {
+        if (!index.has(dep)) {
+          connect(dep);
+          lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(dep)));
+        } else if (onStack.has(dep)) {
+          lowLink.set(name, Math.min(lowLink.get(name), index.get(dep)));
+        }
+      }
+
+      if (lowLink.get(name) === index.get(name)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== name);
+        if (component.length > 1) cycles.push(component.sort());
+      }
+    };
+
+    for (const pkg of packages) {
+      if (!index.has(pkg.name)) connect(pkg.name);
+    }
+    return cycles;
+  }
+}
+
+export default PackageGraphAnalyzer;
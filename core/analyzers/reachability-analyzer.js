@@ -0,0 +1,281 @@
+/**
+ * Reachability Analyzer
+ * Walks the dependency graph from declared entry points to find files nothing
+ * can reach, and exported symbols that no reachable module imports
+ */
+
+import { glob } from 'glob';
+import fs from 'fs/promises';
+import path from 'path';
+import { DependencyAnalyzer } from './dependency-analyzer.js';
+
+// Files that are run by tools rather than imported, so they act as roots too
+export const IMPLICIT_ENTRY_PATTERNS = [
+  '**/*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/__tests__/**',
+  '**/__mocks__/**',
+  '**/*.stories.{js,jsx,ts,tsx}',
+  '**/*.config.{js,ts,mjs,cjs}',
+  '**/*.d.ts'
+];
+
+const JS_FILE = /\.(js|jsx|ts|tsx|mjs|cjs|vue|svelte)$/;
+
+export class ReachabilityAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      resolver: null, // ModuleResolver used for the scan
+      entryPoints: [], // Extra entry globs, relative to rootPath
+      implicitEntryPatterns: IMPLICIT_ENTRY_PATTERNS,
+      excludePatterns: ['node_modules/**'],
+      ...options
+    };
+    this.dependencyAnalyzer = new DependencyAnalyzer();
+  }
+
+  /**
+   * Run the full analysis over CodeScanner results
+   */
+  async analyze({ files, dependencyGraph, packageInfo }) {
+    const jsFiles = files.filter(file => JS_FILE.test(file.filePath) && !file.metadata?.isMultiLanguage);
+    const scanned = new Set(jsFiles.map(file => file.filePath));
+
+    const { entryPoints, source } = await this.resolveEntryPoints(jsFiles, packageInfo);
+    const implicitEntries = (await this.expandGlobs(this.options.implicitEntryPatterns))
+      .filter(file => scanned.has(file));
+
+    if (entryPoints.length === 0) {
+      return { entryPoints: [], entrySource: 'none', unreachableFiles: [], unusedExports: [] };
+    }
+
+    const reachable = this.walk([...entryPoints, ...implicitEntries], dependencyGraph);
+    const unreachableFiles = jsFiles
+      .map(file => file.filePath)
+      .filter(file => !reachable.has(file))
+      .sort();
+
+    // Entry exports are public API; unreachable files are already reported as a whole
+    const roots = new Set([...entryPoints, ...implicitEntries]);
+    const unusedExports = this.findUnusedExports(jsFiles, entryPoints)
+      .filter(entry => reachable.has(entry.path) && !roots.has(entry.path));
+
+    return {
+      entryPoints,
+      entrySource: source,
+      unreachableFiles,
+      unusedExports
+    };
+  }
+
+  /**
+   * Entry points from config, then package.json main/module/source/browser/bin/exports.
+   * Falls back to DependencyAnalyzer's filename heuristics when nothing is declared.
+   */
+  async resolveEntryPoints(files, packageInfo) {
+    const scanned = new Set(files.map(file => file.filePath));
+    const entries = new Set();
+
+    const configured = await this.expandGlobs([
+      ...this.options.entryPoints,
+      ...(await this.readConfiguredEntryPoints())
+    ]);
+    configured.filter(file => scanned.has(file)).forEach(file => entries.add(file));
+
+    for (const target of this.collectPackageTargets(packageInfo)) {
+      if (target.includes('*')) {
+        const matches = await this.expandGlobs([target.replace(/^\.\//, '')]);
+        matches.filter(file => scanned.has(file)).forEach(file => entries.add(file));
+        continue;
+      }
+      const resolved = this.resolveTarget(target);
+      if (resolved && scanned.has(resolved)) {
+        entries.add(resolved);
+      }
+    }
+
+    if (entries.size > 0) {
+      return { entryPoints: Array.from(entries).sort(), source: 'declared' };
+    }
+
+    const heuristic = this.dependencyAnalyzer.findEntryPoints(files).map(file => file.filePath);
+    return { entryPoints: heuristic.sort(), source: heuristic.length > 0 ? 'heuristic' : 'none' };
+  }
+
+  async readConfiguredEntryPoints() {
+    try {
+      const config = JSON.parse(
+        await fs.readFile(path.join(this.options.rootPath, '.manito', 'config.json'), 'utf-8')
+      );
+      return Array.isArray(config.entryPoints) ? config.entryPoints : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read .manito/config.json:', error.message);
+      }
+      return [];
+    }
+  }
+
+  collectPackageTargets(packageInfo) {
+    if (!packageInfo) return [];
+
+    const targets = [];
+    const collect = (value) => {
+      if (typeof value === 'string') {
+        targets.push(value);
+      } else if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    collect(packageInfo.main);
+    collect(packageInfo.module);
+    collect(packageInfo.source);
+    if (typeof packageInfo.browser === 'string') collect(packageInfo.browser);
+    collect(packageInfo.bin);
+    collect(packageInfo.exports);
+
+    // Build outputs are not scanned; declaration files are not runtime code
+    return targets.filter(target => !target.endsWith('.d.ts'));
+  }
+
+  /**
+   * Resolve a package.json target path. Targets pointing at build output
+   * (dist/index.js) fall back to the matching source file when one exists.
+   */
+  resolveTarget(target) {
+    const { rootPath, resolver } = this.options;
+    if (!resolver) return null;
+
+    const fromFile = path.join(rootPath, 'package.json');
+    const specifier = target.startsWith('.') ? target : `./${target}`;
+    const resolved = resolver.resolve(specifier, fromFile);
+    if (resolved && !resolved.startsWith('external:')) return resolved;
+
+    const sourceGuess = specifier.replace(/^\.\/(dist|build|lib|out)\//, './src/').replace(/\.(c|m)?js$/, '');
+    if (sourceGuess !== specifier) {
+      const fallback = resolver.resolve(sourceGuess, fromFile);
+      if (fallback && !fallback.startsWith('external:')) return fallback;
+    }
+    return null;
+  }
+
+  async expandGlobs(patterns) {
+    if (!patterns || patterns.length === 0) return [];
+    return glob(patterns, {
+      cwd: this.options.rootPath,
+      absolute: true,
+      nodir: true,
+      ignore: this.options.excludePatterns
+    });
+  }
+
+  walk(entryPoints, dependencyGraph) {
+    const reachable = new Set();
+    const stack = [...entryPoints];
+
+    while (stack.length > 0) {
+      const file = stack.pop();
+      if (reachable.has(file)) continue;
+      reachable.add(file);
+
+      for (const dep of dependencyGraph.get(file) || []) {
+        if (!dep.startsWith('external:') && !reachable.has(dep)) {
+          stack.push(dep);
+        }
+      }
+    }
+
+    return reachable;
+  }
+
+  /**
+   * Exports that no scanned file imports by name. Namespace imports, dynamic
+   * imports and require() count as using every export of the target. Usage
+   * follows re-exports (`export { a } from`, `export * from`) through barrels.
+   * Everything exported from `publicEntries` counts as used. Rows mirror
+   * SymbolicIndex.findUnusedExports: { name, path, type, line }.
+   */
+  findUnusedExports(files, publicEntries = []) {
+    const byPath = new Map(files.map(file => [file.filePath, file]));
+    const used = new Map();
+
+    const resolve = (source, fromFile) => {
+      const target = this.options.resolver?.resolve(source, fromFile);
+      return target && byPath.has(target) ? target : null;
+    };
+
+    const exportName = (entry) => (entry.default ? 'default' : entry.name);
+
+    const markUsed = (file, name, visited = new Set()) => {
+      const key = `${file}\u0000${name}`;
+      if (visited.has(key)) return;
+      visited.add(key);
+
+      if (!used.has(file)) used.set(file, new Set());
+      used.get(file).add(name);
+
+      const exports = byPath.get(file)?.exports || [];
+      for (const entry of exports) {
+        const target = entry.source ? resolve(entry.source, file) : null;
+        if (!target) continue;
+
+        if (entry.type === 'all') {
+          // `export *` never forwards the default export
+          if (name === '*' || (name !== 'default' && !exports.some(other => other.type !== 'all' && exportName(other) === name))) {
+            markUsed(target, name, visited);
+          }
+        } else if (name === '*' || exportName(entry) === name) {
+          markUsed(target, entry.local || entry.name, visited);
+        }
+      }
+    };
+
+    for (const file of publicEntries) {
+      markUsed(file, '*');
+    }
+
+    for (const file of files) {
+      for (const imp of file.imports || []) {
+        if (imp.reexport) continue;
+        const target = resolve(imp.source, file.filePath);
+        if (!target) continue;
+
+        if (imp.dynamic || imp.commonjs) {
+          markUsed(target, '*');
+          continue;
+        }
+
+        for (const spec of imp.specifiers || []) {
+          if (spec.type === 'ImportNamespaceSpecifier') {
+            markUsed(target, '*');
+          } else if (spec.type === 'ImportDefaultSpecifier') {
+            markUsed(target, 'default');
+          } else if (spec.imported) {
+            markUsed(target, spec.imported);
+          }
+        }
+      }
+    }
+
+    const unused = [];
+    for (const file of files) {
+      const names = used.get(file.filePath) || new Set();
+      if (names.has('*')) continue;
+
+      for (const entry of file.exports || []) {
+        if (entry.type === 'all' || !entry.name) continue;
+        const name = exportName(entry);
+        if (!names.has(name)) {
+          unused.push({ name, path: file.filePath, type: entry.type, line: entry.line || null });
+        }
+      }
+    }
+
+    return unused;
+  }
+}
+
+export default ReachabilityAnalyzer;
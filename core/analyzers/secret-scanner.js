@@ -0,0 +1,333 @@
+/**
+ * Secret Scanner
+ * Finds credentials committed to the project: provider key formats (AWS,
+ * GitHub, OpenAI, Stripe, Supabase JWTs), private key blocks and high-entropy
+ * values assigned to secret-looking names. Besides the scanned source files
+ * it reads .env, YAML, JSON and other config files.
+ *
+ * Findings never carry the secret itself, only a masked form and a
+ * fingerprint (sha256 of rule and value) that the allowlist can refer to.
+ * The allowlist, <rootPath>/.manito/secrets-allowlist.json by default:
+ *
+ *   {
+ *     "fingerprints": ["9c1f0e..."],
+ *     "paths": ["test/fixtures/**"],
+ *     "values": ["EXAMPLE$"],
+ *     "rules": ["supabase-anon-key"]
+ *   }
+ *
+ * `values` are regular expressions tested against the raw secret.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { Minimatch } from 'minimatch';
+import { findSuppressions } from './suppressions.js';
+
+export const CONFIG_FILE_PATTERNS = [
+  '**/.env',
+  '**/.env.*',
+  '**/*.{yml,yaml,json,toml,ini,properties,cfg,conf,tfvars}',
+  '**/*.{pem,key}'
+];
+
+// Lockfiles are full of integrity hashes
+const IGNORED_FILES = ['**/package-lock.json', '**/npm-shrinkwrap.json', '**/pnpm-lock.yaml', '**/*.lock'];
+
+const PROVIDER_RULES = [
+  {
+    rule: 'aws-access-key-id',
+    label: 'AWS access key ID',
+    severity: 'error',
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g
+  },
+  {
+    rule: 'aws-secret-access-key',
+    label: 'AWS secret access key',
+    severity: 'error',
+    pattern: /aws_?secret_?(?:access_?)?key\w*["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  {
+    rule: 'github-token',
+    label: 'GitHub token',
+    severity: 'error',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{60,255})\b/g
+  },
+  {
+    rule: 'openai-api-key',
+    label: 'OpenAI API key',
+    severity: 'error',
+    pattern: /\b(sk-(?:proj|svcacct|admin)-[A-Za-z0-9_-]{20,}|sk-[A-Za-z0-9]{20}T3BlbkFJ[A-Za-z0-9]{20})(?![A-Za-z0-9_-])/g
+  },
+  {
+    rule: 'stripe-secret-key',
+    label: 'Stripe secret key',
+    severity: (secret) => (secret.includes('_live_') ? 'error' : 'warning'),
+    pattern: /\b((?:sk|rk)_(?:live|test)_[0-9A-Za-z]{16,99})\b/g
+  },
+  {
+    rule: 'jwt',
+    label: 'JSON Web Token',
+    severity: 'warning',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})\b/g,
+    classify: classifyJwt
+  },
+  {
+    rule: 'private-key',
+    label: 'Private key',
+    severity: 'error',
+    pattern: /(-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----)/g,
+    // The header is not secret, and the key body spans lines
+    mask: (secret) => secret
+  }
+];
+
+const SECRET_KEY = /(secret|passw(or)?d|passwd|pwd|token|api_?key|apikey|private_?key|access_?key|auth|credential|signing_?key|salt)/i;
+const ASSIGNED_VALUE = /([\w.-]+)["']?\s*[:=]\s*["'`]?([A-Za-z0-9+/=_-]{16,})["'`]?/g;
+const QUOTED_VALUE = /(["'`])([A-Za-z0-9+/=_-]{32,})\1/g;
+
+export class SecretScanner {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      excludePatterns: ['node_modules/**'],
+      configPatterns: CONFIG_FILE_PATTERNS, // Non-code files read on top of the scanned sources
+      allowlistFile: null, // Defaults to <rootPath>/.manito/secrets-allowlist.json
+      maxFileSize: 1024 * 1024,
+      ...options
+    };
+    this.allowlist = { fingerprints: new Set(), paths: [], values: [], rules: new Set() };
+  }
+
+  /**
+   * Scan source files ([{ filePath }]) plus the project's config files
+   */
+  async scan(files = []) {
+    const allowlistFile = await this.loadAllowlist();
+    const sourceFiles = new Set(files.map(file => file.filePath));
+    const filePaths = new Set(sourceFiles);
+    for (const file of await this.findConfigFiles()) filePaths.add(file);
+
+    const findings = [];
+    const suppressions = {}; // manito-ignore directives in config files, which scanFile never sees
+    let allowlisted = 0;
+    let filesScanned = 0;
+    for (const filePath of Array.from(filePaths).sort()) {
+      const content = await this.readFile(filePath);
+      if (content === null) continue;
+      filesScanned++;
+      if (!sourceFiles.has(filePath)) {
+        const found = findSuppressions(content);
+        if (found) suppressions[filePath] = found;
+      }
+
+      const relative = this.relativePath(filePath);
+      for (const finding of this.scanContent(content, filePath)) {
+        if (this.isAllowlisted(finding, relative)) {
+          allowlisted++;
+          continue;
+        }
+        findings.push(finding);
+      }
+    }
+
+    return { findings, allowlisted, filesScanned, allowlistFile, suppressions };
+  }
+
+  /**
+   * Findings in one file's content, each with the raw `secret` still attached
+   * so callers can redact it elsewhere; strip it before storing
+   */
+  scanContent(content, filePath) {
+    const findings = [];
+    const lines = content.split('\n');
+    const isConfig = this.isConfigFile(filePath);
+
+    lines.forEach((line, index) => {
+      const taken = [];
+      const add = (finding, start, end) => {
+        if (taken.some(([from, to]) => start < to && from < end)) return;
+        taken.push([start, end]);
+        findings.push({ ...finding, file: filePath, line: index + 1, column: start + 1 });
+      };
+
+      for (const provider of PROVIDER_RULES) {
+        for (const match of line.matchAll(provider.pattern)) {
+          const secret = match[1];
+          const start = match.index + match[0].indexOf(secret);
+          const classified = provider.classify ? provider.classify(secret) : provider;
+          if (!classified) continue;
+          const severity = typeof classified.severity === 'function' ? classified.severity(secret) : classified.severity;
+          add(this.createFinding(classified.rule, classified.label, severity, secret, provider.mask), start, start + secret.length);
+        }
+      }
+
+      for (const { value, key, start } of this.entropyCandidates(line)) {
+        // Every value in a .env or properties file is configuration, often a secret
+        if (isHighEntropy(value, isConfig || (key !== null && SECRET_KEY.test(key)))) {
+          add(this.createFinding('high-entropy-string', 'High-entropy string', 'warning', value), start, start + value.length);
+        }
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Values assigned to a name (key: value, KEY=value, "key": "value"), and
+   * long quoted strings anywhere
+   */
+  entropyCandidates(line) {
+    const candidates = [];
+    for (const match of line.matchAll(ASSIGNED_VALUE)) {
+      const start = match.index + match[0].lastIndexOf(match[2]);
+      candidates.push({ value: match[2], key: match[1], start });
+    }
+    for (const match of line.matchAll(QUOTED_VALUE)) {
+      const start = match.index + 1;
+      if (!candidates.some(candidate => candidate.start === start)) {
+        candidates.push({ value: match[2], key: null, start });
+      }
+    }
+    return candidates;
+  }
+
+  createFinding(rule, label, severity, secret, mask = maskSecret) {
+    return {
+      rule,
+      label,
+      severity,
+      masked: mask(secret),
+      fingerprint: fingerprint(rule, secret),
+      secret
+    };
+  }
+
+  isAllowlisted(finding, relativePath) {
+    const { fingerprints, paths, values, rules } = this.allowlist;
+    return fingerprints.has(finding.fingerprint) ||
+      rules.has(finding.rule) ||
+      paths.some(matcher => matcher.match(relativePath)) ||
+      values.some(pattern => pattern.test(finding.secret));
+  }
+
+  async loadAllowlist() {
+    const file = this.options.allowlistFile ||
+      (this.options.rootPath ? path.join(this.options.rootPath, '.manito', 'secrets-allowlist.json') : null);
+    if (!file) return null;
+
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read secrets allowlist ${file}:`, error.message);
+      }
+      return null;
+    }
+
+    this.allowlist = {
+      fingerprints: new Set(config.fingerprints || []),
+      paths: (config.paths || []).map(pattern => new Minimatch(pattern, { dot: true })),
+      values: (config.values || []).map(pattern => new RegExp(pattern)),
+      rules: new Set(config.rules || [])
+    };
+    return file;
+  }
+
+  async findConfigFiles() {
+    if (!this.options.rootPath) return [];
+    return glob(this.options.configPatterns, {
+      cwd: this.options.rootPath,
+      absolute: true,
+      dot: true,
+      nodir: true,
+      ignore: [...this.options.excludePatterns, ...IGNORED_FILES]
+    });
+  }
+
+  async readFile(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.size > this.options.maxFileSize) return null;
+      const content = await fs.readFile(filePath, 'utf-8');
+      return content.includes('\u0000') ? null : content;
+    } catch (error) {
+      console.warn(`Could not read ${filePath} for secret scanning:`, error.message);
+      return null;
+    }
+  }
+
+  isConfigFile(filePath) {
+    const name = path.basename(filePath);
+    return name === '.env' || name.startsWith('.env.') || /\.(ini|properties|cfg|conf|tfvars)$/.test(name);
+  }
+
+  relativePath(filePath) {
+    return this.options.rootPath ? path.relative(this.options.rootPath, filePath).split(path.sep).join('/') : filePath;
+  }
+}
+
+/**
+ * First and last four characters, at most 12 stars between
+ */
+export function maskSecret(secret) {
+  if (secret.length <= 12) return '*'.repeat(secret.length);
+  return `${secret.slice(0, 4)}${'*'.repeat(Math.min(12, secret.length - 8))}${secret.slice(-4)}`;
+}
+
+export function fingerprint(rule, secret) {
+  return crypto.createHash('sha256').update(`${rule}:${secret}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Hex needs a secret-looking name (commit hashes and checksums are hex too);
+ * base64-ish values need mixed character classes and a high entropy, lower
+ * when the name looks like a secret
+ */
+function isHighEntropy(value, secretName) {
+  const entropy = shannonEntropy(value);
+
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return secretName && value.length >= 32 && entropy >= 3.0;
+  }
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/].filter(pattern => pattern.test(value)).length;
+  if (classes < 3) return false;
+  return secretName ? value.length >= 16 && entropy >= 3.5 : value.length >= 32 && entropy >= 4.5;
+}
+
+/**
+ * Supabase keys are JWTs issued by "supabase"; the anon key is public by design
+ */
+function classifyJwt(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+  } catch {
+    return null;
+  }
+  if (payload?.iss === 'supabase' || payload?.ref) {
+    return payload.role === 'anon'
+      ? { rule: 'supabase-anon-key', label: 'Supabase anon key', severity: 'info' }
+      : { rule: 'supabase-service-role-key', label: 'Supabase service role key', severity: 'error' };
+  }
+  return { rule: 'jwt', label: 'JSON Web Token', severity: 'warning' };
+}
+
+export default SecretScanner;
@@ -0,0 +1,410 @@
+/**
+ * Security Rules
+ * Deterministic checks on the Babel AST of every JavaScript/TypeScript file,
+ * run during scanFile. Findings look like
+ * { rule, severity, message, line, column, endLine }.
+ *
+ * `tainted-flow` follows request input (req.query, req.body, process.argv,
+ * location.search, ...) through declarations, assignments, destructuring,
+ * concatenation and string methods to a dangerous sink. Any other call ends
+ * the flow, which is what sanitizers like parseInt or escape rely on.
+ */
+
+import traverse from '@babel/traverse';
+
+const traverseFunction = traverse.default || traverse;
+
+export const SECURITY_RULES = {
+  'no-eval': {
+    severity: 'error',
+    description: 'eval() and string arguments to setTimeout/setInterval run arbitrary code'
+  },
+  'no-new-function': {
+    severity: 'error',
+    description: 'new Function() compiles a string into code'
+  },
+  'child-process-injection': {
+    severity: 'warning',
+    description: 'A child_process command or file built from a non-literal value can be used for command injection'
+  },
+  'sql-concatenation': {
+    severity: 'warning',
+    description: 'SQL built by concatenating or interpolating values is open to SQL injection'
+  },
+  'dangerously-set-inner-html': {
+    severity: 'warning',
+    description: 'dangerouslySetInnerHTML with dynamic HTML is open to cross-site scripting'
+  },
+  'hardcoded-secret': {
+    severity: 'error',
+    description: 'A password, token or key is written into the source'
+  },
+  'tainted-flow': {
+    severity: 'error',
+    description: 'User input reaches a dangerous sink without passing through a sanitizer'
+  }
+};
+
+const CHILD_PROCESS_FUNCTIONS = new Set(['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync', 'fork']);
+const VM_FUNCTIONS = new Set(['runInContext', 'runInNewContext', 'runInThisContext', 'compileFunction', 'Script']);
+const SQL_METHODS = new Set(['query', 'execute', 'raw', 'unsafe', '$queryRawUnsafe', '$executeRawUnsafe']);
+const RESPONSE_WRITERS = new Set(['send', 'write', 'end']);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+const STRING_METHODS = new Set([
+  'concat', 'join', 'padEnd', 'padStart', 'replace', 'replaceAll', 'slice', 'split', 'substr',
+  'substring', 'toLowerCase', 'toString', 'toUpperCase', 'trim', 'trimEnd', 'trimStart'
+]);
+const REQUEST_INPUTS = new Set(['body', 'query', 'params', 'headers', 'cookies']);
+
+const SQL_TEXT = /\b(select\s[\s\S]*\sfrom|insert\s+into|update\s[\s\S]*\sset|delete\s+from|drop\s+table|alter\s+table)\b/i;
+const SECRET_NAME = /(secret|passw(or)?d|passwd|pwd|token|api_?key|private_?key|access_?key|auth_?key|credential)s?$/i;
+// Names that hold the label, location or shape of a secret rather than the secret
+const SECRET_METADATA = /(header|name|field|label|url|uri|path|file|type|prefix|pattern|regex|endpoint|route|placeholder|length|count|expir\w*|ttl)$/i;
+const PLACEHOLDER = /^(x+|\*+|\.+|changeme|change_me|password|secret|token|example|sample|dummy|test|your[-_\w]*|<[^>]*>|\{\{[^}]*\}\}|\$\{[^}]*\})$/i;
+
+/**
+ * Run every rule over a parsed file
+ */
+export function checkSecurity(ast) {
+  const findings = [];
+  const seen = new Set();
+  const imports = new Map(); // Binding -> { source, imported } ('*' for namespace/default)
+  const taint = new Map(); // Binding -> source label
+
+  const report = (rule, node, message) => {
+    const line = node.loc?.start.line;
+    const key = `${rule}:${line}:${node.loc?.start.column}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push({
+      rule,
+      severity: SECURITY_RULES[rule].severity,
+      message,
+      line,
+      column: node.loc ? node.loc.start.column + 1 : undefined,
+      endLine: node.loc?.end.line
+    });
+  };
+
+  const taintOf = (node, scope) => {
+    if (!node) return null;
+    switch (node.type) {
+      case 'Identifier':
+        return taint.get(scope.getBinding(node.name)) || null;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return inputSource(node) || taintOf(node.object, scope);
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        return taintOf(node.left, scope) || taintOf(node.right, scope);
+      case 'TemplateLiteral':
+        return firstTaint(node.expressions, scope);
+      case 'ConditionalExpression':
+        return taintOf(node.consequent, scope) || taintOf(node.alternate, scope);
+      case 'ArrayExpression':
+        return firstTaint(node.elements, scope);
+      case 'SpreadElement':
+      case 'AwaitExpression':
+        return taintOf(node.argument, scope);
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+      case 'TypeCastExpression':
+        return taintOf(node.expression, scope);
+      case 'CallExpression':
+      case 'OptionalCallExpression': {
+        const { callee } = node;
+        if (callee.type === 'Identifier' && callee.name === 'String' && !scope.getBinding('String')) {
+          return taintOf(node.arguments[0], scope);
+        }
+        if (isMember(callee) && STRING_METHODS.has(propertyName(callee))) {
+          return taintOf(callee.object, scope) || firstTaint(node.arguments, scope);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  };
+  const firstTaint = (nodes, scope) => {
+    for (const node of nodes) {
+      const label = taintOf(node, scope);
+      if (label) return label;
+    }
+    return null;
+  };
+
+  const setTaint = (idPath, label) => {
+    for (const name of Object.keys(idPath.getBindingIdentifiers())) {
+      const binding = idPath.scope.getBinding(name);
+      if (!binding) continue;
+      if (label) taint.set(binding, label);
+      else taint.delete(binding);
+    }
+  };
+
+  /**
+   * What a call invokes: an imported module function, a method on a named
+   * object, or a global
+   */
+  const describeCallee = (path) => {
+    const { callee } = path.node;
+    if (callee.type === 'Identifier') {
+      const binding = path.scope.getBinding(callee.name);
+      const imported = imports.get(binding);
+      if (imported) return { module: imported.source, name: imported.imported === '*' ? callee.name : imported.imported };
+      return binding ? { name: callee.name } : { global: true, name: callee.name };
+    }
+    if (!isMember(callee)) return null;
+
+    const name = propertyName(callee);
+    const object = callee.object;
+    const required = requireSource(object);
+    if (required) return { module: required, name };
+
+    let root = object;
+    while (isMember(root)) root = root.object;
+    if (root.type !== 'Identifier') return { name };
+    const binding = path.scope.getBinding(root.name);
+    const imported = imports.get(binding);
+    if (imported) return { module: imported.source, name };
+    return {
+      name,
+      object: object.type === 'Identifier' ? object.name : null,
+      ...(!binding && { global: true })
+    };
+  };
+
+  const checkSinks = (path, callee) => {
+    const { node } = path;
+    const args = node.arguments;
+    const flow = (sink, kind, argNodes = args) => {
+      const label = firstTaint(argNodes, path.scope);
+      if (label) report('tainted-flow', node, `${label} flows into ${sink} (${kind})`);
+    };
+
+    if (callee.global && ['eval', 'Function', 'setTimeout', 'setInterval'].includes(callee.name)) {
+      flow(`${callee.name}()`, 'code injection', callee.name.startsWith('set') ? args.slice(0, 1) : args);
+    } else if (callee.module === 'vm' && VM_FUNCTIONS.has(callee.name)) {
+      flow(`vm.${callee.name}()`, 'code injection', args.slice(0, 1));
+    } else if (callee.module === 'child_process' && CHILD_PROCESS_FUNCTIONS.has(callee.name)) {
+      flow(`${callee.name}()`, 'command injection', args.slice(0, 2));
+    } else if (callee.module === 'fs' || callee.module === 'fs/promises') {
+      flow(`fs.${callee.name}()`, 'path traversal', args.slice(0, 1));
+    } else if (SQL_METHODS.has(callee.name)) {
+      flow(`${callee.name}()`, 'SQL injection', args.slice(0, 1));
+    } else if (['res', 'response'].includes(callee.object)) {
+      if (RESPONSE_WRITERS.has(callee.name)) flow(`${callee.object}.${callee.name}()`, 'cross-site scripting', args.slice(0, 1));
+      if (callee.name === 'sendFile') flow(`${callee.object}.sendFile()`, 'path traversal', args.slice(0, 1));
+      if (callee.name === 'redirect') flow(`${callee.object}.redirect()`, 'open redirect', args.slice(-1));
+    } else if (callee.object === 'document' && ['write', 'writeln'].includes(callee.name)) {
+      flow(`document.${callee.name}()`, 'cross-site scripting', args);
+    }
+  };
+
+  const checkCall = (path) => {
+    const { node } = path;
+    const callee = describeCallee(path);
+    if (!callee) return;
+
+    if (callee.global && callee.name === 'eval') {
+      report('no-eval', node, 'eval() runs arbitrary code');
+    } else if (callee.global && callee.name === 'Function') {
+      report('no-new-function', node, 'Function() compiles a string into code');
+    } else if (callee.global && ['setTimeout', 'setInterval'].includes(callee.name) && isStringExpression(node.arguments[0])) {
+      report('no-eval', node, `${callee.name}() with a string argument runs it as code`);
+    } else if (callee.object && ['window', 'globalThis', 'self'].includes(callee.object) && callee.name === 'eval') {
+      report('no-eval', node, 'eval() runs arbitrary code');
+    } else if (callee.module === 'child_process' && CHILD_PROCESS_FUNCTIONS.has(callee.name) &&
+      node.arguments.length > 0 && !isLiteral(node.arguments[0])) {
+      report('child-process-injection', node, `${callee.name}() is called with a non-literal command`);
+    }
+
+    checkSinks(path, callee);
+  };
+
+  const checkSecret = (name, valueNode, node) => {
+    if (!name || !SECRET_NAME.test(name) || SECRET_METADATA.test(name)) return;
+    const value = staticString(valueNode);
+    if (value === null || value.length < 8 || /\s/.test(value) || PLACEHOLDER.test(value)) return;
+    if (value.toLowerCase() === name.toLowerCase()) return;
+    report('hardcoded-secret', node, `Hardcoded secret in "${name}"`);
+  };
+
+  const checkSql = (path) => {
+    const { node, parent } = path;
+    // Only the outermost part of a concatenation, and tagged templates escape their values
+    if (parent.type === 'BinaryExpression' && parent.operator === '+') return;
+    if (parent.type === 'TaggedTemplateExpression') return;
+
+    const { text, dynamic } = concatenation(node);
+    if (dynamic && SQL_TEXT.test(text)) {
+      report('sql-concatenation', node, 'SQL query built by string concatenation; use a parameterized query');
+    }
+  };
+
+  const checkInnerHtml = (node, value, scope) => {
+    const html = value?.type === 'ObjectExpression'
+      ? value.properties.find(property => keyName(property.key) === '__html')?.value
+      : null;
+    if (html && isLiteral(html)) return;
+
+    report('dangerously-set-inner-html', node, 'dangerouslySetInnerHTML renders unescaped HTML');
+    const label = html && taintOf(html, scope);
+    if (label) report('tainted-flow', node, `${label} flows into dangerouslySetInnerHTML (cross-site scripting)`);
+  };
+
+  traverseFunction(ast, {
+    ImportDeclaration(path) {
+      const source = moduleName(path.node.source.value);
+      for (const spec of path.node.specifiers) {
+        const imported = spec.type === 'ImportSpecifier' ? (spec.imported.name ?? spec.imported.value) : '*';
+        imports.set(path.scope.getBinding(spec.local.name), { source, imported });
+      }
+    },
+
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      const required = requireSource(init) ||
+        (isMember(init) && requireSource(init.object) ? requireSource(init.object) : null);
+      if (required) {
+        const member = isMember(init) ? propertyName(init) : '*';
+        if (id.type === 'Identifier') {
+          imports.set(path.scope.getBinding(id.name), { source: required, imported: member });
+        } else if (id.type === 'ObjectPattern' && member === '*') {
+          for (const property of id.properties) {
+            if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+              imports.set(path.scope.getBinding(property.value.name), { source: required, imported: keyName(property.key) });
+            }
+          }
+        }
+      }
+
+      if (init) setTaint(path.get('id'), taintOf(init, path.scope));
+      if (id.type === 'Identifier') checkSecret(id.name, init, path.node);
+    },
+
+    AssignmentExpression(path) {
+      const { left, right, operator } = path.node;
+      if (left.type === 'Identifier') {
+        const label = taintOf(right, path.scope);
+        if (operator === '=' || label) setTaint(path.get('left'), label);
+      }
+      if (isMember(left)) {
+        const property = propertyName(left);
+        checkSecret(property, right, path.node);
+        const label = HTML_PROPERTIES.has(property) && taintOf(right, path.scope);
+        if (label) report('tainted-flow', path.node, `${label} flows into ${property} (cross-site scripting)`);
+      }
+    },
+
+    'ObjectProperty|ClassProperty'(path) {
+      const { key, value } = path.node;
+      const name = keyName(key);
+      checkSecret(name, value, path.node);
+      if (name === 'dangerouslySetInnerHTML') {
+        checkInnerHtml(path.node, value, path.scope);
+      }
+    },
+
+    JSXAttribute(path) {
+      const { name, value } = path.node;
+      if (name.name !== 'dangerouslySetInnerHTML') return;
+      checkInnerHtml(path.node, value?.type === 'JSXExpressionContainer' ? value.expression : value, path.scope);
+    },
+
+    'CallExpression|OptionalCallExpression|NewExpression'(path) {
+      checkCall(path);
+    },
+
+    BinaryExpression(path) {
+      if (path.node.operator === '+') checkSql(path);
+    },
+
+    TemplateLiteral(path) {
+      checkSql(path);
+    }
+  });
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Label for an expression that reads user input directly
+ */
+function inputSource(node) {
+  const names = [];
+  let current = node;
+  while (isMember(current)) {
+    names.unshift(propertyName(current));
+    current = current.object;
+  }
+  if (current.type !== 'Identifier') return null;
+  const [root, first, second] = [current.name, ...names];
+
+  if (['req', 'request'].includes(root) && REQUEST_INPUTS.has(first)) return `${root}.${first}`;
+  if (root === 'ctx' && REQUEST_INPUTS.has(first)) return `ctx.${first}`;
+  if (root === 'ctx' && first === 'request' && REQUEST_INPUTS.has(second)) return `ctx.request.${second}`;
+  if (root === 'process' && first === 'argv') return 'process.argv';
+  if (root === 'location' && ['search', 'hash', 'href'].includes(first)) return `location.${first}`;
+  if (['window', 'document'].includes(root) && first === 'location' && ['search', 'hash', 'href'].includes(second)) {
+    return `${root}.location.${second}`;
+  }
+  if (root === 'document' && first === 'cookie') return 'document.cookie';
+  return null;
+}
+
+/**
+ * Static text and whether any part is computed, for + chains and template literals
+ */
+function concatenation(node) {
+  if (node.type === 'StringLiteral') return { text: node.value, dynamic: false };
+  if (node.type === 'TemplateLiteral') {
+    return { text: node.quasis.map(quasi => quasi.value.cooked ?? quasi.value.raw).join(' '), dynamic: node.expressions.length > 0 };
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = concatenation(node.left);
+    const right = concatenation(node.right);
+    return { text: `${left.text} ${right.text}`, dynamic: left.dynamic || right.dynamic };
+  }
+  return { text: '', dynamic: true };
+}
+
+function staticString(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+function isStringExpression(node) {
+  return node?.type === 'StringLiteral' || node?.type === 'TemplateLiteral' ||
+    (node?.type === 'BinaryExpression' && node.operator === '+');
+}
+
+function isLiteral(node) {
+  return staticString(node) !== null || ['NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(node?.type);
+}
+
+function isMember(node) {
+  return node?.type === 'MemberExpression' || node?.type === 'OptionalMemberExpression';
+}
+
+function propertyName(node) {
+  if (!node.computed) return node.property.name;
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+function keyName(key) {
+  if (key?.type === 'Identifier') return key.name;
+  if (key?.type === 'StringLiteral') return key.value;
+  return null;
+}
+
+function requireSource(node) {
+  if (node?.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'require') return null;
+  const [arg] = node.arguments;
+  return arg?.type === 'StringLiteral' ? moduleName(arg.value) : null;
+}
+
+function moduleName(source) {
+  return source.replace(/^node:/, '');
+}
@@ -0,0 +1,156 @@
+/**
+ * Suppressions
+ * Accepting known conflicts, either inline:
+ *
+ *   // manito-ignore-next-line no-eval, unused-variable
+ *   // manito-ignore-file dead_code
+ *   # manito-ignore-next-line hardcoded-secret -- test fixture
+ *
+ * in line comments, block comments, # comments or HTML comments alike, or
+ * through a baseline file (<rootPath>/.manito/baseline.json by default)
+ * recording the conflicts a project already had, so only new ones show up.
+ *
+ * A rule name matches a conflict's `rule` or its `type`; a comment without
+ * rule names suppresses everything on that line or in that file. Text after
+ * ` -- ` is a free-form reason.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DIRECTIVE = /(?:\/\/|\/\*|#|<!--|--)\s*manito-ignore-(next-line|file)\b(.*)$/;
+const BASELINE_VERSION = 1;
+
+/**
+ * Directives in a file's source: { file: [rules], lines: { [line]: [rules] } },
+ * '*' standing for every rule. Null when there are none.
+ */
+export function findSuppressions(content) {
+  if (!content.includes('manito-ignore-')) return null;
+
+  const suppressions = { file: [], lines: {} };
+  content.split('\n').forEach((text, index) => {
+    const match = DIRECTIVE.exec(text);
+    if (!match) return;
+
+    const rules = match[2]
+      .replace(/\*\/.*$|-->.*$/, '')
+      .split(/\s--\s/)[0]
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    const target = rules.length > 0 ? rules : ['*'];
+    if (match[1] === 'file') {
+      suppressions.file.push(...target);
+    } else {
+      const line = index + 2;
+      suppressions.lines[line] = [...(suppressions.lines[line] || []), ...target];
+    }
+  });
+
+  return suppressions.file.length > 0 || Object.keys(suppressions.lines).length > 0 ? suppressions : null;
+}
+
+/**
+ * Whether a file's directives cover a conflict, at `line` when the conflict has one
+ */
+export function isSuppressed(suppressions, conflict, line) {
+  if (!suppressions) return false;
+  const rules = [...suppressions.file, ...((line && suppressions.lines[line]) || [])];
+  return rules.some(rule => rule === '*' || rule === conflict.type || rule === conflict.rule);
+}
+
+/**
+ * Conflicts recorded as accepted. Each entry carries a count, so a second
+ * copy of a recorded issue is still reported as new.
+ */
+export class Baseline {
+  constructor({ rootPath = null, file = null, entries = [] } = {}) {
+    this.rootPath = rootPath;
+    this.file = file;
+    this.entries = entries;
+    this.remaining = new Map(entries.map(entry => [entry.fingerprint, entry.count || 1]));
+  }
+
+  /**
+   * Read a baseline file; null when the project has none
+   */
+  static async load(rootPath, file) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Invalid baseline ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(data.conflicts)) {
+      throw new Error(`Invalid baseline ${file}: "conflicts" must be an array`);
+    }
+    return new Baseline({ rootPath, file, entries: data.conflicts });
+  }
+
+  /**
+   * Record the given conflicts as the new baseline
+   */
+  static async write(rootPath, file, conflicts) {
+    const entries = new Map();
+    for (const conflict of conflicts) {
+      const fingerprint = conflictFingerprint(conflict, rootPath);
+      const entry = entries.get(fingerprint);
+      if (entry) {
+        entry.count++;
+        continue;
+      }
+      entries.set(fingerprint, {
+        fingerprint,
+        type: conflict.type,
+        ...(conflict.rule && { rule: conflict.rule }),
+        files: (conflict.files || []).map(filePath => relativeTo(rootPath, filePath)),
+        message: normalizeMessage(conflict.message, rootPath),
+        count: 1
+      });
+    }
+
+    const sorted = Array.from(entries.values())
+      .sort((a, b) => (a.files[0] || '').localeCompare(b.files[0] || '') || a.fingerprint.localeCompare(b.fingerprint));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      version: BASELINE_VERSION,
+      createdAt: new Date().toISOString(),
+      conflicts: sorted
+    }, null, 2) + '\n');
+    return new Baseline({ rootPath, file, entries: sorted });
+  }
+
+  /**
+   * Whether a conflict is recorded, using up one recorded occurrence
+   */
+  match(conflict) {
+    const fingerprint = conflictFingerprint(conflict, this.rootPath);
+    const left = this.remaining.get(fingerprint) || 0;
+    if (left === 0) return false;
+    this.remaining.set(fingerprint, left - 1);
+    return true;
+  }
+}
+
+/**
+ * Identity of a conflict that survives edits elsewhere in the file: line
+ * numbers and the project location are left out
+ */
+export function conflictFingerprint(conflict, rootPath) {
+  const files = (conflict.files || []).map(filePath => relativeTo(rootPath, filePath)).sort();
+  return crypto.createHash('sha1')
+    .update([conflict.type, conflict.rule || '', files.join('\n'), normalizeMessage(conflict.message, rootPath)].join('\u0000'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function normalizeMessage(message = '', rootPath) {
+  const relative = rootPath ? message.split(`${rootPath}${path.sep}`).join('') : message;
+  return relative.replace(/:\d+(-\d+)?\b/g, '').replace(/\bline \d+/gi, 'line');
+}
+
+function relativeTo(rootPath, filePath) {
+  return rootPath && path.isAbsolute(filePath) ? path.relative(rootPath, filePath).split(path.sep).join('/') : filePath;
+}
@@ -0,0 +1,571 @@
+/**
+ * Swift Analyzer
+ * No tree-sitter grammar for Swift builds against the bindings we ship, so
+ * Swift is tokenized and walked brace by brace instead. Reports imports,
+ * types and per-function metrics in the same shape as TreeSitterEngine#analyze.
+ *
+ * Closures are measured on their own like arrow functions in the Babel path;
+ * property accessors (get/set/willSet/didSet) belong to their property.
+ */
+
+import { summarizeFunctions } from './function-complexity.js';
+
+const TYPE_KEYWORDS = ['class', 'struct', 'enum', 'protocol', 'extension', 'actor'];
+const IMPORT_KINDS = ['typealias', 'struct', 'class', 'enum', 'protocol', 'let', 'var', 'func'];
+const ACCESSORS = ['get', 'set', 'willSet', 'didSet', '_modify', '_read'];
+const LOGICAL_OPERATORS = ['&&', '||', '??'];
+// Words that end a logical-operator sequence for cognitive complexity
+const STATEMENT_KEYWORDS = ['if', 'guard', 'while', 'return', 'let', 'var', 'case', 'throw', 'for', 'switch'];
+// `class func`, `class var`: class as a member modifier, not a declaration
+const DECLARATION_WORDS = [
+  'func', 'var', 'let', 'init', 'deinit', 'subscript', 'static', 'final', 'override', 'public', 'private',
+  'internal', 'fileprivate', 'open', 'convenience', 'required', 'mutating', 'nonmutating', 'lazy', 'weak',
+  'unowned', 'typealias', 'associatedtype', 'case', ...TYPE_KEYWORDS
+];
+const OPERATOR_CHARS = /[-=+!*%<>&|^~?/]/;
+
+export class SwiftAnalyzer {
+  analyze(content, filePath) {
+    const tokens = tokenize(content);
+    const { imports, functions, classes } = walk(tokens);
+
+    for (const entry of classes) {
+      entry.methods = functions
+        .filter(fn => fn.name.startsWith(`${entry.name}.`))
+        .map(fn => fn.name.slice(entry.name.length + 1));
+    }
+
+    return {
+      language: 'swift',
+      filePath,
+      parser: 'tokens',
+      lines: content.split('\n').length,
+      size: Buffer.byteLength(content, 'utf8'),
+      imports,
+      functions,
+      classes,
+      ...summarizeFunctions(functions)
+    };
+  }
+}
+
+/**
+ * Words, numbers, strings, operators and punctuation with their line.
+ * Comments and compiler directives are dropped. spaceBefore/spaceAfter tell
+ * the ternary in `a ? b : c` apart from `a?.b` and `try?`.
+ */
+export function tokenize(content) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  const length = content.length;
+  const push = (type, start, end, text = content.slice(start, end)) => {
+    tokens.push({
+      type,
+      text,
+      line,
+      spaceBefore: start === 0 || /\s/.test(content[start - 1]),
+      spaceAfter: end >= length || /\s/.test(content[end])
+    });
+  };
+  const skipTo = (end) => {
+    for (; i < end && i < length; i++) {
+      if (content[i] === '\n') line++;
+    }
+  };
+
+  while (i < length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? length : end;
+    } else if (char === '/' && next === '*') {
+      // Swift block comments nest
+      let depth = 0;
+      let j = i;
+      while (j < length) {
+        if (content[j] === '/' && content[j + 1] === '*') {
+          depth++;
+          j += 2;
+        } else if (content[j] === '*' && content[j + 1] === '/') {
+          depth--;
+          j += 2;
+          if (depth === 0) break;
+        } else {
+          j++;
+        }
+      }
+      skipTo(j);
+    } else if (char === '"' || (char === '#' && /^#+"/.test(content.slice(i, i + 8)))) {
+      const start = i;
+      const startLine = line;
+      skipTo(stringEnd(content, i));
+      tokens.push({ type: 'string', text: content.slice(start, i), line: startLine, spaceBefore: true, spaceAfter: true });
+    } else if (char === '#' && /[a-z]/.test(next || '')) {
+      // #if / #endif / #warning lines; #selector(...) and #available(...) are expressions
+      const word = content.slice(i + 1).match(/^\w+/)[0];
+      if (['if', 'elseif', 'else', 'endif', 'warning', 'error', 'sourceLocation'].includes(word)) {
+        const end = content.indexOf('\n', i);
+        i = end === -1 ? length : end;
+      } else {
+        push('word', i, i + word.length + 1);
+        i += word.length + 1;
+      }
+    } else if (/[A-Za-z_$@`]/.test(char)) {
+      const match = content.slice(i).match(/^(@?`[^`\n]*`|@?[A-Za-z_$][\w$]*)/);
+      const text = match ? match[0] : char;
+      push('word', i, i + text.length, text.replace(/`/g, ''));
+      i += text.length;
+    } else if (/[0-9]/.test(char)) {
+      const text = content.slice(i).match(/^[0-9][\w.]*/)[0].replace(/\.$/, '');
+      push('number', i, i + text.length);
+      i += text.length;
+    } else if (OPERATOR_CHARS.test(char)) {
+      let j = i;
+      while (j < length && OPERATOR_CHARS.test(content[j]) && !(content[j] === '/' && /[/*]/.test(content[j + 1]))) j++;
+      // a?.b is optional chaining, not an operator run
+      const end = content[j - 1] === '?' && content[j] === '.' && j - 1 > i ? j - 1 : j;
+      push('operator', i, end);
+      i = end;
+    } else {
+      push('punctuation', i, i + 1);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index just past a string literal starting at `start`: "...", """...""" or
+ * raw #"..."# strings. Interpolations are skipped with the string.
+ */
+function stringEnd(content, start) {
+  const hashes = content.slice(start).match(/^#*/)[0].length;
+  const quoteStart = start + hashes;
+  const multiline = content.startsWith('"""', quoteStart);
+  const delimiter = (multiline ? '"""' : '"') + '#'.repeat(hashes);
+  let i = quoteStart + (multiline ? 3 : 1);
+
+  while (i < content.length) {
+    if (hashes === 0 && content[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (!multiline && content[i] === '\n') return i;
+    if (content.startsWith(delimiter, i)) return i + delimiter.length;
+    i++;
+  }
+  return content.length;
+}
+
+/**
+ * Walk the token stream keeping a stack of brace frames. Declarations and
+ * control keywords leave a `pending` note on their frame that the next
+ * `{` at the same bracket depth opens.
+ */
+function walk(tokens) {
+  const imports = [];
+  const functions = [];
+  const classes = [];
+  const root = { kind: 'root', pending: null };
+  const stack = [root];
+  let bracketDepth = 0;
+
+  const frame = () => stack[stack.length - 1];
+  const currentFunction = () => {
+    for (let index = stack.length - 1; index >= 0; index--) {
+      if (stack[index].kind === 'function') return stack[index].fn;
+      if (stack[index].kind === 'type') return null;
+    }
+    return null;
+  };
+  const enclosingType = () => {
+    for (let index = stack.length - 1; index >= 0; index--) {
+      if (stack[index].kind === 'type') return stack[index].entry;
+      if (stack[index].kind === 'function') return null;
+    }
+    return null;
+  };
+  // Nesting level of control structures inside the current function
+  const nesting = () => frame().nesting || 0;
+  const setPending = (pending, token) => {
+    frame().pending = { ...pending, depth: bracketDepth, line: token.line };
+  };
+
+  const startFunction = (name, kind, token) => {
+    const owner = enclosingType();
+    const fn = {
+      name: owner && kind !== 'lambda' ? `${owner.name}.${name}` : name,
+      kind: owner && kind === 'function' ? 'method' : kind,
+      line: token.line,
+      endLine: token.line,
+      params: 0,
+      lines: 1,
+      complexity: 1,
+      cognitive: 0,
+      nesting: 0,
+      async: false,
+      generator: false,
+      shortName: name
+    };
+    setPending({ kind: 'function', fn }, token);
+    return fn;
+  };
+
+  let lastLogical = null;
+  let afterRepeat = false;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const fn = currentFunction();
+    const pending = frame().pending;
+    const { text } = token;
+
+    if (token.type === 'word') {
+      if (STATEMENT_KEYWORDS.includes(text)) lastLogical = null;
+
+      if (text === 'import' && frame() === root && next?.type === 'word') {
+        imports.push(swiftImport(tokens, index));
+        continue;
+      }
+
+      if (TYPE_KEYWORDS.includes(text) && next?.type === 'word' && !DECLARATION_WORDS.includes(next.text) &&
+          previous?.text !== '.') {
+        const entry = { name: next.text, kind: text, line: token.line, endLine: token.line, lines: 1, methods: [] };
+        setPending({ kind: 'type', entry }, token);
+        index++;
+        continue;
+      }
+
+      if (text === 'func' && next) {
+        startFunction(next.text, 'function', token);
+        index++;
+        continue;
+      }
+      if ((text === 'init' || text === 'deinit' || text === 'subscript') && previous?.text !== '.' && !fn) {
+        startFunction(text, text === 'init' ? 'constructor' : 'method', token);
+        continue;
+      }
+      if ((text === 'var' || text === 'let') && next?.type === 'word' && !fn &&
+          enclosingType()?.kind !== 'protocol') {
+        // Computed property: var total: Int { ... }
+        setPending({ kind: 'property', name: next.text }, token);
+        index++;
+        continue;
+      }
+
+      if (text === 'async' && pending?.kind === 'function') {
+        pending.fn.async = true;
+        continue;
+      }
+
+      if (!fn) {
+        // Stored properties and protocol requirements have no body: the
+        // next declaration ends them
+        if (pending && pending.kind !== 'type' && token.line !== pending.line && DECLARATION_WORDS.includes(text)) {
+          frame().pending = null;
+        }
+        continue;
+      }
+
+      switch (text) {
+        case 'if':
+          fn.complexity++;
+          if (previous?.text === 'else') {
+            fn.cognitive++;
+          } else {
+            fn.cognitive += 1 + nesting();
+          }
+          setPending({ kind: 'control', nests: true }, token);
+          break;
+        case 'guard':
+          fn.complexity++;
+          fn.cognitive += 1 + nesting();
+          setPending({ kind: 'control', nests: true, guard: true }, token);
+          break;
+        case 'else':
+          if (pending?.guard) break;
+          if (next?.text !== 'if') {
+            fn.cognitive++;
+            setPending({ kind: 'control', nests: true }, token);
+          }
+          break;
+        case 'for':
+        case 'while':
+          if (text === 'while' && afterRepeat) break; // repeat { } while x
+          fn.complexity++;
+          fn.cognitive += 1 + nesting();
+          setPending({ kind: 'control', nests: true }, token);
+          break;
+        case 'repeat':
+          fn.complexity++;
+          fn.cognitive += 1 + nesting();
+          setPending({ kind: 'control', nests: true, repeat: true }, token);
+          break;
+        case 'switch':
+          fn.cognitive += 1 + nesting();
+          setPending({ kind: 'control', nests: true, switch: true }, token);
+          break;
+        case 'case':
+          if (frame().switch) fn.complexity++;
+          break;
+        case 'catch':
+          fn.complexity++;
+          fn.cognitive += 1 + nesting();
+          setPending({ kind: 'control', nests: true }, token);
+          break;
+        case 'do':
+        case 'defer':
+          setPending({ kind: 'control', nests: false }, token);
+          break;
+        default:
+          // Recursion: name( but not the declaration itself
+          if (text === fn.shortName && next?.text === '(' && previous?.text !== 'func') {
+            fn.cognitive++;
+          }
+      }
+      afterRepeat = false;
+      continue;
+    }
+
+    if (token.type === 'operator') {
+      if (fn && LOGICAL_OPERATORS.includes(text)) {
+        fn.complexity++;
+        if (lastLogical !== text) fn.cognitive++;
+        lastLogical = text;
+      } else if (fn && text === '?' && token.spaceBefore && token.spaceAfter) {
+        fn.complexity++;
+        fn.cognitive += 1 + nesting();
+        fn.nesting = Math.max(fn.nesting, nesting() + 1);
+      } else if (text === '=' && pending?.kind === 'property') {
+        pending.assigned = true;
+      } else if (text === '=') {
+        lastLogical = null;
+      }
+      continue;
+    }
+
+    if (token.type !== 'punctuation') continue;
+
+    switch (text) {
+      case '(':
+      case '[':
+        if (pending?.kind === 'function' && !pending.paramsRead && text === '(' && bracketDepth === pending.depth) {
+          pending.fn.params = countParams(tokens, index);
+          pending.paramsRead = true;
+        }
+        bracketDepth++;
+        break;
+      case ')':
+      case ']':
+        bracketDepth = Math.max(0, bracketDepth - 1);
+        break;
+      case ',':
+      case ';':
+        lastLogical = null;
+        if (text === ';' && pending && pending.kind !== 'control') frame().pending = null;
+        break;
+      case '{': {
+        lastLogical = null;
+        const opens = pending && pending.depth === bracketDepth ? pending : null;
+        frame().pending = null;
+        stack.push(openFrame(opens, { token, tokens, index, fn, frame: frame(), functions, classes, nesting: nesting() }));
+        break;
+      }
+      case '}': {
+        lastLogical = null;
+        if (stack.length === 1) break;
+        const closed = stack.pop();
+        if (closed.kind === 'function') {
+          closed.fn.endLine = token.line;
+          closed.fn.lines = token.line - closed.fn.line + 1;
+        } else if (closed.kind === 'type') {
+          closed.entry.endLine = token.line;
+          closed.entry.lines = token.line - closed.entry.line + 1;
+        }
+        afterRepeat = Boolean(closed.repeat);
+        continue;
+      }
+      default:
+        break;
+    }
+    afterRepeat = false;
+  }
+
+  for (const fn of functions) {
+    delete fn.shortName;
+  }
+  return { imports, functions, classes };
+}
+
+/**
+ * Frame for a `{`: the declaration or control structure waiting for it,
+ * a property accessor, or a closure
+ */
+function openFrame(pending, { token, tokens, index, fn, frame, functions, classes, nesting }) {
+  const previous = tokens[index - 1];
+
+  if (pending?.kind === 'type') {
+    classes.push(pending.entry);
+    return { kind: 'type', entry: pending.entry, pending: null };
+  }
+  if (pending?.kind === 'function') {
+    functions.push(pending.fn);
+    return { kind: 'function', fn: pending.fn, nesting: 0, pending: null };
+  }
+  if (pending?.kind === 'property') {
+    const typeName = frame.kind === 'type' ? frame.entry.name : null;
+    const property = {
+      name: typeName ? `${typeName}.${pending.name}` : pending.name,
+      // var x = { ... }() stores a closure; var x: T { ... } computes
+      kind: pending.assigned ? 'lambda' : 'getter',
+      line: pending.line,
+      endLine: token.line,
+      params: 0,
+      lines: 1,
+      complexity: 1,
+      cognitive: 0,
+      nesting: 0,
+      async: false,
+      generator: false,
+      shortName: pending.name
+    };
+    functions.push(property);
+    return { kind: 'function', fn: property, nesting: 0, pending: null };
+  }
+  if (pending?.kind === 'control') {
+    const depth = pending.nests ? nesting + 1 : nesting;
+    if (fn) fn.nesting = Math.max(fn.nesting, depth);
+    return { kind: 'block', nesting: depth, switch: pending.switch, repeat: pending.repeat, pending: null };
+  }
+  if (ACCESSORS.includes(previous?.text)) {
+    return { kind: 'block', nesting, pending: null };
+  }
+  if (!fn && frame.kind === 'type') {
+    // Enum case bodies and the like outside any function
+    return { kind: 'block', nesting: 0, pending: null };
+  }
+
+  const closure = {
+    name: closureName(tokens, index),
+    kind: 'lambda',
+    line: token.line,
+    endLine: token.line,
+    params: countClosureParams(tokens, index),
+    lines: 1,
+    complexity: 1,
+    cognitive: 0,
+    nesting: 0,
+    async: false,
+    generator: false,
+    shortName: null
+  };
+  functions.push(closure);
+  return { kind: 'function', fn: closure, nesting: 0, pending: null };
+}
+
+function swiftImport(tokens, index) {
+  const token = tokens[index];
+  const testable = tokens[index - 1]?.text === '@testable';
+  let cursor = index + 1;
+  // import struct Foundation.Date imports one symbol
+  const kind = IMPORT_KINDS.includes(tokens[cursor].text) ? tokens[cursor++].text : null;
+
+  const parts = [];
+  while (tokens[cursor]?.type === 'word' && tokens[cursor].line === token.line) {
+    parts.push(tokens[cursor].text);
+    if (tokens[cursor + 1]?.text !== '.') break;
+    cursor += 2;
+  }
+
+  const entry = kind && parts.length > 1
+    ? {
+        source: parts.slice(0, -1).join('.'),
+        specifiers: [{ type: 'ImportSpecifier', imported: parts[parts.length - 1], local: parts[parts.length - 1] }]
+      }
+    : {
+        source: parts.join('.'),
+        specifiers: [{ type: 'ImportNamespaceSpecifier', imported: '*', local: parts[0] }]
+      };
+  return { ...entry, line: token.line, ...(testable && { testable: true }) };
+}
+
+/**
+ * Parameters in the list opening at `index`: top-level commas + 1. Generic
+ * arguments (Dictionary<K, V>) are skipped; `>>` closes two of them.
+ */
+function countParams(tokens, index) {
+  let depth = 0;
+  let generics = 0;
+  let count = 0;
+  let sawToken = false;
+  for (let cursor = index; cursor < tokens.length; cursor++) {
+    const { type, text } = tokens[cursor];
+    if (text === '(' || text === '[') {
+      depth++;
+    } else if (text === ')' || text === ']') {
+      depth--;
+      if (depth === 0) break;
+    } else if (type === 'operator' && /^[<>]+$/.test(text)) {
+      generics = Math.max(0, generics + (text.match(/</g) || []).length - (text.match(/>/g) || []).length);
+    } else if (depth === 1 && generics === 0 && text === ',') {
+      count++;
+    }
+    if (depth === 1 && cursor > index) sawToken = true;
+  }
+  return sawToken ? count + 1 : 0;
+}
+
+/**
+ * { a, b in ... }, { (a: Int) -> Int in ... } or { [weak self] x in ... }
+ */
+function countClosureParams(tokens, index) {
+  const signature = [];
+  let depth = 0;
+  for (let cursor = index + 1; cursor < tokens.length; cursor++) {
+    const token = tokens[cursor];
+    if (token.text === 'in' && depth === 0) {
+      const start = signature[0]?.text === '[' ? signature.findIndex(entry => entry.text === ']') + 1 : 0;
+      const names = signature.slice(start);
+      if (names[0]?.text === '(') return countParams(names, 0);
+      return names.filter(entry => entry.type === 'word').length;
+    }
+    if (token.text === '(' || token.text === '[') depth++;
+    if (token.text === ')' || token.text === ']') depth--;
+    // Anything statement-like means the closure has no signature
+    if (token.text === '{' || token.text === '}' || token.text === ';' ||
+        (token.type === 'word' && STATEMENT_KEYWORDS.includes(token.text))) {
+      return 0;
+    }
+    signature.push(token);
+  }
+  return 0;
+}
+
+/**
+ * Variable a closure is assigned to: let f = { ... }
+ */
+function closureName(tokens, index) {
+  const previous = tokens[index - 1];
+  if (previous?.text !== '=') return '<lambda>';
+  for (let cursor = index - 2; cursor >= 0; cursor--) {
+    const token = tokens[cursor];
+    if (token.type === 'word' && (tokens[cursor - 1]?.text === 'let' || tokens[cursor - 1]?.text === 'var')) {
+      return token.text;
+    }
+    if (token.line !== previous.line) break;
+  }
+  return '<lambda>';
+}
+
+export default SwiftAnalyzer;
@@ -6,16 +6,81 @@ import { glob } from 'glob';
 import fs from 'fs/promises';
 import path from 'path';
 import { MultiLanguageAnalyzer } from './analyzers/multi-language-analyzer.js';
+import { ModuleResolver, EXTERNAL_PREFIX } from './resolvers/module-resolver.js';
+import { PythonResolver } from './resolvers/python-resolver.js';
+import { GoResolver } from './resolvers/go-resolver.js';
+import { ScanCache, CACHE_VERSION, defaultCacheDir } from './performance/scan-cache.js';
+import { GitChangeDetector } from './vcs/git-change-detector.js';
+import { ReachabilityAnalyzer } from './analyzers/reachability-analyzer.js';
+import { ArchitectureRules } from './analyzers/architecture-rules.js';
+import { PackageDependencyAnalyzer } from './analyzers/package-dependency-analyzer.js';
+import { PackageGraphAnalyzer } from './analyzers/package-graph-analyzer.js';
+import { WorkspaceDetector } from './resolvers/workspace-detector.js';
+import { ManifestAnalyzer } from './analyzers/manifest-analyzer.js';
+import { measureFunction, summarizeFunctions, DEFAULT_COMPLEXITY_THRESHOLDS } from './analyzers/function-complexity.js';
+import { parseSFC, componentName, SFC_FILE } from './parsers/sfc-parser.js';
+import { CloneDetector, DEFAULT_MIN_CLONE_TOKENS } from './analyzers/clone-detector.js';
+import { checkSecurity } from './analyzers/security-rules.js';
+import { findDeadCode } from './analyzers/dead-code.js';
+import { PluginHost } from './plugins/plugin-host.js';
+import { findSuppressions, isSuppressed, Baseline } from './analyzers/suppressions.js';
+import { SecretScanner, maskSecret } from './analyzers/secret-scanner.js';
+
+// Options that change what scanFile returns for a file
+const RESULT_OPTIONS = ['security', 'deadCode'];
 
 export class CodeScanner {
   constructor(options = {}) {
     this.options = {
-      patterns: ['**/*.{js,jsx,ts,tsx,py,go,rs,java,cpp,cs,php,rb,swift,kt}'],
+      patterns: ['**/*.{js,jsx,ts,tsx,vue,svelte,py,go,rs,java,cpp,cs,php,rb,swift,kt}'],
       excludePatterns: ['node_modules/**', 'dist/**', 'build/**', 'target/**', 'bin/**', '__pycache__/**'],
       maxFileSize: 1024 * 1024, // 1MB
+      cache: true, // Reuse per-file results from previous scans
+      cacheDir: null, // Defaults to a per-root directory in the user's cache (see defaultCacheDir)
+      baseRef: null, // Git ref to diff against; limits results to changed files and their dependents
+      dependentDepth: Infinity, // How many levels of importers of changed files to include
+      reachability: true, // Report files and exports no entry point can reach
+      entryPoints: [], // Extra entry globs on top of package.json and .manito/config.json
+      rulesFile: null, // Architecture rules; defaults to <rootPath>/.manito/rules.json
+      packageDependencies: true, // Compare imported packages with package.json declarations
+      ignoreDependencies: [], // Package names never reported as unused or missing
+      workspaces: true, // Detect npm/yarn/pnpm workspaces and build a package-level graph
+      manifests: true, // Read dependencies from Gemfile, gemspec, Package.swift and Gradle build files
+      complexityThresholds: DEFAULT_COMPLEXITY_THRESHOLDS, // Per-function limits for complexity hotspots
+      clones: true, // Report duplicated code across scanned files
+      security: true, // Run the AST security rule pack on JavaScript/TypeScript files
+      deadCode: true, // Report unused locals, parameters and private members, and unreachable code
+      secrets: true, // Look for committed keys and tokens in sources and config files
+      secretsAllowlistFile: null, // Defaults to <rootPath>/.manito/secrets-allowlist.json
+      minCloneTokens: DEFAULT_MIN_CLONE_TOKENS, // Shortest duplicate reported, in tokens
+      plugins: false, // Load project plugins with custom rules and metrics; they run in-process, so only for trusted trees
+      pluginDir: null, // Defaults to <rootPath>/.manito/plugins
+      baseline: true, // Leave out conflicts recorded in the baseline file
+      baselineFile: null, // Defaults to <rootPath>/.manito/baseline.json
+      updateBaseline: false, // Record this scan's conflicts as the new baseline
       ...options
     };
+    this.rootPath = null;
     this.dependencyGraph = new Map();
+    this.importSources = new Map();
+    this.edgeImports = new Map(); // from -> target -> scanFile import entries
+    this.fileResults = new Map();
+    this.unresolvedImports = [];
+    this.resolver = new ModuleResolver();
+    this.languageResolvers = this.createLanguageResolvers(null);
+    this.reachability = null;
+    this.architecture = null;
+    this.packageDependencies = null;
+    this.workspaces = null;
+    this.packageGraph = null;
+    this.clones = [];
+    this.secrets = null;
+    this.secretValues = new Map(); // file -> raw secrets found there, never stored
+    this.plugins = null;
+    this.pluginConflicts = [];
+    this.baseline = null;
+    this.suppressed = null;
+    this.configSuppressions = new Map(); // Directives in config files the secret scanner read
     this.multiLangAnalyzer = new MultiLanguageAnalyzer();
     this.metrics = {
       filesScanned: 0,
@@ -26,52 +91,476 @@ export class CodeScanner {
     };
   }
 
-  async scan(rootPath) {
+  async scan(rootPath, { baseRef = this.options.baseRef } = {}) {
     console.log(`Starting scan of ${rootPath}...`);
     const startTime = Date.now();
     
     try {
+      // Resolve the diff first so a bad ref fails before any parsing
+      const changeSet = baseRef ? await this.detectChangeSet(rootPath, baseRef) : null;
+
+      await this.prepare(rootPath);
+
       // Analyze package.json for external dependencies
       const packageInfo = await this.analyzePackageJson(rootPath);
+      const manifests = this.options.manifests ? await this.analyzeManifests(rootPath) : [];
       
       const files = await this.findFiles(rootPath);
       console.log(`Found ${files.length} files to scan`);
-      
-      const results = [];
-      for (const file of files) {
-        try {
-          const result = await this.scanFile(file);
-          if (result) {
-            results.push(result);
-            this.metrics.filesScanned++;
-          }
-        } catch (error) {
-          console.warn(`Error scanning ${file}:`, error.message);
-        }
+
+      const cache = await this.openCache(rootPath);
+
+      // Recording a baseline needs every file's conflicts, so it parses everything
+      const partial = Boolean(changeSet) && !this.options.updateBaseline;
+      const results = partial
+        ? await this.scanChangeScope(files, changeSet, cache, (list) => this.scanFiles(list, cache))
+        : await this.scanFiles(files, cache);
+
+      if (cache) {
+        // Entries of files a partial scan skipped are still valid
+        await this.saveCache(cache, { prune: !partial });
       }
 
-      this.detectConflicts();
+      await this.analyzeProject(results, packageInfo, { partial });
       
       const scanTime = Date.now() - startTime;
       console.log(`Scan completed in ${scanTime}ms`);
       
-      return {
+      const result = {
         id: `scan_${Date.now()}`,
         timestamp: new Date().toISOString(),
         scanTime,
         rootPath,
         files: results,
         dependencies: this.serializeDependencyGraph(),
+        edges: this.serializeEdges(),
+        unresolvedImports: this.unresolvedImports,
+        reachability: this.reachability,
+        architecture: this.architecture,
+        packageDependencies: this.packageDependencies,
+        workspaces: this.packageGraph,
+        complexityHotspots: this.findComplexityHotspots(results),
+        clones: this.clones,
+        secrets: this.secrets,
+        plugins: this.plugins ? this.plugins.summarize() : [],
         packageInfo,
+        manifests,
         metrics: this.metrics,
-        conflicts: this.metrics.conflicts
+        conflicts: this.metrics.conflicts,
+        suppressed: this.suppressed,
+        cache: cache ? cache.getStats() : { enabled: false }
       };
+
+      return changeSet ? this.scopeToChangeSet(result, changeSet) : result;
     } catch (error) {
       console.error('Scan failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Set up import resolution and plugins for a root. Runs before any file of
+   * the root is scanned.
+   */
+  async prepare(rootPath) {
+    this.rootPath = rootPath;
+
+    // Sibling workspace packages resolve to their sources, not node_modules
+    this.workspaces = this.options.workspaces ? await this.detectWorkspaces(rootPath) : null;
+    this.resolver = new ModuleResolver({ rootPath, workspacePackages: this.workspaces?.packages || [] });
+    this.languageResolvers = this.createLanguageResolvers(rootPath);
+    this.plugins = this.options.plugins ? await this.loadPlugins(rootPath) : null;
+  }
+
+  /**
+   * Project-level analyses over the scanned files and the dependency graph,
+   * ending with conflict detection. Also run by the server's streaming
+   * scanner once its files are in. A `partial` scan only parsed the files a
+   * change set affects, so analyses that need every import are left out.
+   */
+  async analyzeProject(results, packageInfo, { partial = false } = {}) {
+    const rootPath = this.rootPath;
+
+    this.linkTemplateComponents(results);
+
+    if (this.plugins) {
+      await this.runPlugins(results);
+    }
+
+    // Every importer of an affected file is scanned only when dependents are not depth-limited
+    if (this.options.reachability && (!partial || this.options.dependentDepth === Infinity)) {
+      this.reachability = await this.analyzeReachability(results, packageInfo);
+    }
+
+    this.architecture = await this.checkArchitectureRules(rootPath);
+
+    if (this.options.packageDependencies && !partial) {
+      this.packageDependencies = this.analyzePackageDependencies();
+    }
+
+    if (this.options.secrets) {
+      this.secrets = await this.scanSecrets(rootPath, results);
+    }
+
+    if (this.options.clones) {
+      this.clones = await this.detectClones(results);
+    }
+
+    this.baseline = this.options.baseline && !this.options.updateBaseline
+      ? await this.loadBaseline(rootPath)
+      : null;
+    this.detectConflicts();
+    if (this.options.updateBaseline) {
+      await this.updateBaseline(rootPath);
+    }
+
+    if (this.workspaces) {
+      this.packageGraph = this.analyzePackageGraph(results);
+    }
+  }
+
+  async scanFiles(files, cache) {
+    const results = [];
+    for (const file of files) {
+      try {
+        const result = cache
+          ? await this.scanFileWithCache(file, cache)
+          : await this.scanFile(file);
+        if (result) {
+          results.push(result);
+          this.fileResults.set(result.filePath, result);
+          this.metrics.filesScanned++;
+        }
+      } catch (error) {
+        console.warn(`Error scanning ${file}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Parse what a change-scoped scan reports on: the changed files and their
+   * importers. Importers are found through the imports the cache holds for
+   * unchanged files, so those are not parsed; unchanged files the cache does
+   * not know are parsed first to learn their imports. `scanFiles` parses a
+   * list of files and resolves to their results.
+   */
+  async scanChangeScope(files, changeSet, cache, scanFiles) {
+    const changed = new Set(changeSet.changedFiles);
+    const cachedResults = [];
+    const unindexed = [];
+    for (const file of files) {
+      if (changed.has(file)) continue;
+      const cached = cache ? await cache.peek(file).catch(() => null) : null;
+      if (cached) {
+        cachedResults.push(cached);
+      } else {
+        unindexed.push(file);
+      }
+    }
+
+    const results = await scanFiles(unindexed);
+    const graph = this.buildImportGraph(files, [...cachedResults, ...results]);
+    const { affected } = this.findAffectedFiles(graph, changeSet);
+
+    const parsed = new Set(unindexed);
+    results.push(...await scanFiles(files.filter(file => affected.has(file) && !parsed.has(file))));
+    return results;
+  }
+
+  /**
+   * Dependency graph of file results in scan result form, without adding them
+   * to the scanner's own graph
+   */
+  buildImportGraph(files, results) {
+    const dependencies = {};
+    const unresolvedImports = [];
+    for (const result of results) {
+      if (result.metadata?.isMultiLanguage && !this.hasLanguageResolver(result.filePath)) continue;
+
+      const targets = dependencies[result.filePath] = [];
+      for (const imp of result.imports || []) {
+        if (typeof imp.source !== 'string' || imp.source.length === 0) continue;
+        const resolved = this.resolveModulePath(imp.source, result.filePath, imp);
+        if (resolved) {
+          targets.push(...[resolved].flat());
+        } else {
+          unresolvedImports.push({ file: result.filePath, source: imp.source });
+        }
+      }
+    }
+    return { files: files.map(filePath => ({ filePath })), dependencies, unresolvedImports };
+  }
+
+  /**
+   * Open the on-disk scan cache for a root, or null when caching is disabled
+   */
+  async openCache(rootPath) {
+    if (!this.options.cache) return null;
+
+    try {
+      const cacheDir = this.options.cacheDir || defaultCacheDir(rootPath);
+      return await new ScanCache({ cacheDir, version: this.getCacheVersion() }).load();
+    } catch (error) {
+      console.warn('Scan cache unavailable, scanning without it:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cache version for this scanner's options. Results carry security and dead
+   * code findings and plugin output, so other settings mean another cache.
+   */
+  getCacheVersion() {
+    const parts = RESULT_OPTIONS.map(option => `${option}=${Boolean(this.options[option])}`);
+    if (this.plugins?.fingerprint) parts.push(`plugins=${this.plugins.fingerprint}`);
+    return [CACHE_VERSION, ...parts].join(':');
+  }
+
+  async saveCache(cache, options) {
+    try {
+      await cache.save(options);
+    } catch (error) {
+      console.warn('Could not write scan cache:', error.message);
+    }
+  }
+
+  /**
+   * Scan a file, reusing the cached result when its content is unchanged.
+   * Cached results are replayed so the graph and metrics match a fresh parse.
+   */
+  async scanFileWithCache(filePath, cache) {
+    const cached = await cache.get(filePath);
+    if (cached.hit) {
+      this.replayCachedResult(cached.result);
+      return cached.result;
+    }
+
+    const result = await this.scanFile(filePath);
+    if (result) {
+      cache.set(filePath, cached.fingerprint, result);
+    }
+    return result;
+  }
+
+  replayCachedResult(result) {
+    this.metrics.linesOfCode += result.lines || 0;
+    this.updateLanguageMetrics(result.language || this.detectJSLanguage(result.filePath));
+
+    if (!result.metadata?.isMultiLanguage || this.hasLanguageResolver(result.filePath)) {
+      for (const imp of result.imports || []) {
+        this.addDependency(result.filePath, imp.source, imp);
+      }
+    }
+  }
+
+  async loadPlugins(rootPath) {
+    try {
+      const host = await new PluginHost({ rootPath, pluginDir: this.options.pluginDir }).load();
+      return host.plugins.length > 0 ? host : null;
+    } catch (error) {
+      console.warn('Could not load plugins:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Collect visitor findings stored on each file result, run the per-file
+   * hooks, and total up custom metrics per plugin
+   */
+  async runPlugins(results) {
+    this.pluginConflicts = [];
+    for (const result of results) {
+      this.pluginConflicts.push(...this.plugins.collect(result.filePath, result.plugins));
+      this.pluginConflicts.push(...this.plugins.collect(result.filePath, await this.plugins.runFileHooks(result)));
+    }
+
+    const custom = Object.fromEntries(this.plugins.active
+      .filter(plugin => Object.keys(plugin.metrics).length > 0)
+      .map(plugin => [plugin.name, plugin.metrics]));
+    if (Object.keys(custom).length > 0) this.metrics.custom = custom;
+  }
+
+  async analyzeReachability(results, packageInfo) {
+    try {
+      const analyzer = new ReachabilityAnalyzer({
+        rootPath: this.rootPath,
+        resolver: this.resolver,
+        entryPoints: this.options.entryPoints,
+        excludePatterns: this.options.excludePatterns
+      });
+      return await analyzer.analyze({ files: results, dependencyGraph: this.dependencyGraph, packageInfo });
+    } catch (error) {
+      console.warn('Reachability analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the dependency graph against the project's architecture rules.
+   * Returns null when the project has no rules file; a broken rules file is
+   * reported as an error conflict instead of failing the scan.
+   */
+  async checkArchitectureRules(rootPath) {
+    const rulesPath = this.options.rulesFile || path.join(rootPath, '.manito', 'rules.json');
+    try {
+      const rules = await ArchitectureRules.load(rootPath, rulesPath);
+      if (!rules) return null;
+      return { rulesPath, rules: rules.rules.length, errors: [], violations: rules.check(this.dependencyGraph) };
+    } catch (error) {
+      console.warn('Could not apply architecture rules:', error.message);
+      return { rulesPath, rules: 0, errors: [error.message], violations: [] };
+    }
+  }
+
+  analyzePackageDependencies() {
+    try {
+      const analyzer = new PackageDependencyAnalyzer({
+        rootPath: this.rootPath,
+        resolver: this.resolver,
+        workspaces: this.workspaces,
+        ignoreDependencies: this.options.ignoreDependencies
+      });
+      return analyzer.analyze(this.dependencyGraph);
+    } catch (error) {
+      console.warn('Package dependency analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  async detectWorkspaces(rootPath) {
+    try {
+      return await new WorkspaceDetector({ rootPath }).detect();
+    } catch (error) {
+      console.warn('Workspace detection failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Roll the file graph up to workspace packages, with per-package metrics
+   */
+  analyzePackageGraph(results) {
+    try {
+      return new PackageGraphAnalyzer({ rootPath: this.rootPath }).analyze(this.workspaces, {
+        files: results,
+        dependencyGraph: this.dependencyGraph,
+        conflicts: this.metrics.conflicts
+      });
+    } catch (error) {
+      console.warn('Package graph analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  async detectChangeSet(rootPath, baseRef) {
+    return new GitChangeDetector().getChangeSet(rootPath, baseRef);
+  }
+
+  /**
+   * Changed files plus the files that import them, walking reverse edges up to
+   * `dependentDepth` levels. Importers of deleted files are seeded through their
+   * now-unresolved relative imports.
+   */
+  findAffectedFiles(result, changeSet) {
+    const scanned = new Set(result.files.map(file => file.filePath));
+    const seeds = new Set(changeSet.changedFiles.filter(file => scanned.has(file)));
+
+    const stripExtension = (file) => file.slice(0, file.length - path.extname(file).length);
+    const deletedModules = new Set();
+    for (const file of changeSet.deletedFiles) {
+      const stem = stripExtension(file);
+      deletedModules.add(stem);
+      if (path.basename(stem) === 'index') deletedModules.add(path.dirname(stem));
+    }
+
+    for (const { file, source } of result.unresolvedImports || []) {
+      if (!source.startsWith('.')) continue;
+      const target = path.resolve(path.dirname(file), source);
+      if (deletedModules.has(target) || deletedModules.has(stripExtension(target))) {
+        seeds.add(file);
+      }
+    }
+
+    const importers = new Map();
+    for (const [from, targets] of Object.entries(result.dependencies)) {
+      for (const target of targets) {
+        if (this.isExternalDependency(target)) continue;
+        if (!importers.has(target)) importers.set(target, new Set());
+        importers.get(target).add(from);
+      }
+    }
+
+    const affected = new Set(seeds);
+    let frontier = Array.from(seeds);
+    for (let depth = 0; frontier.length > 0 && depth < this.options.dependentDepth; depth++) {
+      const next = [];
+      for (const file of frontier) {
+        for (const importer of importers.get(file) || []) {
+          if (!affected.has(importer)) {
+            affected.add(importer);
+            next.push(importer);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return { seeds, affected };
+  }
+
+  /**
+   * Narrow a full scan result to the files affected by a change set. Conflicts
+   * are kept when they involve at least one affected file.
+   */
+  scopeToChangeSet(result, changeSet) {
+    const { seeds, affected } = this.findAffectedFiles(result, changeSet);
+    const involvesAffected = (conflict) => (conflict.files || []).some(file => affected.has(file));
+
+    const files = result.files.filter(file => affected.has(file.filePath));
+    const dependencies = Object.fromEntries(
+      Object.entries(result.dependencies).filter(([file]) => affected.has(file))
+    );
+    const conflicts = (result.conflicts || []).filter(involvesAffected);
+
+    return {
+      ...result,
+      files,
+      dependencies,
+      ...(result.edges && { edges: result.edges.filter(edge => affected.has(edge.from)) }),
+      unresolvedImports: (result.unresolvedImports || []).filter(entry => affected.has(entry.file)),
+      ...(result.complexityHotspots && {
+        complexityHotspots: result.complexityHotspots.filter(entry => affected.has(entry.file))
+      }),
+      ...(result.secrets && {
+        secrets: { ...result.secrets, findings: result.secrets.findings.filter(finding => affected.has(finding.file)) }
+      }),
+      ...(result.clones && {
+        clones: result.clones.filter(clone => clone.fragments.some(fragment => affected.has(fragment.filePath)))
+      }),
+      ...(result.reachability && {
+        reachability: {
+          ...result.reachability,
+          unreachableFiles: result.reachability.unreachableFiles.filter(file => affected.has(file)),
+          unusedExports: result.reachability.unusedExports.filter(entry => affected.has(entry.path))
+        }
+      }),
+      metrics: {
+        ...result.metrics,
+        filesScanned: files.length,
+        linesOfCode: files.reduce((total, file) => total + (file.lines || 0), 0),
+        dependencies: Object.values(dependencies).reduce((total, deps) => total + deps.length, 0),
+        conflicts
+      },
+      conflicts,
+      changeSet: {
+        ...changeSet,
+        affectedFiles: Array.from(affected).sort(),
+        dependentFiles: Array.from(affected).filter(file => !seeds.has(file)).sort()
+      }
+    };
+  }
+
   async findFiles(rootPath) {
     const allFiles = [];
     
@@ -104,24 +593,28 @@ export class CodeScanner {
 
   async scanFile(filePath) {
     try {
-      // Check if this is a JavaScript/TypeScript file
-      const isJSFile = /\.(js|jsx|ts|tsx)$/.test(filePath);
+      // Check if this is a JavaScript/TypeScript file or a Vue/Svelte component
+      const isJSFile = /\.(js|jsx|ts|tsx|vue|svelte)$/.test(filePath);
       
       if (!isJSFile) {
         // Use multi-language analyzer for non-JS files
         return await this.scanMultiLanguageFile(filePath);
       }
 
-      const content = await fs.readFile(filePath, 'utf-8');
-      const lines = content.split('\n').length;
+      const fileContent = await fs.readFile(filePath, 'utf-8');
+      const lines = fileContent.split('\n').length;
       this.metrics.linesOfCode += lines;
       
       // Track language usage
       const language = this.detectJSLanguage(filePath);
       this.updateLanguageMetrics(language);
+
+      // Components are parsed through their <script> blocks, on the component's own lines
+      const sfc = SFC_FILE.test(filePath) ? parseSFC(fileContent, filePath) : null;
+      const content = sfc ? sfc.script : fileContent;
       
-      const isTypeScript = filePath.endsWith('.ts') || filePath.endsWith('.tsx');
-      const isJSX = filePath.endsWith('.jsx') || filePath.endsWith('.tsx');
+      const isTypeScript = sfc ? sfc.lang.startsWith('ts') : filePath.endsWith('.ts') || filePath.endsWith('.tsx');
+      const isJSX = sfc ? sfc.lang.endsWith('x') : filePath.endsWith('.jsx') || filePath.endsWith('.tsx');
       
       let ast;
       
@@ -181,7 +674,7 @@ export class CodeScanner {
       const analysis = {
         filePath,
         lines,
-        size: content.length,
+        size: fileContent.length,
         isTypeScript,
         isJSX,
         imports: [],
@@ -192,19 +685,51 @@ export class CodeScanner {
       };
 
       const self = this;
+      const addImport = (imp) => {
+        analysis.imports.push(imp);
+        self.addDependency(filePath, imp.source, imp);
+      };
+      // Imported bindings and the names used in type positions, to flag unused imports
+      const importBindings = [];
+      const typeReferences = new Set();
+      let hasJSX = false;
+      const collectTypeReference = (node) => {
+        while (node && (node.type === 'TSQualifiedName' || node.type === 'MemberExpression')) {
+          node = node.left || node.object;
+        }
+        if (node?.type === 'Identifier') typeReferences.add(node.name);
+      };
+
       traverseFunction(ast, {
         ImportDeclaration(path) {
           const node = path.node;
-          const importPath = node.source.value;
-          analysis.imports.push({
-            source: importPath,
-            specifiers: node.specifiers.map(spec => ({
-              type: spec.type,
-              local: spec.local?.name,
-              imported: spec.imported?.name || spec.local?.name
-            }))
+          const typeOnly = node.importKind === 'type' || node.importKind === 'typeof' ||
+            (node.specifiers.length > 0 && node.specifiers.every(spec => spec.importKind === 'type' || spec.importKind === 'typeof'));
+          const specifiers = node.specifiers.map(spec => ({
+            type: spec.type,
+            local: spec.local?.name,
+            imported: spec.imported?.name ?? spec.imported?.value ?? spec.local?.name,
+            ...((typeOnly || spec.importKind === 'type') && { typeOnly: true })
+          }));
+          specifiers.forEach(spec => importBindings.push({ spec, binding: path.scope.getBinding(spec.local) }));
+
+          addImport({
+            source: node.source.value,
+            specifiers,
+            line: node.loc?.start.line,
+            ...(typeOnly && { typeOnly: true }),
+            ...(node.specifiers.length === 0 && { sideEffect: true })
           });
-          self.addDependency(filePath, importPath);
+        },
+
+        // The classic JSX runtime uses React without naming it
+        'JSXElement|JSXFragment'() {
+          hasJSX = true;
+        },
+
+        'TSTypeReference|TSTypeQuery|TSExpressionWithTypeArguments'(path) {
+          const { node } = path;
+          collectTypeReference(node.typeName || node.exprName || node.expression);
         },
         
         // Add support for dynamic imports and CommonJS require
@@ -215,12 +740,12 @@ export class CodeScanner {
           if (node.callee.type === 'Import' && node.arguments.length > 0) {
             const importPath = node.arguments[0];
             if (importPath.type === 'StringLiteral') {
-              analysis.imports.push({
+              addImport({
                 source: importPath.value,
                 specifiers: [],
-                dynamic: true
+                dynamic: true,
+                line: node.loc?.start.line
               });
-              self.addDependency(filePath, importPath.value);
             }
           }
           
@@ -228,37 +753,96 @@ export class CodeScanner {
           if (node.callee.name === 'require' && node.arguments.length > 0) {
             const requirePath = node.arguments[0];
             if (requirePath.type === 'StringLiteral') {
-              analysis.imports.push({
+              addImport({
                 source: requirePath.value,
                 specifiers: [{
                   type: 'require',
                   local: 'require',
                   imported: requirePath.value
                 }],
-                commonjs: true
+                commonjs: true,
+                line: node.loc?.start.line
               });
-              self.addDependency(filePath, requirePath.value);
             }
           }
         },
         
         ExportNamedDeclaration(path) {
           const node = path.node;
+          const line = node.loc?.start.line;
           if (node.declaration) {
-            if (node.declaration.type === 'FunctionDeclaration') {
+            const declaration = node.declaration;
+            if (declaration.type === 'FunctionDeclaration') {
               analysis.exports.push({
                 type: 'function',
-                name: node.declaration.id?.name
+                name: declaration.id?.name,
+                line
               });
-            } else if (node.declaration.type === 'VariableDeclaration') {
-              node.declaration.declarations.forEach(decl => {
+            } else if (declaration.type === 'VariableDeclaration') {
+              declaration.declarations.forEach(decl => {
                 analysis.exports.push({
                   type: 'variable',
-                  name: decl.id?.name
+                  name: decl.id?.name,
+                  line
                 });
               });
+            } else if (declaration.type === 'ClassDeclaration') {
+              analysis.exports.push({ type: 'class', name: declaration.id?.name, line });
+            } else if (declaration.type === 'TSInterfaceDeclaration' || declaration.type === 'TSTypeAliasDeclaration') {
+              analysis.exports.push({ type: 'type', name: declaration.id?.name, line });
+            } else if (declaration.type === 'TSEnumDeclaration') {
+              analysis.exports.push({ type: 'enum', name: declaration.id?.name, line });
             }
           }
+
+          const source = node.source?.value;
+          node.specifiers.forEach(spec => {
+            const exported = spec.exported?.name ?? spec.exported?.value;
+            const local = spec.type === 'ExportNamespaceSpecifier' ? '*' : (spec.local?.name ?? spec.local?.value);
+            analysis.exports.push({
+              type: source ? 'reexport' : 'specifier',
+              name: exported,
+              local,
+              ...(source && { source }),
+              line
+            });
+          });
+
+          // Re-exports are imports too: the barrel depends on the module it forwards
+          if (source) {
+            const typeOnly = node.exportKind === 'type';
+            addImport({
+              source,
+              specifiers: node.specifiers.map(spec => ({
+                type: spec.type,
+                local: spec.exported?.name ?? spec.exported?.value,
+                imported: spec.type === 'ExportNamespaceSpecifier' ? '*' : (spec.local?.name ?? spec.local?.value),
+                ...((typeOnly || spec.exportKind === 'type') && { typeOnly: true })
+              })),
+              reexport: true,
+              line,
+              ...(typeOnly && { typeOnly: true })
+            });
+          }
+        },
+
+        ExportAllDeclaration(path) {
+          const node = path.node;
+          const source = node.source.value;
+          analysis.exports.push({
+            type: 'all',
+            name: node.exported?.name || '*',
+            source,
+            line: node.loc?.start.line
+          });
+          addImport({
+            source,
+            specifiers: [],
+            reexport: true,
+            exportAll: true,
+            line: node.loc?.start.line,
+            ...(node.exportKind === 'type' && { typeOnly: true })
+          });
         },
         
         ExportDefaultDeclaration(path) {
@@ -267,34 +851,21 @@ export class CodeScanner {
             analysis.exports.push({
               type: 'function',
               name: node.declaration.id.name,
-              default: true
+              default: true,
+              line: node.loc?.start.line
             });
           } else {
             analysis.exports.push({
               type: 'default',
-              name: 'default'
+              name: 'default',
+              line: node.loc?.start.line
             });
           }
         },
         
-        FunctionDeclaration(path) {
-          const node = path.node;
-          analysis.functions.push({
-            name: node.id?.name || '<anonymous>',
-            params: node.params.length,
-            line: node.loc?.start.line
-          });
-          analysis.complexity += self.calculateComplexity(node);
-        },
-        
-        ArrowFunctionExpression(path) {
-          const node = path.node;
-          analysis.functions.push({
-            name: '<arrow>',
-            params: node.params.length,
-            line: node.loc?.start.line
-          });
-          analysis.complexity += self.calculateComplexity(node);
+        // Declarations, expressions, arrows and methods alike
+        Function(path) {
+          analysis.functions.push(measureFunction(path));
         },
         
         VariableDeclarator(path) {
@@ -308,6 +879,39 @@ export class CodeScanner {
         }
       });
 
+      Object.assign(analysis, summarizeFunctions(analysis.functions));
+
+      if (this.options.security) {
+        analysis.security = checkSecurity(ast);
+      }
+
+      if (this.options.deadCode) {
+        analysis.deadCode = findDeadCode(ast, { references: new Set([...typeReferences, ...(sfc?.references || [])]) });
+      }
+
+      if (this.plugins?.active.length) {
+        const output = this.plugins.runVisitors(ast, filePath);
+        if (Object.keys(output).length > 0) analysis.plugins = output;
+      }
+
+      if (sfc) {
+        Object.assign(analysis, this.describeSFC(sfc, analysis));
+      }
+
+      const suppressions = findSuppressions(fileContent);
+      if (suppressions) {
+        analysis.suppressions = suppressions;
+      }
+
+      // Babel's scope does not count type annotations, or markup in components, as references
+      for (const { spec, binding } of importBindings) {
+        const jsxPragma = hasJSX && spec.local === 'React';
+        const markupReference = sfc?.references.has(spec.local);
+        if (binding && !binding.referenced && !typeReferences.has(spec.local) && !jsxPragma && !markupReference) {
+          spec.unused = true;
+        }
+      }
+
       return analysis;
     } catch (error) {
       console.error(`Error scanning file ${filePath}:`, error);
@@ -331,6 +935,9 @@ export class CodeScanner {
         scripts: pkg.scripts || {},
         main: pkg.main,
         module: pkg.module,
+        source: pkg.source,
+        browser: pkg.browser,
+        bin: pkg.bin,
         exports: pkg.exports,
         type: pkg.type || 'commonjs'
       };
@@ -340,52 +947,160 @@ export class CodeScanner {
     }
   }
 
-  addDependency(from, to) {
+  /**
+   * Dependencies declared by non-npm manifests, in packageInfo's shape
+   */
+  async analyzeManifests(rootPath) {
+    try {
+      return await new ManifestAnalyzer({ rootPath, excludePatterns: this.options.excludePatterns }).analyze();
+    } catch (error) {
+      console.warn('Manifest analysis failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record an edge for an import written in `from`. `imp` is the scanFile
+   * import entry; its bindings and flags are kept per edge.
+   */
+  addDependency(from, to, imp = null) {
+    if (typeof to !== 'string' || to.length === 0) return;
+
+    const resolved = this.resolveModulePath(to, from, imp);
+    if (!resolved) {
+      if (!this.unresolvedImports.some(entry => entry.file === from && entry.source === to)) {
+        this.unresolvedImports.push({ file: from, source: to });
+      }
+      return;
+    }
+
+    // A Go package or a Python `from pkg import a, b` can span several files
+    for (const target of Array.isArray(resolved) ? resolved : [resolved]) {
+      this.addEdge(from, target, to, imp);
+    }
+  }
+
+  addEdge(from, target, source, imp) {
     if (!this.dependencyGraph.has(from)) {
       this.dependencyGraph.set(from, new Set());
     }
-    this.dependencyGraph.get(from).add(to);
+    this.dependencyGraph.get(from).add(target);
+    this.recordImportSource(from, target, source, imp);
     this.metrics.dependencies++;
   }
 
-  resolveModulePath(importPath, fromFile) {
-    // Handle different types of imports
-    if (importPath.startsWith('.')) {
-      // Relative import - resolve relative to importing file
-      const fromDir = path.dirname(fromFile);
-      return path.resolve(fromDir, importPath);
-    } else if (importPath.startsWith('/')) {
-      // Absolute import - resolve relative to project root
-      return path.resolve(this.rootPath, importPath.slice(1));
-    } else if (importPath.startsWith('@')) {
-      // Alias import - try to resolve using common patterns
-      return this.resolveAlias(importPath, fromFile);
-    } else {
-      // External package - mark as external dependency
-      return `external:${importPath}`;
-    }
-  }
-
-  resolveAlias(aliasPath, fromFile) {
-    // Common alias patterns
-    const aliasMap = {
-      '@': 'src',
-      '~': '',
-      '@app': 'src/app',
-      '@components': 'src/components',
-      '@utils': 'src/utils',
-      '@types': 'src/types'
+  /**
+   * Component fields of a scanned .vue/.svelte file. Template components are
+   * matched to the script import that provides them; Svelte `export let`
+   * declarations in the instance script are props, not module exports.
+   */
+  describeSFC(sfc, analysis) {
+    const locals = new Map();
+    for (const imp of analysis.imports) {
+      for (const spec of imp.specifiers) {
+        if (spec.local) locals.set(spec.local, imp.source);
+      }
+    }
+
+    const templateComponents = sfc.components.map(({ name, line }) => {
+      const source = locals.get(name) ?? locals.get(componentName(name));
+      return { name, line, ...(source && { source }) };
+    });
+
+    const isProp = (entry) => sfc.framework === 'svelte' && entry.type === 'variable' &&
+      sfc.blocks.some(block => !block.module && entry.line >= block.line && entry.line <= block.endLine);
+
+    return {
+      exports: analysis.exports.filter(entry => !isProp(entry)),
+      sfc: {
+        framework: sfc.framework,
+        scripts: sfc.blocks,
+        templateComponents,
+        ...(sfc.framework === 'svelte' && { props: analysis.exports.filter(isProp).map(entry => entry.name) })
+      }
     };
+  }
+
+  /**
+   * Add edges for template components that are not imported by the component
+   * (globally registered or auto-imported), when exactly one scanned .vue or
+   * .svelte file has that name
+   */
+  linkTemplateComponents(results) {
+    const byName = new Map();
+    for (const result of results) {
+      if (!result.sfc) continue;
+      const name = componentName(path.basename(result.filePath).replace(SFC_FILE, ''));
+      byName.set(name, byName.has(name) ? null : result.filePath);
+    }
 
-    for (const [alias, target] of Object.entries(aliasMap)) {
-      if (aliasPath.startsWith(alias)) {
-        const relativePath = aliasPath.replace(alias, target);
-        return path.resolve(this.rootPath, relativePath);
+    for (const result of results) {
+      for (const component of result.sfc?.templateComponents || []) {
+        if (component.source) continue;
+        const target = byName.get(componentName(component.name));
+        if (target && target !== result.filePath) {
+          this.addEdge(result.filePath, target, component.name, {
+            source: component.name,
+            specifiers: [],
+            template: true,
+            line: component.line
+          });
+        }
       }
     }
+  }
+
+  recordImportSource(from, target, specifier, imp = null) {
+    if (!this.importSources.has(from)) {
+      this.importSources.set(from, new Map());
+    }
+    const targets = this.importSources.get(from);
+    if (!targets.has(target)) {
+      targets.set(target, new Set());
+    }
+    targets.get(target).add(specifier);
 
-    // Fallback to original path
-    return aliasPath;
+    if (imp) {
+      if (!this.edgeImports.has(from)) {
+        this.edgeImports.set(from, new Map());
+      }
+      const edges = this.edgeImports.get(from);
+      if (!edges.has(target)) {
+        edges.set(target, []);
+      }
+      edges.get(target).push(imp);
+    }
+  }
+
+  /**
+   * Resolve an import to an absolute file path (or several, for Python and
+   * Go), `external:<package>`, or null when a local import does not match
+   * any file
+   */
+  resolveModulePath(importPath, fromFile, imp = null) {
+    const languageResolver = this.languageResolvers[path.extname(fromFile)];
+    if (languageResolver) {
+      return languageResolver.resolve(importPath, fromFile, imp);
+    }
+    return this.resolver.resolve(importPath, fromFile);
+  }
+
+  /**
+   * Import resolvers for non-JS languages, by file extension
+   */
+  createLanguageResolvers(rootPath) {
+    return {
+      '.py': new PythonResolver({ rootPath }),
+      '.go': new GoResolver({ rootPath })
+    };
+  }
+
+  hasLanguageResolver(filePath) {
+    return Boolean(this.languageResolvers[path.extname(filePath)]);
+  }
+
+  isExternalDependency(target) {
+    return target.startsWith(EXTERNAL_PREFIX);
   }
 
   detectConflicts() {
@@ -399,16 +1114,211 @@ export class CodeScanner {
       });
     });
 
-    for (const [file, deps] of this.dependencyGraph.entries()) {
-      if (deps.size === 0) {
+    for (const result of this.fileResults.values()) {
+      (result.security || []).forEach(finding => {
+        this.metrics.conflicts.push({
+          type: 'security_issue',
+          severity: finding.severity,
+          message: `${finding.message} (${finding.rule})`,
+          files: [result.filePath],
+          line: finding.line,
+          rule: finding.rule
+        });
+      });
+
+      (result.deadCode || []).forEach(finding => {
+        this.metrics.conflicts.push({
+          type: 'dead_code',
+          severity: 'warning',
+          message: finding.message,
+          files: [result.filePath],
+          line: finding.line,
+          rule: finding.rule
+        });
+      });
+    }
+
+    this.pluginConflicts.forEach(conflict => this.metrics.conflicts.push(conflict));
+    (this.plugins?.plugins || []).filter(plugin => plugin.errorCount > 0).forEach(plugin => {
+      const [first] = plugin.errors;
+      this.metrics.conflicts.push({
+        type: 'plugin_error',
+        severity: 'warning',
+        message: plugin.status === 'failed'
+          ? `Plugin ${plugin.name} failed to load: ${first.message}`
+          : `Plugin ${plugin.name} threw on ${plugin.errorCount} file(s), first in ${first.where}: ${first.message}`,
+        files: [plugin.file],
+        rule: plugin.name
+      });
+    });
+
+    (this.secrets?.findings || []).forEach(finding => {
+      this.metrics.conflicts.push({
+        type: 'exposed_secret',
+        severity: finding.severity,
+        message: `${finding.label} committed to ${path.basename(finding.file)}: ${finding.masked}`,
+        files: [finding.file],
+        line: finding.line,
+        rule: finding.rule
+      });
+    });
+
+    this.clones.forEach(clone => {
+      const locations = clone.fragments.map(({ filePath, startLine, endLine }) => `${path.basename(filePath)}:${startLine}-${endLine}`);
+      this.metrics.conflicts.push({
+        type: 'duplicate_code',
+        severity: 'warning',
+        message: `Duplicate code (type-${clone.type}, ${clone.tokens} tokens) in ${locations.join(', ')}`,
+        files: Array.from(new Set(clone.fragments.map(fragment => fragment.filePath))),
+        line: clone.fragments[0].startLine,
+        clone
+      });
+    });
+
+    this.unresolvedImports.forEach(({ file, source }) => {
+      this.metrics.conflicts.push({
+        type: 'unresolved_import',
+        severity: 'warning',
+        message: `Cannot resolve "${source}" from ${path.basename(file)}`,
+        files: [file]
+      });
+    });
+
+    if (this.reachability) {
+      this.reachability.unreachableFiles.forEach(file => {
         this.metrics.conflicts.push({
-          type: 'isolated_file',
+          type: 'unreachable_file',
           severity: 'warning',
-          message: `File has no dependencies: ${path.basename(file)}`,
+          message: `File is not reachable from any entry point: ${path.basename(file)}`,
           files: [file]
         });
-      }
+      });
+
+      this.reachability.unusedExports.forEach(({ name, path: file, line }) => {
+        this.metrics.conflicts.push({
+          type: 'unused_export',
+          severity: 'info',
+          message: `Export "${name}" in ${path.basename(file)} is never imported`,
+          files: [file],
+          line
+        });
+      });
+    }
+
+    if (this.architecture) {
+      this.architecture.errors.forEach(message => {
+        this.metrics.conflicts.push({
+          type: 'architecture_violation',
+          severity: 'error',
+          message: `Invalid architecture rules: ${message}`,
+          files: [this.architecture.rulesPath]
+        });
+      });
+
+      this.architecture.violations.forEach(violation => {
+        this.metrics.conflicts.push({
+          type: 'architecture_violation',
+          severity: violation.severity,
+          message: violation.message,
+          files: this.isExternalDependency(violation.to) ? [violation.from] : [violation.from, violation.to],
+          rule: violation.rule
+        });
+      });
     }
+
+    if (this.packageDependencies) {
+      const { unused, missing, devInProduction } = this.packageDependencies;
+      const manifest = (packageJson) => path.relative(this.rootPath || '', packageJson) || 'package.json';
+
+      unused.forEach(({ name, packageJson }) => {
+        this.metrics.conflicts.push({
+          type: 'unused_dependency',
+          severity: 'warning',
+          message: `"${name}" is declared in ${manifest(packageJson)} dependencies but never imported`,
+          files: [packageJson]
+        });
+      });
+
+      missing.forEach(({ name, packageJson, workspace, files }) => {
+        this.metrics.conflicts.push({
+          type: 'missing_dependency',
+          severity: 'error',
+          message: `${workspace ? 'Workspace package' : 'Package'} "${name}" is imported but not declared in ${manifest(packageJson)}`,
+          files
+        });
+      });
+
+      devInProduction.forEach(({ name, packageJson, files }) => {
+        this.metrics.conflicts.push({
+          type: 'dev_dependency_in_production',
+          severity: 'warning',
+          message: `"${name}" is only a devDependency in ${manifest(packageJson)} but production code imports it`,
+          files
+        });
+      });
+    }
+
+    this.applySuppressions();
+  }
+
+  /**
+   * Drop conflicts accepted with manito-ignore comments or recorded in the
+   * baseline, keeping counts for the scan summary
+   */
+  applySuppressions() {
+    this.suppressed = { total: 0, comments: 0, baseline: 0, byType: {}, baselineFile: this.baseline?.file || null };
+    this.metrics.conflicts = this.metrics.conflicts.filter(conflict => {
+      const by = this.isSuppressedByComment(conflict) ? 'comments'
+        : this.baseline?.match(conflict) ? 'baseline'
+          : null;
+      if (by) this.countSuppressed(conflict, by);
+      return !by;
+    });
+  }
+
+  countSuppressed(conflict, by) {
+    this.suppressed[by]++;
+    this.suppressed.total++;
+    this.suppressed.byType[conflict.type] = (this.suppressed.byType[conflict.type] || 0) + 1;
+  }
+
+  /**
+   * A conflict is suppressed when a directive covers any of its locations:
+   * every fragment of a clone, otherwise its line in the first file, or
+   * file-wide directives in any of its files
+   */
+  isSuppressedByComment(conflict) {
+    const locations = conflict.clone
+      ? conflict.clone.fragments.map(fragment => [fragment.filePath, fragment.startLine])
+      : (conflict.files || []).map((file, index) => [file, index === 0 ? conflict.line : undefined]);
+
+    return locations.some(([file, line]) => {
+      const suppressions = this.fileResults.get(file)?.suppressions || this.configSuppressions.get(file);
+      return isSuppressed(suppressions, conflict, line);
+    });
+  }
+
+  async loadBaseline(rootPath) {
+    const file = this.options.baselineFile || path.join(rootPath, '.manito', 'baseline.json');
+    try {
+      return await Baseline.load(rootPath, file);
+    } catch (error) {
+      console.warn('Ignoring baseline:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the conflicts left after comment suppressions as the baseline,
+   * which leaves nothing new to report for this scan
+   */
+  async updateBaseline(rootPath) {
+    const file = this.options.baselineFile || path.join(rootPath, '.manito', 'baseline.json');
+    this.baseline = await Baseline.write(rootPath, file, this.metrics.conflicts);
+    this.metrics.conflicts.forEach(conflict => this.countSuppressed(conflict, 'baseline'));
+    this.metrics.conflicts = [];
+    this.suppressed.baselineFile = file;
+    console.log(`Baseline written to ${file} with ${this.suppressed.baseline} conflicts`);
   }
 
   findCircularDependencies() {
@@ -434,28 +1344,9 @@ export class CodeScanner {
       const deps = this.dependencyGraph.get(node);
       if (deps) {
         for (const dep of deps) {
-          // Only check relative dependencies (local files)
-          if (!dep.startsWith('.') && !dep.startsWith('/')) continue;
-          
-          // Resolve the dependency path relative to the current file
-          let resolvedDep = dep;
-          if (dep.startsWith('./')) {
-            // Find the file that would match this dependency
-            const currentDir = path.dirname(node);
-            const targetFile = path.resolve(currentDir, dep);
-            
-            // Check if this resolved path exists in our dependency graph
-            for (const graphNode of this.dependencyGraph.keys()) {
-              if (graphNode === targetFile || 
-                  graphNode.endsWith(dep.slice(2)) || // Remove ./
-                  path.basename(graphNode) === path.basename(dep)) {
-                resolvedDep = graphNode;
-                break;
-              }
-            }
-          }
-          
-          dfs(resolvedDep, [...pathArray]);
+          // Only local files can take part in a cycle
+          if (this.isExternalDependency(dep)) continue;
+          dfs(dep, [...pathArray]);
         }
       }
 
@@ -472,66 +1363,6 @@ export class CodeScanner {
     return cycles;
   }
 
-  calculateComplexity(node) {
-    if (!node || !node.body) {
-      return 1;
-    }
-    
-    let complexity = 1;
-    
-    try {
-      // Use a simpler approach that doesn't require scope traversal
-      const nodeType = node.type;
-      
-      // Count control flow statements
-      if (nodeType === 'IfStatement' || 
-          nodeType === 'WhileStatement' || 
-          nodeType === 'ForStatement' || 
-          nodeType === 'ForInStatement' || 
-          nodeType === 'ForOfStatement' || 
-          nodeType === 'SwitchCase' || 
-          nodeType === 'CatchClause' || 
-          nodeType === 'ConditionalExpression') {
-        complexity++;
-      }
-      
-      // For logical expressions, we need to traverse the node
-      if (nodeType === 'LogicalExpression') {
-        if (node.operator === '&&' || node.operator === '||') {
-          complexity++;
-        }
-      }
-      
-      // Recursively check child nodes
-      if (node.body) {
-        if (Array.isArray(node.body)) {
-          for (const child of node.body) {
-            complexity += this.calculateComplexity(child);
-          }
-        } else {
-          complexity += this.calculateComplexity(node.body);
-        }
-      }
-      
-      if (node.consequent) {
-        complexity += this.calculateComplexity(node.consequent);
-      }
-      
-      if (node.alternate) {
-        complexity += this.calculateComplexity(node.alternate);
-      }
-      
-      if (node.test) {
-        complexity += this.calculateComplexity(node.test);
-      }
-      
-    } catch (error) {
-      console.warn('Error calculating complexity:', error.message);
-    }
-    
-    return complexity;
-  }
-
   serializeDependencyGraph() {
     const graph = {};
     for (const [file, deps] of this.dependencyGraph.entries()) {
@@ -552,7 +1383,7 @@ export class CodeScanner {
       circularDependencies: this.findCircularDependencies(),
       isolatedFiles: [],
       highlyConnectedFiles: [],
-      duplicatePatterns: [],
+      duplicatePatterns: this.findDuplicatePatterns(),
       complexityHotspots: this.findComplexityHotspots(),
       dependencyChains: this.findDependencyChains()
     };
@@ -604,7 +1435,7 @@ export class CodeScanner {
           data: {
             dependencyType: this.getDependencyType(fromFile, toDep),
             isCircular: this.isCircularDependency(fromFile, toDep),
-            isExternal: !toDep.startsWith('.') && !toDep.startsWith('/'),
+            isExternal: this.isExternalDependency(toDep),
             importSpecifiers: this.getImportSpecifiers(fromFile, toDep)
           }
         };
@@ -642,8 +1473,9 @@ export class CodeScanner {
   }
 
   getFileAnalysis(filePath) {
-    // This would need to be implemented to return the analysis for a specific file
-    // For now, return a placeholder
+    if (this.fileResults.has(filePath)) {
+      return this.fileResults.get(filePath);
+    }
     return {
       size: 0,
       lines: 0,
@@ -675,11 +1507,14 @@ export class CodeScanner {
   }
 
   getDependencyType(fromFile, toDep) {
-    // Determine the type of dependency
-    if (toDep.startsWith('.')) return 'relative';
-    if (toDep.startsWith('/')) return 'absolute';
-    if (toDep.startsWith('@')) return 'alias';
-    return 'external';
+    // Targets are resolved, so classify by the specifier that was written
+    if (this.isExternalDependency(toDep)) return 'external';
+
+    const sources = this.importSources.get(fromFile)?.get(toDep);
+    const specifier = sources ? sources.values().next().value : '';
+    if (specifier.startsWith('.')) return 'relative';
+    if (specifier.startsWith('/')) return 'absolute';
+    return 'alias';
   }
 
   isCircularDependency(fromFile, toDep) {
@@ -689,9 +1524,69 @@ export class CodeScanner {
     );
   }
 
+  /**
+   * Bindings imported across an edge: [{ name, local, kind, typeOnly, unused }]
+   * where kind is default, named or namespace (`*`, require(), export *)
+   */
   getImportSpecifiers(fromFile, toDep) {
-    // This would need to be implemented to return the actual import specifiers
-    return [];
+    const imports = this.edgeImports.get(fromFile)?.get(toDep) || [];
+    const specifiers = [];
+    const seen = new Set();
+
+    const add = (entry) => {
+      const key = `${entry.kind}:${entry.name}:${entry.local}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      specifiers.push(entry);
+    };
+
+    for (const imp of imports) {
+      if (imp.exportAll) {
+        add({ name: '*', local: null, kind: 'namespace', typeOnly: Boolean(imp.typeOnly), unused: false });
+      }
+      for (const spec of imp.specifiers || []) {
+        let kind = 'named';
+        if (spec.type === 'ImportDefaultSpecifier' || spec.imported === 'default') kind = 'default';
+        if (spec.type === 'ImportNamespaceSpecifier' || spec.type === 'ExportNamespaceSpecifier' || spec.type === 'require') kind = 'namespace';
+
+        add({
+          name: kind === 'namespace' ? '*' : kind === 'default' ? 'default' : spec.imported,
+          local: spec.type === 'require' ? null : spec.local,
+          kind,
+          typeOnly: Boolean(spec.typeOnly),
+          unused: Boolean(spec.unused)
+        });
+      }
+    }
+
+    return specifiers;
+  }
+
+  /**
+   * Every internal and external edge with what crosses it. An edge is
+   * type-only or side-effect-only when every import along it is.
+   */
+  serializeEdges() {
+    const edges = [];
+    for (const [from, targets] of this.dependencyGraph.entries()) {
+      for (const to of targets) {
+        const imports = this.edgeImports.get(from)?.get(to) || [];
+        edges.push({
+          from,
+          to,
+          source: this.importSources.get(from)?.get(to)?.values().next().value || null,
+          specifiers: this.getImportSpecifiers(from, to),
+          typeOnly: imports.length > 0 && imports.every(imp => imp.typeOnly),
+          dynamic: imports.some(imp => imp.dynamic),
+          sideEffect: imports.length > 0 && imports.every(imp => imp.sideEffect),
+          reexport: imports.some(imp => imp.reexport),
+          commonjs: imports.some(imp => imp.commonjs),
+          template: imports.length > 0 && imports.every(imp => imp.template),
+          lines: imports.map(imp => imp.line).filter(Boolean)
+        });
+      }
+    }
+    return edges;
   }
 
   getExternalDependencies() {
@@ -699,11 +1594,12 @@ export class CodeScanner {
     
     for (const [file, deps] of this.dependencyGraph.entries()) {
       for (const dep of deps) {
-        if (!dep.startsWith('.') && !dep.startsWith('/') && !dep.startsWith('@')) {
-          if (!externalDeps.has(dep)) {
-            externalDeps.set(dep, []);
+        if (this.isExternalDependency(dep)) {
+          const packageName = dep.slice(EXTERNAL_PREFIX.length);
+          if (!externalDeps.has(packageName)) {
+            externalDeps.set(packageName, []);
           }
-          externalDeps.get(dep).push(file);
+          externalDeps.get(packageName).push(file);
         }
       }
     }
@@ -711,49 +1607,92 @@ export class CodeScanner {
     return externalDeps;
   }
 
+  /**
+   * Clone groups from the last scan (see CloneDetector)
+   */
   findDuplicatePatterns() {
-    const patterns = new Map();
-    const duplicates = [];
+    return this.clones;
+  }
 
-    for (const [file, deps] of this.dependencyGraph.entries()) {
-      const depArray = Array.from(deps).sort();
-      const pattern = depArray.join(',');
-      
-      if (!patterns.has(pattern)) {
-        patterns.set(pattern, []);
-      }
-      patterns.get(pattern).push(file);
+  async detectClones(results) {
+    try {
+      const clones = await new CloneDetector({ minTokens: this.options.minCloneTokens }).detect(results);
+      return this.redactSecrets(clones);
+    } catch (error) {
+      console.warn('Clone detection failed:', error.message);
+      return [];
     }
+  }
 
-    for (const [pattern, files] of patterns.entries()) {
-      if (files.length > 1) {
-        duplicates.push({
-          pattern: pattern.split(','),
-          files,
-          count: files.length
-        });
+  /**
+   * Scan sources and config files for committed secrets. Findings keep only
+   * the masked value; the raw ones stay in memory to redact clone fragments.
+   */
+  async scanSecrets(rootPath, results) {
+    try {
+      const scanner = new SecretScanner({
+        rootPath,
+        excludePatterns: this.options.excludePatterns,
+        allowlistFile: this.options.secretsAllowlistFile,
+        maxFileSize: this.options.maxFileSize
+      });
+      const { findings, suppressions, ...summary } = await scanner.scan(results);
+      this.configSuppressions = new Map(Object.entries(suppressions));
+
+      this.secretValues = new Map();
+      for (const { file, secret } of findings) {
+        if (!this.secretValues.has(file)) this.secretValues.set(file, []);
+        this.secretValues.get(file).push(secret);
       }
+      const stored = findings.map(finding => {
+        const { file, line, column, rule, label, severity, masked, fingerprint } = finding;
+        return { file, line, column, rule, label, severity, masked, fingerprint };
+      });
+      return { ...summary, findings: stored };
+    } catch (error) {
+      console.warn('Secret scanning failed:', error.message);
+      return null;
     }
+  }
 
-    return duplicates;
+  redactSecrets(clones) {
+    for (const clone of clones) {
+      for (const fragment of clone.fragments) {
+        for (const secret of this.secretValues.get(fragment.filePath) || []) {
+          fragment.code = fragment.code.split(secret).join(maskSecret(secret));
+        }
+      }
+    }
+    return clones;
   }
 
-  findComplexityHotspots() {
+  /**
+   * Functions over the cyclomatic or cognitive threshold, worst first
+   */
+  findComplexityHotspots(files = Array.from(this.fileResults.values())) {
+    const { cyclomatic, cognitive } = { ...DEFAULT_COMPLEXITY_THRESHOLDS, ...this.options.complexityThresholds };
     const hotspots = [];
-    
-    for (const [file, deps] of this.dependencyGraph.entries()) {
-      const analysis = this.getFileAnalysis(file);
-      if (analysis.complexity > 10) {
-        hotspots.push({
-          file,
-          complexity: analysis.complexity,
-          lines: analysis.lines,
-          functions: analysis.functions.length
-        });
+
+    for (const file of files) {
+      for (const fn of file.functions || []) {
+        // Regex fallback extractors do not measure functions
+        if (typeof fn.cognitive !== 'number') continue;
+        if (fn.complexity > cyclomatic || fn.cognitive > cognitive) {
+          hotspots.push({
+            file: file.filePath,
+            name: fn.name,
+            line: fn.line,
+            complexity: fn.complexity,
+            cognitive: fn.cognitive,
+            nesting: fn.nesting,
+            params: fn.params,
+            lines: fn.lines
+          });
+        }
       }
     }
 
-    return hotspots.sort((a, b) => b.complexity - a.complexity);
+    return hotspots.sort((a, b) => b.cognitive - a.cognitive || b.complexity - a.complexity);
   }
 
   findDependencyChains() {
@@ -802,6 +1741,8 @@ export class CodeScanner {
    * Detect JavaScript language variant
    */
   detectJSLanguage(filePath) {
+    if (filePath.endsWith('.vue')) return 'vue';
+    if (filePath.endsWith('.svelte')) return 'svelte';
     if (filePath.endsWith('.tsx')) return 'typescript-react';
     if (filePath.endsWith('.ts')) return 'typescript';
     if (filePath.endsWith('.jsx')) return 'javascript-react';
@@ -814,55 +1755,17 @@ export class CodeScanner {
   async scanMultiLanguageFile(filePath) {
     try {
       const analysis = await this.multiLangAnalyzer.analyzeFile(filePath);
+      const suppressions = findSuppressions(await fs.readFile(filePath, 'utf-8'));
       
       // Update metrics
       this.metrics.linesOfCode += analysis.lines;
       this.updateLanguageMetrics(analysis.language);
-      
-      // Convert to common format
-      return {
-        filePath: analysis.filePath,
-        language: analysis.language,
-        lines: analysis.lines,
-        size: analysis.size,
-        complexity: analysis.complexity,
-        imports: analysis.imports || analysis.uses || analysis.requires || [],
-        exports: analysis.exports || [],
-        functions: analysis.functions || analysis.methods || [],
-        classes: analysis.classes || [],
-        types: analysis.structs || analysis.interfaces || analysis.traits || [],
-        dependencies: analysis.dependencies || [],
-        metadata: {
-          isMultiLanguage: true,
-          originalAnalysis: analysis
-        }
-      };
-    } catch (error) {
-      console.warn(`Multi-language analysis failed for ${filePath}:`, error.message);
-      return null;
-    }
-  }
-
-  /**
-   * Detect JavaScript language variant
-   */
-  detectJSLanguage(filePath) {
-    if (filePath.endsWith('.tsx')) return 'typescript-react';
-    if (filePath.endsWith('.ts')) return 'typescript';
-    if (filePath.endsWith('.jsx')) return 'javascript-react';
-    return 'javascript';
-  }
 
-  /**
-   * Scan non-JavaScript files using multi-language analyzer
-   */
-  async scanMultiLanguageFile(filePath) {
-    try {
-      const analysis = await this.multiLangAnalyzer.analyzeFile(filePath);
-      
-      // Update metrics
-      this.metrics.linesOfCode += analysis.lines;
-      this.updateLanguageMetrics(analysis.language);
+      if (this.hasLanguageResolver(filePath)) {
+        for (const imp of analysis.imports || []) {
+          this.addDependency(filePath, imp.source, imp);
+        }
+      }
       
       // Convert to common format
       return {
@@ -871,14 +1774,19 @@ export class CodeScanner {
         lines: analysis.lines,
         size: analysis.size,
         complexity: analysis.complexity,
+        cognitiveComplexity: analysis.cognitiveComplexity,
+        maxFunctionComplexity: analysis.maxFunctionComplexity,
+        maxNesting: analysis.maxNesting,
         imports: analysis.imports || analysis.uses || analysis.requires || [],
         exports: analysis.exports || [],
         functions: analysis.functions || analysis.methods || [],
         classes: analysis.classes || [],
         types: analysis.structs || analysis.interfaces || analysis.traits || [],
         dependencies: analysis.dependencies || [],
+        ...(suppressions && { suppressions }),
         metadata: {
           isMultiLanguage: true,
+          parser: analysis.parser,
           originalAnalysis: analysis
         }
       };
@@ -896,4 +1804,20 @@ export default CodeScanner;
 // Export AI analysis services
 export { AIFileFormatter } from './ai-file-formatter.js';
 export { AIAnalysisService } from './ai-analysis-service.js';
-export { VisualizationConfig, VisualizationHelpers } from './visualization-config.js';
\ No newline at end of file
+export { VisualizationConfig, VisualizationHelpers } from './visualization-config.js';
+export { ModuleResolver } from './resolvers/module-resolver.js';
+export { PythonResolver } from './resolvers/python-resolver.js';
+export { GoResolver } from './resolvers/go-resolver.js';
+export { ScanCache, defaultCacheDir } from './performance/scan-cache.js';
+export { GitChangeDetector } from './vcs/git-change-detector.js';
+export { ReachabilityAnalyzer } from './analyzers/reachability-analyzer.js';
+export { ArchitectureRules } from './analyzers/architecture-rules.js';
+export { PackageDependencyAnalyzer } from './analyzers/package-dependency-analyzer.js';
+export { PackageGraphAnalyzer } from './analyzers/package-graph-analyzer.js';
+export { WorkspaceDetector } from './resolvers/workspace-detector.js';
+export { ManifestAnalyzer } from './analyzers/manifest-analyzer.js';
+export { checkSecurity, SECURITY_RULES } from './analyzers/security-rules.js';
+export { findDeadCode, DEAD_CODE_RULES } from './analyzers/dead-code.js';
+export { PluginHost } from './plugins/plugin-host.js';
+export { Baseline, findSuppressions } from './analyzers/suppressions.js';
+export { SecretScanner } from './analyzers/secret-scanner.js';
@@ -0,0 +1,146 @@
+/**
+ * Single-File Component Parser
+ * Splits Vue and Svelte components into what scanFile needs:
+ *
+ * - script: the <script> blocks as one source for Babel, with everything else
+ *   blanked out so lines and columns still point into the component
+ * - components: components used in the markup, as dependency candidates
+ * - references: identifiers the markup reads, so imports used only there are
+ *   not reported as unused
+ */
+
+export const SFC_FILE = /\.(vue|svelte)$/;
+
+const SCRIPT_BLOCK = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const STYLE_BLOCK = /<style\b[^>]*>[\s\S]*?<\/style\s*>/gi;
+const COMMENT = /<!--[\s\S]*?-->/g;
+const TAG = /<([A-Za-z][\w.:-]*)/g;
+const MUSTACHE = /\{([^{}]*)\}/g;
+// Vue directives and bindings: :prop, @event, #slot, v-if, v-bind:x
+const VUE_BINDING = /\s(?:[:@#]|v-)[\w:.[\]-]*\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+
+/**
+ * Parse a .vue or .svelte file
+ */
+export function parseSFC(content, filePath) {
+  const framework = filePath.endsWith('.svelte') ? 'svelte' : 'vue';
+  const script = [];
+  const blocks = [];
+  let markup = content;
+
+  for (const match of content.matchAll(SCRIPT_BLOCK)) {
+    const attributes = parseAttributes(match[1]);
+    const bodyStart = match.index + match[0].indexOf('>') + 1;
+    script.push([bodyStart, bodyStart + match[2].length]);
+    blocks.push({
+      lang: attributes.lang || 'js',
+      line: lineAt(content, bodyStart),
+      endLine: lineAt(content, bodyStart + match[2].length),
+      ...('setup' in attributes && { setup: true }),
+      // Svelte 4 `context="module"`, Svelte 5 `module`
+      ...((attributes.context === 'module' || 'module' in attributes) && { module: true })
+    });
+    markup = blank(markup, match.index, match.index + match[0].length);
+  }
+
+  for (const pattern of [STYLE_BLOCK, COMMENT]) {
+    markup = markup.replace(pattern, text => text.replace(/[^\n]/g, ' '));
+  }
+
+  const source = Array.from(content, (char, index) =>
+    char === '\n' || script.some(([start, end]) => index >= start && index < end) ? char : ' '
+  ).join('');
+
+  return {
+    framework,
+    script: source,
+    lang: pickLang(blocks),
+    blocks,
+    components: findComponents(markup, framework),
+    references: findReferences(markup, source, framework)
+  };
+}
+
+/**
+ * PascalCase name for a kebab-case component tag
+ */
+export function componentName(tag) {
+  return tag.replace(/(?:^|-)([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function findComponents(markup, framework) {
+  const components = new Map();
+  for (const match of markup.matchAll(TAG)) {
+    // <Form.Input> is the Input member of the Form binding
+    const tag = match[1].split('.')[0];
+    if (tag.includes(':')) continue; // svelte:component, svelte:self
+
+    const isComponent = /^[A-Z]/.test(tag) || (framework === 'vue' && tag.includes('-'));
+    if (isComponent && !components.has(tag)) {
+      components.set(tag, { name: tag, line: lineAt(markup, match.index) });
+    }
+  }
+  return Array.from(components.values());
+}
+
+function findReferences(markup, script, framework) {
+  const expressions = Array.from(markup.matchAll(MUSTACHE), match => match[1]);
+  if (framework === 'vue') {
+    for (const match of markup.matchAll(VUE_BINDING)) {
+      expressions.push(match[1] ?? match[2]);
+    }
+  }
+
+  const references = new Set();
+  for (const expression of expressions) {
+    for (const [word] of expression.matchAll(IDENTIFIER)) {
+      references.add(word);
+    }
+  }
+  for (const { name } of findComponents(markup, framework)) {
+    references.add(name);
+    references.add(componentName(name));
+  }
+
+  // $store reads the `store` binding, in markup and script alike
+  if (framework === 'svelte') {
+    for (const [word] of script.matchAll(IDENTIFIER)) {
+      if (word.startsWith('$')) references.add(word);
+    }
+    for (const word of Array.from(references)) {
+      if (/^\$[A-Za-z_]/.test(word)) references.add(word.slice(1));
+    }
+  }
+  return references;
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attributes[match[1]] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * ts wins over js and jsx over plain, across all blocks
+ */
+function pickLang(blocks) {
+  const langs = blocks.map(block => block.lang);
+  const typescript = langs.some(lang => lang.startsWith('ts'));
+  const jsx = langs.some(lang => lang.endsWith('x'));
+  return `${typescript ? 'ts' : 'js'}${jsx ? 'x' : ''}`;
+}
+
+function blank(text, start, end) {
+  return text.slice(0, start) + text.slice(start, end).replace(/[^\n]/g, ' ') + text.slice(end);
+}
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
@@ -1,86 +1,330 @@
 /**
- * Tree-sitter Parser Engine for Code Knowledge Graph
- * Provides multi-language AST parsing with symbol extraction
+ * Tree-sitter Parser Engine
+ * Multi-language AST parsing for the Code Knowledge Graph (extractSymbols) and
+ * for MultiLanguageAnalyzer (analyze), which reports imports, classes and
+ * per-function metrics in the same shape as the Babel path (see
+ * analyzers/function-complexity.js).
+ *
+ * Grammars are native modules loaded on first use; when one is missing the
+ * language has no parser, and analyze() returns null so the caller can fall
+ * back to regex extraction.
  */
 
-import Parser from 'tree-sitter';
-import JavaScript from 'tree-sitter-javascript';
-import TypeScript from 'tree-sitter-typescript';
-import Python from 'tree-sitter-python';
-import Go from 'tree-sitter-go';
-import Rust from 'tree-sitter-rust';
-import Java from 'tree-sitter-java';
 import fs from 'fs/promises';
+import path from 'path';
+import { summarizeFunctions } from '../analyzers/function-complexity.js';
+
+const LOGICAL_OPERATORS = ['&&', '||', '??', '?:', 'and', 'or'];
+const RUBY_LOADERS = ['require', 'require_relative', 'load'];
+const CONTAINER_FIELDS = ['name', 'left', 'pattern', 'declarator'];
+
+/**
+ * Grammars and extensions per language. Languages with `functions` are also
+ * analyzed: `functions` and `classes` map node types to the reported kind;
+ * the remaining lists drive the complexity walk. Grammars without field names
+ * (Kotlin) supply `name`, `params`, `alternative` and `operator` lookups
+ * instead.
+ */
+const LANGUAGES = {
+  javascript: {
+    grammar: () => import('tree-sitter-javascript'),
+    extensions: ['.js', '.jsx', '.mjs']
+  },
+  typescript: {
+    grammar: async () => (await import('tree-sitter-typescript')).default.typescript,
+    extensions: ['.ts']
+  },
+  tsx: {
+    grammar: async () => (await import('tree-sitter-typescript')).default.tsx,
+    extensions: ['.tsx']
+  },
+  python: {
+    grammar: () => import('tree-sitter-python'),
+    extensions: ['.py', '.pyw'],
+    functions: { function_definition: 'function', lambda: 'lambda' },
+    classes: { class_definition: 'class' },
+    imports: { import_statement: pythonImports, import_from_statement: pythonImports },
+    branches: ['if_statement'],
+    elseIfs: ['elif_clause'],
+    elses: ['else_clause'],
+    loops: ['for_statement', 'while_statement'],
+    catches: ['except_clause'],
+    switches: ['match_statement'],
+    cases: ['case_clause'],
+    ternaries: ['conditional_expression'],
+    logical: ['boolean_operator'],
+    calls: { call: 'function' },
+    yields: ['yield'],
+    selfParams: ['self', 'cls'],
+    constructors: ['__init__']
+  },
+  go: {
+    grammar: () => import('tree-sitter-go'),
+    extensions: ['.go'],
+    functions: { function_declaration: 'function', method_declaration: 'method', func_literal: 'lambda' },
+    classes: { type_spec: goTypeKind },
+    imports: { import_spec: goImports },
+    namespace: { types: ['package_clause'], key: 'package' },
+    branches: ['if_statement'],
+    loops: ['for_statement'],
+    switches: ['expression_switch_statement', 'type_switch_statement', 'select_statement'],
+    cases: ['expression_case', 'type_case', 'communication_case'],
+    logical: ['binary_expression'],
+    calls: { call_expression: 'function' }
+  },
+  rust: {
+    grammar: () => import('tree-sitter-rust'),
+    extensions: ['.rs'],
+    functions: { function_item: 'function', closure_expression: 'lambda' },
+    classes: { struct_item: 'struct', enum_item: 'enum', trait_item: 'trait', union_item: 'union' },
+    containers: { impl_item: 'type' },
+    imports: { use_declaration: rustImports },
+    branches: ['if_expression'],
+    elses: ['else_clause'],
+    loops: ['for_expression', 'while_expression', 'loop_expression'],
+    switches: ['match_expression'],
+    cases: ['match_arm'],
+    logical: ['binary_expression'],
+    calls: { call_expression: 'function' },
+    selfParams: ['self_parameter']
+  },
+  java: {
+    grammar: () => import('tree-sitter-java'),
+    extensions: ['.java'],
+    functions: { method_declaration: 'method', constructor_declaration: 'constructor', lambda_expression: 'lambda' },
+    classes: {
+      class_declaration: 'class',
+      interface_declaration: 'interface',
+      enum_declaration: 'enum',
+      record_declaration: 'record'
+    },
+    imports: { import_declaration: javaImports },
+    namespace: { types: ['package_declaration'], key: 'package' },
+    branches: ['if_statement'],
+    loops: ['for_statement', 'enhanced_for_statement', 'while_statement', 'do_statement'],
+    catches: ['catch_clause'],
+    switches: ['switch_expression', 'switch_statement'],
+    cases: ['switch_label'],
+    ternaries: ['ternary_expression'],
+    logical: ['binary_expression'],
+    calls: { method_invocation: 'name' }
+  },
+  cpp: {
+    grammar: () => import('tree-sitter-cpp'),
+    extensions: ['.cpp', '.cxx', '.cc', '.c', '.h', '.hpp'],
+    functions: { function_definition: 'function', lambda_expression: 'lambda' },
+    classes: { class_specifier: 'class', struct_specifier: 'struct', union_specifier: 'union' },
+    imports: { preproc_include: cppImports },
+    namespace: { types: ['namespace_definition'], key: 'namespaces', multiple: true },
+    branches: ['if_statement'],
+    elses: ['else_clause'],
+    loops: ['for_statement', 'for_range_loop', 'while_statement', 'do_statement'],
+    catches: ['catch_clause'],
+    switches: ['switch_statement'],
+    cases: ['case_statement'],
+    ternaries: ['conditional_expression'],
+    logical: ['binary_expression'],
+    calls: { call_expression: 'function' }
+  },
+  csharp: {
+    grammar: () => import('tree-sitter-c-sharp'),
+    extensions: ['.cs'],
+    functions: {
+      method_declaration: 'method',
+      constructor_declaration: 'constructor',
+      local_function_statement: 'function',
+      lambda_expression: 'lambda'
+    },
+    classes: {
+      class_declaration: 'class',
+      interface_declaration: 'interface',
+      struct_declaration: 'struct',
+      enum_declaration: 'enum',
+      record_declaration: 'record'
+    },
+    imports: { using_directive: csharpImports },
+    namespace: { types: ['namespace_declaration', 'file_scoped_namespace_declaration'], key: 'namespace' },
+    branches: ['if_statement'],
+    loops: ['for_statement', 'foreach_statement', 'while_statement', 'do_statement'],
+    catches: ['catch_clause'],
+    switches: ['switch_statement', 'switch_expression'],
+    cases: ['switch_section', 'switch_expression_arm'],
+    ternaries: ['conditional_expression'],
+    logical: ['binary_expression'],
+    calls: { invocation_expression: 'function' },
+    yields: ['yield_statement']
+  },
+  php: {
+    grammar: async () => (await import('tree-sitter-php')).default.php,
+    extensions: ['.php'],
+    functions: {
+      function_definition: 'function',
+      method_declaration: 'method',
+      anonymous_function_creation_expression: 'lambda',
+      anonymous_function: 'lambda',
+      arrow_function: 'lambda'
+    },
+    classes: {
+      class_declaration: 'class',
+      interface_declaration: 'interface',
+      trait_declaration: 'trait',
+      enum_declaration: 'enum'
+    },
+    imports: {
+      namespace_use_declaration: phpUseImports,
+      include_expression: phpIncludeImports,
+      include_once_expression: phpIncludeImports,
+      require_expression: phpIncludeImports,
+      require_once_expression: phpIncludeImports
+    },
+    namespace: { types: ['namespace_definition'], key: 'namespace' },
+    branches: ['if_statement'],
+    elseIfs: ['else_if_clause'],
+    elses: ['else_clause'],
+    loops: ['for_statement', 'foreach_statement', 'while_statement', 'do_statement'],
+    catches: ['catch_clause'],
+    switches: ['switch_statement', 'match_expression'],
+    cases: ['case_statement', 'match_conditional_expression'],
+    ternaries: ['conditional_expression'],
+    logical: ['binary_expression'],
+    calls: { function_call_expression: 'function' },
+    yields: ['yield_expression'],
+    constructors: ['__construct']
+  },
+  ruby: {
+    grammar: () => import('tree-sitter-ruby'),
+    extensions: ['.rb'],
+    // Blocks (items.each do ... end) stay part of their method
+    functions: { method: 'function', singleton_method: 'function', lambda: 'lambda' },
+    classes: { class: 'class', module: 'module' },
+    imports: { call: rubyImports },
+    branches: ['if', 'unless', 'if_modifier', 'unless_modifier'],
+    elseIfs: ['elsif'],
+    elses: ['else'],
+    loops: ['while', 'until', 'for', 'while_modifier', 'until_modifier'],
+    catches: ['rescue', 'rescue_modifier'],
+    switches: ['case', 'case_match'],
+    cases: ['when', 'in_clause'],
+    ternaries: ['conditional'],
+    logical: ['binary'],
+    calls: { call: 'method' },
+    constructors: ['initialize']
+  },
+  kotlin: {
+    grammar: () => import('tree-sitter-kotlin'),
+    extensions: ['.kt', '.kts'],
+    functions: {
+      function_declaration: 'function',
+      secondary_constructor: 'constructor',
+      anonymous_function: 'lambda',
+      lambda_literal: 'lambda'
+    },
+    classes: { class_declaration: kotlinClassKind, object_declaration: 'object' },
+    imports: { import_header: kotlinImports },
+    namespace: { types: ['package_header'], key: 'package' },
+    name: kotlinName,
+    params: kotlinParams,
+    alternative: kotlinAlternative,
+    operator: (node) => node.children.find(child => !child.isNamed)?.type,
+    branches: ['if_expression'],
+    loops: ['for_statement', 'while_statement', 'do_while_statement'],
+    catches: ['catch_block'],
+    switches: ['when_expression'],
+    cases: ['when_entry'],
+    logical: ['conjunction_expression', 'disjunction_expression', 'elvis_expression'],
+    calls: { call_expression: (node) => node.namedChildren[0] }
+  }
+};
 
 export class TreeSitterEngine {
   constructor() {
-    this.parsers = new Map();
-    this.languageConfigs = new Map();
-    this.initializeParsers();
+    this.parsers = new Map(); // language -> Promise<Parser | null>
   }
 
   /**
-   * Initialize parsers for all supported languages
+   * Languages with a grammar configured (not necessarily installed)
    */
-  initializeParsers() {
-    const languages = [
-      { name: 'javascript', parser: JavaScript, extensions: ['.js', '.jsx', '.mjs'] },
-      { name: 'typescript', parser: TypeScript.typescript, extensions: ['.ts'] },
-      { name: 'tsx', parser: TypeScript.tsx, extensions: ['.tsx'] },
-      { name: 'python', parser: Python, extensions: ['.py', '.pyw'] },
-      { name: 'go', parser: Go, extensions: ['.go'] },
-      { name: 'rust', parser: Rust, extensions: ['.rs'] },
-      { name: 'java', parser: Java, extensions: ['.java'] }
-    ];
-
-    for (const lang of languages) {
-      try {
-        const parser = new Parser();
-        parser.setLanguage(lang.parser);
-        
-        this.parsers.set(lang.name, parser);
-        this.languageConfigs.set(lang.name, {
-          extensions: lang.extensions,
-          parser: lang.parser
-        });
-        
-        console.log(`✅ Initialized ${lang.name} parser`);
-      } catch (error) {
-        console.warn(`⚠️ Failed to initialize ${lang.name} parser:`, error.message);
-      }
-    }
+  getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Check if language is supported
+   */
+  isLanguageSupported(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+  }
+
+  /**
+   * Whether analyze() reports metrics for the language
+   */
+  supportsAnalysis(language) {
+    return this.isLanguageSupported(language) && Boolean(LANGUAGES[language].functions);
   }
 
   /**
    * Detect language from file path
    */
   detectLanguage(filePath) {
-    const ext = filePath.split('.').pop()?.toLowerCase();
-    
-    for (const [language, config] of this.languageConfigs.entries()) {
-      if (config.extensions.some(e => e.includes(ext))) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    for (const [language, config] of Object.entries(LANGUAGES)) {
+      if (config.extensions.includes(ext)) {
         return language;
       }
     }
-    
+
     return null;
   }
 
+  async getParser(language) {
+    if (!this.parsers.has(language)) {
+      this.parsers.set(language, this.loadParser(language));
+    }
+    return this.parsers.get(language);
+  }
+
+  async loadParser(language) {
+    try {
+      const { default: Parser } = await import('tree-sitter');
+      const grammar = await LANGUAGES[language].grammar();
+      const parser = new Parser();
+      parser.setLanguage(grammar.default || grammar);
+      return parser;
+    } catch (error) {
+      console.warn(`tree-sitter grammar for ${language} unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parse source text. Returns null when the grammar cannot be loaded.
+   */
+  async parse(language, content) {
+    if (!this.isLanguageSupported(language)) return null;
+    const parser = await this.getParser(language);
+    if (!parser) return null;
+
+    // Strings over 32k need an explicit buffer size in node-tree-sitter
+    const tree = parser.parse(content, null, { bufferSize: Math.max(content.length * 2, 1024) });
+    // Loading the bindings a second time in one process (per-file module
+    // registries in test runners) leaves trees without a usable root node
+    return tree?.rootNode ? tree : null;
+  }
+
   /**
    * Parse file and return AST
    */
   async parseFile(filePath, language = null) {
     try {
       const detectedLanguage = language || this.detectLanguage(filePath);
-      
-      if (!detectedLanguage || !this.parsers.has(detectedLanguage)) {
+      const content = await fs.readFile(filePath, 'utf8');
+      const tree = detectedLanguage ? await this.parse(detectedLanguage, content) : null;
+
+      if (!tree) {
         throw new Error(`Unsupported language: ${detectedLanguage}`);
       }
 
-      const content = await fs.readFile(filePath, 'utf8');
-      const parser = this.parsers.get(detectedLanguage);
-      const tree = parser.parse(content);
-
       return {
         language: detectedLanguage,
         tree,
@@ -93,6 +337,70 @@ export class TreeSitterEngine {
     }
   }
 
+  /**
+   * Analyze source text. Returns null for languages without metrics or
+   * whose grammar cannot be loaded.
+   */
+  async analyze(language, content, filePath) {
+    if (!this.supportsAnalysis(language)) return null;
+    const tree = await this.parse(language, content);
+    if (!tree) return null;
+    const spec = LANGUAGES[language];
+    const imports = [];
+    const functions = [];
+    const classes = [];
+    const namespaces = [];
+    let parseErrors = 0;
+
+    const visit = (node) => {
+      const { type } = node;
+
+      if (type === 'ERROR') parseErrors++;
+      if (spec.functions[type]) functions.push(measureFunction(node, spec));
+      if (spec.classes[type]) {
+        const entry = describeClass(node, spec);
+        if (entry) classes.push(entry);
+      }
+      if (spec.imports[type]) {
+        imports.push(...spec.imports[type](node).map(entry => ({ ...entry, line: node.startPosition.row + 1 })));
+      }
+      if (spec.namespace?.types.includes(type)) {
+        const name = namespaceName(node);
+        if (name) namespaces.push(name);
+      }
+
+      for (const child of node.namedChildren) {
+        visit(child);
+      }
+    };
+    visit(tree.rootNode);
+
+    for (const entry of classes) {
+      entry.methods = functions
+        .filter(fn => fn.name.startsWith(`${entry.name}.`))
+        .map(fn => fn.name.slice(entry.name.length + 1));
+    }
+
+    const analysis = {
+      language,
+      filePath,
+      parser: 'tree-sitter',
+      lines: content.split('\n').length,
+      size: Buffer.byteLength(content, 'utf8'),
+      imports,
+      functions,
+      classes,
+      parseErrors,
+      ...summarizeFunctions(functions)
+    };
+
+    if (spec.namespace) {
+      analysis[spec.namespace.key] = spec.namespace.multiple ? namespaces : namespaces[0] || null;
+    }
+
+    return analysis;
+  }
+
   /**
    * Extract symbols from AST
    */
@@ -736,20 +1044,6 @@ export class TreeSitterEngine {
     return count;
   }
 
-  /**
-   * Get supported languages
-   */
-  getSupportedLanguages() {
-    return Array.from(this.parsers.keys());
-  }
-
-  /**
-   * Check if language is supported
-   */
-  isLanguageSupported(language) {
-    return this.parsers.has(language);
-  }
-
   /**
    * Get parser statistics
    */
@@ -757,7 +1051,486 @@ export class TreeSitterEngine {
     return {
       supportedLanguages: this.getSupportedLanguages(),
       totalParsers: this.parsers.size,
-      languageConfigs: Object.fromEntries(this.languageConfigs)
+      languageConfigs: Object.fromEntries(
+        Object.entries(LANGUAGES).map(([language, { extensions }]) => [language, { extensions }])
+      )
     };
   }
 }
+
+/**
+ * Same measurements as function-complexity.js measureFunction, over a
+ * tree-sitter node. Nested functions and classes are measured on their own.
+ */
+function measureFunction(fnNode, spec) {
+  const { name, kind } = describeFunction(fnNode, spec);
+  const shortName = name.split('.').pop();
+  const is = (list, type) => Boolean(list?.includes(type));
+
+  let cyclomatic = 1;
+  let cognitive = 0;
+  let maxNesting = 0;
+  let generator = false;
+
+  const alternativeOf = (node) => spec.alternative ? spec.alternative(node) : node.childForFieldName('alternative');
+  const operatorOf = (node) => spec.operator ? spec.operator(node) : node.childForFieldName('operator')?.type;
+
+  const isElseIf = (node) => {
+    const parent = node.parent;
+    if (!parent) return false;
+    if (is(spec.elses, parent.type)) return is(spec.branches, parent.parent?.type);
+    // Kotlin wraps the else branch in a body node
+    const owner = is(spec.branches, parent.type) ? parent : parent.parent;
+    return Boolean(owner && is(spec.branches, owner.type) && alternativeOf(owner)?.id === node.id);
+  };
+
+  const walk = (node, nesting) => {
+    for (const child of node.namedChildren) {
+      const { type } = child;
+      if (spec.functions[type] || spec.classes[type]) continue;
+
+      let nests = false;
+      if (is(spec.branches, type)) {
+        cyclomatic++;
+        if (isElseIf(child)) {
+          cognitive++;
+        } else {
+          cognitive += 1 + nesting;
+          nests = true;
+        }
+        // Go, Java and C# hang a bare block off `alternative` for else
+        const alternative = alternativeOf(child);
+        if (alternative && !is(spec.branches, alternative.type) &&
+            !is(spec.elses, alternative.type) && !is(spec.elseIfs, alternative.type)) {
+          cognitive++;
+        }
+      } else if (is(spec.elseIfs, type)) {
+        cyclomatic++;
+        cognitive++;
+      } else if (is(spec.elses, type)) {
+        const wrapsIf = child.namedChildren.some(inner => is(spec.branches, inner.type));
+        const parentType = child.parent?.type;
+        // Ruby hangs the final else off the last elsif
+        if ((is(spec.branches, parentType) || is(spec.elseIfs, parentType)) && !wrapsIf) cognitive++;
+      } else if (is(spec.loops, type) || is(spec.catches, type) || is(spec.ternaries, type)) {
+        cyclomatic++;
+        cognitive += 1 + nesting;
+        nests = true;
+      } else if (is(spec.switches, type)) {
+        cognitive += 1 + nesting;
+        nests = true;
+      } else if (is(spec.cases, type)) {
+        if (!isDefaultCase(child)) cyclomatic++;
+      } else if (is(spec.logical, type)) {
+        const operator = operatorOf(child);
+        if (LOGICAL_OPERATORS.includes(operator)) {
+          cyclomatic++;
+          // a && b && c counts once; each switch of operator counts again
+          const parent = child.parent;
+          if (parent.type !== type || operatorOf(parent) !== operator) {
+            cognitive++;
+          }
+        }
+      } else if (spec.calls?.[type]) {
+        const callee = typeof spec.calls[type] === 'function'
+          ? spec.calls[type](child)
+          : child.childForFieldName(spec.calls[type]);
+        if (callee?.text === shortName) {
+          cognitive++; // recursion
+        }
+      } else if (is(spec.yields, type)) {
+        generator = true;
+      }
+
+      const depth = nests ? nesting + 1 : nesting;
+      maxNesting = Math.max(maxNesting, depth);
+      walk(child, depth);
+    }
+  };
+  walk(fnNode, 0);
+
+  const line = fnNode.startPosition.row + 1;
+  const endLine = fnNode.endPosition.row + 1;
+
+  return {
+    name,
+    kind,
+    line,
+    endLine,
+    params: countParams(fnNode, spec, kind),
+    lines: endLine - line + 1,
+    complexity: cyclomatic,
+    cognitive,
+    nesting: maxNesting,
+    async: fnNode.children.some(child =>
+      child.type === 'async' || (/modifier/.test(child.type) && /\b(async|suspend)\b/.test(child.text))),
+    generator
+  };
+}
+
+function isDefaultCase(node) {
+  // default:, case _:, _ =>, Kotlin's else ->
+  const first = node.child(0)?.type;
+  return first === 'default' || first === 'else' || /^(default\b|(case\s+)?_\s*(=>|:))/.test(node.text);
+}
+
+/**
+ * Name and kind of a function node. Methods are prefixed with their class
+ * (or Go receiver / Rust impl type) like the Babel path does.
+ */
+function describeFunction(node, spec) {
+  let kind = spec.functions[node.type];
+  let name = node.type === 'function_definition' && node.childForFieldName('declarator')
+    ? cppFunctionName(node)
+    : nodeName(node, spec);
+
+  if (kind === 'lambda') {
+    return { name: contextName(node) || '<lambda>', kind };
+  }
+  if (!name) return { name: '<anonymous>', kind };
+
+  let owner = null;
+  if (node.type === 'method_declaration' && node.childForFieldName('receiver')) {
+    // Go: func (s *Server) Handle()
+    owner = typeName(node.childForFieldName('receiver').descendantsOfType('type_identifier')[0]?.text);
+  } else if (name.includes('::')) {
+    // C++: int Server::handle() { }
+    const parts = name.split('::');
+    name = parts.pop();
+    owner = parts.pop();
+  } else {
+    owner = enclosingType(node, spec);
+  }
+
+  if (owner) {
+    if (kind === 'function') kind = 'method';
+    if (spec.constructors?.includes(name) || name === owner) kind = 'constructor';
+    return { name: `${owner}.${name}`, kind };
+  }
+  return { name, kind };
+}
+
+function cppFunctionName(node) {
+  let declarator = node.childForFieldName('declarator');
+  while (declarator && declarator.type !== 'function_declarator') {
+    declarator = declarator.childForFieldName('declarator') ||
+      declarator.namedChildren.find(child => /declarator/.test(child.type));
+  }
+  return declarator?.childForFieldName('declarator')?.text || null;
+}
+
+/**
+ * Class, struct, impl or trait that directly owns a function node
+ */
+function enclosingType(node, spec) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (spec.functions[parent.type]) return null;
+    if (spec.classes[parent.type] || spec.containers?.[parent.type]) {
+      const field = spec.containers?.[parent.type] || 'name';
+      return typeName(nodeName(parent, spec, field));
+    }
+  }
+  return null;
+}
+
+function nodeName(node, spec, field = 'name') {
+  return spec.name ? spec.name(node) : node.childForFieldName(field)?.text || null;
+}
+
+function typeName(text) {
+  // Strip generics: Box<T> -> Box
+  return text ? text.replace(/<.*$/s, '').trim() : null;
+}
+
+/**
+ * Variable a lambda is assigned to: f = lambda x: x, let f = |x| x, ...
+ */
+function contextName(node) {
+  let current = node;
+  let parent = node.parent;
+  while (parent && (parent.type === 'expression_list' || parent.type === 'parenthesized_expression')) {
+    current = parent;
+    parent = parent.parent;
+  }
+  if (!parent) return null;
+
+  for (const field of CONTAINER_FIELDS) {
+    const target = parent.childForFieldName(field);
+    if (target && target.id !== current.id) {
+      // Go: f := func() {} puts both sides in expression lists
+      return (target.type === 'expression_list' ? target.namedChildren[0] : target)?.text || null;
+    }
+  }
+  // Kotlin: val f = { x -> x } has no field names
+  return parent.type === 'property_declaration'
+    ? parent.namedChildren.find(child => child.type === 'variable_declaration')?.text || null
+    : null;
+}
+
+function countParams(node, spec, kind) {
+  if (spec.params) return spec.params(node);
+  let params = node.childForFieldName('parameters');
+  if (!params) {
+    // C++ keeps parameters on the (function) declarator
+    const declarator = node.type === 'function_definition'
+      ? node.descendantsOfType('function_declarator')[0]
+      : node.childForFieldName('declarator');
+    params = declarator?.childForFieldName('parameters');
+  }
+  if (!params) return 0;
+  // Java x -> x, C# x => x: a lone parameter instead of a list
+  if (params.namedChildCount === 0) return /^(identifier|implicit_parameter)$/.test(params.type) ? 1 : 0;
+
+  let count = 0;
+  params.namedChildren.forEach((param, index) => {
+    // Skip comments, Python's bare * and /, and C's f(void)
+    if (param.type === 'comment' || /separator/.test(param.type) || param.text === 'void') return;
+    if (spec.selfParams?.includes(param.type)) return;
+    if (index === 0 && kind !== 'function' && kind !== 'lambda' && spec.selfParams?.includes(param.text)) return;
+    // Go: func f(a, b int) declares two parameters
+    const names = param.type === 'parameter_declaration' && param.childrenForFieldName
+      ? param.childrenForFieldName('name').length
+      : 0;
+    count += Math.max(names, 1);
+  });
+  return count;
+}
+
+function describeClass(node, spec) {
+  const kind = typeof spec.classes[node.type] === 'function'
+    ? spec.classes[node.type](node)
+    : spec.classes[node.type];
+  const name = nodeName(node, spec);
+  // C/C++ `struct Point p;` names a type without defining one
+  if (!kind || !name || (/_specifier$/.test(node.type) && !node.childForFieldName('body'))) return null;
+
+  const line = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+  return { name, kind, line, endLine, lines: endLine - line + 1, methods: [] };
+}
+
+function goTypeKind(node) {
+  const type = node.childForFieldName('type')?.type;
+  if (type === 'struct_type') return 'struct';
+  if (type === 'interface_type') return 'interface';
+  return 'type';
+}
+
+function kotlinClassKind(node) {
+  if (node.children.some(child => child.type === 'interface')) return 'interface';
+  if (node.children.some(child => child.type === 'enum')) return 'enum';
+  return 'class';
+}
+
+function kotlinName(node) {
+  if (node.type === 'secondary_constructor') return 'constructor';
+  return node.namedChildren.find(child => child.type === 'simple_identifier' || child.type === 'type_identifier')?.text || null;
+}
+
+function kotlinParams(node) {
+  const list = node.namedChildren.find(child =>
+    child.type === 'function_value_parameters' || child.type === 'lambda_parameters');
+  // Default values sit next to their parameter, not inside it
+  return list ? list.namedChildren.filter(child => /^(parameter|variable_declaration|multi_variable_declaration)$/.test(child.type)).length : 0;
+}
+
+/**
+ * Kotlin's else branch is the body after the `else` keyword; else-if bodies
+ * are unwrapped to the nested if_expression
+ */
+function kotlinAlternative(node) {
+  const index = node.children.findIndex(child => child.type === 'else');
+  const body = index === -1 ? null : node.children[index + 1];
+  if (!body) return null;
+  const inner = body.namedChildren;
+  return inner.length === 1 && inner[0].type === 'if_expression' ? inner[0] : body;
+}
+
+function namespaceName(node) {
+  const name = node.childForFieldName('name') || node.namedChildren.find(child => /identifier|name/.test(child.type));
+  return name ? name.text : null;
+}
+
+// Import extractors return { source, specifiers } entries using the Babel
+// specifier types, so getImportSpecifiers() reads them like JS imports
+
+function namespaceSpecifier(local) {
+  return { type: 'ImportNamespaceSpecifier', imported: '*', local };
+}
+
+function namedSpecifier(imported, local = imported) {
+  return { type: 'ImportSpecifier', imported, local };
+}
+
+function pythonImports(node) {
+  const names = node.childrenForFieldName('name');
+
+  if (node.type === 'import_statement') {
+    // import a.b as c, d
+    return names.map(name => {
+      const aliased = name.type === 'aliased_import';
+      const source = aliased ? name.childForFieldName('name').text : name.text;
+      const local = aliased ? name.childForFieldName('alias').text : source.split('.')[0];
+      return { source, specifiers: [namespaceSpecifier(local)] };
+    });
+  }
+
+  // from .a import b as c, d / from a import *
+  const source = node.childForFieldName('module_name')?.text || '';
+  const specifiers = node.namedChildren.some(child => child.type === 'wildcard_import')
+    ? [namespaceSpecifier(null)]
+    : names.map(name => name.type === 'aliased_import'
+      ? namedSpecifier(name.childForFieldName('name').text, name.childForFieldName('alias').text)
+      : namedSpecifier(name.text));
+  return [{ source, specifiers, relative: source.startsWith('.') }];
+}
+
+function goImports(node) {
+  const source = node.childForFieldName('path')?.text.slice(1, -1);
+  if (!source) return [];
+  const alias = node.childForFieldName('name');
+
+  // import _ "pkg" runs init() only; import . "pkg" merges the namespace
+  if (alias?.type === 'blank_identifier') return [{ source, specifiers: [], sideEffect: true }];
+  const local = alias ? (alias.type === 'dot' ? null : alias.text) : source.split('/').pop();
+  return [{ source, specifiers: [namespaceSpecifier(local)] }];
+}
+
+function rustImports(node) {
+  const entries = [];
+  const expand = (tree, prefix) => {
+    switch (tree.type) {
+      case 'scoped_use_list': {
+        const path = tree.childForFieldName('path');
+        const next = path ? `${prefix}${path.text}::` : prefix;
+        expand(tree.childForFieldName('list'), next);
+        break;
+      }
+      case 'use_list':
+        tree.namedChildren.forEach(child => expand(child, prefix));
+        break;
+      case 'use_as_clause': {
+        const path = `${prefix}${tree.childForFieldName('path').text}`;
+        entries.push({ source: path, specifiers: [namedSpecifier(path.split('::').pop(), tree.childForFieldName('alias').text)] });
+        break;
+      }
+      case 'use_wildcard': {
+        const path = tree.namedChildren[0]?.text;
+        entries.push({ source: path ? `${prefix}${path}` : prefix.replace(/::$/, ''), specifiers: [namespaceSpecifier(null)] });
+        break;
+      }
+      default: {
+        const path = `${prefix}${tree.text}`;
+        const last = path.split('::').pop();
+        entries.push({ source: path, specifiers: [namedSpecifier(last === 'self' ? path.split('::').slice(-2)[0] : last)] });
+      }
+    }
+  };
+
+  const argument = node.childForFieldName('argument');
+  if (argument) expand(argument, '');
+  return entries;
+}
+
+function javaImports(node) {
+  const path = node.namedChildren.find(child => child.type === 'scoped_identifier' || child.type === 'identifier');
+  if (!path) return [];
+  const isStatic = node.children.some(child => child.type === 'static');
+  const wildcard = node.namedChildren.some(child => child.type === 'asterisk');
+
+  return [{
+    source: path.text,
+    specifiers: [wildcard ? namespaceSpecifier(null) : namedSpecifier(path.text.split('.').pop())],
+    ...(isStatic && { static: true })
+  }];
+}
+
+function cppImports(node) {
+  const path = node.childForFieldName('path');
+  if (!path) return [];
+  // #include <vector> searches system paths; #include "a.h" starts next to the file
+  const system = path.type === 'system_lib_string';
+  return [{ source: path.text.slice(1, -1), specifiers: [], sideEffect: true, system }];
+}
+
+function csharpImports(node) {
+  const alias = node.childForFieldName('name');
+  const target = node.namedChildren.find(child => child.id !== alias?.id && child.type !== 'comment');
+  if (!target) return [];
+  const isStatic = node.children.some(child => child.type === 'static');
+  return [{
+    source: target.text,
+    specifiers: [namespaceSpecifier(alias ? alias.text : null)],
+    ...(isStatic && { static: true })
+  }];
+}
+
+function phpUseImports(node) {
+  const entries = [];
+  const clauseImport = (clause, prefix) => {
+    const path = clause.namedChildren.find(child => child.type !== 'namespace_aliasing_clause');
+    if (!path) return;
+    const source = `${prefix}${path.text}`.replace(/^\\/, '');
+    const alias = clause.namedChildren.find(child => child.type === 'namespace_aliasing_clause')?.namedChildren[0]?.text;
+    const imported = source.split('\\').pop();
+    entries.push({ source, specifiers: [namedSpecifier(imported, alias || imported)] });
+  };
+
+  const group = node.namedChildren.find(child => child.type === 'namespace_use_group');
+  if (group) {
+    // use App\Models\{Post, Comment as C};
+    const prefix = node.namedChildren.find(child => child.type === 'namespace_name')?.text || '';
+    group.namedChildren.forEach(clause => clauseImport(clause, prefix ? `${prefix}\\` : ''));
+  } else {
+    node.namedChildren
+      .filter(child => child.type === 'namespace_use_clause')
+      .forEach(clause => clauseImport(clause, ''));
+  }
+  return entries;
+}
+
+function phpIncludeImports(node) {
+  const argument = node.namedChildren[0];
+  if (!argument) return [];
+  const literal = (target) => (target?.type === 'string' || target?.type === 'encapsed_string')
+    ? target.text.slice(1, -1)
+    : null;
+
+  // include 'a.php'; require __DIR__ . '/a.php';
+  let source = literal(argument);
+  if (!source && argument.type === 'binary_expression' && argument.childForFieldName('left')?.text === '__DIR__') {
+    const rest = literal(argument.childForFieldName('right'));
+    source = rest ? `.${rest.startsWith('/') ? '' : '/'}${rest}` : null;
+  }
+  return source ? [{ source, specifiers: [], sideEffect: true }] : [];
+}
+
+function rubyImports(node) {
+  const method = node.childForFieldName('method')?.text;
+  if (!RUBY_LOADERS.includes(method) || node.childForFieldName('receiver')) return [];
+
+  // Only literal paths can be followed: require "a/#{b}" cannot
+  const argument = node.childForFieldName('arguments')?.namedChildren[0];
+  if (argument?.type !== 'string' || argument.namedChildren.some(child => child.type !== 'string_content')) return [];
+  const source = argument.text.slice(1, -1);
+  if (!source) return [];
+
+  // require_relative 'helper' starts next to the file like ./helper
+  if (method === 'require_relative') {
+    return [{ source: source.startsWith('.') ? source : `./${source}`, specifiers: [], sideEffect: true, relative: true }];
+  }
+  return [{ source, specifiers: [], sideEffect: true }];
+}
+
+function kotlinImports(node) {
+  const source = node.namedChildren.find(child => child.type === 'identifier')?.text;
+  if (!source) return [];
+  if (node.namedChildren.some(child => child.type === 'wildcard_import')) {
+    return [{ source, specifiers: [namespaceSpecifier(null)] }];
+  }
+  const alias = node.namedChildren.find(child => child.type === 'import_alias')?.namedChildren[0]?.text;
+  const imported = source.split('.').pop();
+  return [{ source, specifiers: [namedSpecifier(imported, alias || imported)] }];
+}
+
+export default TreeSitterEngine;
@@ -4,8 +4,10 @@
  */
 
 import { Worker } from 'worker_threads';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ScanCache } from './scan-cache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -18,12 +20,13 @@ export class LargeCodebaseOptimizer {
       timeoutPerFile: options.timeoutPerFile || 5000, // 5 seconds
       enableStreaming: options.enableStreaming !== false,
       enableCaching: options.enableCaching !== false,
+      scanCache: null, // ScanCache instance shared with the scanner
       ...options
     };
 
     this.workers = [];
     this.activeJobs = new Map();
-    this.cache = new Map();
+    this.cache = this.options.scanCache;
     this.metrics = {
       filesProcessed: 0,
       totalFiles: 0,
@@ -59,7 +62,9 @@ export class LargeCodebaseOptimizer {
       const file = files[i];
       
       try {
-        const result = await scanner.scanFile(file);
+        const result = this.cache && this.options.enableCaching
+          ? await scanner.scanFileWithCache(file, this.cache)
+          : await scanner.scanFile(file);
         if (result) {
           results.push(result);
         }
@@ -290,34 +295,31 @@ export class LargeCodebaseOptimizer {
   }
 
   /**
-   * Cache management for repeated scans
+   * Cache management for repeated scans, backed by the on-disk ScanCache
    */
-  getCachedResult(filePath, lastModified) {
-    if (!this.options.enableCaching) return null;
+  async getCachedResult(filePath) {
+    if (!this.options.enableCaching || !this.cache) return null;
 
-    const cacheKey = `${filePath}:${lastModified}`;
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached) {
+    const cached = await this.cache.get(filePath);
+    if (cached.hit) {
       this.metrics.cacheHits++;
-      return cached;
+      return cached.result;
     }
-    
+
     this.metrics.cacheMisses++;
     return null;
   }
 
-  setCachedResult(filePath, lastModified, result) {
-    if (!this.options.enableCaching) return;
+  async setCachedResult(filePath, result) {
+    if (!this.options.enableCaching || !this.cache) return;
 
-    const cacheKey = `${filePath}:${lastModified}`;
-    this.cache.set(cacheKey, result);
-
-    // Limit cache size
-    if (this.cache.size > 10000) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
+    const content = await fs.readFile(filePath);
+    const stats = await fs.stat(filePath);
+    this.cache.set(filePath, {
+      hash: ScanCache.hashContent(content),
+      mtimeMs: stats.mtimeMs,
+      size: stats.size
+    }, result);
   }
 
   /**
@@ -336,7 +338,9 @@ export class LargeCodebaseOptimizer {
    */
   async cleanup() {
     await this.terminateWorkers();
-    this.cache.clear();
+    if (this.cache) {
+      await this.cache.save();
+    }
     this.activeJobs.clear();
   }
 }
@@ -0,0 +1,201 @@
+/**
+ * Incremental Scan Cache
+ * Persists per-file scan results on disk keyed by path and content hash,
+ * so repeated scans only re-parse files that actually changed
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Bump whenever the shape of CodeScanner.scanFile results changes
+export const CACHE_VERSION = 10;
+
+/**
+ * Where a root's cache lives unless a cacheDir is given: a directory per root
+ * under $MANITO_CACHE_DIR, else $XDG_CACHE_HOME/manito or ~/.cache/manito,
+ * so scans never write into the tree they read
+ */
+export function defaultCacheDir(rootPath) {
+  const base = process.env.MANITO_CACHE_DIR ||
+    path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'manito');
+  const root = path.resolve(rootPath);
+  const key = crypto.createHash('sha1').update(root).digest('hex').slice(0, 12);
+  return path.join(base, `${path.basename(root) || 'root'}-${key}`);
+}
+
+export class ScanCache {
+  constructor(options = {}) {
+    this.options = {
+      cacheDir: null,
+      fileName: 'scan-cache.json',
+      version: CACHE_VERSION,
+      ...options
+    };
+
+    if (!this.options.cacheDir) {
+      throw new Error('ScanCache requires a cacheDir');
+    }
+
+    this.cachePath = path.join(this.options.cacheDir, this.options.fileName);
+    this.entries = new Map();
+    this.seen = new Set();
+    this.dirty = false;
+    this.stats = {
+      hits: 0,
+      misses: 0
+    };
+  }
+
+  /**
+   * Load cached entries from disk; a missing or stale cache starts empty
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+      if (data.version === this.options.version && data.entries) {
+        this.entries = new Map(Object.entries(data.entries));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable scan cache ${this.cachePath}:`, error.message);
+      }
+      this.entries = new Map();
+    }
+    return this;
+  }
+
+  /**
+   * Look up a file. Unchanged mtime and size is a hit without reading the file;
+   * otherwise the content hash decides. Misses return a fingerprint for `set`.
+   */
+  async get(filePath) {
+    this.seen.add(filePath);
+
+    const stats = await fs.stat(filePath);
+    const entry = this.entries.get(filePath);
+
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      this.stats.hits++;
+      return { hit: true, result: entry.result };
+    }
+
+    const hash = ScanCache.hashContent(await fs.readFile(filePath));
+    const fingerprint = { hash, mtimeMs: stats.mtimeMs, size: stats.size };
+
+    if (entry && entry.hash === hash) {
+      // Touched but not edited - refresh the fast-path fields only
+      this.entries.set(filePath, { ...entry, ...fingerprint });
+      this.dirty = true;
+      this.stats.hits++;
+      return { hit: true, result: entry.result };
+    }
+
+    this.stats.misses++;
+    return { hit: false, fingerprint };
+  }
+
+  /**
+   * The cached result of an unchanged file, or null. Unlike get, the lookup
+   * is not counted and the file is not marked as seen.
+   */
+  async peek(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry) return null;
+
+    const stats = await fs.stat(filePath);
+    if (entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return entry.result;
+    }
+    return entry.hash === ScanCache.hashContent(await fs.readFile(filePath)) ? entry.result : null;
+  }
+
+  set(filePath, fingerprint, result) {
+    this.entries.set(filePath, { ...fingerprint, result });
+    this.seen.add(filePath);
+    this.dirty = true;
+  }
+
+  delete(filePath) {
+    if (this.entries.delete(filePath)) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Entries written during this session, for handing back from worker threads
+   */
+  exportEntries() {
+    const entries = {};
+    for (const filePath of this.seen) {
+      if (this.entries.has(filePath)) {
+        entries[filePath] = this.entries.get(filePath);
+      }
+    }
+    return entries;
+  }
+
+  importEntries(entries = {}) {
+    for (const [filePath, entry] of Object.entries(entries)) {
+      this.entries.set(filePath, entry);
+      this.seen.add(filePath);
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Write the cache to disk. With `prune`, entries for files not seen in this
+   * scan are dropped, which is only correct after a full scan.
+   */
+  async save({ prune = false } = {}) {
+    if (prune) {
+      for (const filePath of this.entries.keys()) {
+        if (!this.seen.has(filePath)) {
+          this.entries.delete(filePath);
+          this.dirty = true;
+        }
+      }
+    }
+
+    if (!this.dirty) return false;
+
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    // Concurrent scans of one root each write their own temp file; the last rename wins
+    const tempPath = `${this.cachePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({
+      version: this.options.version,
+      updatedAt: new Date().toISOString(),
+      entries: Object.fromEntries(this.entries)
+    }));
+    await fs.rename(tempPath, this.cachePath);
+
+    this.dirty = false;
+    return true;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.seen.clear();
+    this.dirty = false;
+    await fs.rm(this.cachePath, { force: true });
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: true,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size,
+      cachePath: this.cachePath
+    };
+  }
+
+  static hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+}
+
+export default ScanCache;
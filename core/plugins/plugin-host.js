@@ -0,0 +1,278 @@
+/**
+ * Plugin Host
+ * Loads project plugins from <rootPath>/.manito/plugins and runs them during
+ * a scan. A plugin is an ES module whose default export (or a function
+ * returning it) looks like:
+ *
+ *   export default {
+ *     name: 'no-console-in-services',
+ *     // Babel visitors, run on every JavaScript/TypeScript file
+ *     visitor: {
+ *       CallExpression(path, context) { ... }
+ *     },
+ *     // Runs on every file result, any language, after scanFile
+ *     async analyzeFile(file, context) { ... }
+ *   };
+ *
+ * `context` carries filePath, relativePath and rootPath, plus:
+ * - report({ type, severity, message, line, rule }) to add a conflict
+ * - setMetric(name, value) and incrementMetric(name, by = 1) for custom
+ *   metrics, summed over files when numeric
+ *
+ * A plugin that fails to load, or throws on a file, is recorded and skipped;
+ * the scan and the other plugins carry on.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import traverse from '@babel/traverse';
+
+const traverseFunction = traverse.default || traverse;
+
+const PLUGIN_FILE = /\.(js|mjs|cjs)$/;
+const SEVERITIES = new Set(['error', 'warning', 'info']);
+// Errors kept per plugin; the rest are only counted
+const MAX_ERRORS = 20;
+
+export class PluginHost {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      pluginDir: null, // Defaults to <rootPath>/.manito/plugins
+      ...options
+    };
+    this.pluginDir = this.options.pluginDir ||
+      (this.options.rootPath ? path.join(this.options.rootPath, '.manito', 'plugins') : null);
+    this.plugins = [];
+    this.fingerprint = null;
+  }
+
+  /**
+   * Import every plugin file. Content hashes go into the import URL so edited
+   * plugins are reloaded by long-running servers, and into `fingerprint` so
+   * cached scan results made with other plugins are not reused.
+   */
+  async load() {
+    this.plugins = [];
+    let entries = [];
+    try {
+      entries = (await fs.readdir(this.pluginDir)).filter(name => PLUGIN_FILE.test(name)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read plugin directory ${this.pluginDir}:`, error.message);
+      }
+    }
+
+    const hashes = [];
+    for (const entry of entries) {
+      const file = path.join(this.pluginDir, entry);
+      const record = { name: entry.replace(PLUGIN_FILE, ''), file, hooks: [], status: 'loaded', errors: [], errorCount: 0, conflicts: 0, metrics: {} };
+      this.plugins.push(record);
+
+      try {
+        const hash = crypto.createHash('sha1').update(await fs.readFile(file)).digest('hex');
+        hashes.push(`${entry}:${hash}`);
+        const module = await import(`${pathToFileURL(file).href}?v=${hash}`);
+        let definition = module.default ?? module;
+        if (typeof definition === 'function') {
+          definition = await definition({ rootPath: this.options.rootPath });
+        }
+        this.register(record, definition);
+      } catch (error) {
+        record.status = 'failed';
+        this.recordError(record, 'load', error);
+        console.warn(`Plugin ${entry} failed to load:`, error.message);
+      }
+    }
+
+    this.fingerprint = hashes.length > 0
+      ? crypto.createHash('sha1').update(hashes.join('\n')).digest('hex').slice(0, 12)
+      : null;
+    return this;
+  }
+
+  register(record, definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Plugin must export an object, or a function returning one');
+    }
+    if (definition.name !== undefined) record.name = String(definition.name);
+    if (this.plugins.some(other => other !== record && other.name === record.name && other.definition)) {
+      throw new Error(`Another plugin is already named "${record.name}"`);
+    }
+
+    if (definition.visitor !== undefined) {
+      if (typeof definition.visitor !== 'object' || definition.visitor === null) {
+        throw new Error('visitor must be an object of Babel visitor functions');
+      }
+      record.hooks.push('visitor');
+    }
+    if (definition.analyzeFile !== undefined) {
+      if (typeof definition.analyzeFile !== 'function') {
+        throw new Error('analyzeFile must be a function');
+      }
+      record.hooks.push('analyzeFile');
+    }
+    if (record.hooks.length === 0) {
+      throw new Error('Plugin has neither a visitor nor an analyzeFile hook');
+    }
+    record.definition = definition;
+  }
+
+  get active() {
+    return this.plugins.filter(plugin => plugin.definition);
+  }
+
+  /**
+   * Run visitor plugins over one file's AST. Returns per-plugin output to
+   * store on the file result, so cached files keep their plugin findings:
+   * { [name]: { conflicts, metrics, error? } }
+   */
+  runVisitors(ast, filePath) {
+    const output = {};
+    for (const plugin of this.active) {
+      if (!plugin.definition.visitor) continue;
+
+      const { context, collected } = this.createContext(filePath);
+      try {
+        traverseFunction(ast, wrapVisitor(plugin.definition.visitor, collected), undefined, context);
+      } catch (error) {
+        collected.error = error;
+      }
+      if (collected.error || collected.conflicts.length > 0 || Object.keys(collected.metrics).length > 0) {
+        output[plugin.name] = toOutput(collected);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Run analyzeFile hooks on a file result. Returns the same shape as runVisitors.
+   */
+  async runFileHooks(file) {
+    const output = {};
+    for (const plugin of this.active) {
+      if (!plugin.definition.analyzeFile) continue;
+
+      const { context, collected } = this.createContext(file.filePath);
+      try {
+        await plugin.definition.analyzeFile(file, context);
+      } catch (error) {
+        collected.error = error;
+      }
+      output[plugin.name] = toOutput(collected);
+    }
+    return output;
+  }
+
+  /**
+   * Fold one file's plugin output into the run records, and return its
+   * conflicts tagged with the plugin that raised them
+   */
+  collect(filePath, output = {}) {
+    const conflicts = [];
+    for (const [name, { conflicts: raised = [], metrics = {}, error }] of Object.entries(output)) {
+      const plugin = this.active.find(entry => entry.name === name);
+      if (!plugin) continue;
+
+      if (error) this.recordError(plugin, this.relativePath(filePath), { message: error });
+      plugin.conflicts += raised.length;
+      for (const [metric, value] of Object.entries(metrics)) {
+        plugin.metrics[metric] = typeof value === 'number' && typeof plugin.metrics[metric] === 'number'
+          ? plugin.metrics[metric] + value
+          : value;
+      }
+      conflicts.push(...raised.map(conflict => ({ ...conflict, plugin: name })));
+    }
+    return conflicts;
+  }
+
+  /**
+   * What ran, for the scan result
+   */
+  summarize() {
+    return this.plugins.map(({ name, file, hooks, status, conflicts, metrics, errors, errorCount }) => ({
+      name,
+      file,
+      hooks,
+      status: status === 'failed' ? 'failed' : errorCount > 0 ? 'errors' : 'ran',
+      conflicts,
+      metrics,
+      errors,
+      errorCount
+    }));
+  }
+
+  createContext(filePath) {
+    const collected = { conflicts: [], metrics: {}, error: null };
+    const context = {
+      filePath,
+      relativePath: this.relativePath(filePath),
+      rootPath: this.options.rootPath,
+      report: (conflict = {}) => {
+        collected.conflicts.push({
+          type: String(conflict.type || 'custom_rule'),
+          severity: SEVERITIES.has(conflict.severity) ? conflict.severity : 'warning',
+          message: String(conflict.message ?? ''),
+          files: Array.isArray(conflict.files) ? conflict.files : [filePath],
+          ...(conflict.line !== undefined && { line: conflict.line }),
+          ...(conflict.rule !== undefined && { rule: String(conflict.rule) })
+        });
+      },
+      setMetric: (name, value) => {
+        collected.metrics[name] = value;
+      },
+      incrementMetric: (name, by = 1) => {
+        collected.metrics[name] = (collected.metrics[name] || 0) + by;
+      }
+    };
+    return { context, collected };
+  }
+
+  recordError(plugin, where, error) {
+    plugin.errorCount++;
+    if (plugin.errors.length < MAX_ERRORS) {
+      plugin.errors.push({ where, message: error.message });
+    }
+  }
+
+  relativePath(filePath) {
+    return this.options.rootPath ? path.relative(this.options.rootPath, filePath) : filePath;
+  }
+}
+
+function toOutput({ conflicts, metrics, error }) {
+  return { conflicts, metrics, ...(error && { error: error.message ?? String(error) }) };
+}
+
+/**
+ * Catch errors inside a plugin's visitor functions, so a throwing plugin
+ * stops its own traversal of the file and nothing else
+ */
+function wrapVisitor(visitor, collected) {
+  const wrap = (fn) => function (path, state) {
+    if (collected.error) return;
+    try {
+      fn.call(this, path, state);
+    } catch (error) {
+      collected.error = error;
+      path.stop();
+    }
+  };
+
+  const wrapped = {};
+  for (const [key, handler] of Object.entries(visitor)) {
+    if (typeof handler === 'function') {
+      wrapped[key] = wrap(handler);
+    } else if (handler && typeof handler === 'object') {
+      wrapped[key] = {
+        ...(handler.enter && { enter: wrap(handler.enter) }),
+        ...(handler.exit && { exit: wrap(handler.exit) })
+      };
+    }
+  }
+  return wrapped;
+}
+
+export default PluginHost;
@@ -0,0 +1,141 @@
+/**
+ * Go Resolver
+ * Resolves Go import paths to the files of the imported package using the
+ * nearest go.mod: paths under its module path (or a local `replace`) map to
+ * directories in the project, required modules and the standard library are
+ * external.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EXTERNAL_PREFIX } from './module-resolver.js';
+
+export class GoResolver {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      ...options
+    };
+    this.rootPath = this.options.rootPath ? path.resolve(this.options.rootPath) : null;
+    this.modCache = new Map(); // dir -> parsed go.mod | null
+    this.packageCache = new Map(); // dir -> package files
+  }
+
+  /**
+   * Resolve an import path written in `fromFile`. A Go import names a package,
+   * so local imports resolve to every non-test .go file in its directory.
+   * Returns those files, `external:<module>` for dependencies and the standard
+   * library, or null when a local package has no files.
+   */
+  resolve(specifier, fromFile) {
+    if (typeof specifier !== 'string' || specifier.length === 0) return null;
+
+    // GOPATH-era relative imports
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      return this.packageFiles(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    const mod = this.findGoMod(path.dirname(fromFile));
+    if (mod) {
+      const local = this.matchModule(specifier, mod.module, mod.dir) ||
+        mod.replacements.map(({ from, dir }) => this.matchModule(specifier, from, dir)).find(Boolean);
+      if (local) return this.packageFiles(local);
+
+      const required = mod.requires
+        .filter(name => specifier === name || specifier.startsWith(`${name}/`))
+        .sort((a, b) => b.length - a.length)[0];
+      if (required) return `${EXTERNAL_PREFIX}${required}`;
+    }
+
+    return `${EXTERNAL_PREFIX}${specifier}`;
+  }
+
+  /**
+   * Directory for `specifier` when it lives under module path `modulePath`
+   */
+  matchModule(specifier, modulePath, dir) {
+    if (!modulePath) return null;
+    if (specifier === modulePath) return dir;
+    if (specifier.startsWith(`${modulePath}/`)) {
+      return path.join(dir, ...specifier.slice(modulePath.length + 1).split('/'));
+    }
+    return null;
+  }
+
+  packageFiles(dir) {
+    if (this.packageCache.has(dir)) {
+      return this.packageCache.get(dir);
+    }
+
+    let files = [];
+    try {
+      files = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && entry.name.endsWith('.go') && !entry.name.endsWith('_test.go'))
+        .map(entry => path.join(dir, entry.name))
+        .sort();
+    } catch {
+      // not a directory
+    }
+
+    const resolved = files.length === 0 ? null : files.length === 1 ? files[0] : files;
+    this.packageCache.set(dir, resolved);
+    return resolved;
+  }
+
+  /**
+   * Nearest go.mod at or above `dir`, within the scanned root
+   */
+  findGoMod(dir) {
+    if (this.modCache.has(dir)) {
+      return this.modCache.get(dir);
+    }
+
+    let mod = null;
+    const modPath = path.join(dir, 'go.mod');
+    try {
+      mod = parseGoMod(fs.readFileSync(modPath, 'utf-8'), dir);
+    } catch {
+      const parent = path.dirname(dir);
+      mod = parent !== dir && this.isWithinRoot(parent) ? this.findGoMod(parent) : null;
+    }
+
+    this.modCache.set(dir, mod);
+    return mod;
+  }
+
+  isWithinRoot(dir) {
+    if (!this.rootPath) return true;
+    const relative = path.relative(this.rootPath, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
+
+/**
+ * module path, required module paths and local replace directives
+ */
+export function parseGoMod(content, dir) {
+  const source = content.replace(/\/\/.*$/gm, '');
+  const module = source.match(/^\s*module\s+"?([^\s"]+)"?/m)?.[1] || null;
+
+  const directives = (keyword) => {
+    const lines = [];
+    for (const match of source.matchAll(new RegExp(`^\\s*${keyword}\\s*\\(([^)]*)\\)`, 'gm'))) {
+      lines.push(...match[1].split('\n'));
+    }
+    for (const match of source.matchAll(new RegExp(`^\\s*${keyword}\\s+([^(\\s].*)$`, 'gm'))) {
+      lines.push(match[1]);
+    }
+    return lines.map(line => line.trim()).filter(Boolean);
+  };
+
+  const requires = directives('require').map(line => line.split(/\s+/)[0]);
+  const replacements = directives('replace')
+    .map(line => line.match(/^(\S+)(?:\s+\S+)?\s*=>\s*(\S+)/))
+    // Only replacements with a local directory point into the project
+    .filter(match => match && /^\.{1,2}\//.test(match[2]))
+    .map(match => ({ from: match[1], dir: path.resolve(dir, match[2]) }));
+
+  return { module, dir, requires, replacements };
+}
+
+export default GoResolver;
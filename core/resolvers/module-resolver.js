@@ -0,0 +1,484 @@
+/**
+ * Module Resolver
+ * Resolves import specifiers to real files using tsconfig/jsconfig paths and baseUrl,
+ * package.json exports/imports maps, extension probing and directory index files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+
+export const EXTERNAL_PREFIX = 'external:';
+
+const DEFAULT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+const DEFAULT_CONDITIONS = ['source', 'import', 'require', 'node', 'default'];
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// TypeScript ESM sources import their siblings with the emitted extension
+const TS_EXTENSION_ALIASES = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+export class ModuleResolver {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      extensions: DEFAULT_EXTENSIONS,
+      conditions: DEFAULT_CONDITIONS,
+      workspacePackages: [], // [{ name, dir }] from WorkspaceDetector
+      ...options
+    };
+    this.rootPath = this.options.rootPath ? path.resolve(this.options.rootPath) : null;
+    this.statCache = new Map();
+    this.configCache = new Map();
+    this.packageCache = new Map();
+    this.workspacePackages = new Map(
+      this.options.workspacePackages.map(({ name, dir }) => [name, path.resolve(dir)])
+    );
+  }
+
+  /**
+   * Resolve a specifier imported from `fromFile`.
+   * Returns an absolute file path, `external:<package>` for packages and builtins,
+   * or null when a local import cannot be matched to a file.
+   */
+  resolve(specifier, fromFile) {
+    if (typeof specifier !== 'string' || specifier.length === 0) {
+      return null;
+    }
+
+    const request = specifier.replace(/[?#].*$/, '') || specifier;
+    const fromDir = path.dirname(fromFile);
+
+    if (this.isBuiltin(request)) {
+      return `${EXTERNAL_PREFIX}${this.getPackageName(request.replace(/^node:/, ''))}`;
+    }
+
+    if (this.isRelative(request)) {
+      return this.resolveAsFileOrDirectory(path.resolve(fromDir, request));
+    }
+
+    if (request.startsWith('/')) {
+      if (this.rootPath) {
+        const fromRoot = this.resolveAsFileOrDirectory(path.join(this.rootPath, request));
+        if (fromRoot) return fromRoot;
+      }
+      return this.resolveAsFileOrDirectory(request);
+    }
+
+    if (request.startsWith('#')) {
+      return this.resolvePackageImports(request, fromDir);
+    }
+
+    const fromConfig = this.resolveWithConfig(request, fromDir);
+    if (fromConfig) return fromConfig;
+
+    const selfReference = this.resolveSelfReference(request, fromDir);
+    if (selfReference) return selfReference;
+
+    const workspacePackage = this.resolveWorkspacePackage(request);
+    if (workspacePackage) return workspacePackage;
+
+    return `${EXTERNAL_PREFIX}${this.getPackageName(request)}`;
+  }
+
+  isRelative(specifier) {
+    return specifier === '.' || specifier === '..' ||
+           specifier.startsWith('./') || specifier.startsWith('../');
+  }
+
+  isBuiltin(specifier) {
+    if (specifier.startsWith('node:')) return true;
+    return builtinModules.includes(specifier) ||
+           builtinModules.includes(specifier.split('/')[0]);
+  }
+
+  getPackageName(specifier) {
+    const segments = specifier.split('/');
+    if (specifier.startsWith('@') && segments.length > 1) {
+      return `${segments[0]}/${segments[1]}`;
+    }
+    return segments[0];
+  }
+
+  /**
+   * Probe a candidate path the way bundlers do: exact file, added extensions,
+   * TypeScript extension aliases, then the directory's package.json and index files
+   */
+  resolveAsFileOrDirectory(candidate) {
+    const file = this.resolveAsFile(candidate);
+    if (file) return file;
+
+    if (this.getStat(candidate) === 'dir') {
+      const pkg = this.readPackageJson(candidate);
+      const entry = pkg && (pkg.source || pkg.module || pkg.main);
+      if (entry) {
+        const entryPath = path.resolve(candidate, entry);
+        const fromEntry = this.resolveBuildOutputSource(candidate, entryPath) || this.resolveAsFile(entryPath);
+        if (fromEntry) return fromEntry;
+      }
+
+      for (const ext of this.options.extensions) {
+        const index = path.join(candidate, `index${ext}`);
+        if (this.getStat(index) === 'file') return index;
+      }
+    }
+
+    return null;
+  }
+
+  resolveAsFile(candidate) {
+    if (this.getStat(candidate) === 'file') return candidate;
+
+    for (const ext of this.options.extensions) {
+      if (this.getStat(candidate + ext) === 'file') return candidate + ext;
+    }
+
+    const ext = path.extname(candidate);
+    for (const alias of TS_EXTENSION_ALIASES[ext] || []) {
+      const aliased = candidate.slice(0, -ext.length) + alias;
+      if (this.getStat(aliased) === 'file') return aliased;
+    }
+
+    return null;
+  }
+
+  /**
+   * tsconfig/jsconfig `paths` first, then `baseUrl`, using the nearest config to the importer
+   */
+  resolveWithConfig(specifier, fromDir) {
+    const config = this.findCompilerConfig(fromDir);
+    if (!config) return null;
+
+    if (config.paths) {
+      const match = this.matchPathPattern(specifier, Object.keys(config.paths));
+      if (match) {
+        for (const substitution of config.paths[match.pattern]) {
+          const target = substitution.replace('*', match.wildcard);
+          const resolved = this.resolveAsFileOrDirectory(path.resolve(config.pathsBase, target));
+          if (resolved) return resolved;
+        }
+      }
+    }
+
+    if (config.baseUrl) {
+      return this.resolveAsFileOrDirectory(path.resolve(config.baseUrl, specifier));
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the matching pattern the way TypeScript does: exact match wins,
+   * otherwise the wildcard pattern with the longest prefix
+   */
+  matchPathPattern(specifier, patterns) {
+    let best = null;
+
+    for (const pattern of patterns) {
+      const starIndex = pattern.indexOf('*');
+      if (starIndex === -1) {
+        if (pattern === specifier) return { pattern, wildcard: '' };
+        continue;
+      }
+
+      const prefix = pattern.slice(0, starIndex);
+      const suffix = pattern.slice(starIndex + 1);
+      if (specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+          (!best || prefix.length > best.prefixLength)) {
+        best = {
+          pattern,
+          prefixLength: prefix.length,
+          wildcard: specifier.slice(prefix.length, specifier.length - suffix.length)
+        };
+      }
+    }
+
+    return best;
+  }
+
+  findCompilerConfig(dir) {
+    if (this.configCache.has(dir)) {
+      return this.configCache.get(dir);
+    }
+
+    let config = null;
+    for (const name of CONFIG_FILES) {
+      const configPath = path.join(dir, name);
+      if (this.getStat(configPath) === 'file') {
+        config = this.loadCompilerConfig(configPath, new Set());
+        break;
+      }
+    }
+
+    if (!config) {
+      const parent = path.dirname(dir);
+      config = parent !== dir && this.isWithinRoot(parent) ? this.findCompilerConfig(parent) : null;
+    }
+
+    this.configCache.set(dir, config);
+    return config;
+  }
+
+  loadCompilerConfig(configPath, seen) {
+    if (seen.has(configPath)) return null;
+    seen.add(configPath);
+
+    let raw;
+    try {
+      raw = parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`Could not read ${configPath}:`, error.message);
+      return null;
+    }
+
+    const configDir = path.dirname(configPath);
+    const parents = [].concat(raw.extends || [])
+      .map(ext => this.resolveConfigExtends(ext, configDir))
+      .filter(Boolean)
+      .map(parentPath => this.loadCompilerConfig(parentPath, seen))
+      .filter(Boolean);
+
+    // Later entries in an `extends` array override earlier ones
+    let inherited = { baseUrl: null, paths: null, pathsBase: null };
+    for (const parent of parents) {
+      inherited = {
+        baseUrl: parent.baseUrl || inherited.baseUrl,
+        paths: parent.paths || inherited.paths,
+        pathsBase: parent.paths ? parent.pathsBase : inherited.pathsBase
+      };
+    }
+
+    const compilerOptions = raw.compilerOptions || {};
+    const baseUrl = compilerOptions.baseUrl
+      ? path.resolve(configDir, compilerOptions.baseUrl)
+      : inherited.baseUrl;
+    const paths = compilerOptions.paths || inherited.paths;
+    const pathsDir = compilerOptions.paths ? configDir : inherited.pathsBase;
+
+    return {
+      configPath,
+      baseUrl,
+      paths,
+      pathsBase: baseUrl || pathsDir || configDir
+    };
+  }
+
+  resolveConfigExtends(ext, configDir) {
+    if (typeof ext !== 'string') return null;
+
+    const candidates = this.isRelative(ext) || path.isAbsolute(ext)
+      ? [path.resolve(configDir, ext)]
+      : [path.join(configDir, 'node_modules', ext), path.join(this.rootPath || configDir, 'node_modules', ext)];
+
+    for (const candidate of candidates) {
+      for (const file of [candidate, `${candidate}.json`, path.join(candidate, 'tsconfig.json')]) {
+        if (this.getStat(file) === 'file') return file;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * `#internal` specifiers resolve through the nearest package.json `imports` map
+   */
+  resolvePackageImports(specifier, fromDir) {
+    const scope = this.findPackageScope(fromDir);
+    if (!scope || !scope.pkg.imports) return null;
+
+    return this.resolvePackageMap(scope.dir, scope.pkg.imports, specifier);
+  }
+
+  /**
+   * A package may import itself by name through its own `exports`
+   */
+  resolveSelfReference(specifier, fromDir) {
+    const scope = this.findPackageScope(fromDir);
+    if (!scope || !scope.pkg.name) return null;
+
+    const name = scope.pkg.name;
+    if (specifier !== name && !specifier.startsWith(`${name}/`)) return null;
+
+    return this.resolvePackageEntry(scope.dir, scope.pkg, `.${specifier.slice(name.length)}`);
+  }
+
+  /**
+   * Imports of a sibling workspace package resolve to that package's files
+   * instead of the copy linked into node_modules
+   */
+  resolveWorkspacePackage(specifier) {
+    const name = this.getPackageName(specifier);
+    const dir = this.workspacePackages.get(name);
+    if (!dir) return null;
+
+    const pkg = this.readPackageJson(dir);
+    if (!pkg) return null;
+
+    return this.resolvePackageEntry(dir, pkg, `.${specifier.slice(name.length)}`);
+  }
+
+  resolvePackageEntry(pkgDir, pkg, subpath) {
+    if (pkg.exports !== undefined) {
+      return this.resolvePackageMap(pkgDir, this.normalizeExports(pkg.exports), subpath);
+    }
+
+    return subpath === '.'
+      ? this.resolveAsFileOrDirectory(pkgDir)
+      : this.resolveAsFileOrDirectory(path.join(pkgDir, subpath));
+  }
+
+  /**
+   * Package entries usually point at build output (dist/index.js). Prefer the
+   * matching file under src/ so the graph links sources, not compiled copies.
+   */
+  resolveBuildOutputSource(pkgDir, candidate) {
+    const relative = path.relative(pkgDir, candidate).split(path.sep).join('/');
+    const match = relative.match(/^(dist|build|lib|out)\/(.+?)(\.d\.ts|\.(c|m)?js)?$/);
+    if (!match) return null;
+
+    return this.resolveAsFileOrDirectory(path.join(pkgDir, 'src', match[2]));
+  }
+
+  normalizeExports(exportsField) {
+    if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+      return { '.': exportsField };
+    }
+    if (exportsField && typeof exportsField === 'object' &&
+        !Object.keys(exportsField).some(key => key.startsWith('.'))) {
+      return { '.': exportsField };
+    }
+    return exportsField || {};
+  }
+
+  resolvePackageMap(pkgDir, map, key) {
+    if (Object.prototype.hasOwnProperty.call(map, key) && !key.includes('*')) {
+      return this.resolvePackageTarget(pkgDir, map[key], '');
+    }
+
+    const match = this.matchPathPattern(key, Object.keys(map).filter(k => k.includes('*')));
+    return match ? this.resolvePackageTarget(pkgDir, map[match.pattern], match.wildcard) : null;
+  }
+
+  resolvePackageTarget(pkgDir, target, wildcard) {
+    if (typeof target === 'string') {
+      if (!target.startsWith('./')) return null;
+      const candidate = path.resolve(pkgDir, target.replace(/\*/g, wildcard));
+      return this.resolveBuildOutputSource(pkgDir, candidate) || this.resolveAsFileOrDirectory(candidate);
+    }
+
+    if (Array.isArray(target)) {
+      for (const entry of target) {
+        const resolved = this.resolvePackageTarget(pkgDir, entry, wildcard);
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+
+    if (target && typeof target === 'object') {
+      for (const [condition, value] of Object.entries(target)) {
+        if (this.options.conditions.includes(condition)) {
+          const resolved = this.resolvePackageTarget(pkgDir, value, wildcard);
+          if (resolved) return resolved;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  findPackageScope(dir) {
+    if (this.packageCache.has(dir)) {
+      return this.packageCache.get(dir);
+    }
+
+    const pkg = this.readPackageJson(dir);
+    let scope = pkg ? { dir, pkg } : null;
+
+    if (!scope) {
+      const parent = path.dirname(dir);
+      scope = parent !== dir && this.isWithinRoot(parent) ? this.findPackageScope(parent) : null;
+    }
+
+    this.packageCache.set(dir, scope);
+    return scope;
+  }
+
+  readPackageJson(dir) {
+    const pkgPath = path.join(dir, 'package.json');
+    if (this.getStat(pkgPath) !== 'file') return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`Could not parse ${pkgPath}:`, error.message);
+      return null;
+    }
+  }
+
+  isWithinRoot(dir) {
+    if (!this.rootPath) return true;
+    const relative = path.relative(this.rootPath, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  getStat(filePath) {
+    if (this.statCache.has(filePath)) {
+      return this.statCache.get(filePath);
+    }
+
+    let kind;
+    try {
+      const stats = fs.statSync(filePath);
+      kind = stats.isFile() ? 'file' : stats.isDirectory() ? 'dir' : null;
+    } catch {
+      kind = null;
+    }
+
+    this.statCache.set(filePath, kind);
+    return kind;
+  }
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig style)
+ */
+export function parseJsonc(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += next ?? '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+export default ModuleResolver;
@@ -0,0 +1,147 @@
+/**
+ * Python Resolver
+ * Resolves Python imports to module files: relative imports (from . import x),
+ * packages through their __init__.py, and absolute imports searched from the
+ * importing file's top-level package and the usual source roots.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EXTERNAL_PREFIX } from './module-resolver.js';
+
+const SOURCE_ROOTS = ['.', 'src', 'lib'];
+
+export class PythonResolver {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      sourceRoots: SOURCE_ROOTS, // Directories under rootPath searched for absolute imports
+      ...options
+    };
+    this.rootPath = this.options.rootPath ? path.resolve(this.options.rootPath) : null;
+    this.statCache = new Map();
+  }
+
+  /**
+   * Resolve the import entry `imp` ({ source, specifiers, relative }) written
+   * in `fromFile`. Returns the module files it loads, `external:<package>` for
+   * modules outside the project, or null for a relative import with no file.
+   *
+   * `from pkg import a, b` loads pkg/a.py and pkg/b.py when those are
+   * submodules, and pkg/__init__.py for anything else.
+   */
+  resolve(specifier, fromFile, imp = null) {
+    if (typeof specifier !== 'string' || specifier.length === 0) return null;
+
+    const relative = specifier.startsWith('.');
+    const modulePath = this.findModulePath(specifier, fromFile);
+    if (!modulePath) {
+      return relative ? null : `${EXTERNAL_PREFIX}${specifier.split('.')[0]}`;
+    }
+
+    const moduleFile = this.resolveModule(modulePath);
+    const names = (imp?.specifiers || [])
+      .filter(spec => spec.type === 'ImportSpecifier')
+      .map(spec => spec.imported);
+
+    const targets = new Set();
+    for (const name of names) {
+      const submodule = this.resolveModule(path.join(modulePath, name));
+      if (submodule) {
+        targets.add(submodule);
+      } else if (moduleFile) {
+        targets.add(moduleFile);
+      }
+    }
+    // import a.b / from a import *
+    if (names.length === 0 && moduleFile) targets.add(moduleFile);
+
+    // A directory that is not a package (no __init__.py, no matching
+    // submodules) is not what the import meant
+    if (targets.size === 0) {
+      return relative ? null : `${EXTERNAL_PREFIX}${specifier.split('.')[0]}`;
+    }
+    return targets.size === 1 ? targets.values().next().value : Array.from(targets);
+  }
+
+  /**
+   * Directory-style path of the module a specifier names (pkg/sub for
+   * pkg.sub), or null when no source root contains it
+   */
+  findModulePath(specifier, fromFile) {
+    if (specifier.startsWith('.')) {
+      // One dot is the importer's package, each extra dot its parent
+      const dots = specifier.match(/^\.+/)[0].length;
+      let base = path.dirname(fromFile);
+      for (let level = 1; level < dots; level++) {
+        base = path.dirname(base);
+      }
+      const rest = specifier.slice(dots);
+      return rest ? path.join(base, ...rest.split('.')) : base;
+    }
+
+    const segments = specifier.split('.');
+    for (const root of this.getSearchRoots(fromFile)) {
+      const candidate = path.join(root, ...segments);
+      if (this.resolveModule(candidate) || this.getStat(candidate) === 'dir') {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The directory above the importer's top-level package (where `python -m`
+   * would run it), then the configured source roots
+   */
+  getSearchRoots(fromFile) {
+    const roots = [];
+    let packageDir = path.dirname(fromFile);
+    while (this.getStat(path.join(packageDir, '__init__.py')) === 'file' && this.isWithinRoot(path.dirname(packageDir))) {
+      packageDir = path.dirname(packageDir);
+    }
+    roots.push(packageDir);
+
+    if (this.rootPath) {
+      for (const root of this.options.sourceRoots) {
+        roots.push(path.resolve(this.rootPath, root));
+      }
+    }
+    return Array.from(new Set(roots));
+  }
+
+  /**
+   * pkg/sub.py, or pkg/sub/__init__.py for a package
+   */
+  resolveModule(candidate) {
+    for (const file of [`${candidate}.py`, `${candidate}.pyi`, path.join(candidate, '__init__.py')]) {
+      if (this.getStat(file) === 'file') return file;
+    }
+    return null;
+  }
+
+  isWithinRoot(dir) {
+    if (!this.rootPath) return true;
+    const relative = path.relative(this.rootPath, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  getStat(filePath) {
+    if (this.statCache.has(filePath)) {
+      return this.statCache.get(filePath);
+    }
+
+    let kind;
+    try {
+      const stats = fs.statSync(filePath);
+      kind = stats.isFile() ? 'file' : stats.isDirectory() ? 'dir' : null;
+    } catch {
+      kind = null;
+    }
+
+    this.statCache.set(filePath, kind);
+    return kind;
+  }
+}
+
+export default PythonResolver;
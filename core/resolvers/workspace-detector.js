@@ -0,0 +1,152 @@
+/**
+ * Workspace Detector
+ * Finds the member packages of an npm, yarn or pnpm monorepo from the root
+ * package.json `workspaces` field or pnpm-workspace.yaml
+ */
+
+import { glob } from 'glob';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class WorkspaceDetector {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: null,
+      ...options
+    };
+    this.rootPath = path.resolve(this.options.rootPath);
+  }
+
+  /**
+   * Returns { manager, rootDir, patterns, packages: [{ name, version, dir, packageJson, private }] },
+   * or null when the project is not a workspace root
+   */
+  async detect() {
+    const rootPkg = await this.readJson(path.join(this.rootPath, 'package.json'));
+    const pnpmPatterns = await this.readPnpmWorkspace();
+
+    let patterns = null;
+    if (pnpmPatterns) {
+      patterns = pnpmPatterns;
+    } else if (rootPkg?.workspaces) {
+      const { workspaces } = rootPkg;
+      patterns = Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+    }
+    if (!patterns || patterns.length === 0) return null;
+
+    const packages = await this.findPackages(patterns);
+    if (packages.length === 0) return null;
+
+    return {
+      manager: pnpmPatterns ? 'pnpm' : await this.detectManager(rootPkg),
+      rootDir: this.rootPath,
+      patterns,
+      packages
+    };
+  }
+
+  async detectManager(rootPkg) {
+    const declared = rootPkg?.packageManager?.split('@')[0];
+    if (declared === 'yarn' || declared === 'npm') return declared;
+    if (await this.exists(path.join(this.rootPath, 'yarn.lock'))) return 'yarn';
+    return 'npm';
+  }
+
+  async findPackages(patterns) {
+    const include = patterns.filter(pattern => !pattern.startsWith('!'));
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => `${pattern.slice(1)}/package.json`);
+    if (include.length === 0) return [];
+
+    const manifests = await glob(include.map(pattern => `${pattern.replace(/\/+$/, '')}/package.json`), {
+      cwd: this.rootPath,
+      absolute: true,
+      ignore: ['**/node_modules/**', ...exclude]
+    });
+
+    const packages = [];
+    for (const packageJson of manifests.sort()) {
+      const dir = path.dirname(packageJson);
+      if (dir === this.rootPath) continue;
+
+      const pkg = await this.readJson(packageJson);
+      if (!pkg) continue;
+
+      packages.push({
+        name: pkg.name || path.relative(this.rootPath, dir).split(path.sep).join('/'),
+        version: pkg.version || null,
+        dir,
+        packageJson,
+        private: Boolean(pkg.private)
+      });
+    }
+    return packages;
+  }
+
+  /**
+   * Read the `packages:` list of pnpm-workspace.yaml. Only the block list form
+   * pnpm documents is supported, which avoids pulling in a YAML parser.
+   */
+  async readPnpmWorkspace() {
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.rootPath, 'pnpm-workspace.yaml'), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const patterns = [];
+    let inPackages = false;
+    for (const line of content.split(/\r?\n/)) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+        continue;
+      }
+      if (!inPackages || line.trim() === '' || line.trim().startsWith('#')) continue;
+
+      const item = line.match(/^\s*-\s*(['"]?)([^'"#]+?)\1\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[2]);
+      } else if (/^\S/.test(line)) {
+        break;
+      }
+    }
+    return patterns;
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not parse ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * The workspace package containing a file, by longest directory prefix
+ */
+export function findWorkspacePackage(packages, filePath) {
+  let match = null;
+  for (const pkg of packages) {
+    if ((filePath === pkg.dir || filePath.startsWith(pkg.dir + path.sep)) &&
+        (!match || pkg.dir.length > match.dir.length)) {
+      match = pkg;
+    }
+  }
+  return match;
+}
+
+export default WorkspaceDetector;
@@ -0,0 +1,75 @@
+/**
+ * Architecture Rules Tests
+ */
+
+import { ArchitectureRules } from '../analyzers/architecture-rules.js';
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import os from 'os';
+import path from 'path';
+
+const rules = {
+  layers: {
+    ui: ['src/components/**', 'src/pages/**'],
+    db: 'src/db/**'
+  },
+  rules: [
+    { name: 'ui-no-db', from: 'ui', forbid: ['db', 'external:pg'], message: 'UI must not import db' },
+    { name: 'db-is-leaf', from: 'db', allow: ['src/utils/**'], severity: 'warning' }
+  ]
+};
+
+const fixture = {
+  '.manito/rules.json': JSON.stringify(rules),
+  'src/components/Button.jsx': "import { query } from '../db/client';\nimport pg from 'pg';\nexport default () => query;",
+  'src/pages/Home.jsx': "import Button from '../components/Button';\nexport default Button;",
+  'src/db/client.js': "import { format } from '../utils/format';\nimport { rows } from './rows';\nexport const query = format;",
+  'src/db/rows.js': "import Home from '../pages/Home';\nexport const rows = Home;",
+  'src/utils/format.js': 'export const format = (value) => value;'
+};
+
+describe('ArchitectureRules', () => {
+  let rootPath;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('rules', fixture);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should report forbidden and non-allowed imports as conflicts', async () => {
+    const result = await new CodeScanner({ cache: false }).scan(rootPath);
+    const violations = result.conflicts.filter(conflict => conflict.type === 'architecture_violation');
+
+    expect(violations).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        rule: 'ui-no-db',
+        severity: 'error',
+        files: [abs('src/components/Button.jsx'), abs('src/db/client.js')]
+      }),
+      expect.objectContaining({ rule: 'ui-no-db', files: [abs('src/components/Button.jsx')] }),
+      expect.objectContaining({
+        rule: 'db-is-leaf',
+        severity: 'warning',
+        files: [abs('src/db/rows.js'), abs('src/pages/Home.jsx')]
+      })
+    ]));
+    // Same-layer and allowed imports pass
+    expect(violations).toHaveLength(3);
+    expect(result.architecture.errors).toEqual([]);
+  });
+
+  test('should reject malformed rules with a clear message', () => {
+    expect(() => new ArchitectureRules({ rules: [{ from: 'ui' }] }, { rootPath }))
+      .toThrow('needs "allow" or "forbid"');
+    expect(() => new ArchitectureRules({ rules: [{ from: 'ui', forbid: 'db', severity: 'fatal' }] }, { rootPath }))
+      .toThrow('unknown severity');
+  });
+
+  test('should return null when the project has no rules file', async () => {
+    expect(await ArchitectureRules.load(os.tmpdir(), path.join(rootPath, 'missing.json'))).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Clone Detection Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { CloneDetector, tokenize } from '../analyzers/clone-detector.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const totals = (name, list, field) => [
+  `export function ${name}(${list}) {`,
+  '  let sum = 0; // running total',
+  `  for (const item of ${list}) {`,
+  `    if (item.${field} > 10) {`,
+  `      sum += item.${field} * 2;`,
+  '    } else {',
+  `      sum += item.${field};`,
+  '    }',
+  '  }',
+  '  return sum;',
+  '}'
+].join('\n');
+
+const fixture = {
+  'orders.js': `import { api } from './api.js';\n\n${totals('orderTotal', 'orders', 'price')}\n`,
+  // Same code, different comment and layout: type-1
+  'invoices.js': `${totals('orderTotal', 'orders', 'price').replace('// running total', '/* copied */')}\n\nexport const x = 1;\n`,
+  // Renamed identifiers: type-2
+  'carts.js': `${totals('cartTotal', 'carts', 'cost')}\n`,
+  'api.js': 'export const api = { get: (url) => fetch(url) };\n'
+};
+
+describe('Clone detection', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('clones', fixture);
+    result = await new CodeScanner({ cache: false, minCloneTokens: 30 }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should tokenize without whitespace and comments and normalize names and literals', () => {
+    const tokens = tokenize('const total = 10; // ten\nreturn "a" + total;');
+    expect(tokens.map(token => token.normalized)).toEqual([
+      'const', '$name', '=', '$literal', ';', 'return', '$literal', '+', '$name', ';'
+    ]);
+    expect(tokens[5]).toMatchObject({ value: 'return', line: 2 });
+    expect(tokenize('x = a // 2  # halves', 'calc.py').map(token => token.value)).toEqual(['x', '=', 'a', '/', '/', '2']);
+  });
+
+  test('should group type-1 and type-2 clones with line ranges', () => {
+    expect(result.clones).toHaveLength(1);
+    const [clone] = result.clones;
+    expect(clone).toMatchObject({ id: 'clone-1', type: 2, lines: 11 });
+    expect(clone.fragments.map(({ filePath, startLine, endLine }) => [path.basename(filePath), startLine, endLine])).toEqual([
+      ['carts.js', 1, 11],
+      ['invoices.js', 1, 11],
+      ['orders.js', 3, 13]
+    ]);
+    expect(clone.fragments[0].code).toContain('cartTotal(carts)');
+
+    const exact = new CloneDetector({ minTokens: 30 }).detectInSources(
+      ['orders.js', 'invoices.js'].map(file => ({ filePath: abs(file), content: fixture[file] }))
+    );
+    expect(exact.map(group => [group.type, group.fragments.length])).toEqual([[1, 2]]);
+  });
+
+  test('should report clones as duplicate_code conflicts', () => {
+    const conflict = result.conflicts.find(entry => entry.type === 'duplicate_code');
+    expect(conflict).toMatchObject({ severity: 'warning', line: 1, clone: { id: 'clone-1' } });
+    expect(conflict.message).toMatch(/^Duplicate code \(type-2, \d+ tokens\) in carts\.js:1-11, invoices\.js:1-11, orders\.js:3-13$/);
+    expect(conflict.files.sort()).toEqual([abs('carts.js'), abs('invoices.js'), abs('orders.js')]);
+  });
+
+  test('should skip clones shorter than the minimum and copies that overlap themselves', () => {
+    const detector = new CloneDetector({ minTokens: 200 });
+    expect(detector.detectInSources([{ filePath: 'a.js', content: fixture['orders.js'] }, { filePath: 'b.js', content: fixture['carts.js'] }])).toEqual([]);
+
+    const repeated = Array.from({ length: 40 }, () => 'a();').join('\n');
+    const groups = new CloneDetector({ minTokens: 20 }).detectInSources([{ filePath: 'r.js', content: repeated }]);
+    expect(groups.length).toBeGreaterThan(0);
+    for (const { fragments } of groups) {
+      fragments.slice(1).forEach((fragment, index) => expect(fragment.startLine).toBeGreaterThan(fragments[index].endLine));
+    }
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Dead Code Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { findDeadCode } from '../analyzers/dead-code.js';
+import { parse } from '@babel/parser';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const check = (code) => findDeadCode(parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] }))
+  .map(({ rule, name, line }) => (name ? [rule, name, line] : [rule, line]));
+
+describe('Dead code', () => {
+  test('should flag unused locals but not module bindings, rest omissions or underscored names', () => {
+    expect(check([
+      'const topLevel = 1;',
+      'export function load(source) {',
+      '  const unused = 1;',
+      '  let written; written = 2;',
+      '  const { id, ...rest } = source;',
+      '  const _ignored = 3;',
+      '  function helper() {}',
+      '  try { return rest; } catch (error) { return null; }',
+      '}'
+    ].join('\n'))).toEqual([
+      ['unused-variable', 'unused', 3],
+      ['unused-variable', 'written', 4],
+      ['unused-variable', 'helper', 7]
+    ]);
+  });
+
+  test('should flag only trailing unused parameters', () => {
+    expect(check([
+      'export const handler = (req, res, next) => res.send();',
+      'export function reduce(total, _item, index, extra) { return total + index; }',
+      'export class Store { set value(next) {} }'
+    ].join('\n'))).toEqual([
+      ['unused-parameter', 'next', 1],
+      ['unused-parameter', 'extra', 2]
+    ]);
+  });
+
+  test('should flag private members that are never read', () => {
+    expect(check([
+      'export class Cache {',
+      '  #entries = new Map();',
+      '  #hits = 0;',
+      '  private ttl = 10;',
+      '  private size = 0;',
+      '  constructor(private store, public name) { this.ttl = 20; }',
+      '  #evict() {}',
+      '  get(key) { this.#hits; return this.#entries.get(key) ?? this.size; }',
+      '}'
+    ].join('\n'))).toEqual([
+      ['unused-private-member', 'ttl', 4],
+      ['unused-private-member', 'store', 6],
+      ['unused-private-member', '#evict', 7]
+    ]);
+  });
+
+  test('should flag statements after terminators and branches behind constant conditions', () => {
+    expect(check([
+      'export function run(flag) {',
+      '  if (false) { flag(); }',
+      '  const mode = true ? "a" : "b";',
+      '  while (0) { flag(); }',
+      '  const skipped = null && flag();',
+      '  if (flag) { return mode + skipped; }',
+      '  throw new Error("no flag");',
+      '  flag();',
+      '  function hoisted() {}',
+      '  flag();',
+      '}'
+    ].join('\n'))).toEqual([
+      ['constant-condition', 2],
+      ['constant-condition', 3],
+      ['constant-condition', 4],
+      ['constant-condition', 5],
+      ['unreachable-code', 8],
+      ['unused-variable', 'hoisted', 9]
+    ]);
+  });
+
+  test('should report findings as warning conflicts with locations', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-dead-code-'));
+    try {
+      await fs.writeFile(path.join(tempDir, 'index.ts'), [
+        'type Options = { retries: number };',
+        'export function retry(task: () => void) {',
+        '  const options: Options = { retries: 3 };',
+        '  const limit: Options["retries"] = 1;',
+        '  return task;',
+        '  console.log(options, limit);',
+        '}'
+      ].join('\n'));
+
+      const result = await new CodeScanner({ cache: false }).scan(tempDir);
+      const conflicts = result.conflicts.filter(conflict => conflict.type === 'dead_code');
+      expect(conflicts).toEqual([{
+        type: 'dead_code',
+        severity: 'warning',
+        message: 'Unreachable code after return',
+        files: [path.join(tempDir, 'index.ts')],
+        line: 6,
+        rule: 'unreachable-code'
+      }]);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Temporary project trees for the scanner tests, written from a
+ * { relative path: content } map
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Write the fixture files under rootPath, creating their directories
+ */
+export async function writeFixture(rootPath, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(rootPath, file)), { recursive: true });
+    await fs.writeFile(path.join(rootPath, file), content);
+  }
+}
+
+/**
+ * Create a temporary directory (manito-<name>-XXXXXX) holding the files
+ */
+export async function createFixture(name, files = {}) {
+  const rootPath = await fs.mkdtemp(path.join(os.tmpdir(), `manito-${name}-`));
+  await writeFixture(rootPath, files);
+  return rootPath;
+}
+
+export async function removeFixture(rootPath) {
+  if (rootPath) await fs.rm(rootPath, { recursive: true, force: true });
+}
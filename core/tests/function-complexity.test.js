@@ -0,0 +1,100 @@
+/**
+ * Function Complexity Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const source = `export function classify(value, options) {
+  if (value == null) {
+    return 'none';
+  } else if (typeof value === 'number') {
+    for (const n of options.steps) {
+      if (n > value && options.strict) {
+        return 'small';
+      }
+    }
+    return 'large';
+  } else {
+    return value ? 'truthy' : 'falsy';
+  }
+}
+
+export const add = (a, b) => a + b;
+
+export class Parser {
+  parse(input) {
+    return input ?? '';
+  }
+}
+
+export function fact(n) {
+  return n <= 1 ? 1 : n * fact(n - 1);
+}
+
+export function outer(items) {
+  return items.map(item => {
+    if (item) return 1;
+    return 0;
+  });
+}
+`;
+
+describe('Function complexity', () => {
+  let rootPath;
+  let result;
+  let file;
+  const fn = (name) => file.functions.find(entry => entry.name === name);
+
+  beforeAll(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-complexity-'));
+    await fs.writeFile(path.join(rootPath, 'sample.js'), source);
+    result = await new CodeScanner({
+      cache: false,
+      complexityThresholds: { cyclomatic: 5, cognitive: 10 }
+    }).scan(rootPath);
+    file = result.files.find(entry => entry.filePath.endsWith('sample.js'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(rootPath, { recursive: true, force: true });
+  });
+
+  test('should measure cyclomatic and cognitive complexity, nesting, params and length', () => {
+    expect(fn('classify')).toMatchObject({
+      kind: 'function',
+      line: 1,
+      lines: 14,
+      params: 2,
+      complexity: 7,
+      cognitive: 11,
+      nesting: 3
+    });
+  });
+
+  test('should name arrows, methods and callbacks from their context', () => {
+    expect(fn('add')).toMatchObject({ kind: 'arrow', params: 2, complexity: 1, cognitive: 0, nesting: 0 });
+    expect(fn('Parser.parse')).toMatchObject({ kind: 'method', complexity: 2, cognitive: 1 });
+    expect(fn('<arrow>')).toMatchObject({ complexity: 2, cognitive: 1, nesting: 1 });
+  });
+
+  test('should count recursion and keep nested functions out of their parent', () => {
+    expect(fn('fact')).toMatchObject({ complexity: 2, cognitive: 2 });
+    expect(fn('outer')).toMatchObject({ complexity: 1, cognitive: 0, nesting: 0 });
+  });
+
+  test('should roll function metrics up to the file', () => {
+    expect(file.complexity).toBe(15);
+    expect(file.cognitiveComplexity).toBe(15);
+    expect(file.maxFunctionComplexity).toBe(7);
+    expect(file.maxNesting).toBe(3);
+  });
+
+  test('should report functions over the thresholds as hotspots', () => {
+    expect(result.complexityHotspots).toEqual([
+      expect.objectContaining({ file: file.filePath, name: 'classify', line: 1, complexity: 7, cognitive: 11 })
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Git Diff-Scoped Scan Tests
+ */
+
+import { jest } from '@jest/globals';
+import { CodeScanner } from '../index.js';
+import { GitChangeDetector } from '../vcs/git-change-detector.js';
+import { createFixture, writeFixture, removeFixture } from './fixture.js';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, stdio: 'pipe' }).toString().trim();
+
+describe('Git diff-scoped scans', () => {
+  let rootPath;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('git', {
+      'src/util.js': 'export const util = 1;',
+      'src/service.js': "import { util } from './util';\nexport const service = util;",
+      'src/app.js': "import { service } from './service';\nexport default service;",
+      'src/legacy.js': 'export const legacy = 1;',
+      'src/uses-legacy.js': "import { legacy } from './legacy';\nexport default legacy;",
+      'src/other.js': "import a from './a';\nexport default a;",
+      'src/a.js': "import b from './b';\nexport default b;",
+      'src/b.js': "import a from './a';\nexport default a;"
+    });
+    git(rootPath, 'init', '-q', '-b', 'main');
+    git(rootPath, 'config', 'user.email', 'test@example.com');
+    git(rootPath, 'config', 'user.name', 'Test');
+    git(rootPath, 'add', '-A');
+    git(rootPath, 'commit', '-q', '-m', 'base');
+
+    git(rootPath, 'checkout', '-q', '-b', 'feature');
+    await writeFixture(rootPath, { 'src/util.js': 'export const util = 2;' });
+    await fs.rm(abs('src/legacy.js'));
+    git(rootPath, 'commit', '-q', '-am', 'change util, drop legacy');
+    await writeFixture(rootPath, { 'src/new.js': "import { util } from './util';\nexport default util;" });
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should list committed, uncommitted and deleted files since the merge base', async () => {
+    const changeSet = await new GitChangeDetector().getChangeSet(rootPath, 'main');
+
+    expect(changeSet.changedFiles).toEqual([abs('src/new.js'), abs('src/util.js')]);
+    expect(changeSet.deletedFiles).toEqual([abs('src/legacy.js')]);
+    expect(changeSet.headCommit).toBe(git(rootPath, 'rev-parse', 'HEAD'));
+  });
+
+  test('should scan changed files plus their reverse dependents only', async () => {
+    const scanner = new CodeScanner({ cache: false });
+    const result = await scanner.scan(rootPath, { baseRef: 'main' });
+
+    expect(result.changeSet.affectedFiles).toEqual([
+      abs('src/app.js'),
+      abs('src/new.js'),
+      abs('src/service.js'),
+      abs('src/uses-legacy.js'),
+      abs('src/util.js')
+    ]);
+    expect(result.files.map(file => file.filePath).sort()).toEqual(result.changeSet.affectedFiles);
+    expect(result.changeSet.dependentFiles).toEqual(
+      expect.arrayContaining([abs('src/app.js'), abs('src/service.js')])
+    );
+
+    // The a <-> b cycle is outside the affected subgraph
+    expect(result.conflicts.some(conflict => conflict.type === 'circular_dependency')).toBe(false);
+    expect(result.conflicts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'unresolved_import', files: [abs('src/uses-legacy.js')] })
+    ]));
+  });
+
+  test('should only scan changed files and their dependents when the cache knows the rest', async () => {
+    const cacheDir = await createFixture('git-cache');
+    try {
+      await new CodeScanner({ cacheDir }).scan(rootPath);
+
+      const scanner = new CodeScanner({ cacheDir });
+      const scanned = jest.spyOn(scanner, 'scanFileWithCache');
+      const result = await scanner.scan(rootPath, { baseRef: 'main' });
+
+      expect(scanned.mock.calls.map(([file]) => file).sort()).toEqual(result.changeSet.affectedFiles);
+      expect(result.files.map(file => file.filePath).sort()).toEqual(result.changeSet.affectedFiles);
+      expect(result.changeSet.affectedFiles).not.toContain(abs('src/other.js'));
+    } finally {
+      await removeFixture(cacheDir);
+    }
+  });
+
+  test('should limit dependents by depth', async () => {
+    const scanner = new CodeScanner({ cache: false, dependentDepth: 1 });
+    const result = await scanner.scan(rootPath, { baseRef: 'main' });
+
+    expect(result.changeSet.affectedFiles).toContain(abs('src/service.js'));
+    expect(result.changeSet.affectedFiles).not.toContain(abs('src/app.js'));
+  });
+
+  test('should reject unknown refs', async () => {
+    const scanner = new CodeScanner({ cache: false });
+    await expect(scanner.scan(rootPath, { baseRef: 'no-such-branch' })).rejects.toThrow('Unknown git ref');
+  });
+});
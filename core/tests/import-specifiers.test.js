@@ -0,0 +1,76 @@
+/**
+ * Import Specifier Tracking Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'utils.ts': 'export const add = (a: number, b: number) => a + b;\nexport const sub = (a: number, b: number) => a - b;\nexport default function noop() {}',
+  'types.ts': 'export interface User { name: string }\nexport type Id = string;',
+  'polyfill.js': 'globalThis.ready = true;',
+  'lazy.js': 'export const heavy = 1;',
+  'barrel.js': "export { add } from './utils';\nexport * from './types';",
+  'main.ts': [
+    "import noop, { add, sub } from './utils';",
+    "import * as everything from './utils';",
+    "import type { User } from './types';",
+    "import { type Id } from './types';",
+    "import './polyfill.js';",
+    'export const run = (user: User, id: Id) => add(1, 2) + everything.sub(1, 1);',
+    "export const load = () => import('./lazy.js');"
+  ].join('\n')
+};
+
+describe('Import specifiers', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+  const edge = (from, to) => result.edges.find(entry => entry.from === abs(from) && entry.to === abs(to));
+
+  beforeAll(async () => {
+    rootPath = await createFixture('specifiers', fixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should record default, named and namespace bindings and flag unused ones', () => {
+    const utils = edge('main.ts', 'utils.ts');
+    expect(utils.source).toBe('./utils');
+    expect(utils.specifiers).toEqual([
+      { name: 'default', local: 'noop', kind: 'default', typeOnly: false, unused: true },
+      { name: 'add', local: 'add', kind: 'named', typeOnly: false, unused: false },
+      { name: 'sub', local: 'sub', kind: 'named', typeOnly: false, unused: true },
+      { name: '*', local: 'everything', kind: 'namespace', typeOnly: false, unused: false }
+    ]);
+    expect(utils).toMatchObject({ typeOnly: false, dynamic: false, sideEffect: false, lines: [1, 2] });
+  });
+
+  test('should mark type-only edges and count type references as uses', () => {
+    const types = edge('main.ts', 'types.ts');
+    expect(types.typeOnly).toBe(true);
+    expect(types.specifiers).toEqual([
+      { name: 'User', local: 'User', kind: 'named', typeOnly: true, unused: false },
+      { name: 'Id', local: 'Id', kind: 'named', typeOnly: true, unused: false }
+    ]);
+  });
+
+  test('should flag side-effect and dynamic imports', () => {
+    expect(edge('main.ts', 'polyfill.js')).toMatchObject({ sideEffect: true, specifiers: [] });
+    expect(edge('main.ts', 'lazy.js')).toMatchObject({ dynamic: true, sideEffect: false, lines: [7] });
+  });
+
+  test('should record re-exports and export-all', () => {
+    expect(edge('barrel.js', 'utils.ts')).toMatchObject({
+      reexport: true,
+      specifiers: [{ name: 'add', local: 'add', kind: 'named', typeOnly: false, unused: false }]
+    });
+    expect(edge('barrel.js', 'types.ts').specifiers).toEqual([
+      { name: '*', local: null, kind: 'namespace', typeOnly: false, unused: false }
+    ]);
+  });
+});
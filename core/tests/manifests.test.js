@@ -0,0 +1,151 @@
+/**
+ * Manifest Analyzer Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'web/Gemfile': [
+    "source 'https://rubygems.org'",
+    "gem 'rails', '~> 7.1', '>= 7.1.2'",
+    'gem "pg" # database',
+    "gem 'engine', path: '../engine'",
+    "gem 'rspec-rails', group: :test",
+    '',
+    'group :development, :test do',
+    "  gem 'pry'",
+    'end',
+    '',
+    'group :production do',
+    "  gem 'puma', require: false",
+    'end',
+    ''
+  ].join('\n'),
+  'engine/engine.gemspec': [
+    'Gem::Specification.new do |spec|',
+    '  spec.name = "billing-engine"',
+    '  spec.add_dependency "money", ">= 6.0"',
+    '  spec.add_development_dependency "rake"',
+    'end',
+    ''
+  ].join('\n'),
+  'ios/Package.swift': [
+    '// swift-tools-version:5.9',
+    'import PackageDescription',
+    '',
+    'let package = Package(',
+    '    name: "Storefront",',
+    '    dependencies: [',
+    '        .package(url: "https://github.com/Alamofire/Alamofire.git", from: "5.8.0"),',
+    '        .package(url: "https://github.com/apple/swift-log", "1.4.0"..<"2.0.0"),',
+    '        .package(url: "https://github.com/pointfreeco/swift-snapshot-testing", exact: "1.15.0"),',
+    '        .package(path: "../Shared")',
+    '    ],',
+    '    targets: [.target(name: "Storefront", dependencies: [.product(name: "Alamofire", package: "Alamofire")])]',
+    ')',
+    ''
+  ].join('\n'),
+  'android/gradle/libs.versions.toml': [
+    '[versions]',
+    'okhttp = "4.12.0"',
+    '',
+    '[libraries]',
+    'okhttp = { module = "com.squareup.okhttp3:okhttp", version.ref = "okhttp" }',
+    'androidx-core-ktx = { group = "androidx.core", name = "core-ktx", version = "1.12.0" }',
+    ''
+  ].join('\n'),
+  'android/app/build.gradle.kts': [
+    'plugins { id("com.android.application") }',
+    '',
+    'dependencies {',
+    '    implementation("org.jetbrains.kotlinx:kotlinx-coroutines-android:1.7.3")',
+    '    implementation(platform("com.google.firebase:firebase-bom:32.7.0"))',
+    '    implementation(libs.okhttp)',
+    '    implementation(libs.androidx.core.ktx)',
+    '    implementation(project(":core"))',
+    '    // implementation("com.example:commented-out:1.0")',
+    '    testImplementation("junit:junit:4.13.2")',
+    '    androidTestImplementation("androidx.test.espresso:espresso-core:3.5.1")',
+    '}',
+    ''
+  ].join('\n'),
+  'legacy/build.gradle': [
+    'buildscript {',
+    "    dependencies { classpath 'com.android.tools.build:gradle:8.2.0' }",
+    '}',
+    'dependencies {',
+    "    api 'com.google.guava:guava:33.0.0-jre'",
+    "    compileOnly group: 'org.projectlombok', name: 'lombok', version: '1.18.30'",
+    '}',
+    ''
+  ].join('\n')
+};
+
+describe('Manifest analyzer', () => {
+  let rootPath;
+  let manifests;
+  const manifest = (name) => manifests.find(entry => entry.manifest === path.join(rootPath, name));
+
+  beforeAll(async () => {
+    rootPath = await createFixture('manifests', fixture);
+    ({ manifests } = await new CodeScanner({ cache: false }).scan(rootPath));
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should split Gemfile gems into runtime and development groups', () => {
+    expect(manifest('web/Gemfile')).toEqual({
+      manifest: path.join(rootPath, 'web/Gemfile'),
+      ecosystem: 'rubygems',
+      name: 'web',
+      dependencies: { rails: '~> 7.1, >= 7.1.2', pg: '*', engine: 'path:../engine', puma: '*' },
+      devDependencies: { 'rspec-rails': '*', pry: '*' }
+    });
+    expect(manifest('engine/engine.gemspec')).toMatchObject({
+      name: 'billing-engine',
+      dependencies: { money: '>= 6.0' },
+      devDependencies: { rake: '*' }
+    });
+  });
+
+  test('should read SwiftPM package requirements as version ranges', () => {
+    expect(manifest('ios/Package.swift')).toMatchObject({
+      ecosystem: 'swiftpm',
+      name: 'Storefront',
+      dependencies: {
+        Alamofire: '^5.8.0',
+        'swift-log': '>=1.4.0 <2.0.0',
+        'swift-snapshot-testing': '1.15.0',
+        Shared: 'path:../Shared'
+      }
+    });
+  });
+
+  test('should read Gradle configurations, platforms and version catalog aliases', () => {
+    expect(manifest('android/app/build.gradle.kts')).toMatchObject({
+      ecosystem: 'gradle',
+      name: 'app',
+      dependencies: {
+        'org.jetbrains.kotlinx:kotlinx-coroutines-android': '1.7.3',
+        'com.google.firebase:firebase-bom': '32.7.0',
+        'com.squareup.okhttp3:okhttp': '4.12.0',
+        'androidx.core:core-ktx': '1.12.0'
+      },
+      devDependencies: {
+        'junit:junit': '4.13.2',
+        'androidx.test.espresso:espresso-core': '3.5.1'
+      }
+    });
+    expect(manifest('legacy/build.gradle')).toMatchObject({
+      dependencies: {
+        'com.google.guava:guava': '33.0.0-jre',
+        'org.projectlombok:lombok': '1.18.30'
+      },
+      devDependencies: {}
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Module Resolver Tests
+ */
+
+import { ModuleResolver, parseJsonc } from '../resolvers/module-resolver.js';
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'package.json': JSON.stringify({
+    name: '@acme/app',
+    imports: { '#utils/*': './src/utils/*.js' },
+    exports: {
+      '.': { types: './types/index.d.ts', import: './src/index.js' },
+      './feature/*': './src/features/*.js'
+    }
+  }),
+  'tsconfig.json': `{
+    // comments and trailing commas are allowed in tsconfig
+    "compilerOptions": {
+      "baseUrl": ".",
+      "paths": {
+        "@/*": ["src/*"],
+        "~config": ["config/index.ts"],
+      },
+    },
+  }`,
+  'config/index.ts': 'export default {};',
+  'src/index.js': "import './a';",
+  'src/a/index.js': "import '../b';",
+  'src/b/index.js': "import '../utils/format.js';",
+  'src/utils/format.js': 'export const format = () => {};',
+  'src/features/login.js': 'export default function login() {}',
+  'src/lib/thing.ts': 'export const thing = 1;',
+  'src/cycle/left.js': "import { right } from './right';\nexport const left = 1;",
+  'src/cycle/right.js': "import { left } from './left';\nexport const right = 2;"
+};
+
+describe('ModuleResolver', () => {
+  let rootPath;
+  let resolver;
+  let fromFile;
+
+  beforeAll(async () => {
+    rootPath = await createFixture('resolver', fixture);
+    fromFile = path.join(rootPath, 'src/index.js');
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  beforeEach(() => {
+    resolver = new ModuleResolver({ rootPath });
+  });
+
+  const abs = (file) => path.join(rootPath, file);
+
+  test('should probe extensions and TypeScript extension aliases', () => {
+    expect(resolver.resolve('./lib/thing', fromFile)).toBe(abs('src/lib/thing.ts'));
+    expect(resolver.resolve('./lib/thing.js', fromFile)).toBe(abs('src/lib/thing.ts'));
+  });
+
+  test('should resolve directory index files', () => {
+    expect(resolver.resolve('./a', fromFile)).toBe(abs('src/a/index.js'));
+  });
+
+  test('should honour tsconfig paths and baseUrl', () => {
+    expect(resolver.resolve('@/utils/format', fromFile)).toBe(abs('src/utils/format.js'));
+    expect(resolver.resolve('~config', fromFile)).toBe(abs('config/index.ts'));
+    expect(resolver.resolve('src/lib/thing', fromFile)).toBe(abs('src/lib/thing.ts'));
+  });
+
+  test('should resolve package.json imports and self-referenced exports', () => {
+    expect(resolver.resolve('#utils/format', fromFile)).toBe(abs('src/utils/format.js'));
+    expect(resolver.resolve('@acme/app', fromFile)).toBe(abs('src/index.js'));
+    expect(resolver.resolve('@acme/app/feature/login', fromFile)).toBe(abs('src/features/login.js'));
+  });
+
+  test('should mark packages and builtins as external', () => {
+    expect(resolver.resolve('react', fromFile)).toBe('external:react');
+    expect(resolver.resolve('@scope/pkg/sub/path', fromFile)).toBe('external:@scope/pkg');
+    expect(resolver.resolve('node:fs', fromFile)).toBe('external:fs');
+    expect(resolver.resolve('fs/promises', fromFile)).toBe('external:fs');
+  });
+
+  test('should return null for local imports that do not exist', () => {
+    expect(resolver.resolve('./missing', fromFile)).toBeNull();
+  });
+
+  test('should parse JSON with comments and trailing commas', () => {
+    expect(parseJsonc('{ "a": "http://x", /* b */ "b": [1, 2,], }')).toEqual({ a: 'http://x', b: [1, 2] });
+  });
+
+  test('should build a graph of real files without false cycles', async () => {
+    const scanner = new CodeScanner();
+    const result = await scanner.scan(rootPath);
+
+    expect(result.dependencies[abs('src/a/index.js')]).toEqual([abs('src/b/index.js')]);
+    expect(result.dependencies[abs('src/b/index.js')]).toEqual([abs('src/utils/format.js')]);
+
+    const cycles = scanner.findCircularDependencies();
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0]).toEqual(expect.arrayContaining([abs('src/cycle/left.js'), abs('src/cycle/right.js')]));
+  });
+});
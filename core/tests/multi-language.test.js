@@ -2,9 +2,12 @@
  * Multi-Language Analyzer Tests
  */
 
+import { CodeScanner } from '../index.js';
 import { MultiLanguageAnalyzer } from '../analyzers/multi-language-analyzer.js';
+import { createFixture, removeFixture } from './fixture.js';
 import { jest } from '@jest/globals';
 import fs from 'fs/promises';
+import path from 'path';
 
 describe('MultiLanguageAnalyzer', () => {
   let analyzer;
@@ -84,3 +87,375 @@ describe('MultiLanguageAnalyzer', () => {
     }
   });
 });
+
+const fixture = {
+  'app/service.py': [
+    'from .models import User as U, Group',
+    'import os.path',
+    '',
+    'class Service(Base):',
+    '    def handle(self, request, retries=3):',
+    '        if request and retries or self.force:',
+    '            for item in request.items:',
+    '                if item:',
+    '                    pass',
+    '        elif retries:',
+    '            pass',
+    '        else:',
+    '            pass',
+    '        key = lambda r: r.id',
+    ''
+  ].join('\n'),
+  'cmd/main.go': [
+    'package main',
+    '',
+    'import (',
+    '  "fmt"',
+    '  h "net/http"',
+    ')',
+    '',
+    'type Server struct{}',
+    '',
+    'func (s *Server) Serve(a, b int) error {',
+    '  if a > 0 && b > 0 {',
+    '    fmt.Println(a)',
+    '  } else {',
+    '    return nil',
+    '  }',
+    '  switch a {',
+    '  case 1:',
+    '  default:',
+    '  }',
+    '  return nil',
+    '}',
+    ''
+  ].join('\n'),
+  'src/Main.java': [
+    'package com.acme;',
+    'import java.util.List;',
+    'public class Main {',
+    '  public int pick(int a) {',
+    '    return a > 0 ? 1 : 2;',
+    '  }',
+    '}',
+    ''
+  ].join('\n')
+};
+
+describe('Tree-sitter analysis', () => {
+  let rootPath;
+  let result;
+  const file = (name) => result.files.find(entry => entry.filePath === path.join(rootPath, name));
+  const fn = (name, fnName) => file(name).functions.find(entry => entry.name === fnName);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('tree-sitter', fixture);
+    result = await new CodeScanner({
+      cache: false,
+      complexityThresholds: { cyclomatic: 5, cognitive: 5 }
+    }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should measure functions with the same fields as the JavaScript path', () => {
+    expect(fn('app/service.py', 'Service.handle')).toEqual({
+      name: 'Service.handle',
+      kind: 'method',
+      line: 5,
+      endLine: 14,
+      params: 2,
+      lines: 10,
+      complexity: 7,
+      cognitive: 10,
+      nesting: 3,
+      async: false,
+      generator: false
+    });
+    expect(fn('app/service.py', 'key')).toMatchObject({ kind: 'lambda', params: 1, complexity: 1 });
+    expect(fn('cmd/main.go', 'Server.Serve')).toMatchObject({ kind: 'method', params: 2, complexity: 4, cognitive: 4 });
+    expect(fn('src/Main.java', 'Main.pick')).toMatchObject({ kind: 'method', params: 1, complexity: 2, cognitive: 1 });
+  });
+
+  test('should roll function metrics up to the file and report hotspots', () => {
+    const service = file('app/service.py');
+    expect(service.metadata.parser).toBe('tree-sitter');
+    expect(service).toMatchObject({ complexity: 8, cognitiveComplexity: 10, maxFunctionComplexity: 7, maxNesting: 3 });
+    expect(result.complexityHotspots).toEqual([
+      expect.objectContaining({ file: service.filePath, name: 'Service.handle', complexity: 7, cognitive: 10 })
+    ]);
+  });
+
+  test('should extract imports with bindings and classes with line ranges', () => {
+    expect(file('app/service.py').imports).toEqual([
+      {
+        source: '.models',
+        relative: true,
+        line: 1,
+        specifiers: [
+          { type: 'ImportSpecifier', imported: 'User', local: 'U' },
+          { type: 'ImportSpecifier', imported: 'Group', local: 'Group' }
+        ]
+      },
+      { source: 'os.path', line: 2, specifiers: [{ type: 'ImportNamespaceSpecifier', imported: '*', local: 'os' }] }
+    ]);
+    expect(file('app/service.py').classes).toEqual([
+      { name: 'Service', kind: 'class', line: 4, endLine: 14, lines: 11, methods: ['handle'] }
+    ]);
+    expect(file('cmd/main.go').imports.map(imp => [imp.source, imp.specifiers[0].local])).toEqual([
+      ['fmt', 'fmt'],
+      ['net/http', 'h']
+    ]);
+    expect(file('cmd/main.go').classes[0]).toMatchObject({ name: 'Server', kind: 'struct', methods: ['Serve'] });
+    expect(file('cmd/main.go').metadata.originalAnalysis.package).toBe('main');
+  });
+
+  test('should fall back to regex extraction when a grammar is unavailable', async () => {
+    const analyzer = new MultiLanguageAnalyzer();
+    analyzer.treeSitter.getParser = async () => null;
+
+    const analysis = await analyzer.analyzeFile(path.join(rootPath, 'app/service.py'));
+    expect(analysis.parser).toBe('regex');
+    expect(analysis.functions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'handle', line: 5 })
+    ]));
+  });
+});
+
+const mobileFixture = {
+  'lib/invoice.rb': [
+    'require "json"',
+    'require_relative "helpers/money"',
+    '',
+    'module Billing',
+    '  class Invoice < Base',
+    '    def initialize(items)',
+    '      @items = items',
+    '    end',
+    '',
+    '    def total(tax = 0)',
+    '      if @items.empty? && tax',
+    '        0',
+    '      elsif tax',
+    '        @items.each do |item|',
+    '          next unless item',
+    '        end',
+    '      else',
+    '        tax ? 1 : 2',
+    '      end',
+    '    end',
+    '  end',
+    'end',
+    ''
+  ].join('\n'),
+  'app/Registry.kt': [
+    'package com.acme.registry',
+    '',
+    'import kotlinx.coroutines.launch',
+    'import java.util.*',
+    'import com.acme.Cache as Store',
+    '',
+    'interface Lookup { fun find(key: String): Int }',
+    '',
+    'object Registry : Lookup {',
+    '  override fun find(key: String): Int {',
+    '    if (key.isEmpty() || key == "x") {',
+    '      return 0',
+    '    } else if (key.length > 3) {',
+    '      for (c in key) { }',
+    '    }',
+    '    val hit = cache[key] ?: 0',
+    '    return when (hit) {',
+    '      1 -> 1',
+    '      else -> find(key.drop(1))',
+    '    }',
+    '  }',
+    '',
+    '  suspend fun refresh(force: Boolean, limit: Int = 10) = listOf(1).map { it + limit }',
+    '}',
+    ''
+  ].join('\n'),
+  'Sources/Store.swift': [
+    'import Foundation',
+    'import struct Alamofire.Session',
+    '',
+    'protocol Cache {',
+    '    func value(for key: String) -> Int?',
+    '}',
+    '',
+    'final class Store: Cache {',
+    '    private var items: [String: Int] = [:]',
+    '',
+    '    var count: Int {',
+    '        return items.isEmpty ? 0 : items.count',
+    '    }',
+    '',
+    '    func value(for key: String) -> Int? {',
+    '        guard !key.isEmpty else { return nil }',
+    '        if let hit = items[key], hit > 0 || key == "x" {',
+    '            return hit',
+    '        } else {',
+    '            return items.keys.first { $0.hasPrefix(key) }.map { _ in 1 } ?? nil',
+    '        }',
+    '    }',
+    '}',
+    ''
+  ].join('\n')
+};
+
+describe('Ruby, Kotlin and Swift analysis', () => {
+  let rootPath;
+  let result;
+  const file = (name) => result.files.find(entry => entry.filePath === path.join(rootPath, name));
+  const fn = (name, fnName) => file(name).functions.find(entry => entry.name === fnName);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('mobile', mobileFixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should read Ruby requires, modules and methods with complexity', () => {
+    const invoice = file('lib/invoice.rb');
+    expect(invoice.metadata.parser).toBe('tree-sitter');
+    expect(invoice.imports).toEqual([
+      { source: 'json', specifiers: [], sideEffect: true, line: 1 },
+      { source: './helpers/money', specifiers: [], sideEffect: true, relative: true, line: 2 }
+    ]);
+    expect(invoice.classes.map(entry => [entry.name, entry.kind, entry.methods])).toEqual([
+      ['Billing', 'module', []],
+      ['Invoice', 'class', ['initialize', 'total']]
+    ]);
+    expect(fn('lib/invoice.rb', 'Invoice.initialize')).toMatchObject({ kind: 'constructor', params: 1 });
+    // Blocks stay part of their method: the unless inside each counts here
+    expect(fn('lib/invoice.rb', 'Invoice.total')).toMatchObject({
+      kind: 'method', line: 10, endLine: 20, params: 1, complexity: 6, cognitive: 8, nesting: 2
+    });
+  });
+
+  test('should read Kotlin packages, imports, objects and functions', () => {
+    const registry = file('app/Registry.kt');
+    expect(registry.metadata.originalAnalysis.package).toBe('com.acme.registry');
+    expect(registry.imports.map(imp => [imp.source, imp.specifiers[0].local])).toEqual([
+      ['kotlinx.coroutines.launch', 'launch'],
+      ['java.util', null],
+      ['com.acme.Cache', 'Store']
+    ]);
+    expect(registry.classes.map(entry => [entry.name, entry.kind])).toEqual([
+      ['Lookup', 'interface'],
+      ['Registry', 'object']
+    ]);
+    expect(fn('app/Registry.kt', 'Registry.find')).toMatchObject({
+      kind: 'method', params: 1, complexity: 7, cognitive: 8, nesting: 2
+    });
+    expect(fn('app/Registry.kt', 'Registry.refresh')).toMatchObject({ params: 2, async: true });
+    expect(fn('app/Registry.kt', '<lambda>')).toMatchObject({ kind: 'lambda', line: 23 });
+  });
+
+  test('should tokenize Swift into imports, protocols, types and functions', () => {
+    const store = file('Sources/Store.swift');
+    expect(store.metadata.parser).toBe('tokens');
+    expect(store.imports).toEqual([
+      { source: 'Foundation', line: 1, specifiers: [{ type: 'ImportNamespaceSpecifier', imported: '*', local: 'Foundation' }] },
+      { source: 'Alamofire', line: 2, specifiers: [{ type: 'ImportSpecifier', imported: 'Session', local: 'Session' }] }
+    ]);
+    expect(store.classes).toEqual([
+      { name: 'Cache', kind: 'protocol', line: 4, endLine: 6, lines: 3, methods: [] },
+      { name: 'Store', kind: 'class', line: 8, endLine: 23, lines: 16, methods: ['count', 'value'] }
+    ]);
+    expect(fn('Sources/Store.swift', 'Store.count')).toMatchObject({ kind: 'getter', complexity: 2, cognitive: 1 });
+    expect(fn('Sources/Store.swift', 'Store.value')).toMatchObject({
+      kind: 'method', line: 15, endLine: 22, params: 1, complexity: 5, cognitive: 5, nesting: 1
+    });
+    // Trailing closures are measured on their own
+    expect(store.functions.filter(entry => entry.kind === 'lambda').map(entry => entry.params)).toEqual([0, 1]);
+  });
+});
+
+const importFixture = {
+  'app/__init__.py': '',
+  'app/main.py': [
+    'import os.path',
+    'from . import models',
+    'from .services import billing',
+    'from app.models import User',
+    ''
+  ].join('\n'),
+  'app/models.py': 'from .services.billing import charge\n\nclass User:\n    pass\n',
+  'app/services/__init__.py': '',
+  'app/services/billing.py': 'from ..models import User\nimport requests\n\ndef charge(user):\n    return user\n',
+  'svc/go.mod': [
+    'module example.com/svc',
+    '',
+    'go 1.22',
+    '',
+    'require (',
+    '\tgithub.com/google/uuid v1.6.0',
+    ')',
+    ''
+  ].join('\n'),
+  'svc/main.go': [
+    'package main',
+    '',
+    'import (',
+    '\t"fmt"',
+    '\t"example.com/svc/store"',
+    '\t"github.com/google/uuid"',
+    ')',
+    '',
+    'func main() { fmt.Println(store.Get(), uuid.New()) }',
+    ''
+  ].join('\n'),
+  'svc/store/store.go': 'package store\n\nimport "example.com/svc/cache"\n\nfunc Get() string { return cache.Key }\n',
+  'svc/store/store_test.go': 'package store\n',
+  'svc/cache/cache.go': 'package cache\n\nimport "example.com/svc/store"\n\nvar Key = "k"\n\nfunc warm() { store.Get() }\n',
+  'svc/cache/keys.go': 'package cache\n'
+};
+
+describe('Python and Go import resolution', () => {
+  let rootPath;
+  let result;
+  const abs = (name) => path.join(rootPath, name);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('resolve', importFixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should resolve relative, package and absolute Python imports to files', () => {
+    expect(result.dependencies[abs('app/main.py')]).toEqual([
+      'external:os',
+      abs('app/models.py'),
+      abs('app/services/billing.py')
+    ]);
+    expect(result.dependencies[abs('app/services/billing.py')]).toEqual([abs('app/models.py'), 'external:requests']);
+  });
+
+  test('should resolve Go imports through go.mod to package files', () => {
+    expect(result.dependencies[abs('svc/main.go')]).toEqual([
+      'external:fmt',
+      abs('svc/store/store.go'),
+      'external:github.com/google/uuid'
+    ]);
+    expect(result.dependencies[abs('svc/store/store.go')]).toEqual([abs('svc/cache/cache.go'), abs('svc/cache/keys.go')]);
+  });
+
+  test('should report cycles across Python modules and Go packages', () => {
+    const cycles = result.conflicts
+      .filter(conflict => conflict.type === 'circular_dependency')
+      .map(conflict => conflict.files.map(file => path.relative(rootPath, file)));
+    expect(cycles).toEqual(expect.arrayContaining([
+      ['app/models.py', 'app/services/billing.py', 'app/models.py'],
+      ['svc/store/store.go', 'svc/cache/cache.go', 'svc/store/store.go']
+    ]));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Package Dependency Analyzer Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'package.json': JSON.stringify({
+    name: 'monorepo',
+    private: true,
+    workspaces: ['packages/*'],
+    devDependencies: { jest: '^29.0.0' }
+  }),
+  'packages/app/package.json': JSON.stringify({
+    name: '@acme/app',
+    dependencies: { react: '^18.0.0', lodash: '^4.0.0', nodemon: '^3.0.0' },
+    devDependencies: { chalk: '^5.0.0' },
+    scripts: { dev: 'nodemon src/index.js' }
+  }),
+  'packages/app/src/index.js': "import React from 'react';\nimport fs from 'node:fs';\nimport chalk from 'chalk';\nimport { util } from '@acme/utils';\nimport axios from 'axios';\nexport default [React, fs, chalk, util, axios];",
+  'packages/app/src/index.test.js': "import { expect } from 'jest';\nimport chalk from 'chalk';\nexport default [expect, chalk];",
+  'packages/utils/package.json': JSON.stringify({ name: '@acme/utils', dependencies: {} }),
+  'packages/utils/src/index.js': 'export const util = 1;'
+};
+
+describe('PackageDependencyAnalyzer', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('pkgdeps', fixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should report declared dependencies nothing imports', () => {
+    // nodemon is run from npm scripts, so it counts as used
+    expect(result.packageDependencies.unused).toEqual([
+      { name: 'lodash', packageJson: abs('packages/app/package.json'), section: 'dependencies' }
+    ]);
+  });
+
+  test('should report undeclared imports, including workspace packages', () => {
+    const missing = result.packageDependencies.missing.map(({ name, workspace }) => ({ name, workspace }));
+    expect(missing).toEqual(expect.arrayContaining([
+      { name: '@acme/utils', workspace: true },
+      { name: 'axios', workspace: false }
+    ]));
+    // Builtins and hoisted root devDependencies used from tests are fine
+    expect(missing).toHaveLength(2);
+  });
+
+  test('should flag devDependencies imported from production code only', () => {
+    expect(result.packageDependencies.devInProduction).toEqual([
+      { name: 'chalk', packageJson: abs('packages/app/package.json'), files: [abs('packages/app/src/index.js')] }
+    ]);
+    expect(result.conflicts.map(conflict => conflict.type)).toEqual(expect.arrayContaining([
+      'unused_dependency', 'missing_dependency', 'dev_dependency_in_production'
+    ]));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Plugin Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const PLUGINS = {
+  'no-console.mjs': `
+export default {
+  name: 'no-console',
+  visitor: {
+    CallExpression(path, context) {
+      const { callee } = path.node;
+      if (callee.type === 'MemberExpression' && callee.object.name === 'console') {
+        context.report({ type: 'team_convention', severity: 'error', message: 'Use the logger instead of console', line: path.node.loc.start.line, rule: 'no-console' });
+        context.incrementMetric('consoleCalls');
+      }
+    }
+  }
+};
+`,
+  'file-size.mjs': `
+export default ({ rootPath }) => ({
+  name: 'file-size',
+  async analyzeFile(file, context) {
+    context.incrementMetric('lines', file.lines);
+    if (file.filePath.endsWith('.py')) context.setMetric('hasPython', true);
+    if (!rootPath) throw new Error('no root');
+  }
+});
+`,
+  'throws.mjs': `
+export default {
+  name: 'throws',
+  visitor: {
+    Identifier(path) {
+      if (path.node.name === 'boom') throw new Error('cannot handle boom');
+    }
+  }
+};
+`,
+  'broken.mjs': "export default () => { throw new Error('missing config'); };",
+  'empty.mjs': 'export default { name: "empty" };'
+};
+
+describe('Plugins', () => {
+  let tempDir;
+  let result;
+
+  beforeAll(async () => {
+    tempDir = await createFixture('plugins', {
+      ...Object.fromEntries(Object.entries(PLUGINS).map(([name, source]) => [`.manito/plugins/${name}`, source])),
+      'service.js': [
+        "import { helper } from './helper.js';",
+        'console.log(helper());',
+        'console.warn("again");'
+      ].join('\n'),
+      'helper.js': 'export const helper = () => { const boom = 1; return boom; };\n',
+      'tool.py': 'print("hi")\n'
+    });
+
+    result = await new CodeScanner({ cache: false, plugins: true }).scan(tempDir);
+  });
+
+  afterAll(async () => {
+    await removeFixture(tempDir);
+  });
+
+  const plugin = (name) => result.plugins.find(entry => entry.name === name);
+
+  test('should report which plugins ran, failed or threw', () => {
+    expect(result.plugins.map(({ name, status, hooks }) => [name, status, hooks])).toEqual([
+      ['broken', 'failed', []],
+      ['empty', 'failed', []],
+      ['file-size', 'ran', ['analyzeFile']],
+      ['no-console', 'ran', ['visitor']],
+      ['throws', 'errors', ['visitor']]
+    ]);
+    expect(plugin('broken').errors).toEqual([{ where: 'load', message: 'missing config' }]);
+    expect(plugin('empty').errors[0].message).toMatch(/neither a visitor nor an analyzeFile hook/);
+    expect(plugin('throws').errors).toEqual([{ where: 'helper.js', message: 'cannot handle boom' }]);
+  });
+
+  test('should add plugin conflicts with custom types and severities', () => {
+    const conflicts = result.conflicts.filter(conflict => conflict.plugin === 'no-console');
+    expect(conflicts.map(({ type, severity, line, rule }) => [type, severity, line, rule])).toEqual([
+      ['team_convention', 'error', 2, 'no-console'],
+      ['team_convention', 'error', 3, 'no-console']
+    ]);
+    expect(conflicts[0].files).toEqual([path.join(tempDir, 'service.js')]);
+  });
+
+  test('should total custom metrics per plugin', () => {
+    expect(result.metrics.custom).toEqual({
+      'no-console': { consoleCalls: 2 },
+      'file-size': { lines: 7, hasPython: true }
+    });
+  });
+
+  test('should surface plugin failures as conflicts without failing the scan', () => {
+    expect(result.files).toHaveLength(3);
+    const failures = result.conflicts.filter(conflict => conflict.type === 'plugin_error');
+    expect(failures.map(conflict => conflict.rule).sort()).toEqual(['broken', 'empty', 'throws']);
+  });
+
+  test('should keep visitor findings on cached files', async () => {
+    const cacheDir = path.join(tempDir, '.manito', 'cache');
+    await new CodeScanner({ cacheDir, plugins: true }).scan(tempDir);
+    const cached = await new CodeScanner({ cacheDir, plugins: true }).scan(tempDir);
+
+    expect(cached.cache.hits).toBe(3);
+    expect(cached.conflicts.filter(conflict => conflict.plugin === 'no-console')).toHaveLength(2);
+  });
+
+  test('should not load plugins unless enabled', async () => {
+    const untrusted = await new CodeScanner({ cache: false }).scan(tempDir);
+
+    expect(untrusted.plugins).toEqual([]);
+    expect(untrusted.conflicts.some(conflict => conflict.plugin || conflict.type === 'plugin_error')).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Reachability Analyzer Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'package.json': JSON.stringify({
+    name: 'reachability-fixture',
+    main: 'dist/index.js',
+    exports: { '.': './dist/index.js', './feature': './src/feature.js' }
+  }),
+  '.manito/config.json': JSON.stringify({ entryPoints: ['scripts/*.js'] }),
+  'src/index.js': "import { used } from './util';\nimport('./lazy');\nexport * from './barrel';\nexport default used;",
+  'src/util.js': 'export const used = 1;\nexport const testedOnly = 2;\nexport const unused = 3;',
+  'src/util.test.js': "import { testedOnly } from './util';\nexport default testedOnly;",
+  'src/barrel.js': "export { a } from './a';",
+  'src/a.js': 'export const a = 1;\nexport const b = 2;',
+  'src/lazy.js': 'export const lazy = 1;',
+  'src/feature.js': 'export function feature() {}',
+  'src/orphan.js': "import { used } from './util';\nexport const orphan = used;",
+  'scripts/seed.js': "import { a } from '../src/a';\nexport default a;"
+};
+
+describe('ReachabilityAnalyzer', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('reach', fixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should resolve entry points from package.json and config', () => {
+    expect(result.reachability.entrySource).toBe('declared');
+    expect(result.reachability.entryPoints).toEqual([
+      abs('scripts/seed.js'),
+      abs('src/feature.js'),
+      abs('src/index.js')
+    ]);
+  });
+
+  test('should report files no entry point reaches', () => {
+    expect(result.reachability.unreachableFiles).toEqual([abs('src/orphan.js')]);
+    expect(result.conflicts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'unreachable_file', files: [abs('src/orphan.js')] })
+    ]));
+  });
+
+  test('should report exports nothing imports, following re-exports', () => {
+    const unused = result.reachability.unusedExports.map(entry => `${path.basename(entry.path)}:${entry.name}`);
+    expect(unused.sort()).toEqual(['a.js:b', 'util.js:unused']);
+    expect(result.conflicts.filter(conflict => conflict.type === 'unused_export')).toHaveLength(2);
+  });
+});
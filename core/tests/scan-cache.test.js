@@ -0,0 +1,98 @@
+/**
+ * Incremental Scan Cache Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { ScanCache, defaultCacheDir } from '../performance/scan-cache.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('ScanCache', () => {
+  let rootPath;
+  let cacheHome;
+
+  beforeEach(async () => {
+    cacheHome = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-cache-home-'));
+    process.env.MANITO_CACHE_DIR = cacheHome;
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-cache-'));
+    await fs.writeFile(path.join(rootPath, 'a.js'), "import { b } from './b';\nexport const a = b;");
+    await fs.writeFile(path.join(rootPath, 'b.js'), 'export const b = 1;');
+  });
+
+  afterEach(async () => {
+    delete process.env.MANITO_CACHE_DIR;
+    await fs.rm(rootPath, { recursive: true, force: true });
+    await fs.rm(cacheHome, { recursive: true, force: true });
+  });
+
+  test('should reuse unchanged files and rebuild the same graph', async () => {
+    const first = await new CodeScanner().scan(rootPath);
+    expect(first.cache).toMatchObject({ enabled: true, hits: 0, misses: 2 });
+
+    const second = await new CodeScanner().scan(rootPath);
+    expect(second.cache).toMatchObject({ hits: 2, misses: 0 });
+    expect(second.dependencies).toEqual(first.dependencies);
+    expect(second.metrics.linesOfCode).toBe(first.metrics.linesOfCode);
+  });
+
+  test('should keep the cache outside the scanned tree', async () => {
+    const result = await new CodeScanner().scan(rootPath);
+
+    expect(path.dirname(result.cache.cachePath)).toBe(defaultCacheDir(rootPath));
+    expect(result.cache.cachePath.startsWith(cacheHome)).toBe(true);
+    await expect(fs.access(path.join(rootPath, '.manito'))).rejects.toThrow();
+  });
+
+  test('should not replay results scanned with other rule options', async () => {
+    await fs.writeFile(path.join(rootPath, 'b.js'), 'export const b = eval(process.argv[2]);');
+    await new CodeScanner({ security: false }).scan(rootPath);
+
+    const result = await new CodeScanner().scan(rootPath);
+    expect(result.cache).toMatchObject({ hits: 0, misses: 2 });
+    expect(result.files.find(f => f.filePath.endsWith('b.js')).security.length).toBeGreaterThan(0);
+  });
+
+  test('should re-parse only files whose content changed', async () => {
+    await new CodeScanner().scan(rootPath);
+    await fs.writeFile(path.join(rootPath, 'b.js'), 'export const b = 2;\nexport const c = 3;');
+
+    const result = await new CodeScanner().scan(rootPath);
+    expect(result.cache).toMatchObject({ hits: 1, misses: 1 });
+    expect(result.files.find(f => f.filePath.endsWith('b.js')).exports).toHaveLength(2);
+  });
+
+  test('should prune entries for deleted files and ignore stale versions', async () => {
+    await new CodeScanner().scan(rootPath);
+    await fs.rm(path.join(rootPath, 'b.js'));
+    await new CodeScanner().scan(rootPath);
+
+    const cacheDir = defaultCacheDir(rootPath);
+    const cache = await new ScanCache({ cacheDir, version: new CodeScanner().getCacheVersion() }).load();
+    expect([...cache.entries.keys()]).toEqual([path.join(rootPath, 'a.js')]);
+
+    const stale = await new ScanCache({ cacheDir, version: -1 }).load();
+    expect(stale.entries.size).toBe(0);
+  });
+
+  test('should survive concurrent saves of the same root', async () => {
+    const cacheDir = defaultCacheDir(rootPath);
+    const caches = [1, 2, 3].map(run => {
+      const cache = new ScanCache({ cacheDir });
+      cache.entries.set(path.join(rootPath, 'a.js'), { run });
+      cache.dirty = true;
+      return cache;
+    });
+    await Promise.all(caches.map(cache => cache.save()));
+
+    const cache = await new ScanCache({ cacheDir }).load();
+    expect(cache.entries.size).toBe(1);
+    expect((await fs.readdir(cacheDir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should skip the cache when disabled', async () => {
+    const result = await new CodeScanner({ cache: false }).scan(rootPath);
+    expect(result.cache).toEqual({ enabled: false });
+    await expect(fs.access(path.join(rootPath, '.manito'))).rejects.toThrow();
+  });
+});
@@ -19,7 +19,7 @@ describe('CodeScanner', () => {
 
   test('should have default options', () => {
     expect(scanner.options).toBeDefined();
-    expect(scanner.options.patterns).toEqual(['**/*.{js,jsx,ts,tsx,py,go,rs,java,cpp,cs,php,rb,swift,kt}']);
+    expect(scanner.options.patterns).toEqual(['**/*.{js,jsx,ts,tsx,vue,svelte,py,go,rs,java,cpp,cs,php,rb,swift,kt}']);
   });
 
   test('should initialize metrics', () => {
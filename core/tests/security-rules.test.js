@@ -0,0 +1,152 @@
+/**
+ * Security Rule Pack Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { checkSecurity } from '../analyzers/security-rules.js';
+import { parse } from '@babel/parser';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const check = (code) => checkSecurity(parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] }))
+  .map(({ rule, line }) => [rule, line]);
+
+describe('Security rules', () => {
+  test('should flag eval, new Function and string timers but not local functions with those names', () => {
+    expect(check([
+      'eval(code);',
+      'const run = new Function("a", body);',
+      'setTimeout("tick()", 10);',
+      'setTimeout(() => tick(), 10);',
+      'window.eval(code);',
+      'function scoped(setTimeout) { return setTimeout("later", 1); }'
+    ].join('\n'))).toEqual([
+      ['no-eval', 1],
+      ['no-new-function', 2],
+      ['no-eval', 3],
+      ['no-eval', 5]
+    ]);
+  });
+
+  test('should flag child_process calls with non-literal commands however they are imported', () => {
+    expect(check([
+      "import { exec as run } from 'node:child_process';",
+      "import * as cp from 'child_process';",
+      "const { spawnSync } = require('child_process');",
+      "run('ls -la');",
+      'run(`git log ${branch}`);',
+      'cp.execSync(command);',
+      "spawnSync('git', ['log', branch]);",
+      'spawnSync(binary);',
+      'exec(command);'
+    ].join('\n'))).toEqual([
+      ['child-process-injection', 5],
+      ['child-process-injection', 6],
+      ['child-process-injection', 8]
+    ]);
+  });
+
+  test('should flag SQL built by concatenation but not parameterized or tagged queries', () => {
+    expect(check([
+      'db.query("SELECT * FROM users WHERE id = " + id);',
+      'db.query(`UPDATE users SET name = \'${name}\' WHERE id = 1`);',
+      "db.query('SELECT * FROM users WHERE id = $1', [id]);",
+      'db.query(sql`SELECT * FROM users WHERE id = ${id}`);',
+      'const label = "Selected " + count + " items from the list";'
+    ].join('\n'))).toEqual([
+      ['sql-concatenation', 1],
+      ['sql-concatenation', 2]
+    ]);
+  });
+
+  test('should flag dynamic dangerouslySetInnerHTML and hardcoded secrets', () => {
+    expect(check([
+      'const a = <div dangerouslySetInnerHTML={{ __html: html }} />;',
+      'const b = <div dangerouslySetInnerHTML={{ __html: "<br/>" }} />;',
+      'const b2 = React.createElement("div", { dangerouslySetInnerHTML: markup });',
+      "const apiKey = 'sk_live_51Hx9aQ2kLm';",
+      'const config = { password: "hunter2hunter2", passwordField: "password", token: process.env.TOKEN };',
+      "settings.clientSecret = 'Zx81kq-0Pq';",
+      "const TOKEN_HEADER = 'Authorization';",
+      "const secret = 'changeme';"
+    ].join('\n'))).toEqual([
+      ['dangerously-set-inner-html', 1],
+      ['dangerously-set-inner-html', 3],
+      ['hardcoded-secret', 4],
+      ['hardcoded-secret', 5],
+      ['hardcoded-secret', 6]
+    ]);
+  });
+
+  test('should trace request input to sinks through variables, destructuring and string methods', () => {
+    const code = [
+      "import { exec } from 'child_process';",
+      "import fs from 'fs';",
+      'app.get("/user", (req, res) => {',
+      '  const { id } = req.params;',
+      '  const name = req.query.name.trim();',
+      '  const safeId = parseInt(id, 10);',
+      '  let sql = "SELECT * FROM users WHERE id = " + safeId;',
+      '  db.query(sql);',
+      '  db.query(`SELECT * FROM users WHERE name = \'${name}\'`);',
+      '  exec("grep " + name);',
+      '  fs.readFile(`/data/${id}`, () => {});',
+      '  res.send("<h1>" + name + "</h1>");',
+      '  document.body.innerHTML = location.hash;',
+      '  res.json({ id: safeId });',
+      '});'
+    ].join('\n');
+    const findings = checkSecurity(parse(code, { sourceType: 'module' }));
+    const flows = findings.filter(finding => finding.rule === 'tainted-flow');
+    expect(flows.map(({ line, message }) => [line, message])).toEqual([
+      [9, "req.query flows into query() (SQL injection)"],
+      [10, 'req.query flows into exec() (command injection)'],
+      [11, 'req.params flows into fs.readFile() (path traversal)'],
+      [12, 'req.query flows into res.send() (cross-site scripting)'],
+      [13, 'location.hash flows into innerHTML (cross-site scripting)']
+    ]);
+    expect(flows[0]).toMatchObject({ severity: 'error', column: 3, endLine: 9 });
+  });
+
+  describe('in a scan', () => {
+    let rootPath;
+    let result;
+
+    beforeAll(async () => {
+      rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-security-'));
+      await fs.writeFile(path.join(rootPath, 'handler.js'), [
+        'export function handler(req, res) {',
+        '  return eval(req.body.code);',
+        '}'
+      ].join('\n'));
+      result = await new CodeScanner({ cache: false }).scan(rootPath);
+    });
+
+    afterAll(async () => {
+      await fs.rm(rootPath, { recursive: true, force: true });
+    });
+
+    test('should store findings on the file and report them as conflicts', () => {
+      expect(result.files[0].security.map(finding => finding.rule)).toEqual(['no-eval', 'tainted-flow']);
+      expect(result.conflicts.filter(conflict => conflict.type === 'security_issue')).toEqual([
+        {
+          type: 'security_issue',
+          severity: 'error',
+          message: 'eval() runs arbitrary code (no-eval)',
+          files: [path.join(rootPath, 'handler.js')],
+          line: 2,
+          rule: 'no-eval'
+        },
+        {
+          type: 'security_issue',
+          severity: 'error',
+          message: 'req.body flows into eval() (code injection) (tainted-flow)',
+          files: [path.join(rootPath, 'handler.js')],
+          line: 2,
+          rule: 'tainted-flow'
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Vue and Svelte Single-File Component Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { DependencyAnalyzer } from '../analyzers/dependency-analyzer.js';
+import { createFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const fixture = {
+  'src/App.vue': [
+    '<template>',
+    '  <AppHeader :title="heading" />',
+    '  <user-card v-for="user in users" :key="user.id" :label="formatName(user)" />',
+    '  <BaseButton @click="refresh">Reload</BaseButton>',
+    '</template>',
+    '',
+    '<script setup lang="ts">',
+    "import AppHeader from './components/AppHeader.vue';",
+    "import UserCard from './components/UserCard.vue';",
+    "import { formatName, unused } from './format';",
+    "import { ref } from 'vue';",
+    '',
+    'const heading: string = "Users";',
+    'const users = ref<{ id: number }[]>([]);',
+    'function refresh(): void {',
+    '  if (users.value.length === 0) users.value = [{ id: 1 }];',
+    '}',
+    '</script>',
+    '',
+    '<style scoped>',
+    '.app { color: red; }',
+    '</style>',
+    ''
+  ].join('\n'),
+  'src/components/AppHeader.vue': '<template><h1>{{ title }}</h1></template>\n<script>\nexport default { props: ["title"] };\n</script>\n',
+  'src/components/UserCard.vue': '<template><div>{{ label }}</div></template>\n',
+  // Globally registered, never imported
+  'src/components/BaseButton.vue': '<template><button><slot /></button></template>\n',
+  'src/format.ts': 'export const formatName = (user: { id: number }) => `#${user.id}`;\nexport const unused = 1;\n',
+  'src/Counter.svelte': [
+    '<script context="module">',
+    '  export const prerender = true;',
+    '</script>',
+    '',
+    '<script>',
+    "  import Badge from './Badge.svelte';",
+    "  import { count } from './stores.js';",
+    "  import { onMount } from 'svelte';",
+    '  export let step = 1;',
+    '  const increment = () => count.update(n => n + step);',
+    '</script>',
+    '',
+    '<button on:click={increment}>{$count}</button>',
+    '<Badge value={$count} />',
+    '<svelte:self />',
+    ''
+  ].join('\n'),
+  'src/Badge.svelte': '<script>\n  export let value;\n</script>\n<span>{value}</span>\n',
+  'src/stores.js': "import { writable } from 'svelte/store';\nexport const count = writable(0);\n"
+};
+
+describe('Single-file components', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+  const file = (name) => result.files.find(entry => entry.filePath === abs(name));
+  const edge = (from, to) => result.edges.find(entry => entry.from === abs(from) && entry.to === abs(to));
+
+  beforeAll(async () => {
+    rootPath = await createFixture('sfc', fixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should parse Vue script setup blocks as TypeScript on the component lines', () => {
+    const app = file('src/App.vue');
+    expect(app).toMatchObject({ isTypeScript: true, lines: 23 });
+    expect(app.sfc.framework).toBe('vue');
+    expect(app.sfc.scripts).toEqual([{ lang: 'ts', setup: true, line: 7, endLine: 18 }]);
+    expect(app.imports.map(imp => [imp.source, imp.line])).toEqual([
+      ['./components/AppHeader.vue', 8],
+      ['./components/UserCard.vue', 9],
+      ['./format', 10],
+      ['vue', 11]
+    ]);
+    expect(app.functions.map(fn => [fn.name, fn.line, fn.complexity])).toEqual([['refresh', 15, 2]]);
+  });
+
+  test('should count imports used only in the template as used', () => {
+    expect(edge('src/App.vue', 'src/components/AppHeader.vue').specifiers[0].unused).toBe(false);
+    expect(edge('src/App.vue', 'src/format.ts').specifiers.map(spec => [spec.name, spec.unused])).toEqual([
+      ['formatName', false],
+      ['unused', true]
+    ]);
+  });
+
+  test('should match template components to imports and link global ones by name', () => {
+    expect(file('src/App.vue').sfc.templateComponents).toEqual([
+      { name: 'AppHeader', line: 2, source: './components/AppHeader.vue' },
+      { name: 'user-card', line: 3, source: './components/UserCard.vue' },
+      { name: 'BaseButton', line: 4 }
+    ]);
+    expect(edge('src/App.vue', 'src/components/BaseButton.vue')).toMatchObject({
+      source: 'BaseButton',
+      template: true,
+      lines: [4]
+    });
+    expect(edge('src/App.vue', 'src/components/UserCard.vue').template).toBe(false);
+  });
+
+  test('should read Svelte scripts, store subscriptions and props', () => {
+    const counter = file('src/Counter.svelte');
+    expect(counter.sfc.scripts).toEqual([
+      { lang: 'js', module: true, line: 1, endLine: 3 },
+      { lang: 'js', line: 5, endLine: 11 }
+    ]);
+    expect(counter.sfc.props).toEqual(['step']);
+    expect(counter.exports.map(entry => entry.name)).toEqual(['prerender']);
+    expect(counter.sfc.templateComponents).toEqual([{ name: 'Badge', line: 14, source: './Badge.svelte' }]);
+    expect(edge('src/Counter.svelte', 'src/stores.js').specifiers[0]).toMatchObject({ name: 'count', unused: false });
+    expect(result.dependencies[abs('src/Counter.svelte')]).toContain('external:svelte');
+  });
+
+  test('should treat components as components', () => {
+    const analyzer = new DependencyAnalyzer();
+    expect(analyzer.isComponent('/app/src/App.vue')).toBe(true);
+    expect(analyzer.isComponent('/app/src/Counter.svelte')).toBe(true);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Suppression Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { findSuppressions, conflictFingerprint } from '../analyzers/suppressions.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const SOURCE = [
+  'export function run(input) {',
+  '  // manito-ignore-next-line no-eval -- trusted admin input',
+  '  eval(input);',
+  '  eval(input + 1);',
+  '  /* manito-ignore-next-line */',
+  '  const unused = 1;',
+  '  const other = 2;',
+  '  return input;',
+  '}'
+].join('\n');
+
+describe('Suppressions', () => {
+  test('should parse next-line and file directives in any comment syntax', () => {
+    expect(findSuppressions([
+      '// manito-ignore-file dead_code, no-eval',
+      'code();',
+      '# manito-ignore-next-line hardcoded-secret -- fixture',
+      'password = "x"',
+      '<!-- manito-ignore-next-line -->',
+      '<Widget />'
+    ].join('\n'))).toEqual({
+      file: ['dead_code', 'no-eval'],
+      lines: { 4: ['hardcoded-secret'], 6: ['*'] }
+    });
+    expect(findSuppressions('const plain = 1;')).toBeNull();
+  });
+
+  test('should fingerprint conflicts without line numbers or the project path', () => {
+    const conflict = { type: 'duplicate_code', message: 'Duplicate code in /repo/a.js:1-11, /repo/b.js:4-14', files: ['/repo/a.js', '/repo/b.js'] };
+    const moved = { ...conflict, message: 'Duplicate code in /repo/a.js:3-13, /repo/b.js:4-14', line: 3 };
+    expect(conflictFingerprint(conflict, '/repo')).toBe(conflictFingerprint(moved, '/repo'));
+    expect(conflictFingerprint(conflict, '/repo')).not.toBe(conflictFingerprint({ ...conflict, type: 'other' }, '/repo'));
+  });
+
+  describe('in a project', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-suppressions-'));
+      await fs.writeFile(path.join(tempDir, 'run.js'), SOURCE);
+      await fs.writeFile(path.join(tempDir, 'legacy.js'), '/* manito-ignore-file dead_code */\nexport function old(a, b) { return a; }\n');
+      await fs.writeFile(path.join(tempDir, '.env'), '# manito-ignore-next-line\nAPI_TOKEN=Vq8zR2mX7kL4pN9wT3yB\n');
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const scan = (options = {}) => new CodeScanner({ cache: false, reachability: false, ...options }).scan(tempDir);
+    const describeConflicts = (result) => result.conflicts.map(({ rule, files, line }) => [rule, path.basename(files[0]), line]);
+
+    test('should drop conflicts covered by comments and count them', async () => {
+      const result = await scan();
+
+      expect(describeConflicts(result)).toEqual([
+        ['no-eval', 'run.js', 4],
+        ['unused-variable', 'run.js', 7]
+      ]);
+      expect(result.suppressed).toMatchObject({
+        total: 4,
+        comments: 4,
+        baseline: 0,
+        byType: { security_issue: 1, dead_code: 2, exposed_secret: 1 }
+      });
+    });
+
+    test('should only report conflicts that are not in the baseline', async () => {
+      const recorded = await scan({ updateBaseline: true });
+      expect(recorded.conflicts).toEqual([]);
+      expect(recorded.suppressed.baseline).toBeGreaterThan(0);
+
+      const baseline = JSON.parse(await fs.readFile(path.join(tempDir, '.manito', 'baseline.json'), 'utf-8'));
+      expect(baseline.conflicts.map(entry => entry.rule).filter(Boolean).sort()).toEqual(['no-eval', 'unused-variable']);
+      expect(baseline.conflicts.every(entry => !path.isAbsolute(entry.files[0]))).toBe(true);
+
+      // Shift the recorded issues down and add one more eval
+      await fs.writeFile(path.join(tempDir, 'run.js'), `// header\n${SOURCE.replace('return input;', 'eval(input + 2);\n  return input;')}`);
+      const result = await scan();
+
+      expect(describeConflicts(result)).toEqual([['no-eval', 'run.js', 9]]);
+      expect(result.suppressed.baseline).toBe(recorded.suppressed.baseline);
+      expect(result.suppressed.comments).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Workspace Detection and Package Graph Tests
+ */
+
+import { CodeScanner } from '../index.js';
+import { WorkspaceDetector } from '../resolvers/workspace-detector.js';
+import { createFixture, writeFixture, removeFixture } from './fixture.js';
+import path from 'path';
+
+const pnpmFixture = {
+  'package.json': JSON.stringify({ name: 'acme', private: true }),
+  'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - \"apps/*\" # deployables\n  - '!packages/legacy'\n",
+  'packages/core/package.json': JSON.stringify({ name: '@acme/core', main: 'dist/index.js' }),
+  'packages/core/src/index.js': "export const add = (a, b) => a + b;\nexport { format } from './format.js';",
+  'packages/core/src/format.js': 'export const format = (value) => String(value);',
+  'packages/ui/package.json': JSON.stringify({
+    name: '@acme/ui',
+    exports: { '.': { types: './dist/index.d.ts', import: './dist/index.js' }, './button': './dist/button.js' },
+    dependencies: { '@acme/core': 'workspace:*' }
+  }),
+  'packages/ui/src/index.ts': "import { add } from '@acme/core';\nexport const total = add(1, 2);",
+  'packages/ui/src/button.tsx': "import { format } from '@acme/core';\nexport const Button = () => format(1);",
+  'packages/legacy/package.json': JSON.stringify({ name: '@acme/legacy' }),
+  'packages/legacy/index.js': 'export default 1;',
+  'apps/web/package.json': JSON.stringify({
+    name: 'web',
+    dependencies: { '@acme/ui': 'workspace:*', '@acme/core': 'workspace:*' }
+  }),
+  'apps/web/src/main.js': "import { total } from '@acme/ui';\nimport { Button } from '@acme/ui/button';\nimport { add } from '@acme/core';\nimport React from 'react';\nexport default [total, Button, add, React];"
+};
+
+describe('Workspaces', () => {
+  let rootPath;
+  let result;
+  const abs = (file) => path.join(rootPath, file);
+
+  beforeAll(async () => {
+    rootPath = await createFixture('workspaces', pnpmFixture);
+    result = await new CodeScanner({ cache: false }).scan(rootPath);
+  });
+
+  afterAll(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should detect pnpm workspace packages, honouring negated globs', () => {
+    expect(result.workspaces.manager).toBe('pnpm');
+    expect(result.workspaces.packages.map(pkg => pkg.name).sort()).toEqual(['(root)', '@acme/core', '@acme/ui', 'web']);
+    // Files outside every member package are grouped under the root
+    const root = result.workspaces.packages.find(pkg => pkg.name === '(root)');
+    expect(root.filePaths).toEqual([abs('packages/legacy/index.js')]);
+  });
+
+  test('should resolve cross-package imports to the sibling source instead of build output', () => {
+    const deps = result.dependencies[abs('apps/web/src/main.js')];
+    expect(deps).toEqual(expect.arrayContaining([
+      abs('packages/ui/src/index.ts'),
+      abs('packages/ui/src/button.tsx'),
+      abs('packages/core/src/index.js'),
+      'external:react'
+    ]));
+    expect(deps).not.toContain('external:@acme/ui');
+  });
+
+  test('should build a package-level graph with import counts', () => {
+    const edges = result.workspaces.edges.map(({ from, to, imports }) => ({ from, to, imports }));
+    expect(edges).toEqual(expect.arrayContaining([
+      { from: 'web', to: '@acme/ui', imports: 2 },
+      { from: 'web', to: '@acme/core', imports: 1 },
+      { from: '@acme/ui', to: '@acme/core', imports: 2 }
+    ]));
+    expect(result.workspaces.cycles).toEqual([]);
+  });
+
+  test('should compute per-package metrics', () => {
+    const core = result.workspaces.packages.find(pkg => pkg.name === '@acme/core');
+    expect(core.files).toBe(2);
+    expect(core.relativeDir).toBe('packages/core');
+    expect(core.dependents).toEqual(['@acme/ui', 'web']);
+    expect(core.instability).toBe(0);
+
+    const web = result.workspaces.packages.find(pkg => pkg.name === 'web');
+    expect(web.dependencies).toEqual(['@acme/core', '@acme/ui']);
+    expect(web.externalDependencies).toEqual(['react']);
+    expect(web.instability).toBe(1);
+  });
+
+  test('should treat sibling imports as uses of the declared workspace dependency', () => {
+    const missing = result.packageDependencies.missing.map(entry => entry.name);
+    expect(missing).not.toContain('@acme/core');
+    expect(missing).not.toContain('@acme/ui');
+    expect(missing).toContain('react');
+  });
+});
+
+describe('WorkspaceDetector', () => {
+  let rootPath;
+
+  beforeEach(async () => {
+    rootPath = await createFixture('detector');
+  });
+
+  afterEach(async () => {
+    await removeFixture(rootPath);
+  });
+
+  test('should detect yarn workspaces from the object form and yarn.lock', async () => {
+    await writeFixture(rootPath, {
+      'package.json': JSON.stringify({ private: true, workspaces: { packages: ['libs/*'] } }),
+      'yarn.lock': '',
+      'libs/a/package.json': JSON.stringify({ name: 'a', version: '1.0.0' })
+    });
+
+    const workspaces = await new WorkspaceDetector({ rootPath }).detect();
+    expect(workspaces.manager).toBe('yarn');
+    expect(workspaces.packages).toEqual([
+      { name: 'a', version: '1.0.0', dir: path.join(rootPath, 'libs/a'), packageJson: path.join(rootPath, 'libs/a/package.json'), private: false }
+    ]);
+  });
+
+  test('should return null for a single-package project', async () => {
+    await writeFixture(rootPath, { 'package.json': JSON.stringify({ name: 'solo' }) });
+    expect(await new WorkspaceDetector({ rootPath }).detect()).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Git Change Detector
+ * Reads the local repository to find which files changed since a base ref
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+export class GitChangeDetector {
+  constructor(options = {}) {
+    this.options = {
+      gitBinary: 'git',
+      includeUncommitted: true, // Staged, unstaged and untracked files count as changed
+      maxBuffer: 64 * 1024 * 1024,
+      ...options
+    };
+  }
+
+  async git(args, cwd) {
+    try {
+      const { stdout } = await execFileAsync(this.options.gitBinary, args, {
+        cwd,
+        maxBuffer: this.options.maxBuffer
+      });
+      return stdout;
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').toString().trim();
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  }
+
+  async getRepositoryRoot(cwd) {
+    return (await this.git(['rev-parse', '--show-toplevel'], cwd)).trim();
+  }
+
+  async resolveCommit(ref, cwd) {
+    if (typeof ref !== 'string' || ref.length === 0 || ref.startsWith('-')) {
+      throw new Error(`Invalid git ref: ${ref}`);
+    }
+    try {
+      return (await this.git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd)).trim();
+    } catch {
+      throw new Error(`Unknown git ref: ${ref}`);
+    }
+  }
+
+  /**
+   * Files changed between the merge base of `baseRef` and HEAD (pull request semantics),
+   * plus uncommitted work. Paths are absolute and limited to `rootPath`.
+   */
+  async getChangeSet(rootPath, baseRef) {
+    const repoRoot = await this.getRepositoryRoot(rootPath);
+    const baseCommit = await this.resolveCommit(baseRef, rootPath);
+    const headCommit = await this.resolveCommit('HEAD', rootPath);
+
+    const entries = this.parseNameStatus(
+      await this.git(['diff', '--name-status', '-z', '-M', `${baseCommit}...${headCommit}`], repoRoot)
+    );
+
+    if (this.options.includeUncommitted) {
+      entries.push(...this.parseNameStatus(
+        await this.git(['diff', '--name-status', '-z', '-M', 'HEAD'], repoRoot)
+      ));
+      const untracked = await this.git(['ls-files', '--others', '--exclude-standard', '-z'], repoRoot);
+      untracked.split('\0').filter(Boolean).forEach(file => entries.push({ status: 'A', path: file }));
+    }
+
+    const realRoot = await fs.realpath(rootPath);
+    const toScanPath = (relativeToRepo) => {
+      const relative = path.relative(realRoot, path.join(repoRoot, relativeToRepo));
+      if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+      return path.join(rootPath, relative);
+    };
+
+    const changed = new Set();
+    const deleted = new Set();
+
+    for (const entry of entries) {
+      const current = toScanPath(entry.path);
+      if (entry.from) {
+        // A rename removes the old path just like a deletion does
+        const previous = toScanPath(entry.from);
+        if (previous) deleted.add(previous);
+      }
+      if (!current) continue;
+
+      if (entry.status === 'D') {
+        deleted.add(current);
+        changed.delete(current);
+      } else {
+        changed.add(current);
+        deleted.delete(current);
+      }
+    }
+
+    return {
+      baseRef,
+      baseCommit,
+      headCommit,
+      repositoryRoot: repoRoot,
+      changedFiles: Array.from(changed).sort(),
+      deletedFiles: Array.from(deleted).sort()
+    };
+  }
+
+  /**
+   * Parse `git diff --name-status -z` output; renames and copies carry two paths
+   */
+  parseNameStatus(output) {
+    const tokens = output.split('\0').filter(Boolean);
+    const entries = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const status = tokens[i][0];
+      if (status === 'R' || status === 'C') {
+        entries.push({ status, from: status === 'R' ? tokens[i + 1] : null, path: tokens[i + 2] });
+        i += 2;
+      } else {
+        entries.push({ status, path: tokens[i + 1] });
+        i += 1;
+      }
+    }
+
+    return entries;
+  }
+}
+
+export default GitChangeDetector;
@@ -40,6 +40,12 @@ import userFlowRoutes from './api/user-flow-api.js';
 import { authenticate, optionalAuth, apiRateLimit, userContext } from './middleware/auth.js';
 import StreamingScanner from './services/scanner.js';
 import scanQueue from './services/scanQueue.js';
+import scanScheduler, { validateSchedule } from './services/scan-scheduler.js';
+import webhookService, { WEBHOOK_EVENTS } from './services/webhook-service.js';
+import { diffScans, defaultDiffPair, scopeMismatch } from './services/scan-diff.js';
+import { scanRequestSchema, scanScheduleSchema } from './services/scan-request.js';
+import { pluginsAllowed } from './services/plugin-policy.js';
+import { activeGates } from './services/quality-gates.js';
 import migrations from './services/migrations.js';
 import AIAnalysisFormatter from '../core/ai-analysis.js';
 import WebSocketService from './services/websocket.js';
@@ -151,17 +157,36 @@ app.use(apiRateLimit);
 app.use(optionalAuth);
 app.use(userContext);
 
-// Request validation schemas
-const scanRequestSchema = Joi.object({
-  path: Joi.string().required(),
-  async: Joi.boolean().default(false), // Whether to run scan asynchronously
-  options: Joi.object({
-    patterns: Joi.array().items(Joi.string()).optional(),
-    excludePatterns: Joi.array().items(Joi.string()).optional(),
-    maxFileSize: Joi.number().positive().optional(),
-    maxConcurrency: Joi.number().min(1).max(8).optional(),
-    timeout: Joi.number().min(1000).max(600000).optional() // 1s to 10min
-  }).optional()
+// Request validation schemas (scan requests and schedules: services/scan-request.js)
+
+// Webhook event filters: an event name, a prefix such as 'scan.*', or '*'
+const webhookEventsSchema = Joi.array()
+  .items(Joi.string().valid('*', 'scan.*', 'gate.*', ...Object.keys(WEBHOOK_EVENTS)))
+  .min(1);
+
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048),
+  events: webhookEventsSchema,
+  secret: Joi.string().min(16).max(256), // generated when not given
+  description: Joi.string().max(200).allow('', null),
+  active: Joi.boolean()
+};
+
+const webhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.default(['*']),
+  active: webhookFields.active.default(true)
+});
+
+const webhookUpdateSchema = Joi.object(webhookFields).min(1);
+
+// Thresholds for a project's quality gates; null or missing means not enforced
+const qualityGatesSchema = Joi.object({
+  max_new_circular_dependencies: Joi.number().integer().min(0).allow(null),
+  max_function_complexity: Joi.number().integer().min(1).allow(null),
+  max_high_severity_security: Joi.number().integer().min(0).allow(null),
+  max_unused_dependencies: Joi.number().integer().min(0).allow(null)
 });
 
 // WebSocket service event handlers
@@ -209,11 +234,27 @@ scanQueue.on('jobFailed', (data) => {
   broadcast('scan', { event: 'failed', ...data });
 });
 
+scanQueue.on('jobRetrying', (jobData) => {
+  broadcast('scanQueue', { event: 'jobRetrying', job: jobData });
+});
+
+scanQueue.on('jobCoalesced', (jobData) => {
+  broadcast('scanQueue', { event: 'jobCoalesced', job: jobData });
+});
+
 scanQueue.on('jobCancelled', (data) => {
   broadcast('scanQueue', { event: 'jobCancelled', job: data });
   broadcast('scan', { event: 'cancelled', ...data });
 });
 
+scanScheduler.on('scheduleRun', (data) => {
+  broadcast('scanSchedule', { event: 'run', ...data });
+});
+
+scanScheduler.on('scheduleOutcome', (data) => {
+  broadcast('scanSchedule', { event: 'outcome', ...data });
+});
+
 // Auth routes
 app.use('/api/auth', authRoutes);
 
@@ -455,7 +496,7 @@ app.post('/api/scan', async (req, res) => {
       });
     }
 
-    const { path: scanPath, async: isAsync = false, options = {} } = value;
+    const { path: scanPath, async: isAsync = false, priority, options = {} } = value;
     
     // Resolve relative paths to absolute paths relative to project root (one level up from server)
     const projectRoot = path.resolve(__dirname, '..');
@@ -471,23 +512,29 @@ app.post('/api/scan', async (req, res) => {
 
     if (isAsync) {
       // Async mode: Queue the job and return immediately
+      // Identical pending requests are merged into one job
       const jobId = await scanQueue.addJob({
         path: resolvedPath,
         options,
         userId
-      });
+      }, { priority });
+      const job = scanQueue.getJobStatus(jobId);
+      const coalesced = job.waiters.length > 1;
 
-      logger.info('Scan queued', { jobId, path: resolvedPath });
+      logger.info(coalesced ? 'Scan request merged into pending job' : 'Scan queued', { jobId, path: resolvedPath, priority: job.priority });
 
       res.json({
         success: true,
         async: true,
         jobId,
-        message: 'Scan queued for processing',
+        message: coalesced ? 'An identical scan is already queued; this request will share its result' : 'Scan queued for processing',
         data: {
           jobId,
-          status: 'queued',
-          path: resolvedPath
+          status: job.status,
+          path: resolvedPath,
+          priority: job.priority,
+          queuePosition: job.queuePosition,
+          coalesced
         }
       });
 
@@ -496,7 +543,13 @@ app.post('/api/scan', async (req, res) => {
       let scanResult;
       try {
         const { CodeScanner } = await import('@manito/core');
-        const scanner = new CodeScanner();
+        const scanner = new CodeScanner({
+          cache: options.cache !== false,
+          baseRef: options.baseRef,
+          updateBaseline: options.updateBaseline === true,
+          plugins: pluginsAllowed(resolvedPath),
+          ...(options.dependentDepth !== undefined && { dependentDepth: options.dependentDepth })
+        });
         scanResult = await scanner.scan(resolvedPath);
       } catch (error) {
         logger.error('Scanner error:', error);
@@ -512,7 +565,14 @@ app.post('/api/scan', async (req, res) => {
         files: scanResult.files || [],
         dependencies: scanResult.dependencies || {},
         metrics: scanResult.metrics || {},
-        conflicts: scanResult.conflicts || []
+        conflicts: scanResult.conflicts || [],
+        cache: scanResult.cache,
+        changeSet: scanResult.changeSet || null,
+        workspaces: scanResult.workspaces || null,
+        complexityHotspots: scanResult.complexityHotspots || [],
+        edges: scanResult.edges || [],
+        plugins: scanResult.plugins || [],
+        suppressed: scanResult.suppressed || null
       };
       
       // Find or create project and save results
@@ -544,11 +604,20 @@ app.post('/api/scan', async (req, res) => {
         await scan.complete({
           files: serializableResult.files || [],
           conflicts: serializableResult.conflicts || [],
-          dependencies: serializableResult.dependencies ? Object.entries(serializableResult.dependencies).map(([from, to]) => ({ from, to })) : [],
-          metrics: serializableResult.metrics || {}
+          dependencies: Scan.dependencyRows(serializableResult.dependencies),
+          metrics: serializableResult.metrics || {},
+          workspaces: serializableResult.workspaces,
+          edges: serializableResult.edges,
+          plugins: serializableResult.plugins,
+          suppressed: serializableResult.suppressed,
+          changeSet: serializableResult.changeSet
         });
 
         await project.updateScanStatus('completed');
+
+        webhookService.scanCompleted(project, scan, { path: resolvedPath }).catch(error => {
+          logger.warn('Failed to send scan webhooks', { scanId: scan.id, error: error.message });
+        });
       } catch (error) {
         logger.error('Database operation failed', { error: error.message });
         // Continue without database persistence
@@ -568,7 +637,9 @@ app.post('/api/scan', async (req, res) => {
         summary: {
           files: serializableResult.files.length,
           conflicts: serializableResult.conflicts.length,
-          linesOfCode: serializableResult.metrics?.linesOfCode || 0
+          suppressed: serializableResult.suppressed?.total || 0,
+          linesOfCode: serializableResult.metrics?.linesOfCode || 0,
+          plugins: serializableResult.plugins.map(plugin => ({ name: plugin.name, status: plugin.status }))
         }
       });
 
@@ -581,7 +652,8 @@ app.post('/api/scan', async (req, res) => {
           name: project.name,
           path: project.path
         },
-        savedAt: scan.completed_at
+        savedAt: scan.completed_at,
+        qualityGate: scan.results?.quality_gate ?? null
       };
 
       res.json({ success: true, async: false, data: result });
@@ -669,7 +741,8 @@ app.post('/api/upload', upload.single('projectFile'), async (req, res) => {
     let scanResult;
     try {
       const { CodeScanner } = await import('@manito/core');
-      const scanner = new CodeScanner();
+      // Uploaded code is never trusted to run plugins on the server
+      const scanner = new CodeScanner({ plugins: false });
       scanResult = await scanner.scan(scanPath);
     } catch (error) {
       logger.error('Scanner error:', error);
@@ -713,7 +786,8 @@ app.post('/api/upload', upload.single('projectFile'), async (req, res) => {
           variables: file.variables || []
         })),
         conflicts: scanResult.conflicts || [],
-        dependencies: scanResult.dependencies ? Object.entries(scanResult.dependencies).map(([from, to]) => ({ from, to })) : [],
+        dependencies: Scan.dependencyRows(scanResult.dependencies),
+        edges: scanResult.edges || [],
         metrics: {
           filesScanned: scanResult.metrics?.filesScanned || 0,
           linesOfCode: scanResult.metrics?.linesOfCode || 0,
@@ -761,6 +835,7 @@ app.post('/api/upload', upload.single('projectFile'), async (req, res) => {
         source: 'upload'
       },
       savedAt: scan.completed_at,
+      qualityGate: scan.results?.quality_gate ?? null,
       extractDir // Include for cleanup later if needed
     };
 
@@ -840,7 +915,8 @@ app.post('/api/upload-directory', async (req, res) => {
       let scanResult;
       try {
         const { CodeScanner } = await import('@manito/core');
-        const scanner = new CodeScanner();
+        // Uploaded code is never trusted to run plugins on the server
+        const scanner = new CodeScanner({ plugins: false });
         scanResult = await scanner.scan(tempDir);
       } catch (error) {
         logger.error('Scanner error:', error);
@@ -884,7 +960,8 @@ app.post('/api/upload-directory', async (req, res) => {
             variables: file.variables || []
           })),
           conflicts: scanResult.conflicts || [],
-          dependencies: scanResult.dependencies ? Object.entries(scanResult.dependencies).map(([from, to]) => ({ from, to })) : [],
+          dependencies: Scan.dependencyRows(scanResult.dependencies),
+          edges: scanResult.edges || [],
           metrics: {
             filesScanned: scanResult.metrics?.filesScanned || 0,
             linesOfCode: scanResult.metrics?.linesOfCode || 0,
@@ -943,6 +1020,7 @@ app.post('/api/upload-directory', async (req, res) => {
           source: 'browser-directory'
         },
         savedAt: scan.completed_at,
+        qualityGate: scan.results?.quality_gate ?? null,
         filesUploaded: data.files.length
       };
 
@@ -1604,6 +1682,222 @@ app.delete('/api/projects/:id', async (req, res) => {
   }
 });
 
+// Webhook subscriptions of a project and their delivery log
+const findWebhookProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (req.params.webhookId && !project.webhooks.some(webhook => webhook.id === req.params.webhookId)) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return project;
+};
+
+app.get('/api/projects/:id/webhooks', async (req, res) => {
+  try {
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    res.json({ success: true, data: webhookService.list(project), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error('Failed to get webhooks', error);
+    res.status(500).json({ error: 'Failed to get webhooks', message: error.message });
+  }
+});
+
+app.post('/api/projects/:id/webhooks', async (req, res) => {
+  try {
+    const { error, value } = webhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid webhook', message: error.details[0].message });
+    }
+
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    res.status(201).json({ success: true, data: await webhookService.create(project, value) });
+  } catch (error) {
+    logger.error('Failed to create webhook', error);
+    res.status(500).json({ error: 'Failed to create webhook', message: error.message });
+  }
+});
+
+app.patch('/api/projects/:id/webhooks/:webhookId', async (req, res) => {
+  try {
+    const { error, value } = webhookUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid webhook', message: error.details[0].message });
+    }
+
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    res.json({ success: true, data: await webhookService.update(project, req.params.webhookId, value) });
+  } catch (error) {
+    logger.error('Failed to update webhook', error);
+    res.status(500).json({ error: 'Failed to update webhook', message: error.message });
+  }
+});
+
+app.delete('/api/projects/:id/webhooks/:webhookId', async (req, res) => {
+  try {
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    await webhookService.remove(project, req.params.webhookId);
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete webhook', error);
+    res.status(500).json({ error: 'Failed to delete webhook', message: error.message });
+  }
+});
+
+// Send a ping event to check the receiver and its signature handling
+app.post('/api/projects/:id/webhooks/:webhookId/ping', async (req, res) => {
+  try {
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    const delivery = await webhookService.ping(project, req.params.webhookId);
+    res.status(202).json({ success: true, data: delivery });
+  } catch (error) {
+    logger.error('Failed to ping webhook', error);
+    res.status(500).json({ error: 'Failed to ping webhook', message: error.message });
+  }
+});
+
+app.get('/api/projects/:id/webhooks/:webhookId/deliveries', async (req, res) => {
+  try {
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    res.json({ success: true, data: await webhookService.deliveries(req.params.webhookId, limit) });
+  } catch (error) {
+    logger.error('Failed to get webhook deliveries', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries', message: error.message });
+  }
+});
+
+app.post('/api/projects/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const project = await findWebhookProject(req, res);
+    if (!project) return;
+
+    const delivery = await webhookService.redeliver(project, req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.status(202).json({ success: true, data: delivery });
+  } catch (error) {
+    logger.error('Failed to redeliver webhook', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook', message: error.message });
+  }
+});
+
+// Quality gates checked when each scan of the project completes
+app.get('/api/projects/:id/quality-gates', async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, data: project.quality_gates || {} });
+  } catch (error) {
+    logger.error('Failed to get quality gates', error);
+    res.status(500).json({ error: 'Failed to get quality gates', message: error.message });
+  }
+});
+
+app.put('/api/projects/:id/quality-gates', async (req, res) => {
+  try {
+    const { error, value } = qualityGatesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid quality gates', message: error.details[0].message });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await project.saveQualityGates(activeGates(value));
+    res.json({ success: true, data: project.quality_gates || {} });
+  } catch (error) {
+    logger.error('Failed to update quality gates', error);
+    res.status(500).json({ error: 'Failed to update quality gates', message: error.message });
+  }
+});
+
+// Scheduled scans of a project
+app.get('/api/projects/:id/schedules', async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, data: await scanScheduler.list(project) });
+  } catch (error) {
+    logger.error('Failed to get scan schedules', error);
+    res.status(500).json({ error: 'Failed to get scan schedules', message: error.message });
+  }
+});
+
+app.post('/api/projects/:id/schedules', async (req, res) => {
+  try {
+    const { error, value } = scanScheduleSchema.validate(req.body);
+    const invalid = error ? error.details[0].message : validateSchedule(value);
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid schedule', message: invalid });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const schedule = await scanScheduler.create(project, value);
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    logger.error('Failed to create scan schedule', error);
+    res.status(500).json({ error: 'Failed to create scan schedule', message: error.message });
+  }
+});
+
+for (const action of ['pause', 'resume']) {
+  app.post(`/api/projects/:id/schedules/:scheduleId/${action}`, async (req, res) => {
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const schedule = await scanScheduler.setPaused(project, req.params.scheduleId, action === 'pause');
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      res.json({ success: true, data: schedule });
+    } catch (error) {
+      logger.error(`Failed to ${action} scan schedule`, error);
+      res.status(500).json({ error: `Failed to ${action} scan schedule`, message: error.message });
+    }
+  });
+}
+
+app.delete('/api/projects/:id/schedules/:scheduleId', async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!await scanScheduler.remove(project, req.params.scheduleId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true, message: 'Schedule deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete scan schedule', error);
+    res.status(500).json({ error: 'Failed to delete scan schedule', message: error.message });
+  }
+});
+
 // Scans endpoints
 app.get('/api/scans', async (req, res) => {
   try {
@@ -1642,6 +1936,41 @@ app.get('/api/projects/:id/scans', async (req, res) => {
   }
 });
 
+// Compare two scans of a project; defaults to the two most recent completed scans
+app.get('/api/projects/:id/scans/diff', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    let { from: fromId, to: toId } = req.query;
+
+    if (!fromId || !toId) {
+      ({ fromId, toId } = defaultDiffPair(await Scan.findByProjectId(projectId, 50), { from: fromId, to: toId }));
+    }
+
+    if (!fromId || !toId) {
+      return res.status(400).json({
+        error: 'Two scans are required',
+        message: 'Pass ?from=&to= or run at least two completed full scans for this project'
+      });
+    }
+
+    const [fromScan, toScan] = await Promise.all([Scan.findById(fromId), Scan.findById(toId)]);
+    if (!fromScan || !toScan || String(fromScan.project_id) !== String(projectId) || String(toScan.project_id) !== String(projectId)) {
+      return res.status(404).json({ error: 'Scan not found for this project' });
+    }
+
+    const mismatch = scopeMismatch(fromScan, toScan);
+    if (mismatch) {
+      return res.status(400).json({ error: 'Scans have different scopes', message: mismatch });
+    }
+
+    const [fromDetails, toDetails] = await Promise.all([fromScan.getFullDetails(), toScan.getFullDetails()]);
+    res.json({ success: true, data: diffScans(fromDetails, toDetails) });
+  } catch (error) {
+    logger.error('Failed to diff project scans', error);
+    res.status(500).json({ error: 'Failed to diff project scans', message: error.message });
+  }
+});
+
 // Get latest scan for a project
 app.get('/api/projects/:id/latest-scan', async (req, res) => {
   try {
@@ -1796,16 +2125,36 @@ app.get('/api/graph/:scanId?', async (req, res) => {
           lines: file.lines_of_code || 0
         }));
         
-        const links = details.dependencies.map(dep => ({
-          source: dep.from_file,
-          target: dep.to_file,
-          type: dep.dependency_type,
-          circular: dep.is_circular
-        }));
+        const circularEdges = new Set(details.dependencies
+          .filter(dep => dep.is_circular)
+          .map(dep => `${dep.from_file}\u0000${dep.to_file}`));
+
+        // Prefer the per-edge import details kept with the scan results
+        const links = details.results?.edges
+          ? details.results.edges.map(edge => ({
+              source: edge.from,
+              target: edge.to,
+              type: getEdgeImportType(edge),
+              circular: circularEdges.has(`${edge.from}\u0000${edge.to}`),
+              specifiers: edge.specifiers,
+              typeOnly: edge.typeOnly,
+              dynamic: edge.dynamic,
+              sideEffect: edge.sideEffect,
+              reexport: edge.reexport
+            }))
+          : details.dependencies.map(dep => ({
+              source: dep.from_file,
+              target: dep.to_file,
+              type: dep.dependency_type,
+              circular: dep.is_circular
+            }));
         
+        // Package-level graph for monorepo scans
+        const packages = details.results?.workspaces || null;
+
         return res.json({
           scanId,
-          graph: { nodes, links },
+          graph: { nodes, links, packages },
           metadata: {
             nodes: nodes.length,
             edges: links.length,
@@ -1822,7 +2171,8 @@ app.get('/api/graph/:scanId?', async (req, res) => {
       scanId: scanId || null,
       graph: {
         nodes: [],
-        links: []
+        links: [],
+        packages: null
       },
       metadata: {
         nodes: 0,
@@ -2238,6 +2588,31 @@ async function startServer() {
     logger.error('❌ Database migration failed:', error);
   }
 
+  // Resume scan jobs persisted by the previous run
+  try {
+    logger.info('📋 Restoring scan queue...');
+    await scanQueue.init();
+    logger.info(`✅ Scan queue ready (${scanQueue.getQueueStatus().store} store)`);
+  } catch (error) {
+    logger.error('❌ Scan queue restore failed:', error);
+  }
+
+  // Arm recurring scans once the queue can take their jobs
+  try {
+    await scanScheduler.start();
+    logger.info('✅ Scan scheduler started');
+  } catch (error) {
+    logger.error('❌ Scan scheduler failed to start:', error);
+  }
+
+  // Send scan events to project webhooks and resume pending deliveries
+  try {
+    await webhookService.start();
+    logger.info(`✅ Webhooks ready (${webhookService.store.kind} delivery log)`);
+  } catch (error) {
+    logger.error('❌ Webhook service failed to start:', error);
+  }
+
   // Initialize Code Knowledge Graph service
   try {
     logger.info('📋 Initializing Code Knowledge Graph service...');
@@ -2633,6 +3008,14 @@ function detectBuildTools(scanResult) {
 }
 
 // Helper methods for node enhancement
+function getEdgeImportType(edge) {
+  if (edge.dynamic) return 'dynamic';
+  if (edge.typeOnly) return 'type';
+  if (edge.sideEffect) return 'side-effect';
+  if (edge.reexport) return 're-export';
+  return edge.commonjs ? 'require' : 'import';
+}
+
 function getNodeQuality(node, aiAnalysis) {
   const file = aiAnalysis.files.find(f => f.name === node.label);
   return file ? file.metrics : { complexity: 0, maintainability: 0, readability: 0 };
@@ -2655,6 +3038,8 @@ function getNodePerformance(node, aiAnalysis) {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scanScheduler.stop();
+  webhookService.stop();
   scanQueue.shutdown();
   server.close(() => {
     process.exit(0);
@@ -2663,6 +3048,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  scanScheduler.stop();
+  webhookService.stop();
   scanQueue.shutdown();
   server.close(() => {
     process.exit(0);
@@ -11,6 +11,30 @@ class Project {
     this.updated_at = data.updated_at;
     this.last_scanned_at = data.last_scanned_at;
     this.scan_status = data.scan_status || 'pending';
+    this.scan_schedules = Project.parseList(data.scan_schedules, 'scan schedules');
+    this.quality_gates = Project.parseQualityGates(data.quality_gates);
+    this.webhooks = Project.parseList(data.webhooks, 'webhooks');
+  }
+
+  // JSONB columns arrive as text from some drivers
+  static parseJsonColumn(value, column) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn(`Failed to parse ${column}:`, e.message);
+      return null;
+    }
+  }
+
+  static parseList(value, column) {
+    value = Project.parseJsonColumn(value, column);
+    return Array.isArray(value) ? value : [];
+  }
+
+  static parseQualityGates(value) {
+    value = Project.parseJsonColumn(value, 'quality gates');
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
   }
 
   // Create a new project
@@ -133,7 +157,7 @@ class Project {
 
   // Update project
   async update(updates) {
-    const allowedUpdates = ['name', 'description', 'last_scanned_at', 'scan_status'];
+    const allowedUpdates = ['name', 'description', 'last_scanned_at', 'scan_status', 'scan_schedules', 'quality_gates', 'webhooks'];
     const updateData = {};
     
     for (const key of allowedUpdates) {
@@ -149,7 +173,11 @@ class Project {
     const result = await enhancedDb.update('projects', updateData, 'id = $1', [this.id]);
     
     if (result) {
-      Object.assign(this, result);
+      Object.assign(this, result, {
+        scan_schedules: Project.parseList(result.scan_schedules ?? this.scan_schedules, 'scan schedules'),
+        quality_gates: Project.parseQualityGates('quality_gates' in result ? result.quality_gates : this.quality_gates),
+        webhooks: Project.parseList(result.webhooks ?? this.webhooks, 'webhooks')
+      });
       return this;
     }
     
@@ -211,6 +239,21 @@ class Project {
     return new Scan(result.rows[0]);
   }
 
+  // Replace the project's scan schedules
+  async saveSchedules(schedules) {
+    return this.update({ scan_schedules: schedules });
+  }
+
+  // Replace the project's quality gate thresholds
+  async saveQualityGates(gates) {
+    return this.update({ quality_gates: gates });
+  }
+
+  // Replace the project's webhook subscriptions
+  async saveWebhooks(webhooks) {
+    return this.update({ webhooks });
+  }
+
   // Update scan status
   async updateScanStatus(status) {
     return this.update({ 
@@ -229,7 +272,10 @@ class Project {
       created_at: this.created_at,
       updated_at: this.updated_at,
       last_scanned_at: this.last_scanned_at,
-      scan_status: this.scan_status
+      scan_status: this.scan_status,
+      scan_schedules: this.scan_schedules,
+      quality_gates: this.quality_gates
+      // webhooks are left out: they hold signing secrets
     };
   }
 
@@ -1,4 +1,6 @@
 import enhancedDb from '../services/enhancedDatabase.js';
+import Project from './Project.js';
+import { activeGates, cycleKey, evaluateQualityGates } from '../services/quality-gates.js';
 
 class Scan {
   constructor(data = {}) {
@@ -53,6 +55,13 @@ class Scan {
     return scan;
   }
 
+  // One dependencies row per edge of a scanner dependency graph ({ file: [targets] })
+  static dependencyRows(dependencyGraph = {}) {
+    return Object.entries(dependencyGraph).flatMap(([from, targets]) =>
+      (Array.isArray(targets) ? targets : [targets]).map(to => ({ from, to }))
+    );
+  }
+
   // Find scan by ID
   static async findById(id) {
     const scans = await enhancedDb.select('scans', { where: 'id = $1', whereParams: [id] });
@@ -275,12 +284,15 @@ class Scan {
     } = scanResults;
 
     try {
+      const qualityGate = await this.evaluateQualityGates({ files, conflicts });
+
       // Create a clean results object without circular references
       const cleanResults = {
         summary: {
           total_files: files.length,
           total_lines: files.reduce((sum, f) => sum + (f.lines || 0), 0),
           total_conflicts: conflicts.length,
+          suppressed_conflicts: otherResults.suppressed?.total || 0,
           avg_complexity: files.length > 0 ? 
             files.reduce((sum, f) => sum + (f.complexity || 0), 0) / files.length : 0
         },
@@ -288,7 +300,15 @@ class Scan {
         ...(otherResults.id && { id: otherResults.id }),
         ...(otherResults.timestamp && { timestamp: otherResults.timestamp }),
         ...(otherResults.scanTime && { scanTime: otherResults.scanTime }),
-        ...(otherResults.rootPath && { rootPath: otherResults.rootPath })
+        ...(otherResults.rootPath && { rootPath: otherResults.rootPath }),
+        // Scans limited to a git change set only cover the affected files
+        scope: otherResults.changeSet ? 'changed' : 'full',
+        ...(otherResults.changeSet && { base_ref: otherResults.changeSet.baseRef }),
+        ...(otherResults.workspaces && { workspaces: otherResults.workspaces }),
+        ...(otherResults.edges && { edges: otherResults.edges }),
+        ...(otherResults.plugins?.length && { plugins: otherResults.plugins }),
+        ...(otherResults.suppressed && { suppressed: otherResults.suppressed }),
+        ...(qualityGate && { quality_gate: qualityGate })
       };
 
       // Save scan results and update status
@@ -330,6 +350,41 @@ class Scan {
     }
   }
 
+  // Check the scan against its project's quality gates. Returns null when the
+  // project has none; a gate that cannot be evaluated never fails the scan.
+  async evaluateQualityGates({ files, conflicts }) {
+    try {
+      const project = await Project.findById(this.project_id);
+      if (!activeGates(project?.quality_gates)) return null;
+
+      // New circular dependencies are relative to the previous completed full
+      // scan; a change-scoped scan misses the cycles outside its files
+      const previous = (await Scan.findByProjectId(this.project_id, 50))
+        .find(scan => scan.status === 'completed' && scan.isFullScan() && String(scan.id) !== String(this.id));
+      let previousCycles = null;
+      if (previous) {
+        const cycles = await enhancedDb.select('conflicts', {
+          where: 'scan_id = $1 AND conflict_type = $2',
+          whereParams: [previous.id, 'circular_dependency']
+        });
+        previousCycles = new Set(cycles.map(conflict => cycleKey(conflict.message)));
+      }
+
+      return evaluateQualityGates(project.quality_gates, { files, conflicts }, {
+        previousCycles,
+        previousScanId: previous?.id ?? null
+      });
+    } catch (error) {
+      console.warn(`Quality gates not evaluated for scan ${this.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Scans stored before the scope was recorded are told apart by their options
+  isFullScan() {
+    return (this.results?.scope ?? (this.scan_options?.baseRef ? 'changed' : 'full')) === 'full';
+  }
+
   // Mark scan as failed
   async fail(errorMessage) {
     await this.update({
@@ -503,6 +558,7 @@ class Scan {
       scan_options: this.scan_options,
       results: this.results,
       error_message: this.error_message,
+      quality_gate: this.results?.quality_gate ?? null,
       duration: this.getDuration()
     };
   }
@@ -0,0 +1,188 @@
+/**
+ * Scan Job Store
+ * Persists ScanQueue jobs so queued and running scans survive a restart.
+ * Jobs go to the scan_jobs table when PostgreSQL is connected, otherwise to
+ * a local SQLite file (server/data/scan-queue.db, or SCAN_QUEUE_DB).
+ *
+ * Both stores take and return plain records:
+ * { id, status, path, project_id, user_id, scan_id, options, attempts,
+ *   max_attempts, next_attempt_at, priority, waiters, last_error, result,
+ *   created_at, started_at, completed_at }
+ * with dates as ISO strings and options/waiters/result as JSON values.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import enhancedDb from './enhancedDatabase.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const COLUMNS = [
+  'id', 'status', 'path', 'project_id', 'user_id', 'scan_id', 'options', 'attempts', 'max_attempts',
+  'next_attempt_at', 'priority', 'waiters', 'last_error', 'result', 'created_at', 'started_at', 'completed_at'
+];
+const JSON_COLUMNS = new Set(['options', 'waiters', 'result']);
+const DATE_COLUMNS = new Set(['next_attempt_at', 'created_at', 'started_at', 'completed_at']);
+// Columns added after the table was first created, for existing SQLite files
+const ADDED_COLUMNS = {
+  priority: 'TEXT',
+  waiters: 'TEXT'
+};
+
+export const DEFAULT_SQLITE_FILE = process.env.SCAN_QUEUE_DB || path.join(__dirname, '..', 'data', 'scan-queue.db');
+
+/**
+ * PostgreSQL store, through the shared database service. The table is
+ * created by the 007_scan_jobs and 008_scan_job_scheduling migrations.
+ */
+export class DatabaseJobStore {
+  constructor(db = enhancedDb) {
+    this.db = db;
+    this.kind = 'database';
+  }
+
+  async init() {
+    await this.db.query('SELECT 1 FROM scan_jobs LIMIT 1');
+    return this;
+  }
+
+  async save(record) {
+    const values = COLUMNS.map(column => toColumn(column, record[column]));
+    const placeholders = COLUMNS.map((_, index) => `$${index + 1}`);
+    const updates = COLUMNS.slice(1).map(column => `${column} = EXCLUDED.${column}`);
+
+    await this.db.query(`
+      INSERT INTO scan_jobs (${COLUMNS.join(', ')}, updated_at)
+      VALUES (${placeholders.join(', ')}, NOW())
+      ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()
+    `, values, { validateInput: false });
+  }
+
+  async load() {
+    const result = await this.db.query(`SELECT ${COLUMNS.join(', ')} FROM scan_jobs ORDER BY created_at`);
+    return result.rows.map(fromRow);
+  }
+
+  async remove(ids) {
+    if (ids.length === 0) return;
+    await this.db.query('DELETE FROM scan_jobs WHERE id = ANY($1)', [ids]);
+  }
+
+  async close() {}
+}
+
+/**
+ * Local fallback for servers running without a database
+ */
+export class SqliteJobStore {
+  constructor(file = DEFAULT_SQLITE_FILE) {
+    this.file = file;
+    this.kind = 'sqlite';
+    this.db = null;
+  }
+
+  async init() {
+    const { default: Database } = await import('better-sqlite3');
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS scan_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        path TEXT NOT NULL,
+        project_id TEXT,
+        user_id TEXT,
+        scan_id TEXT,
+        options TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        next_attempt_at TEXT,
+        priority TEXT,
+        waiters TEXT,
+        last_error TEXT,
+        result TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        completed_at TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status);
+    `);
+
+    const existing = new Set(this.db.prepare('PRAGMA table_info(scan_jobs)').all().map(column => column.name));
+    for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+      if (!existing.has(column)) this.db.exec(`ALTER TABLE scan_jobs ADD COLUMN ${column} ${type}`);
+    }
+
+    this.upsert = this.db.prepare(`
+      INSERT INTO scan_jobs (${COLUMNS.join(', ')}, updated_at)
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')}, @updated_at)
+      ON CONFLICT (id) DO UPDATE SET ${COLUMNS.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}, updated_at = excluded.updated_at
+    `);
+    return this;
+  }
+
+  async save(record) {
+    const row = Object.fromEntries(COLUMNS.map(column => [column, toColumn(column, record[column])]));
+    this.upsert.run({ ...row, updated_at: new Date().toISOString() });
+  }
+
+  async load() {
+    return this.db.prepare(`SELECT ${COLUMNS.join(', ')} FROM scan_jobs ORDER BY created_at`).all().map(fromRow);
+  }
+
+  async remove(ids) {
+    if (ids.length === 0) return;
+    const remove = this.db.prepare('DELETE FROM scan_jobs WHERE id = ?');
+    this.db.transaction(() => ids.forEach(id => remove.run(id)))();
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+/**
+ * The database when it is connected, the SQLite file otherwise
+ */
+export async function createJobStore({ db = enhancedDb, sqliteFile = DEFAULT_SQLITE_FILE } = {}) {
+  if (db.connected) {
+    try {
+      return await new DatabaseJobStore(db).init();
+    } catch (error) {
+      console.warn('Scan jobs table unavailable, using local SQLite store:', error.message);
+    }
+  }
+  return new SqliteJobStore(sqliteFile).init();
+}
+
+function toColumn(column, value) {
+  if (value === undefined || value === null) return null;
+  if (JSON_COLUMNS.has(column)) return JSON.stringify(value);
+  if (DATE_COLUMNS.has(column)) return new Date(value).toISOString();
+  if (column.endsWith('_id')) return String(value);
+  return value;
+}
+
+function fromRow(row) {
+  const record = {};
+  for (const column of COLUMNS) {
+    const value = row[column];
+    if (value === null || value === undefined) {
+      record[column] = null;
+    } else if (JSON_COLUMNS.has(column)) {
+      record[column] = typeof value === 'string' ? JSON.parse(value) : value;
+    } else if (DATE_COLUMNS.has(column)) {
+      record[column] = new Date(value).toISOString();
+    } else {
+      record[column] = value;
+    }
+  }
+  return record;
+}
@@ -1004,6 +1004,105 @@ const migrations = [
       
       await enhancedDb.query(fixedGlobalSearchFunction);
     }
+  },
+  {
+    id: '007_scan_jobs',
+    description: 'Persist scan queue jobs across server restarts',
+    up: async () => {
+      await enhancedDb.query(`
+        CREATE TABLE IF NOT EXISTS manito_dev.scan_jobs (
+          id VARCHAR(64) PRIMARY KEY,
+          status VARCHAR(20) NOT NULL,
+          path TEXT NOT NULL,
+          project_id TEXT,
+          user_id TEXT,
+          scan_id TEXT,
+          options JSONB DEFAULT '{}'::jsonb,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 1,
+          next_attempt_at TIMESTAMP WITH TIME ZONE,
+          last_error TEXT,
+          result JSONB,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          started_at TIMESTAMP WITH TIME ZONE,
+          completed_at TIMESTAMP WITH TIME ZONE,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+
+      await enhancedDb.query(`
+        CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON manito_dev.scan_jobs(status)
+      `);
+    }
+  },
+  {
+    id: '008_scan_job_scheduling',
+    description: 'Store scan job priorities and coalesced requesters',
+    up: async () => {
+      await enhancedDb.query(`
+        ALTER TABLE manito_dev.scan_jobs ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'interactive'
+      `);
+
+      await enhancedDb.query(`
+        ALTER TABLE manito_dev.scan_jobs ADD COLUMN IF NOT EXISTS waiters JSONB DEFAULT '[]'::jsonb
+      `);
+    }
+  },
+  {
+    id: '009_project_scan_schedules',
+    description: 'Store recurring scan schedules with projects',
+    up: async () => {
+      await enhancedDb.query(`
+        ALTER TABLE manito_dev.projects ADD COLUMN IF NOT EXISTS scan_schedules JSONB DEFAULT '[]'::jsonb
+      `);
+    }
+  },
+  {
+    id: '010_project_quality_gates',
+    description: 'Store quality gate thresholds with projects',
+    up: async () => {
+      await enhancedDb.query(`
+        ALTER TABLE manito_dev.projects ADD COLUMN IF NOT EXISTS quality_gates JSONB
+      `);
+    }
+  },
+  {
+    id: '011_webhooks',
+    description: 'Store project webhook subscriptions and their delivery log',
+    up: async () => {
+      await enhancedDb.query(`
+        ALTER TABLE manito_dev.projects ADD COLUMN IF NOT EXISTS webhooks JSONB DEFAULT '[]'::jsonb
+      `);
+
+      await enhancedDb.query(`
+        CREATE TABLE IF NOT EXISTS manito_dev.webhook_deliveries (
+          id VARCHAR(64) PRIMARY KEY,
+          webhook_id VARCHAR(64) NOT NULL,
+          project_id TEXT,
+          event VARCHAR(50) NOT NULL,
+          url TEXT NOT NULL,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 1,
+          next_attempt_at TIMESTAMP WITH TIME ZONE,
+          last_status_code INTEGER,
+          last_error TEXT,
+          attempt_log JSONB DEFAULT '[]'::jsonb,
+          redelivery_of VARCHAR(64),
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          delivered_at TIMESTAMP WITH TIME ZONE
+        )
+      `);
+
+      await enhancedDb.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON manito_dev.webhook_deliveries(webhook_id, created_at)
+      `);
+
+      await enhancedDb.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON manito_dev.webhook_deliveries(status)
+      `);
+    }
   }
 ];
 
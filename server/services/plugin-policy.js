@@ -0,0 +1,46 @@
+/**
+ * Plugin Policy
+ * Custom rule plugins (.manito/plugins/*.js) are imported into the server
+ * process, so whether a scan runs them is a server setting, never a request
+ * option. MANITO_PLUGIN_ROOTS lists the trusted directories, separated like
+ * PATH; scans inside one of them run their plugins. Uploaded code is never
+ * trusted, even when an upload directory is listed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+export function trustedPluginRoots(value = process.env.MANITO_PLUGIN_ROOTS) {
+  return (value || '').split(path.delimiter).filter(Boolean).map(root => path.resolve(root));
+}
+
+/**
+ * Whether a scan of scanPath may run the project's plugins. Paths are
+ * compared after resolving symlinks, so a link cannot lead into or out of a
+ * trusted root.
+ */
+export function pluginsAllowed(scanPath, roots = trustedPluginRoots()) {
+  const target = realpath(scanPath);
+  if (isInside(UPLOADS_DIR, path.resolve(scanPath)) || isInside(realpath(UPLOADS_DIR), target)) {
+    return false;
+  }
+  return roots.some(root => isInside(realpath(root), target));
+}
+
+function realpath(target) {
+  try {
+    return fs.realpathSync(path.resolve(target));
+  } catch {
+    return path.resolve(target);
+  }
+}
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
@@ -0,0 +1,98 @@
+/**
+ * Quality Gates
+ * Pass/fail thresholds a project sets for its scans, stored as
+ * projects.quality_gates:
+ *
+ *   { max_new_circular_dependencies: 0, max_function_complexity: 20,
+ *     max_high_severity_security: 0, max_unused_dependencies: 5 }
+ *
+ * A missing or null threshold is not enforced. Circular dependencies count as
+ * new when the previous completed full scan of the project (not one limited
+ * to a git change set) did not report the same cycle; without one every
+ * cycle is new.
+ */
+
+export const QUALITY_GATES = {
+  max_new_circular_dependencies: 'New circular dependencies',
+  max_function_complexity: 'Highest function complexity',
+  max_high_severity_security: 'High-severity security findings',
+  max_unused_dependencies: 'Unused dependencies'
+};
+
+const HIGH_SEVERITIES = new Set(['critical', 'high', 'error']);
+const SECURITY_TYPES = new Set(['security_issue', 'exposed_secret']);
+const MAX_OFFENDERS = 10;
+
+/**
+ * Same key for a cycle wherever the scanner started walking it.
+ * Takes the cycle's files, or a stored conflict message ("a → b → a").
+ */
+export function cycleKey(cycle) {
+  let files = Array.isArray(cycle) ? [...cycle] : String(cycle).replace(/^[^:]*:\s*/, '').split(' → ');
+  if (files.length > 1 && files[0] === files[files.length - 1]) files = files.slice(0, -1);
+
+  const start = files.indexOf([...files].sort()[0]);
+  return [...files.slice(start), ...files.slice(0, start)].join(' → ');
+}
+
+// Thresholds that are set, or null when the project has no gates
+export function activeGates(config) {
+  const gates = Object.entries(config || {})
+    .filter(([gate, threshold]) => gate in QUALITY_GATES && typeof threshold === 'number');
+  return gates.length > 0 ? Object.fromEntries(gates) : null;
+}
+
+/**
+ * Evaluate a project's gates against a scan's files and conflicts.
+ * previousCycles are the cycle keys of the previous scan, or null if there
+ * is none. Returns null when the project has no gates.
+ */
+export function evaluateQualityGates(config, { files = [], conflicts = [] }, { previousCycles = null, previousScanId = null } = {}) {
+  const gates = activeGates(config);
+  if (!gates) return null;
+
+  const measure = {
+    max_new_circular_dependencies: () => {
+      const cycles = conflicts
+        .filter(conflict => conflict.type === 'circular_dependency')
+        .map(conflict => cycleKey(conflict.files?.length ? conflict.files : conflict.message));
+      return cycles.filter(key => !previousCycles?.has(key));
+    },
+    max_function_complexity: () => files
+      .flatMap(file => (file.functions || [])
+        .filter(fn => typeof fn.complexity === 'number')
+        .map(fn => ({ file: file.filePath || file.path, name: fn.name, line: fn.line, complexity: fn.complexity })))
+      .sort((a, b) => b.complexity - a.complexity),
+    max_high_severity_security: () => conflicts
+      .filter(conflict => SECURITY_TYPES.has(conflict.type) && HIGH_SEVERITIES.has(conflict.severity))
+      .map(conflict => conflict.message),
+    max_unused_dependencies: () => conflicts
+      .filter(conflict => conflict.type === 'unused_dependency')
+      .map(conflict => conflict.message)
+  };
+
+  const results = Object.entries(gates).map(([gate, threshold]) => {
+    const found = measure[gate]();
+    // Complexity is the worst function; the others count findings
+    const actual = gate === 'max_function_complexity' ? found[0]?.complexity ?? 0 : found.length;
+    const offenders = gate === 'max_function_complexity' ? found.filter(fn => fn.complexity > threshold) : found;
+
+    return {
+      gate,
+      label: QUALITY_GATES[gate],
+      threshold,
+      actual,
+      passed: actual <= threshold,
+      offenders: actual <= threshold ? [] : offenders.slice(0, MAX_OFFENDERS)
+    };
+  });
+
+  return {
+    status: results.every(result => result.passed) ? 'passed' : 'failed',
+    evaluated_at: new Date().toISOString(),
+    compared_to_scan_id: previousScanId,
+    gates: results
+  };
+}
+
+export default evaluateQualityGates;
@@ -0,0 +1,120 @@
+/**
+ * Scan Diff
+ * Compares two stored scans (as returned by Scan#getFullDetails) of the same project.
+ * A change-scoped scan (baseRef) only holds its affected files, so it is never
+ * compared with a full scan: every other file would show up as removed.
+ */
+
+const conflictKey = (conflict) => `${conflict.conflict_type}\u0000${conflict.file_path}\u0000${conflict.message}`;
+const edgeKey = (dep) => `${dep.from_file}\u0000${dep.to_file}`;
+
+const toConflict = (conflict) => ({
+  type: conflict.conflict_type,
+  severity: conflict.severity,
+  file: conflict.file_path,
+  line: conflict.line_number,
+  message: conflict.message
+});
+
+const toEdge = (dep) => ({
+  from: dep.from_file,
+  to: dep.to_file,
+  type: dep.dependency_type
+});
+
+const indexBy = (rows, keyFn) => {
+  const index = new Map();
+  for (const row of rows || []) {
+    index.set(keyFn(row), row);
+  }
+  return index;
+};
+
+const onlyIn = (index, other) =>
+  Array.from(index.entries())
+    .filter(([key]) => !other.has(key))
+    .map(([, row]) => row);
+
+export function diffScans(from, to) {
+  const fromFiles = indexBy(from.files, file => file.file_path);
+  const toFiles = indexBy(to.files, file => file.file_path);
+  const fromConflicts = indexBy(from.conflicts, conflictKey);
+  const toConflicts = indexBy(to.conflicts, conflictKey);
+  const fromEdges = indexBy(from.dependencies, edgeKey);
+  const toEdges = indexBy(to.dependencies, edgeKey);
+
+  const addedFiles = onlyIn(toFiles, fromFiles).map(file => file.file_path).sort();
+  const removedFiles = onlyIn(fromFiles, toFiles).map(file => file.file_path).sort();
+
+  // An edge that disappeared is "broken" either because the import was dropped
+  // or because its target file no longer exists
+  const brokenEdges = onlyIn(fromEdges, toEdges).map(dep => ({
+    ...toEdge(dep),
+    reason: toFiles.has(dep.to_file) || !fromFiles.has(dep.to_file) ? 'import_removed' : 'target_removed'
+  }));
+
+  const complexityDeltas = [];
+  for (const [filePath, before] of fromFiles) {
+    const after = toFiles.get(filePath);
+    if (!after) continue;
+
+    const delta = (after.complexity || 0) - (before.complexity || 0);
+    const linesDelta = (after.lines_of_code || 0) - (before.lines_of_code || 0);
+    if (delta !== 0 || linesDelta !== 0) {
+      complexityDeltas.push({
+        file: filePath,
+        before: before.complexity || 0,
+        after: after.complexity || 0,
+        delta,
+        linesBefore: before.lines_of_code || 0,
+        linesAfter: after.lines_of_code || 0,
+        linesDelta
+      });
+    }
+  }
+  complexityDeltas.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.file.localeCompare(b.file));
+
+  const newConflicts = onlyIn(toConflicts, fromConflicts).map(toConflict);
+  const resolvedConflicts = onlyIn(fromConflicts, toConflicts).map(toConflict);
+  const newEdges = onlyIn(toEdges, fromEdges).map(toEdge);
+
+  return {
+    from: { id: from.id, completed_at: from.completed_at },
+    to: { id: to.id, completed_at: to.completed_at },
+    summary: {
+      filesAdded: addedFiles.length,
+      filesRemoved: removedFiles.length,
+      conflictsNew: newConflicts.length,
+      conflictsResolved: resolvedConflicts.length,
+      edgesNew: newEdges.length,
+      edgesBroken: brokenEdges.length,
+      complexityDelta: complexityDeltas.reduce((total, entry) => total + entry.delta, 0)
+    },
+    files: { added: addedFiles, removed: removedFiles },
+    conflicts: { new: newConflicts, resolved: resolvedConflicts },
+    edges: { new: newEdges, broken: brokenEdges },
+    complexity: complexityDeltas
+  };
+}
+
+/**
+ * Scans to compare when the caller leaves out ?from= or ?to=: the two latest
+ * completed full scans. Takes Scan rows, newest first.
+ */
+export function defaultDiffPair(scans, { from, to } = {}) {
+  const full = scans.filter(scan => scan.status === 'completed' && scan.isFullScan());
+  const toId = to || full[0]?.id;
+  const fromId = from || full.find(scan => String(scan.id) !== String(toId))?.id;
+  return { fromId, toId };
+}
+
+/**
+ * Why two scans cannot be compared, or null when their scopes match
+ */
+export function scopeMismatch(fromScan, toScan) {
+  if (fromScan.isFullScan() === toScan.isFullScan()) return null;
+  const scoped = fromScan.isFullScan() ? toScan : fromScan;
+  return `Scan ${scoped.id} only covers files changed since ${scoped.results?.base_ref || scoped.scan_options?.baseRef}; compare it with another change-scoped scan`;
+}
+
+export default diffScans;
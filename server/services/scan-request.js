@@ -0,0 +1,36 @@
+/**
+ * Scan Request Schemas
+ * Body of POST /api/scan, and the schedules whose options are stored for
+ * recurring scans. Whether a scan runs plugins is not a request option; see
+ * plugin-policy.js.
+ */
+
+import Joi from 'joi';
+
+export const scanRequestSchema = Joi.object({
+  path: Joi.string().required(),
+  async: Joi.boolean().default(false), // Whether to run scan asynchronously
+  priority: Joi.string().valid('interactive', 'background').default('interactive'), // Queue priority for async scans
+  options: Joi.object({
+    patterns: Joi.array().items(Joi.string()).optional(),
+    excludePatterns: Joi.array().items(Joi.string()).optional(),
+    maxFileSize: Joi.number().positive().optional(),
+    maxConcurrency: Joi.number().min(1).max(8).optional(),
+    timeout: Joi.number().min(1000).max(600000).optional(), // 1s to 10min
+    cache: Joi.boolean().optional(), // Reuse unchanged per-file results
+    updateBaseline: Joi.boolean().optional(), // Record the current conflicts in .manito/baseline.json
+    baseRef: Joi.string().max(255).pattern(/^[^\s-]/).optional(), // Only scan files changed since this git ref
+    dependentDepth: Joi.number().integer().min(0).optional() // Levels of importers of changed files to include
+  }).optional()
+});
+
+export const scanScheduleSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  type: Joi.string().valid('cron', 'interval').required(),
+  cron: Joi.string().max(100).when('type', { is: 'cron', then: Joi.required(), otherwise: Joi.forbidden() }),
+  timezone: Joi.string().max(64).when('type', { is: 'cron', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  interval_minutes: Joi.number().integer().min(5).max(60 * 24 * 31)
+    .when('type', { is: 'interval', then: Joi.required(), otherwise: Joi.forbidden() }),
+  options: scanRequestSchema.extract('options'),
+  paused: Joi.boolean().default(false)
+});
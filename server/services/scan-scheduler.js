@@ -0,0 +1,311 @@
+/**
+ * Scan Scheduler
+ * Runs recurring scans of projects without an external cron. Schedules live
+ * on the project (projects.scan_schedules) and look like:
+ *
+ *   { id, name, type: 'cron', cron: '0 2 * * *', timezone: 'Europe/Berlin',
+ *     options: { ...scan options }, paused: false }
+ *   { id, name, type: 'interval', interval_minutes: 60, options, paused }
+ *
+ * Due schedules enqueue a background-priority job into ScanQueue, so
+ * interactive scans go first and an identical pending request is shared.
+ * Each run's outcome is written back to the schedule: last_run_at,
+ * last_status (queued, completed, failed, cancelled or skipped),
+ * last_job_id, last_scan_id, last_error, run_count and a short history.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import cron from 'node-cron';
+import Project from '../models/Project.js';
+import scanQueue from './scanQueue.js';
+
+const MAX_HISTORY = 10;
+// Longest delay setTimeout accepts; longer waits are re-armed in steps
+const MAX_TIMEOUT = 2 ** 31 - 1;
+const OUTCOME_EVENTS = { jobCompleted: 'completed', jobFailed: 'failed', jobCancelled: 'cancelled' };
+const FINISHED = new Set(Object.values(OUTCOME_EVENTS));
+
+/**
+ * Check what the request schema cannot: cron syntax and the timezone.
+ * Returns an error message, or null when the schedule is valid.
+ */
+export function validateSchedule(schedule) {
+  if (schedule.type === 'cron') {
+    if (!schedule.cron || !cron.validate(schedule.cron)) {
+      return `Invalid cron expression "${schedule.cron}"`;
+    }
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (e) {
+        return `Unknown timezone "${schedule.timezone}"`;
+      }
+    }
+  }
+  return null;
+}
+
+export class ScanScheduler extends EventEmitter {
+  constructor({ queue = scanQueue, projects = Project } = {}) {
+    super();
+    this.queue = queue;
+    this.projects = projects;
+    this.timers = new Map();   // schedule id -> { stop, nextRunAt }
+    this.pending = new Map();  // job id -> [{ projectId, scheduleId }]
+    this.writes = new Map();   // project id -> tail of its write chain
+    this.listeners = null;
+  }
+
+  /**
+   * Arm every schedule and pick up runs whose outcome is not recorded yet
+   */
+  async start() {
+    if (this.listeners) return;
+    this.listeners = Object.entries(OUTCOME_EVENTS).map(([event, status]) => {
+      const listener = ({ jobId }) => this.recordOutcome(jobId, status);
+      this.queue.on(event, listener);
+      return [event, listener];
+    });
+
+    const projects = await this.projects.findAll(1000);
+    for (const project of projects) {
+      for (const schedule of project.scan_schedules || []) {
+        this.arm(project.id, schedule);
+        if (schedule.last_status === 'queued' && schedule.last_job_id) {
+          this.track(schedule.last_job_id, project.id, schedule.id);
+          // The job may have finished while the server was down
+          const job = this.queue.getJobStatus(schedule.last_job_id);
+          if (!job) await this.recordOutcome(schedule.last_job_id, 'failed');
+          else if (FINISHED.has(job.status)) await this.recordOutcome(schedule.last_job_id, job.status);
+        }
+      }
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) timer.stop();
+    this.timers.clear();
+    for (const [event, listener] of this.listeners || []) {
+      this.queue.off(event, listener);
+    }
+    this.listeners = null;
+  }
+
+  async list(project) {
+    return (project.scan_schedules || []).map(schedule => this.describe(schedule));
+  }
+
+  async create(project, input) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: input.name || (input.type === 'cron' ? input.cron : `Every ${input.interval_minutes} min`),
+      type: input.type,
+      ...(input.type === 'cron'
+        ? { cron: input.cron, timezone: input.timezone || null }
+        : { interval_minutes: input.interval_minutes }),
+      options: input.options || {},
+      paused: input.paused === true,
+      created_at: new Date().toISOString(),
+      last_run_at: null,
+      last_status: null,
+      last_job_id: null,
+      last_scan_id: null,
+      last_error: null,
+      run_count: 0,
+      history: []
+    };
+
+    await this.updateSchedules(project.id, schedules => [...schedules, schedule]);
+    this.arm(project.id, schedule);
+    this.emit('scheduleCreated', { projectId: project.id, schedule });
+    return this.describe(schedule);
+  }
+
+  async setPaused(project, scheduleId, paused) {
+    const schedule = await this.updateSchedule(project.id, scheduleId, current => ({ ...current, paused }));
+    if (!schedule) return null;
+
+    this.disarm(scheduleId);
+    this.arm(project.id, schedule);
+    this.emit(paused ? 'schedulePaused' : 'scheduleResumed', { projectId: project.id, scheduleId });
+    return this.describe(schedule);
+  }
+
+  async remove(project, scheduleId) {
+    let removed = false;
+    await this.updateSchedules(project.id, schedules => {
+      removed = schedules.some(schedule => schedule.id === scheduleId);
+      return schedules.filter(schedule => schedule.id !== scheduleId);
+    });
+    if (removed) {
+      this.disarm(scheduleId);
+      this.emit('scheduleDeleted', { projectId: project.id, scheduleId });
+    }
+    return removed;
+  }
+
+  arm(projectId, schedule) {
+    if (schedule.paused || this.timers.has(schedule.id)) return;
+
+    if (schedule.type === 'cron') {
+      const task = cron.schedule(schedule.cron, () => this.runSafely(projectId, schedule.id), {
+        ...(schedule.timezone && { timezone: schedule.timezone })
+      });
+      this.timers.set(schedule.id, { stop: () => task.stop(), nextRunAt: null });
+      return;
+    }
+
+    // Intervals count from the last run, so a restart does not reset them
+    const interval = schedule.interval_minutes * 60 * 1000;
+    const last = schedule.last_run_at ? new Date(schedule.last_run_at).getTime() : Date.now();
+    const nextRunAt = new Date(Math.max(Date.now(), last + interval));
+    const wait = (delay) => {
+      const timeout = setTimeout(() => {
+        if (delay > MAX_TIMEOUT) return wait(delay - MAX_TIMEOUT);
+        this.timers.delete(schedule.id);
+        this.runSafely(projectId, schedule.id);
+      }, Math.min(delay, MAX_TIMEOUT));
+      timeout.unref?.();
+      this.timers.set(schedule.id, { stop: () => clearTimeout(timeout), nextRunAt });
+    };
+    wait(nextRunAt - Date.now());
+  }
+
+  disarm(scheduleId) {
+    this.timers.get(scheduleId)?.stop();
+    this.timers.delete(scheduleId);
+  }
+
+  runSafely(projectId, scheduleId) {
+    return this.run(projectId, scheduleId).catch(error => {
+      console.error(`Scheduled scan ${scheduleId} of project ${projectId} failed to run:`, error.message);
+    });
+  }
+
+  /**
+   * Enqueue one run of a schedule and record it
+   */
+  async run(projectId, scheduleId) {
+    const project = await this.projects.findById(projectId);
+    const schedule = project?.scan_schedules.find(entry => entry.id === scheduleId);
+    if (!schedule || schedule.paused) {
+      this.disarm(scheduleId);
+      return null;
+    }
+
+    const run = { queued_at: new Date().toISOString(), job_id: null, status: 'queued' };
+    try {
+      run.job_id = await this.queue.addJob({
+        path: project.path,
+        options: schedule.options || {},
+        userId: project.user_id ?? undefined
+      }, { priority: 'background' });
+      this.track(run.job_id, projectId, scheduleId);
+    } catch (error) {
+      run.status = 'skipped';
+      run.error = error.message;
+      console.warn(`Scheduled scan of ${project.path} skipped:`, error.message);
+    }
+
+    const updated = await this.updateSchedule(projectId, scheduleId, current => ({
+      ...current,
+      last_run_at: run.queued_at,
+      last_status: run.status,
+      last_job_id: run.job_id,
+      last_error: run.error || null,
+      run_count: (current.run_count || 0) + 1,
+      history: [run, ...(current.history || [])].slice(0, MAX_HISTORY)
+    }));
+
+    if (updated && updated.type === 'interval') this.arm(projectId, updated);
+    this.emit('scheduleRun', { projectId, scheduleId, ...run });
+
+    // A job joined by coalescing may already be finished
+    const job = run.job_id && this.queue.getJobStatus(run.job_id);
+    if (job && FINISHED.has(job.status)) await this.recordOutcome(run.job_id, job.status);
+    return run;
+  }
+
+  track(jobId, projectId, scheduleId) {
+    const waiting = this.pending.get(jobId) || [];
+    if (!waiting.some(entry => entry.scheduleId === scheduleId)) {
+      waiting.push({ projectId, scheduleId });
+    }
+    this.pending.set(jobId, waiting);
+  }
+
+  async recordOutcome(jobId, status) {
+    const waiting = this.pending.get(jobId);
+    if (!waiting) return;
+    this.pending.delete(jobId);
+
+    const job = this.queue.getJobStatus(jobId);
+    const outcome = {
+      status,
+      finished_at: new Date().toISOString(),
+      scan_id: job?.scanData?.scanId ?? null,
+      error: status === 'completed' ? null : job?.error || (job ? null : 'Job no longer in the queue')
+    };
+
+    for (const { projectId, scheduleId } of waiting) {
+      try {
+        await this.updateSchedule(projectId, scheduleId, current => ({
+          ...current,
+          ...(current.last_job_id === jobId && {
+            last_status: outcome.status,
+            last_scan_id: outcome.scan_id,
+            last_error: outcome.error
+          }),
+          history: (current.history || []).map(run => run.job_id === jobId ? { ...run, ...outcome } : run)
+        }));
+        this.emit('scheduleOutcome', { projectId, scheduleId, jobId, ...outcome });
+      } catch (error) {
+        console.error(`Failed to record outcome of scheduled job ${jobId}:`, error.message);
+      }
+    }
+  }
+
+  async updateSchedule(projectId, scheduleId, change) {
+    let updated = null;
+    await this.updateSchedules(projectId, schedules => schedules.map(schedule => {
+      if (schedule.id !== scheduleId) return schedule;
+      updated = change(schedule);
+      return updated;
+    }));
+    return updated;
+  }
+
+  /**
+   * Read-modify-write of a project's schedules. Writes to one project are
+   * chained so runs, outcomes and API edits do not overwrite each other.
+   */
+  updateSchedules(projectId, change) {
+    const previous = this.writes.get(projectId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const project = await this.projects.findById(projectId);
+      if (!project) throw new Error('Project not found');
+      const schedules = change(project.scan_schedules || []);
+      await project.saveSchedules(schedules);
+      return schedules;
+    });
+    this.writes.set(projectId, write);
+    write.finally(() => {
+      if (this.writes.get(projectId) === write) this.writes.delete(projectId);
+    }).catch(() => {});
+    return write;
+  }
+
+  // Schedule as returned by the API, with its next run when known
+  describe(schedule) {
+    return {
+      ...schedule,
+      next_run_at: this.timers.get(schedule.id)?.nextRunAt ?? null
+    };
+  }
+}
+
+// Create singleton instance
+const scanScheduler = new ScanScheduler();
+
+export default scanScheduler;
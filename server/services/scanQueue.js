@@ -2,6 +2,15 @@ import { EventEmitter } from 'events';
 import StreamingScanner from './scanner.js';
 import Project from '../models/Project.js';
 import Scan from '../models/Scan.js';
+import { createJobStore } from './job-store.js';
+import { pluginsAllowed } from './plugin-policy.js';
+
+const INTERRUPTED = 'Interrupted by server restart';
+
+// Lower runs first; interactive requests overtake background (scheduled) ones
+export const PRIORITIES = { interactive: 0, background: 1 };
+// Scheduling decisions kept per job
+const MAX_DECISIONS = 20;
 
 class ScanJob {
   constructor(id, scanData, options = {}) {
@@ -12,6 +21,14 @@ class ScanJob {
     this.createdAt = new Date();
     this.startedAt = null;
     this.completedAt = null;
+    this.attempts = 0;
+    this.maxAttempts = options.maxAttempts || 1;
+    this.nextAttemptAt = null;
+    this.priority = options.priority in PRIORITIES ? options.priority : 'interactive';
+    // Everyone who asked for this scan; coalesced requests add to it
+    this.waiters = [{ userId: scanData.userId ?? null, requestedAt: this.createdAt }];
+    this.decisions = [];
+    this.waitingReason = null;
     this.progress = {
       percentage: 0,
       processedFiles: 0,
@@ -23,17 +40,50 @@ class ScanJob {
     this.result = null;
     this.error = null;
     this.scanner = null;
+    this.timeoutHandle = null;
+  }
+
+  get projectKey() {
+    return this.scanData.path;
+  }
+
+  // Requests for the same path with the same options share one job
+  get coalesceKey() {
+    return coalesceKey(this.scanData);
+  }
+
+  get isPending() {
+    return this.status === 'queued' || this.status === 'retrying';
+  }
+
+  decide(message) {
+    this.decisions.push({ at: new Date(), message });
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.splice(0, this.decisions.length - MAX_DECISIONS);
+    }
+  }
+
+  // Note why the job is not running yet, once per change of reason
+  wait(reason) {
+    if (reason === this.waitingReason) return;
+    this.waitingReason = reason;
+    this.decide(reason);
   }
 
   start() {
     this.status = 'running';
     this.startedAt = new Date();
+    this.completedAt = null;
+    this.nextAttemptAt = null;
+    this.waitingReason = null;
+    this.attempts++;
   }
 
   complete(result) {
     this.status = 'completed';
     this.completedAt = new Date();
     this.result = result;
+    this.error = null;
     this.progress.percentage = 100;
   }
 
@@ -43,6 +93,19 @@ class ScanJob {
     this.error = error;
   }
 
+  // Wait for another attempt after a failure
+  retry(error, delay) {
+    this.status = 'retrying';
+    this.error = error;
+    this.nextAttemptAt = new Date(Date.now() + delay);
+    this.scanner = null;
+    this.decide(`Attempt ${this.attempts} failed (${error.message}), next try in ${Math.ceil(delay / 1000)}s`);
+  }
+
+  canRetry() {
+    return this.attempts < this.maxAttempts;
+  }
+
   cancel() {
     if (this.status === 'running' && this.scanner) {
       this.scanner.cancel();
@@ -71,16 +134,96 @@ class ScanJob {
       createdAt: this.createdAt,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      priority: this.priority,
+      waiters: this.waiters,
+      waitingReason: this.waitingReason,
+      decisions: this.decisions,
       progress: this.progress,
       duration: this.getDuration(),
       scanData: {
         path: this.scanData.path,
         projectId: this.scanData.projectId,
-        userId: this.scanData.userId
+        userId: this.scanData.userId,
+        scanId: this.scanData.scanId
       },
+      result: this.result ? summarizeResult(this.result) : null,
       error: this.error ? this.error.message : null
     };
   }
+
+  // Row for the job store; only a summary of the result is kept
+  toRecord() {
+    return {
+      id: this.id,
+      status: this.status,
+      path: this.scanData.path,
+      project_id: this.scanData.projectId ?? null,
+      user_id: this.scanData.userId ?? null,
+      scan_id: this.scanData.scanId ?? null,
+      options: this.scanData.options || {},
+      attempts: this.attempts,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: this.nextAttemptAt,
+      priority: this.priority,
+      waiters: this.waiters,
+      last_error: this.error ? this.error.message : null,
+      result: this.result ? summarizeResult(this.result) : null,
+      created_at: this.createdAt,
+      started_at: this.startedAt,
+      completed_at: this.completedAt
+    };
+  }
+
+  static fromRecord(record) {
+    const job = new ScanJob(record.id, {
+      path: record.path,
+      options: record.options || {},
+      userId: record.user_id ?? undefined,
+      projectId: record.project_id ?? undefined,
+      scanId: record.scan_id ?? undefined
+    }, { maxAttempts: record.max_attempts, priority: record.priority });
+
+    job.status = record.status;
+    job.attempts = record.attempts || 0;
+    job.createdAt = new Date(record.created_at);
+    job.startedAt = record.started_at ? new Date(record.started_at) : null;
+    job.completedAt = record.completed_at ? new Date(record.completed_at) : null;
+    job.nextAttemptAt = record.next_attempt_at ? new Date(record.next_attempt_at) : null;
+    job.error = record.last_error ? new Error(record.last_error) : null;
+    job.result = record.result || null;
+    if (Array.isArray(record.waiters) && record.waiters.length > 0) job.waiters = record.waiters;
+    if (job.status === 'completed') job.progress.percentage = 100;
+    return job;
+  }
+}
+
+// Projects are per user, so only one owner's requests share a job
+function coalesceKey({ path, options = {}, userId = null }) {
+  return `${userId ?? ''}\u0000${path}\u0000${stableStringify(options)}`;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function summarizeResult(result) {
+  if (result.summarized) return result;
+  return {
+    summarized: true,
+    scanId: result.scanId ?? result.id ?? null,
+    files: Array.isArray(result.files) ? result.files.length : result.files ?? 0,
+    conflicts: Array.isArray(result.conflicts) ? result.conflicts.length : result.conflicts ?? 0,
+    suppressed: result.suppressed?.total ?? 0,
+    scanTime: result.scanTime ?? null,
+    qualityGate: result.qualityGate ?? null
+  };
 }
 
 export class ScanQueue extends EventEmitter {
@@ -88,46 +231,199 @@ export class ScanQueue extends EventEmitter {
     super();
     this.options = {
       maxConcurrentJobs: 3, // Allow up to 3 concurrent scans
+      maxJobsPerProject: 1, // Scans of one project that may run at once
       maxQueueSize: 50,     // Maximum queued jobs
       jobTimeout: 10 * 60 * 1000, // 10 minutes timeout
       cleanupInterval: 5 * 60 * 1000, // Clean up old jobs every 5 minutes
+      maxAttempts: 3,       // Tries per job, including the first
+      retryDelay: 30 * 1000, // Backoff before the first retry, doubled for each one after
+      maxRetryDelay: 10 * 60 * 1000,
+      store: null,          // Job store; created by init() when not given
       ...options
     };
 
     this.jobs = new Map();
     this.queue = [];
     this.runningJobs = new Set();
-    
+    this.retryTimers = new Map();
+    this.store = this.options.store;
+    this.initPromise = null;
+    this.closed = false;
+
     // Start cleanup interval
     this.cleanupInterval = setInterval(() => {
       this.cleanupOldJobs();
     }, this.options.cleanupInterval);
+    this.cleanupInterval.unref?.();
   }
 
+  /**
+   * Open the job store and pick up where the last run stopped: queued jobs
+   * are queued again, and jobs that were running are retried with backoff,
+   * or failed when they are out of attempts. Safe to call more than once.
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.restore();
+    }
+    return this.initPromise;
+  }
+
+  async restore() {
+    if (!this.store) {
+      try {
+        this.store = await createJobStore();
+      } catch (error) {
+        console.warn('Scan jobs will not survive a restart, no job store available:', error.message);
+        return;
+      }
+    }
+
+    let records = [];
+    try {
+      records = await this.store.load();
+    } catch (error) {
+      console.error('Failed to load persisted scan jobs:', error.message);
+      return;
+    }
+
+    for (const record of records) {
+      if (this.jobs.has(record.id)) continue;
+      const job = ScanJob.fromRecord(record);
+      this.jobs.set(job.id, job);
+
+      if (job.status === 'queued') {
+        job.decide('Queued again after a server restart');
+        this.enqueue(job);
+      } else if (job.status === 'retrying') {
+        this.scheduleRetry(job);
+      } else if (job.status === 'running') {
+        await this.recoverInterrupted(job);
+      }
+    }
+
+    if (records.length > 0) {
+      console.log(`Restored ${records.length} scan jobs (${this.queue.length} queued, ${this.retryTimers.size} retrying)`);
+    }
+    this.processQueue();
+  }
+
+  async recoverInterrupted(job) {
+    if (job.scanData.scanId) {
+      try {
+        const scan = await Scan.findById(job.scanData.scanId);
+        if (scan && scan.status === 'running') await scan.fail(INTERRUPTED);
+      } catch (error) {
+        console.warn(`Could not mark scan ${job.scanData.scanId} as interrupted:`, error.message);
+      }
+    }
+
+    const error = new Error(INTERRUPTED);
+    if (job.canRetry()) {
+      job.retry(error, this.getRetryDelay(job));
+      this.scheduleRetry(job);
+      this.emit('jobRetrying', job.toJSON());
+    } else {
+      job.fail(error);
+      this.emit('jobFailed', { jobId: job.id, error: error.message });
+    }
+    await this.persist(job);
+  }
+
+  /**
+   * Queue a scan and return its job id. A request matching a job that has
+   * not started yet (same path, same options) joins that job instead, so
+   * every requester polls the same job and gets the same result; an
+   * interactive request promotes a background job it joins.
+   */
   async addJob(scanData, options = {}) {
+    await this.init();
+
+    const pending = this.findPendingDuplicate(scanData);
+    if (pending) {
+      this.coalesce(pending, scanData, options);
+      await this.persist(pending);
+      return pending.id;
+    }
+
     if (this.queue.length >= this.options.maxQueueSize) {
       throw new Error('Scan queue is full');
     }
 
     const jobId = this.generateJobId();
-    const job = new ScanJob(jobId, scanData, options);
-    
+    const job = new ScanJob(jobId, scanData, { maxAttempts: this.options.maxAttempts, ...options });
+
     this.jobs.set(jobId, job);
-    this.queue.push(job);
-    
+    job.decide(`Queued with ${job.priority} priority`);
+    this.enqueue(job);
+    await this.persist(job);
+
     this.emit('jobQueued', job.toJSON());
-    
+
     // Start processing if we have capacity
     this.processQueue();
-    
+
     return jobId;
   }
 
+  findPendingDuplicate(scanData) {
+    const key = coalesceKey(scanData);
+    for (const job of this.jobs.values()) {
+      if (job.isPending && job.coalesceKey === key) return job;
+    }
+    return null;
+  }
+
+  coalesce(job, scanData, options) {
+    job.waiters.push({ userId: scanData.userId ?? null, requestedAt: new Date() });
+    job.decide(`Merged a duplicate request${scanData.userId ? ` from user ${scanData.userId}` : ''} (${job.waiters.length} waiting)`);
+
+    const priority = options.priority in PRIORITIES ? options.priority : 'interactive';
+    if (PRIORITIES[priority] < PRIORITIES[job.priority]) {
+      job.priority = priority;
+      job.decide(`Promoted to ${job.priority} priority`);
+      if (job.status === 'queued') {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this.enqueue(job);
+      }
+    }
+
+    this.emit('jobCoalesced', job.toJSON());
+    this.processQueue();
+  }
+
+  // Insert behind every job of the same or a higher priority
+  enqueue(job) {
+    const index = this.queue.findIndex(queued => PRIORITIES[queued.priority] > PRIORITIES[job.priority]);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Start queued jobs in priority order while there are free slots, passing
+   * over jobs whose project is already at its concurrency cap
+   */
   async processQueue() {
-    while (this.queue.length > 0 && this.runningJobs.size < this.options.maxConcurrentJobs) {
-      const job = this.queue.shift();
+    if (this.closed) return;
+
+    for (const job of [...this.queue]) {
+      const projectRunning = this.countRunning(job.projectKey);
+      if (projectRunning >= this.options.maxJobsPerProject) {
+        job.wait(`Waiting: ${projectRunning} scan${projectRunning === 1 ? '' : 's'} of this project already running (limit ${this.options.maxJobsPerProject})`);
+        continue;
+      }
+      if (this.runningJobs.size >= this.options.maxConcurrentJobs) {
+        job.wait(`Waiting for a free slot (${this.runningJobs.size}/${this.options.maxConcurrentJobs} scans running)`);
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(job), 1);
       this.runningJobs.add(job);
-      
+      job.decide(`Started with ${job.priority} priority${job.waiters.length > 1 ? ` for ${job.waiters.length} requests` : ''}`);
+
       // Process job asynchronously
       this.processJob(job).catch(error => {
         console.error(`Unexpected error in job ${job.id}:`, error);
@@ -135,15 +431,27 @@ export class ScanQueue extends EventEmitter {
     }
   }
 
+  countRunning(projectKey) {
+    let count = 0;
+    for (const job of this.runningJobs) {
+      if (job.projectKey === projectKey) count++;
+    }
+    return count;
+  }
+
   async processJob(job) {
+    let scan = null;
+    let project = null;
+
     try {
       job.start();
+      await this.persist(job);
       this.emit('jobStarted', job.toJSON());
 
       const { scanData } = job;
-      
+
       // Create or find project
-      let project = await Project.findByPath(scanData.path, scanData.userId);
+      project = await Project.findByPath(scanData.path, scanData.userId);
       if (!project) {
         const projectName = scanData.path.split('/').pop() || 'Unknown Project';
         project = await Project.create({
@@ -153,21 +461,30 @@ export class ScanQueue extends EventEmitter {
         }, scanData.userId);
       }
 
-      // Create scan record
-      const scan = await Scan.create({
-        project_id: project.id,
-        scan_options: scanData.options || {},
-        status: 'running'
-      });
+      // Retries reuse the scan record of the first attempt
+      scan = scanData.scanId ? await Scan.findById(scanData.scanId) : null;
+      if (scan && scan.status !== 'completed') {
+        await scan.update({ status: 'running', completed_at: null, error_message: null });
+      } else {
+        scan = await Scan.create({
+          project_id: project.id,
+          scan_options: scanData.options || {},
+          status: 'running'
+        });
+      }
 
       // Update job with scan info
       job.scanData.scanId = scan.id;
       job.scanData.projectId = project.id;
+      await this.persist(job);
+      if (this.closed) return;
 
       // Create and configure scanner
       const scanner = new StreamingScanner({
         maxConcurrency: Math.min(4, Math.ceil(this.options.maxConcurrentJobs / this.runningJobs.size)),
-        ...scanData.options
+        ...scanData.options,
+        // Decided by the server for this path, whatever the stored options say
+        plugins: pluginsAllowed(scanData.path)
       });
 
       job.scanner = scanner;
@@ -187,67 +504,120 @@ export class ScanQueue extends EventEmitter {
         this.emit('scanProgress', { jobId: job.id, ...job.progress });
       });
 
-      // Set job timeout
-      const timeoutHandle = setTimeout(() => {
-        if (job.status === 'running') {
+      // Run the scan, giving up after the job timeout
+      const timeout = new Promise((resolve, reject) => {
+        job.timeoutHandle = setTimeout(() => {
           scanner.cancel();
-          job.fail(new Error('Job timeout'));
-        }
-      }, this.options.jobTimeout);
-
+          reject(new Error('Job timeout'));
+        }, this.options.jobTimeout);
+      });
+      let result;
       try {
-        // Run the scan
-        const result = await scanner.scan(scanData.path, scan.id);
-        
-        clearTimeout(timeoutHandle);
-
-        if (job.status === 'running') { // Not cancelled
-          // Save results to database
-          await scan.complete({
-            files: result.files || [],
-            conflicts: result.conflicts || [],
-            dependencies: result.dependencies ? Object.entries(result.dependencies).map(([from, to]) => ({ from, to })) : [],
-            metrics: result.metrics || {}
-          });
-
-          // Update project scan status
-          await project.updateScanStatus('completed');
-
-          // Complete job
-          job.complete(result);
-          this.emit('jobCompleted', { jobId: job.id, result });
-        }
-
-      } catch (error) {
-        clearTimeout(timeoutHandle);
-        
-        if (job.status !== 'cancelled') {
-          // Mark scan as failed
-          await scan.fail(error.message);
-          await project.updateScanStatus('failed');
-
-          job.fail(error);
-          this.emit('jobFailed', { jobId: job.id, error: error.message });
-        }
+        result = await Promise.race([scanner.scan(scanData.path, scan.id), timeout]);
+      } finally {
+        clearTimeout(job.timeoutHandle);
       }
 
+      // Cancelled, or the server is shutting down and will resume the job
+      if (job.status !== 'running' || this.closed) return;
+
+      // Save results to database
+      await scan.complete({
+        files: result.files || [],
+        conflicts: result.conflicts || [],
+        dependencies: Scan.dependencyRows(result.dependencies),
+        metrics: result.metrics || {},
+        workspaces: result.workspaces,
+        edges: result.edges || [],
+        plugins: result.plugins,
+        suppressed: result.suppressed,
+        changeSet: result.changeSet
+      });
+
+      // Update project scan status
+      await project.updateScanStatus('completed');
+
+      // Complete job
+      job.complete({ ...result, scanId: scan.id, qualityGate: scan.results?.quality_gate?.status ?? null });
+      await this.persist(job);
+      this.emit('jobCompleted', { jobId: job.id, result });
+
     } catch (error) {
-      job.fail(error);
-      this.emit('jobFailed', { jobId: job.id, error: error.message });
+      if (job.status === 'running' && !this.closed) {
+        await this.handleFailure(job, error, { scan, project });
+      }
     } finally {
+      job.scanner = null;
       this.runningJobs.delete(job);
       // Process next job in queue
       this.processQueue();
     }
   }
 
+  async handleFailure(job, error, { scan, project }) {
+    try {
+      if (scan) await scan.fail(error.message);
+      if (project) await project.updateScanStatus('failed');
+    } catch (recordError) {
+      console.error(`Failed to record failure of job ${job.id}:`, recordError.message);
+    }
+
+    if (job.canRetry()) {
+      job.retry(error, this.getRetryDelay(job));
+      this.scheduleRetry(job);
+      await this.persist(job);
+      this.emit('jobRetrying', job.toJSON());
+    } else {
+      job.fail(error);
+      await this.persist(job);
+      this.emit('jobFailed', { jobId: job.id, error: error.message });
+    }
+  }
+
+  // Exponential backoff: retryDelay, then twice that, and so on up to maxRetryDelay
+  getRetryDelay(job) {
+    const delay = this.options.retryDelay * 2 ** Math.max(0, job.attempts - 1);
+    return Math.min(delay, this.options.maxRetryDelay);
+  }
+
+  scheduleRetry(job) {
+    clearTimeout(this.retryTimers.get(job.id));
+    const wait = Math.max(0, (job.nextAttemptAt?.getTime() ?? Date.now()) - Date.now());
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      if (job.status !== 'retrying' || this.closed) return;
+      job.status = 'queued';
+      job.decide(`Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})`);
+      this.enqueue(job);
+      this.persist(job);
+      this.processQueue();
+    }, wait);
+    timer.unref?.();
+    this.retryTimers.set(job.id, timer);
+  }
+
+  async persist(job) {
+    if (!this.store || this.closed) return;
+    try {
+      await this.store.save(job.toRecord());
+    } catch (error) {
+      console.error(`Failed to persist scan job ${job.id}:`, error.message);
+    }
+  }
+
   getJob(jobId) {
     return this.jobs.get(jobId);
   }
 
   getJobStatus(jobId) {
     const job = this.jobs.get(jobId);
-    return job ? job.toJSON() : null;
+    return job ? this.describeJob(job) : null;
+  }
+
+  // Job details plus its place in line, 1 being the next to start
+  describeJob(job) {
+    const position = this.queue.indexOf(job);
+    return { ...job.toJSON(), queuePosition: position === -1 ? null : position + 1 };
   }
 
   cancelJob(jobId) {
@@ -264,22 +634,35 @@ export class ScanQueue extends EventEmitter {
       }
     }
 
+    if (this.retryTimers.has(jobId)) {
+      clearTimeout(this.retryTimers.get(jobId));
+      this.retryTimers.delete(jobId);
+    }
+
     job.cancel();
+    this.persist(job);
     this.emit('jobCancelled', { jobId });
     return true;
   }
 
   getQueueStatus() {
     const jobs = Array.from(this.jobs.values());
-    
+
     return {
       queueLength: this.queue.length,
       runningJobs: this.runningJobs.size,
       maxConcurrentJobs: this.options.maxConcurrentJobs,
+      maxJobsPerProject: this.options.maxJobsPerProject,
       totalJobs: this.jobs.size,
+      store: this.store?.kind || 'memory',
+      queuedByPriority: Object.fromEntries(Object.keys(PRIORITIES).map(priority =>
+        [priority, this.queue.filter(j => j.priority === priority).length]
+      )),
+      coalescedRequests: jobs.reduce((total, j) => total + j.waiters.length - 1, 0),
       jobsByStatus: {
         queued: jobs.filter(j => j.status === 'queued').length,
         running: jobs.filter(j => j.status === 'running').length,
+        retrying: jobs.filter(j => j.status === 'retrying').length,
         completed: jobs.filter(j => j.status === 'completed').length,
         failed: jobs.filter(j => j.status === 'failed').length,
         cancelled: jobs.filter(j => j.status === 'cancelled').length
@@ -291,39 +674,57 @@ export class ScanQueue extends EventEmitter {
     const jobs = Array.from(this.jobs.values())
       .sort((a, b) => b.createdAt - a.createdAt)
       .slice(0, limit);
-    
-    return jobs.map(job => job.toJSON());
+
+    return jobs.map(job => this.describeJob(job));
   }
 
   cleanupOldJobs() {
     const now = new Date();
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-    
+    const removed = [];
+
     for (const [jobId, job] of this.jobs.entries()) {
-      if (job.status !== 'running' && job.status !== 'queued') {
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
         const age = now - job.createdAt;
         if (age > maxAge) {
           this.jobs.delete(jobId);
+          removed.push(jobId);
         }
       }
     }
+
+    if (this.store && removed.length > 0) {
+      this.store.remove(removed).catch(error => {
+        console.error('Failed to remove old scan jobs:', error.message);
+      });
+    }
   }
 
   generateJobId() {
     return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  shutdown() {
-    // Cancel all running jobs
+  /**
+   * Stop running scans without recording them as cancelled, so the next
+   * boot picks them up again
+   */
+  async shutdown() {
+    this.closed = true;
     for (const job of this.runningJobs) {
-      job.cancel();
+      clearTimeout(job.timeoutHandle);
+      job.scanner?.cancel();
     }
-    
+
     // Clear intervals
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
 
+    await this.store?.close();
     this.emit('shutdown');
   }
 }
@@ -331,4 +732,4 @@ export class ScanQueue extends EventEmitter {
 // Create singleton instance
 const scanQueue = new ScanQueue();
 
-export default scanQueue;
\ No newline at end of file
+export default scanQueue;
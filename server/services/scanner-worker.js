@@ -1,9 +1,9 @@
 import { workerData, parentPort } from 'worker_threads';
-import { CodeScanner } from '@manito/core';
+import { CodeScanner, ScanCache } from '@manito/core';
 
 async function processFiles() {
   try {
-    const { files, options } = workerData;
+    const { files, rootPath, options, cacheDir, cacheVersion } = workerData;
     
     if (!files || files.length === 0) {
       parentPort.postMessage({
@@ -19,23 +19,20 @@ async function processFiles() {
     }
 
     const scanner = new CodeScanner(options);
+    await scanner.prepare(rootPath);
+    const cache = cacheDir ? await new ScanCache({ cacheDir, version: cacheVersion }).load() : null;
     const results = [];
     let totalLinesOfCode = 0;
 
     // Process each file assigned to this worker
     for (const filePath of files) {
       try {
-        const result = await scanner.scanFile(filePath);
+        const result = cache
+          ? await scanner.scanFileWithCache(filePath, cache)
+          : await scanner.scanFile(filePath);
         if (result) {
           results.push(result);
           totalLinesOfCode += result.lines || 0;
-          
-          // Track dependencies in the scanner
-          if (result.imports) {
-            result.imports.forEach(imp => {
-              scanner.addDependency(result.filePath, imp.source);
-            });
-          }
         }
       } catch (error) {
         console.warn(`Worker error processing ${filePath}:`, error.message);
@@ -49,8 +46,9 @@ async function processFiles() {
       metrics: {
         filesScanned: results.length,
         linesOfCode: totalLinesOfCode,
-        dependencies: Object.keys(scanner.serializeDependencyGraph()).length
-      }
+        dependencies: scanner.metrics.dependencies
+      },
+      cacheEntries: cache ? cache.exportEntries() : {}
     });
 
   } catch (error) {
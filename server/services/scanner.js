@@ -40,8 +40,13 @@ export class StreamingScanner extends EventEmitter {
     try {
       this.emit('started', { rootPath, scanId });
       
-      // Use the original scanner to find files
+      // The base scanner resolves imports and runs the project-level analyses
       const baseScanner = new CodeScanner(this.options);
+      const changeSet = this.options.baseRef
+        ? await baseScanner.detectChangeSet(rootPath, this.options.baseRef)
+        : null;
+      await baseScanner.prepare(rootPath);
+      const packageInfo = await baseScanner.analyzePackageJson(rootPath);
       const files = await baseScanner.findFiles(rootPath);
       
       this.progress.totalFiles = files.length;
@@ -51,8 +56,14 @@ export class StreamingScanner extends EventEmitter {
         return this.completeEmptyResult(rootPath, scanId);
       }
 
+      // Recording a baseline needs every file's conflicts, so it parses everything
+      const partial = Boolean(changeSet) && !baseScanner.options.updateBaseline;
+
       // Process files with performance optimizations
-      const results = await this.processFilesOptimized(files, rootPath);
+      const results = await this.processFilesOptimized(files, rootPath, baseScanner, partial ? changeSet : null);
+
+      // Same checks as a synchronous scan, so gates see the same conflicts
+      await baseScanner.analyzeProject(results.files, packageInfo, { partial });
       
       // Build final result
       const scanTime = Date.now() - this.progress.startTime;
@@ -62,13 +73,33 @@ export class StreamingScanner extends EventEmitter {
         scanTime,
         rootPath,
         files: results.files,
-        dependencies: results.dependencies,
-        metrics: results.metrics,
-        conflicts: results.conflicts
+        dependencies: baseScanner.serializeDependencyGraph(),
+        edges: baseScanner.serializeEdges(),
+        unresolvedImports: baseScanner.unresolvedImports,
+        reachability: baseScanner.reachability,
+        architecture: baseScanner.architecture,
+        packageDependencies: baseScanner.packageDependencies,
+        workspaces: baseScanner.packageGraph,
+        clones: baseScanner.clones,
+        secrets: baseScanner.secrets,
+        plugins: baseScanner.plugins ? baseScanner.plugins.summarize() : [],
+        metrics: {
+          ...results.metrics,
+          dependencies: baseScanner.metrics.dependencies,
+          conflicts: baseScanner.metrics.conflicts,
+          ...(baseScanner.metrics.custom && { custom: baseScanner.metrics.custom })
+        },
+        conflicts: baseScanner.metrics.conflicts,
+        suppressed: baseScanner.suppressed,
+        complexityHotspots: baseScanner.findComplexityHotspots(results.files),
+        cache: results.cache
       };
+      const scopedResult = changeSet
+        ? baseScanner.scopeToChangeSet(finalResult, changeSet)
+        : finalResult;
 
-      this.emit('completed', finalResult);
-      return finalResult;
+      this.emit('completed', scopedResult);
+      return scopedResult;
 
     } catch (error) {
       this.emit('error', error);
@@ -78,53 +109,64 @@ export class StreamingScanner extends EventEmitter {
     }
   }
 
-  async processFilesOptimized(files, rootPath) {
+  async processFilesOptimized(files, rootPath, baseScanner, changeSet = null) {
     const results = {
       files: [],
-      dependencies: new Map(),
       metrics: {
         filesScanned: 0,
-        linesOfCode: 0,
-        dependencies: 0,
-        conflicts: []
-      },
-      conflicts: []
+        linesOfCode: 0
+      }
     };
 
-    // Use worker threads for CPU-intensive parsing when we have many files
-    const useWorkers = files.length > 100 && this.options.maxConcurrency > 1;
-    
-    if (useWorkers) {
-      return await this.processWithWorkers(files, results);
+    const cache = await baseScanner.openCache(rootPath);
+
+    const processFiles = async (list) => {
+      const before = results.files.length;
+      // Use worker threads for CPU-intensive parsing when we have many files
+      const useWorkers = list.length > 100 && this.options.maxConcurrency > 1;
+      if (useWorkers) {
+        await this.processWithWorkers(list, results, baseScanner, cache);
+      } else if (list.length > 0) {
+        await this.processSequentially(list, results, baseScanner, cache);
+      }
+      return results.files.slice(before);
+    };
+
+    if (changeSet) {
+      // Only the changed files and their dependents are parsed, as in CodeScanner#scan
+      await baseScanner.scanChangeScope(files, changeSet, cache, processFiles);
+      this.progress.totalFiles = this.progress.processedFiles;
     } else {
-      return await this.processSequentially(files, results);
+      await processFiles(files);
     }
+
+    if (cache) {
+      // Entries of files a change-scoped scan skipped are still valid
+      await baseScanner.saveCache(cache, { prune: !changeSet });
+    }
+    results.cache = cache ? cache.getStats() : { enabled: false };
+
+    return results;
   }
 
-  async processSequentially(files, results) {
-    const baseScanner = new CodeScanner(this.options);
+  async processSequentially(files, results, baseScanner, cache) {
     const batches = this.createBatches(files, this.options.batchSize);
 
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
       const batch = batches[batchIndex];
       
       // Process batch concurrently but with limited concurrency
-      const batchPromises = batch.map(file => this.processSingleFile(baseScanner, file));
+      const batchPromises = batch.map(file => this.processSingleFile(baseScanner, file, cache));
       const batchResults = await Promise.allSettled(batchPromises);
 
       // Collect successful results
       for (const result of batchResults) {
         if (result.status === 'fulfilled' && result.value) {
           results.files.push(result.value);
+          baseScanner.fileResults.set(result.value.filePath, result.value);
           results.metrics.filesScanned++;
           results.metrics.linesOfCode += result.value.lines || 0;
-          
-          // Collect dependencies
-          if (result.value.imports) {
-            result.value.imports.forEach(imp => {
-              baseScanner.addDependency(result.value.filePath, imp.source);
-            });
-          }
+          // scanFile/scanFileWithCache already added the file's edges to baseScanner
         } else if (result.status === 'rejected') {
           console.warn('Failed to process file:', result.reason);
         }
@@ -139,17 +181,10 @@ export class StreamingScanner extends EventEmitter {
       }
     }
 
-    // Finalize dependencies and conflicts
-    results.dependencies = baseScanner.serializeDependencyGraph();
-    baseScanner.detectConflicts();
-    results.conflicts = baseScanner.metrics.conflicts;
-    results.metrics.conflicts = baseScanner.metrics.conflicts;
-    results.metrics.dependencies = Object.keys(results.dependencies).length;
-
     return results;
   }
 
-  async processWithWorkers(files, results) {
+  async processWithWorkers(files, results, baseScanner, cache) {
     const numWorkers = Math.min(this.options.maxConcurrency, files.length);
     const workerTasks = this.distributeFilesToWorkers(files, numWorkers);
     const workers = [];
@@ -161,7 +196,10 @@ export class StreamingScanner extends EventEmitter {
         const worker = new Worker(path.join(__dirname, 'scanner-worker.js'), {
           workerData: {
             files: workerTasks[i] || [],
-            options: this.options
+            rootPath: baseScanner.rootPath,
+            options: this.options,
+            cacheDir: cache ? cache.options.cacheDir : null,
+            cacheVersion: cache ? cache.options.version : null
           }
         });
 
@@ -204,11 +242,16 @@ export class StreamingScanner extends EventEmitter {
           results.files.push(...workerData.files);
           results.metrics.filesScanned += workerData.metrics.filesScanned;
           results.metrics.linesOfCode += workerData.metrics.linesOfCode;
-          
-          // Merge dependencies
-          Object.keys(workerData.dependencies).forEach(key => {
-            results.dependencies.set(key, workerData.dependencies[key]);
-          });
+
+          // Edges are rebuilt here, like cached results, so they share one graph
+          for (const file of workerData.files) {
+            baseScanner.replayCachedResult(file);
+            baseScanner.fileResults.set(file.filePath, file);
+          }
+
+          if (cache && workerData.cacheEntries) {
+            cache.importEntries(workerData.cacheEntries);
+          }
         }
       }
 
@@ -229,14 +272,15 @@ export class StreamingScanner extends EventEmitter {
     return results;
   }
 
-  async processSingleFile(scanner, filePath) {
+  async processSingleFile(scanner, filePath, cache = null) {
+    let timer;
     try {
       const startTime = Date.now();
       const result = await Promise.race([
-        scanner.scanFile(filePath),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`File scan timeout: ${filePath}`)), this.options.timeoutMs)
-        )
+        cache ? scanner.scanFileWithCache(filePath, cache) : scanner.scanFile(filePath),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`File scan timeout: ${filePath}`)), this.options.timeoutMs);
+        })
       ]);
       
       if (result) {
@@ -247,6 +291,8 @@ export class StreamingScanner extends EventEmitter {
     } catch (error) {
       console.warn(`Error processing ${filePath}:`, error.message);
       return null;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
@@ -0,0 +1,407 @@
+/**
+ * Webhook Service
+ * Posts scan and quality gate events to the URLs a project subscribes
+ * (projects.webhooks):
+ *
+ *   { id, url, events: ['scan.completed', 'gate.*'], secret, active, description }
+ *
+ * Each POST carries the JSON payload { id, event, created_at, project, data }
+ * and the headers X-Manito-Event, X-Manito-Delivery and
+ * X-Manito-Signature-256: sha256=<HMAC-SHA256 of the raw body with the secret>.
+ * Responses other than 2xx, network errors and timeouts are retried with
+ * exponential backoff. Every delivery is logged with its attempts, and a
+ * logged delivery can be sent again; the redelivery keeps the payload, and
+ * so the event id, receivers may dedupe on.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import Project from '../models/Project.js';
+import Scan from '../models/Scan.js';
+import scanQueue from './scanQueue.js';
+import { createDeliveryStore } from './webhook-store.js';
+
+export const WEBHOOK_EVENTS = {
+  'scan.queued': 'A scan was added to the queue',
+  'scan.started': 'A queued scan started running',
+  'scan.completed': 'A scan finished and its results were saved',
+  'scan.failed': 'A scan failed for good, after its last retry',
+  'scan.cancelled': 'A queued or running scan was cancelled',
+  'gate.passed': 'A completed scan passed the project quality gates',
+  'gate.failed': 'A completed scan failed the project quality gates'
+};
+
+const QUEUE_EVENTS = {
+  jobQueued: 'scan.queued',
+  jobStarted: 'scan.started',
+  jobCompleted: 'scan.completed',
+  jobFailed: 'scan.failed',
+  jobCancelled: 'scan.cancelled'
+};
+
+const DELIVERY_EVENTS = {
+  succeeded: 'deliverySucceeded',
+  retrying: 'deliveryRetrying',
+  failed: 'deliveryFailed'
+};
+
+const MAX_ATTEMPT_LOG = 20;
+const USER_AGENT = 'ManitoDebug-Webhooks/1.0';
+
+export function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// '*' takes every event, 'scan.*' every scan event
+export function subscribes(webhook, event) {
+  return (webhook.events || []).some(filter =>
+    filter === '*' || filter === event || (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1)))
+  );
+}
+
+export class WebhookService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { queue = scanQueue, projects = Project, scans = Scan, store = null, ...rest } = options;
+    this.queue = queue;
+    this.projects = projects;
+    this.scans = scans;
+    this.store = store;
+    this.options = {
+      maxAttempts: 5,
+      retryDelay: 30 * 1000, // doubles after every failed attempt
+      maxRetryDelay: 60 * 60 * 1000,
+      timeout: 10 * 1000,
+      keepDeliveries: 100, // per webhook
+      ...rest
+    };
+    this.timers = new Map(); // delivery id -> retry timer
+    this.writes = new Map(); // project id -> tail of its write chain
+    this.listeners = null;
+    this.closed = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the delivery store and resume deliveries that were waiting for a retry
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        this.store = this.store || await createDeliveryStore();
+        for (const record of await this.store.pending()) {
+          this.schedule(record);
+        }
+        return this;
+      })();
+    }
+    return this.initPromise;
+  }
+
+  async start() {
+    await this.init();
+    if (this.listeners) return;
+    this.listeners = Object.entries(QUEUE_EVENTS).map(([queueEvent, event]) => {
+      const listener = (data) => {
+        this.handleJobEvent(event, data.jobId ?? data.id).catch(error => {
+          console.error(`Failed to send ${event} webhooks:`, error.message);
+        });
+      };
+      this.queue.on(queueEvent, listener);
+      return [queueEvent, listener];
+    });
+  }
+
+  async stop() {
+    this.closed = true;
+    for (const [queueEvent, listener] of this.listeners || []) {
+      this.queue.off(queueEvent, listener);
+    }
+    this.listeners = null;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    await this.store?.close();
+  }
+
+  list(project) {
+    return project.webhooks.map(webhook => this.describe(webhook));
+  }
+
+  async create(project, input) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: input.url,
+      events: input.events,
+      secret: input.secret || crypto.randomBytes(24).toString('hex'),
+      active: input.active !== false,
+      description: input.description || null,
+      created_at: new Date().toISOString()
+    };
+    await this.updateWebhooks(project.id, webhooks => [...webhooks, webhook]);
+    // The secret is only shown in full when it is set
+    return { ...this.describe(webhook), secret: webhook.secret };
+  }
+
+  async update(project, webhookId, changes) {
+    let webhook = null;
+    await this.updateWebhooks(project.id, webhooks => webhooks.map(entry => {
+      if (entry.id !== webhookId) return entry;
+      webhook = { ...entry, ...changes, updated_at: new Date().toISOString() };
+      return webhook;
+    }));
+    if (!webhook) return null;
+    return { ...this.describe(webhook), ...(changes.secret && { secret: webhook.secret }) };
+  }
+
+  async remove(project, webhookId) {
+    let removed = false;
+    await this.updateWebhooks(project.id, webhooks => {
+      const remaining = webhooks.filter(webhook => webhook.id !== webhookId);
+      removed = remaining.length < webhooks.length;
+      return remaining;
+    });
+    return removed;
+  }
+
+  /**
+   * Read-modify-write of a project's webhooks. Writes to one project are
+   * chained and re-read the project, so concurrent edits are not lost.
+   */
+  updateWebhooks(projectId, change) {
+    const previous = this.writes.get(projectId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const project = await this.projects.findById(projectId);
+      if (!project) throw new Error('Project not found');
+      const webhooks = change(project.webhooks || []);
+      await project.saveWebhooks(webhooks);
+      return webhooks;
+    });
+    this.writes.set(projectId, write);
+    write.finally(() => {
+      if (this.writes.get(projectId) === write) this.writes.delete(projectId);
+    }).catch(() => {});
+    return write;
+  }
+
+  async deliveries(webhookId, limit = 50) {
+    await this.init();
+    return this.store.list(webhookId, limit);
+  }
+
+  /**
+   * Send a ping event to one webhook, whatever its event filter
+   */
+  async ping(project, webhookId) {
+    const webhook = project.webhooks.find(entry => entry.id === webhookId);
+    if (!webhook) return null;
+    return this.enqueue(project, webhook, this.payload(project, 'ping', { webhookId, events: webhook.events }));
+  }
+
+  /**
+   * Send a logged delivery again, as a new delivery with the same payload
+   */
+  async redeliver(project, webhookId, deliveryId) {
+    await this.init();
+    const webhook = project.webhooks.find(entry => entry.id === webhookId);
+    const original = webhook && await this.store.get(deliveryId);
+    if (!original || original.webhook_id !== webhookId) return null;
+    return this.enqueue(project, webhook, original.payload, { redeliveryOf: original.id });
+  }
+
+  /**
+   * Queue an event for every active webhook of the project subscribed to it
+   */
+  async dispatch(project, event, data) {
+    const webhooks = project.webhooks.filter(webhook => webhook.active !== false && subscribes(webhook, event));
+    if (webhooks.length === 0) return [];
+
+    const payload = this.payload(project, event, data);
+    return Promise.all(webhooks.map(webhook => this.enqueue(project, webhook, payload)));
+  }
+
+  // scan.completed, followed by the quality gate verdict when there is one
+  async scanCompleted(project, scan, data = {}) {
+    const qualityGate = scan.results?.quality_gate || null;
+    await this.dispatch(project, 'scan.completed', {
+      scanId: scan.id,
+      filesScanned: scan.files_scanned,
+      conflictsFound: scan.conflicts_found,
+      qualityGate: qualityGate?.status ?? null,
+      ...data
+    });
+    if (qualityGate) {
+      await this.dispatch(project, `gate.${qualityGate.status}`, { scanId: scan.id, qualityGate });
+    }
+  }
+
+  async handleJobEvent(event, jobId) {
+    const job = this.queue.getJobStatus(jobId);
+    if (!job) return;
+
+    const { scanData } = job;
+    const project = scanData.projectId
+      ? await this.projects.findById(scanData.projectId)
+      : await this.projects.findByPath(scanData.path, scanData.userId);
+    if (!project || project.webhooks.length === 0) return;
+
+    const data = {
+      jobId: job.id,
+      path: scanData.path,
+      scanId: scanData.scanId ?? null,
+      status: job.status,
+      priority: job.priority,
+      attempts: job.attempts,
+      ...(job.error && { error: job.error })
+    };
+
+    if (event === 'scan.completed' && scanData.scanId) {
+      const scan = await this.scans.findById(scanData.scanId);
+      if (scan) return this.scanCompleted(project, scan, data);
+    }
+    return this.dispatch(project, event, data);
+  }
+
+  payload(project, event, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      project: { id: project.id, name: project.name, path: project.path },
+      data
+    };
+  }
+
+  async enqueue(project, webhook, payload, { redeliveryOf = null } = {}) {
+    await this.init();
+    const record = {
+      id: crypto.randomUUID(),
+      webhook_id: webhook.id,
+      project_id: project.id,
+      event: payload.event,
+      url: webhook.url,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: this.options.maxAttempts,
+      next_attempt_at: null,
+      last_status_code: null,
+      last_error: null,
+      attempt_log: [],
+      redelivery_of: redeliveryOf,
+      created_at: new Date().toISOString(),
+      delivered_at: null
+    };
+    await this.store.save(record);
+    await this.store.prune(webhook.id, this.options.keepDeliveries);
+    this.schedule(record);
+    return record;
+  }
+
+  schedule(record) {
+    if (this.closed) return;
+    const delay = record.next_attempt_at ? Math.max(0, new Date(record.next_attempt_at) - Date.now()) : 0;
+    const timer = setTimeout(() => {
+      this.timers.delete(record.id);
+      this.attempt(record).catch(error => {
+        console.error(`Webhook delivery ${record.id} failed to run:`, error.message);
+      });
+    }, delay);
+    timer.unref?.();
+    this.timers.set(record.id, timer);
+  }
+
+  getRetryDelay(record) {
+    return Math.min(this.options.retryDelay * 2 ** (record.attempts - 1), this.options.maxRetryDelay);
+  }
+
+  /**
+   * POST the delivery once, then record the outcome and schedule a retry
+   */
+  async attempt(record) {
+    let webhook = null;
+    let statusCode = null;
+    let error = null;
+    let retryable = true;
+
+    // The webhook is read again so URL and secret changes apply to retries
+    try {
+      const project = await this.projects.findById(record.project_id);
+      webhook = project?.webhooks.find(entry => entry.id === record.webhook_id) || null;
+      if (!webhook) {
+        error = 'Webhook no longer exists';
+        retryable = false;
+      }
+    } catch (lookupError) {
+      // Counts as a failed attempt, so the delivery is retried like one
+      error = `Could not load the webhook: ${lookupError.message}`;
+    }
+    if (this.closed) return record;
+
+    const startedAt = Date.now();
+    if (webhook) {
+      record.url = webhook.url;
+      const body = JSON.stringify(record.payload);
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'X-Manito-Event': record.event,
+            'X-Manito-Delivery': record.id,
+            'X-Manito-Signature-256': signPayload(webhook.secret, body)
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.options.timeout)
+        });
+        statusCode = response.status;
+        await response.body?.cancel();
+        if (!response.ok) error = `HTTP ${response.status}`;
+      } catch (requestError) {
+        error = requestError.name === 'TimeoutError'
+          ? `Timed out after ${this.options.timeout}ms`
+          : requestError.cause?.message || requestError.message;
+      }
+    }
+    // Shutting down: the delivery stays pending and is sent after the restart
+    if (this.closed) return record;
+
+    const now = new Date();
+    record.attempts++;
+    record.last_status_code = statusCode;
+    record.last_error = error;
+    record.attempt_log = [
+      ...(record.attempt_log || []),
+      { at: now.toISOString(), status_code: statusCode, error, duration_ms: now - startedAt }
+    ].slice(-MAX_ATTEMPT_LOG);
+
+    if (!error) {
+      record.status = 'succeeded';
+      record.delivered_at = now.toISOString();
+      record.next_attempt_at = null;
+    } else if (retryable && record.attempts < record.max_attempts) {
+      record.status = 'retrying';
+      record.next_attempt_at = new Date(now.getTime() + this.getRetryDelay(record)).toISOString();
+    } else {
+      record.status = 'failed';
+      record.next_attempt_at = null;
+    }
+
+    await this.store.save(record);
+    if (record.status === 'retrying') this.schedule(record);
+    this.emit(DELIVERY_EVENTS[record.status], record);
+    return record;
+  }
+
+  // Webhook as returned by the API, without its secret
+  describe(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secret_hint: secret ? `…${secret.slice(-4)}` : null };
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+export default webhookService;
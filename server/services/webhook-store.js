@@ -0,0 +1,213 @@
+/**
+ * Webhook Delivery Store
+ * The delivery log of outgoing webhooks, including deliveries still waiting
+ * for a retry. Uses the webhook_deliveries table when PostgreSQL is
+ * connected, otherwise a local SQLite file (server/data/webhooks.db, or
+ * WEBHOOK_DB), like the scan job store.
+ *
+ * Records:
+ * { id, webhook_id, project_id, event, url, payload, status, attempts,
+ *   max_attempts, next_attempt_at, last_status_code, last_error, attempt_log,
+ *   redelivery_of, created_at, delivered_at }
+ * with dates as ISO strings and payload/attempt_log as JSON values.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import enhancedDb from './enhancedDatabase.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const COLUMNS = [
+  'id', 'webhook_id', 'project_id', 'event', 'url', 'payload', 'status', 'attempts', 'max_attempts',
+  'next_attempt_at', 'last_status_code', 'last_error', 'attempt_log', 'redelivery_of', 'created_at', 'delivered_at'
+];
+const JSON_COLUMNS = new Set(['payload', 'attempt_log']);
+const DATE_COLUMNS = new Set(['next_attempt_at', 'created_at', 'delivered_at']);
+
+export const DEFAULT_SQLITE_FILE = process.env.WEBHOOK_DB || path.join(__dirname, '..', 'data', 'webhooks.db');
+
+/**
+ * PostgreSQL store; the table is created by the 011_webhooks migration
+ */
+export class DatabaseDeliveryStore {
+  constructor(db = enhancedDb) {
+    this.db = db;
+    this.kind = 'database';
+  }
+
+  async init() {
+    await this.db.query('SELECT 1 FROM webhook_deliveries LIMIT 1');
+    return this;
+  }
+
+  async save(record) {
+    const values = COLUMNS.map(column => toColumn(column, record[column]));
+    const placeholders = COLUMNS.map((_, index) => `$${index + 1}`);
+    const updates = COLUMNS.slice(1).map(column => `${column} = EXCLUDED.${column}`);
+
+    await this.db.query(`
+      INSERT INTO webhook_deliveries (${COLUMNS.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}
+    `, values, { validateInput: false });
+  }
+
+  async get(id) {
+    const result = await this.db.query(`SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries WHERE id = $1`, [id]);
+    return result.rows[0] ? fromRow(result.rows[0]) : null;
+  }
+
+  async list(webhookId, limit = 50) {
+    const result = await this.db.query(`
+      SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries
+      WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2
+    `, [webhookId, limit]);
+    return result.rows.map(fromRow);
+  }
+
+  async pending() {
+    const result = await this.db.query(`
+      SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries
+      WHERE status IN ('pending', 'retrying') ORDER BY created_at
+    `);
+    return result.rows.map(fromRow);
+  }
+
+  // Keep the newest `keep` deliveries of a webhook
+  async prune(webhookId, keep) {
+    await this.db.query(`
+      DELETE FROM webhook_deliveries WHERE webhook_id = $1 AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2
+      )
+    `, [webhookId, keep]);
+  }
+
+  async close() {}
+}
+
+/**
+ * Local fallback for servers running without a database
+ */
+export class SqliteDeliveryStore {
+  constructor(file = DEFAULT_SQLITE_FILE) {
+    this.file = file;
+    this.kind = 'sqlite';
+    this.db = null;
+  }
+
+  async init() {
+    const { default: Database } = await import('better-sqlite3');
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        project_id TEXT,
+        event TEXT NOT NULL,
+        url TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        next_attempt_at TEXT,
+        last_status_code INTEGER,
+        last_error TEXT,
+        attempt_log TEXT,
+        redelivery_of TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+    `);
+
+    this.upsert = this.db.prepare(`
+      INSERT INTO webhook_deliveries (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+      ON CONFLICT (id) DO UPDATE SET ${COLUMNS.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}
+    `);
+    return this;
+  }
+
+  async save(record) {
+    this.upsert.run(Object.fromEntries(COLUMNS.map(column => [column, toColumn(column, record[column])])));
+  }
+
+  async get(id) {
+    const row = this.db.prepare(`SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries WHERE id = ?`).get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  async list(webhookId, limit = 50) {
+    return this.db.prepare(`
+      SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries
+      WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+    `).all(webhookId, limit).map(fromRow);
+  }
+
+  async pending() {
+    return this.db.prepare(`
+      SELECT ${COLUMNS.join(', ')} FROM webhook_deliveries
+      WHERE status IN ('pending', 'retrying') ORDER BY created_at
+    `).all().map(fromRow);
+  }
+
+  async prune(webhookId, keep) {
+    this.db.prepare(`
+      DELETE FROM webhook_deliveries WHERE webhook_id = @webhookId AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = @webhookId ORDER BY created_at DESC, rowid DESC LIMIT @keep
+      )
+    `).run({ webhookId, keep });
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+/**
+ * The database when it is connected, the SQLite file otherwise
+ */
+export async function createDeliveryStore({ db = enhancedDb, sqliteFile = DEFAULT_SQLITE_FILE } = {}) {
+  if (db.connected) {
+    try {
+      return await new DatabaseDeliveryStore(db).init();
+    } catch (error) {
+      console.warn('Webhook deliveries table unavailable, using local SQLite store:', error.message);
+    }
+  }
+  return new SqliteDeliveryStore(sqliteFile).init();
+}
+
+function toColumn(column, value) {
+  if (value === undefined || value === null) return null;
+  if (JSON_COLUMNS.has(column)) return JSON.stringify(value);
+  if (DATE_COLUMNS.has(column)) return new Date(value).toISOString();
+  if (column.endsWith('_id')) return String(value);
+  return value;
+}
+
+function fromRow(row) {
+  const record = {};
+  for (const column of COLUMNS) {
+    const value = row[column];
+    if (value === null || value === undefined) {
+      record[column] = null;
+    } else if (JSON_COLUMNS.has(column)) {
+      record[column] = typeof value === 'string' ? JSON.parse(value) : value;
+    } else if (DATE_COLUMNS.has(column)) {
+      record[column] = new Date(value).toISOString();
+    } else {
+      record[column] = value;
+    }
+  }
+  return record;
+}
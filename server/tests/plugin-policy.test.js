@@ -0,0 +1,58 @@
+/**
+ * Plugin Policy Tests
+ * Plugins are a server setting: requests cannot ask for them, and uploads
+ * never run them
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pluginsAllowed, trustedPluginRoots, UPLOADS_DIR } from '../services/plugin-policy.js';
+import { scanRequestSchema, scanScheduleSchema } from '../services/scan-request.js';
+
+describe('Plugin policy', () => {
+  let tempDir;
+  let trusted;
+  let outside;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-plugin-policy-'));
+    trusted = path.join(tempDir, 'trusted');
+    outside = path.join(tempDir, 'outside');
+    await fs.mkdir(path.join(trusted, 'app'), { recursive: true });
+    await fs.mkdir(outside);
+    await fs.symlink(outside, path.join(trusted, 'link'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should reject scan requests and schedules that ask for plugins', () => {
+    const uploadDir = path.join(UPLOADS_DIR, 'extracted', '1700000000000-app');
+
+    const { error } = scanRequestSchema.validate({ path: uploadDir, options: { plugins: true } });
+    expect(error.details.map(detail => detail.message)).toEqual(['"options.plugins" is not allowed']);
+
+    const schedule = scanScheduleSchema.validate({ type: 'interval', interval_minutes: 60, options: { plugins: true } });
+    expect(schedule.error.details.map(detail => detail.message)).toEqual(['"options.plugins" is not allowed']);
+  });
+
+  test('should allow plugins only inside trusted roots', () => {
+    const roots = trustedPluginRoots([trusted, '', '/srv/other'].join(path.delimiter));
+    expect(roots).toEqual([trusted, path.resolve('/srv/other')]);
+
+    expect(pluginsAllowed(path.join(trusted, 'app'), roots)).toBe(true);
+    expect(pluginsAllowed(outside, roots)).toBe(false);
+    // A link inside a trusted root does not extend it
+    expect(pluginsAllowed(path.join(trusted, 'link'), roots)).toBe(false);
+    expect(pluginsAllowed(path.join(trusted, 'app'), trustedPluginRoots(''))).toBe(false);
+  });
+
+  test('should never allow plugins for uploads, even under a trusted root', () => {
+    const roots = [path.dirname(UPLOADS_DIR), UPLOADS_DIR];
+
+    expect(pluginsAllowed(path.join(UPLOADS_DIR, 'extracted', '1700000000000-app'), roots)).toBe(false);
+    expect(pluginsAllowed(UPLOADS_DIR, roots)).toBe(false);
+  });
+});
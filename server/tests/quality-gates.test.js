@@ -0,0 +1,172 @@
+/**
+ * Quality Gate Tests
+ */
+
+import { jest } from '@jest/globals';
+
+// Stored scans and conflicts of earlier runs, read by Scan#evaluateQualityGates
+const rows = { scans: [], conflicts: [] };
+let project = null;
+
+jest.unstable_mockModule('../services/enhancedDatabase.js', () => ({
+  default: {
+    connected: false,
+    select: async (table, { whereParams }) => table === 'scans'
+      ? rows.scans.filter(scan => scan.project_id === whereParams[0])
+      : rows.conflicts.filter(conflict => conflict.scan_id === whereParams[0] && conflict.conflict_type === whereParams[1]),
+    update: async (table, data) => ({ ...data }),
+    query: async () => ({ rows: [] })
+  }
+}));
+jest.unstable_mockModule('../models/Project.js', () => ({
+  default: { findById: async () => project }
+}));
+
+const { evaluateQualityGates, cycleKey } = await import('../services/quality-gates.js');
+const { default: Scan } = await import('../models/Scan.js');
+
+const files = [
+  {
+    filePath: '/p/a.js',
+    functions: [
+      { name: 'parse', line: 3, complexity: 24 },
+      { name: 'format', line: 40, complexity: 6 }
+    ]
+  },
+  { filePath: '/p/b.js', functions: [{ name: 'load', line: 1, complexity: 12 }] }
+];
+
+const conflicts = [
+  { type: 'circular_dependency', severity: 'error', message: 'Circular dependency detected: /p/b.js → /p/a.js → /p/b.js', files: ['/p/b.js', '/p/a.js', '/p/b.js'] },
+  { type: 'circular_dependency', severity: 'error', message: 'Circular dependency detected: /p/c.js → /p/d.js → /p/c.js', files: ['/p/c.js', '/p/d.js', '/p/c.js'] },
+  { type: 'security_issue', severity: 'error', message: 'eval() with dynamic input (no-eval)' },
+  { type: 'security_issue', severity: 'warning', message: 'Weak hash algorithm (weak-hash)' },
+  { type: 'exposed_secret', severity: 'error', message: 'AWS access key committed to config.js: AKIA****' },
+  { type: 'unused_dependency', severity: 'warning', message: '"left-pad" is declared in package.json dependencies but never imported' }
+];
+
+describe('evaluateQualityGates', () => {
+  test('should match cycles wherever they start', () => {
+    expect(cycleKey(['/p/b.js', '/p/a.js', '/p/b.js'])).toBe('/p/a.js → /p/b.js');
+    expect(cycleKey('Circular dependency detected: /p/a.js → /p/b.js → /p/a.js')).toBe('/p/a.js → /p/b.js');
+  });
+
+  test('should pass or fail each configured gate', () => {
+    const result = evaluateQualityGates({
+      max_new_circular_dependencies: 0,
+      max_function_complexity: 20,
+      max_high_severity_security: 0,
+      max_unused_dependencies: 1,
+      unknown_gate: 3
+    }, { files, conflicts }, { previousCycles: new Set(['/p/a.js → /p/b.js']), previousScanId: 7 });
+
+    expect(result).toMatchObject({ status: 'failed', compared_to_scan_id: 7 });
+    expect(result.gates).toEqual([
+      {
+        gate: 'max_new_circular_dependencies',
+        label: 'New circular dependencies',
+        threshold: 0,
+        actual: 1,
+        passed: false,
+        offenders: ['/p/c.js → /p/d.js']
+      },
+      {
+        gate: 'max_function_complexity',
+        label: 'Highest function complexity',
+        threshold: 20,
+        actual: 24,
+        passed: false,
+        offenders: [{ file: '/p/a.js', name: 'parse', line: 3, complexity: 24 }]
+      },
+      {
+        gate: 'max_high_severity_security',
+        label: 'High-severity security findings',
+        threshold: 0,
+        actual: 2,
+        passed: false,
+        offenders: ['eval() with dynamic input (no-eval)', 'AWS access key committed to config.js: AKIA****']
+      },
+      {
+        gate: 'max_unused_dependencies',
+        label: 'Unused dependencies',
+        threshold: 1,
+        actual: 1,
+        passed: true,
+        offenders: []
+      }
+    ]);
+  });
+
+  test('should skip projects without gates', () => {
+    expect(evaluateQualityGates(null, { files, conflicts })).toBeNull();
+    expect(evaluateQualityGates({ max_function_complexity: null }, { files, conflicts })).toBeNull();
+    expect(evaluateQualityGates({ max_function_complexity: 30 }, { files, conflicts }).status).toBe('passed');
+  });
+});
+
+describe('Scan#complete', () => {
+  beforeEach(() => {
+    rows.scans = [];
+    rows.conflicts = [];
+    project = { id: 1, quality_gates: { max_new_circular_dependencies: 0 } };
+  });
+
+  test('should store the gate result compared with the previous completed scan', async () => {
+    rows.scans = [
+      { id: 5, project_id: 1, status: 'running' },
+      { id: 4, project_id: 1, status: 'completed' }
+    ];
+    rows.conflicts = [
+      { scan_id: 4, conflict_type: 'circular_dependency', message: 'Circular dependency detected: /p/a.js → /p/b.js → /p/a.js' },
+      { scan_id: 4, conflict_type: 'circular_dependency', message: 'Circular dependency detected: /p/d.js → /p/c.js → /p/d.js' }
+    ];
+
+    const scan = new Scan({ id: 5, project_id: 1 });
+    await scan.complete({ files, conflicts });
+
+    expect(scan.results.quality_gate).toMatchObject({
+      status: 'passed',
+      compared_to_scan_id: 4,
+      gates: [{ gate: 'max_new_circular_dependencies', actual: 0, passed: true }]
+    });
+    expect(scan.toJSON().quality_gate.status).toBe('passed');
+  });
+
+  test('should only compare with full scans, not change-scoped ones', async () => {
+    rows.scans = [
+      { id: 7, project_id: 1, status: 'completed', results: { scope: 'changed' } },
+      { id: 6, project_id: 1, status: 'completed', scan_options: { baseRef: 'main' } },
+      { id: 4, project_id: 1, status: 'completed', results: { scope: 'full' } }
+    ];
+    rows.conflicts = [
+      { scan_id: 4, conflict_type: 'circular_dependency', message: 'Circular dependency detected: /p/a.js → /p/b.js → /p/a.js' },
+      { scan_id: 4, conflict_type: 'circular_dependency', message: 'Circular dependency detected: /p/c.js → /p/d.js → /p/c.js' }
+    ];
+
+    const scan = new Scan({ id: 8, project_id: 1 });
+    await scan.complete({ files, conflicts, changeSet: { baseRef: 'main', changedFiles: ['/p/a.js'] } });
+
+    expect(scan.results).toMatchObject({ scope: 'changed', base_ref: 'main' });
+    expect(scan.results.quality_gate).toMatchObject({ status: 'passed', compared_to_scan_id: 4 });
+  });
+
+  test('should count every cycle as new on the first scan', async () => {
+    const scan = new Scan({ id: 1, project_id: 1 });
+    await scan.complete({ files, conflicts });
+
+    expect(scan.toJSON().quality_gate).toMatchObject({
+      status: 'failed',
+      compared_to_scan_id: null,
+      gates: [{ actual: 2, passed: false }]
+    });
+  });
+
+  test('should leave scans of projects without gates unmarked', async () => {
+    project.quality_gates = null;
+    const scan = new Scan({ id: 1, project_id: 1 });
+    await scan.complete({ files, conflicts });
+
+    expect(scan.results.quality_gate).toBeUndefined();
+    expect(scan.toJSON().quality_gate).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Scan Diff Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../services/enhancedDatabase.js', () => ({ default: { connected: false } }));
+
+const { diffScans, defaultDiffPair, scopeMismatch } = await import('../services/scan-diff.js');
+const { default: Scan } = await import('../models/Scan.js');
+
+// Dependencies come in as the scanner's graph and are stored the way
+// Scan#saveDependencies writes the rows
+const scan = (id, { files = [], conflicts = [], dependencies = {} }) => ({
+  id,
+  completed_at: '2024-01-01T00:00:00.000Z',
+  files: files.map(([file_path, complexity, lines_of_code]) => ({ file_path, complexity, lines_of_code })),
+  conflicts: conflicts.map(([conflict_type, file_path, message]) => ({ conflict_type, file_path, message, severity: 'warning' })),
+  dependencies: Scan.dependencyRows(dependencies).map(dep => ({ from_file: dep.from, to_file: dep.to, dependency_type: dep.type || 'import' }))
+});
+
+describe('diffScans', () => {
+  const before = scan(1, {
+    files: [['/p/a.js', 4, 40], ['/p/b.js', 2, 20], ['/p/old.js', 1, 5]],
+    conflicts: [
+      ['circular_dependency', '/p/a.js', 'Circular dependency detected: a → b → a'],
+      ['unreachable_file', '/p/old.js', 'File is not reachable from any entry point: old.js']
+    ],
+    dependencies: { '/p/a.js': ['/p/b.js', '/p/old.js'], '/p/b.js': ['/p/a.js'] }
+  });
+
+  const after = scan(2, {
+    files: [['/p/a.js', 9, 70], ['/p/b.js', 2, 20], ['/p/new.js', 3, 12]],
+    conflicts: [
+      ['circular_dependency', '/p/a.js', 'Circular dependency detected: a → b → a'],
+      ['unresolved_import', '/p/a.js', 'Cannot resolve "./old" from a.js']
+    ],
+    dependencies: { '/p/a.js': ['/p/b.js', '/p/new.js'], '/p/b.js': [] }
+  });
+
+  test('should report added and removed files', () => {
+    const diff = diffScans(before, after);
+
+    expect(diff.files).toEqual({ added: ['/p/new.js'], removed: ['/p/old.js'] });
+  });
+
+  test('should separate new and resolved conflicts', () => {
+    const diff = diffScans(before, after);
+
+    expect(diff.conflicts.new.map(c => c.type)).toEqual(['unresolved_import']);
+    expect(diff.conflicts.resolved.map(c => c.type)).toEqual(['unreachable_file']);
+  });
+
+  test('should classify broken edges by cause', () => {
+    const diff = diffScans(before, after);
+
+    expect(diff.edges.new).toEqual([{ from: '/p/a.js', to: '/p/new.js', type: 'import' }]);
+    expect(diff.edges.broken).toEqual([
+      { from: '/p/a.js', to: '/p/old.js', type: 'import', reason: 'target_removed' },
+      { from: '/p/b.js', to: '/p/a.js', type: 'import', reason: 'import_removed' }
+    ]);
+  });
+
+  test('should report complexity deltas for files present in both scans', () => {
+    const diff = diffScans(before, after);
+
+    expect(diff.complexity).toEqual([
+      { file: '/p/a.js', before: 4, after: 9, delta: 5, linesBefore: 40, linesAfter: 70, linesDelta: 30 }
+    ]);
+    expect(diff.summary).toMatchObject({ filesAdded: 1, filesRemoved: 1, edgesBroken: 2, complexityDelta: 5 });
+  });
+});
+
+describe('Scan scopes', () => {
+  // Newest first, like Scan.findByProjectId
+  const history = [
+    new Scan({ id: 5, status: 'completed', results: { scope: 'changed', base_ref: 'main' } }),
+    new Scan({ id: 4, status: 'running' }),
+    new Scan({ id: 3, status: 'completed', results: { scope: 'full' } }),
+    new Scan({ id: 2, status: 'completed', scan_options: { baseRef: 'main' } }),
+    new Scan({ id: 1, status: 'completed' })
+  ];
+
+  test('should default to the two latest full scans', () => {
+    expect(defaultDiffPair(history)).toEqual({ fromId: 1, toId: 3 });
+    expect(defaultDiffPair(history, { to: 3 })).toEqual({ fromId: 1, toId: 3 });
+    expect(defaultDiffPair(history.slice(0, 3))).toEqual({ fromId: undefined, toId: 3 });
+  });
+
+  test('should refuse to compare a change-scoped scan with a full scan', () => {
+    const [changed, , full, legacyChanged] = history;
+
+    expect(scopeMismatch(full, changed)).toBe(
+      'Scan 5 only covers files changed since main; compare it with another change-scoped scan'
+    );
+    expect(scopeMismatch(legacyChanged, full)).toMatch(/^Scan 2 only covers files changed since main/);
+    expect(scopeMismatch(legacyChanged, changed)).toBeNull();
+    expect(scopeMismatch(history[4], full)).toBeNull();
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Scan Queue Tests
+ * Jobs persist in a SQLite store, so a second queue on the same file plays
+ * the part of a restarted server
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Each scan takes the next behaviour: 'ok', 'fail', 'hang' or a deferred
+// that finishes the scan when resolved
+const behaviours = [];
+const scans = [];
+const started = [];
+const scannerOptions = [];
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+class MockScanner extends EventEmitter {
+  constructor(options) {
+    super();
+    scannerOptions.push(options);
+  }
+
+  cancel() {}
+
+  scan(scanPath) {
+    started.push(scanPath);
+    const behaviour = behaviours.shift() || 'ok';
+    const result = { files: [{}, {}], conflicts: [{}], suppressed: { total: 1 } };
+    if (behaviour === 'fail') return Promise.reject(new Error('disk on fire'));
+    if (behaviour === 'hang') return new Promise(() => {});
+    if (behaviour.promise) return behaviour.promise.then(() => result);
+    return Promise.resolve(result);
+  }
+}
+
+const createScan = (id, status = 'running') => {
+  const scan = {
+    id,
+    status,
+    complete: jest.fn(async () => Object.assign(scan, { status: 'completed' })),
+    fail: jest.fn(async () => Object.assign(scan, { status: 'failed' })),
+    update: jest.fn(async updates => Object.assign(scan, updates))
+  };
+  scans.push(scan);
+  return scan;
+};
+
+jest.unstable_mockModule('../services/enhancedDatabase.js', () => ({ default: { connected: false } }));
+jest.unstable_mockModule('../services/scanner.js', () => ({ default: MockScanner }));
+jest.unstable_mockModule('../models/Project.js', () => ({
+  default: {
+    findByPath: async () => ({ id: 'project-1', updateScanStatus: async () => {} }),
+    create: async () => ({ id: 'project-1', updateScanStatus: async () => {} })
+  }
+}));
+jest.unstable_mockModule('../models/Scan.js', () => ({
+  default: {
+    create: async () => createScan(`scan-${scans.length + 1}`),
+    findById: async (id) => scans.find(scan => scan.id === id) || null,
+    dependencyRows: () => []
+  }
+}));
+
+const { ScanQueue } = await import('../services/scanQueue.js');
+const { UPLOADS_DIR } = await import('../services/plugin-policy.js');
+const { SqliteJobStore } = await import('../services/job-store.js');
+
+describe('ScanQueue', () => {
+  let tempDir;
+  let file;
+  const queues = [];
+
+  const startQueue = async (options = {}) => {
+    const queue = new ScanQueue({ store: await new SqliteJobStore(file).init(), retryDelay: 20, ...options });
+    queues.push(queue);
+    await queue.init();
+    return queue;
+  };
+  const next = (queue, event) => new Promise(resolve => queue.once(event, resolve));
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-scan-queue-'));
+    file = path.join(tempDir, 'scan-queue.db');
+    behaviours.length = 0;
+    scans.length = 0;
+    started.length = 0;
+    scannerOptions.length = 0;
+  });
+
+  afterEach(async () => {
+    for (const queue of queues.splice(0)) {
+      if (!queue.closed) await queue.shutdown();
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should retry failed scans with exponential backoff', async () => {
+    const queue = await startQueue();
+    behaviours.push('fail', 'fail');
+
+    const retries = [];
+    queue.on('jobRetrying', job => retries.push(new Date(job.nextAttemptAt) - Date.now()));
+    const completed = next(queue, 'jobCompleted');
+    const jobId = await queue.addJob({ path: '/projects/app', options: {} });
+    await completed;
+
+    expect(retries).toHaveLength(2);
+    expect(retries[0]).toBeLessThanOrEqual(20);
+    expect(retries[1]).toBeGreaterThan(20);
+    expect(queue.getJobStatus(jobId)).toMatchObject({
+      status: 'completed',
+      attempts: 3,
+      error: null,
+      result: { scanId: 'scan-1', files: 2, conflicts: 1, suppressed: 1 }
+    });
+    // Every attempt records into the same scan
+    expect(scans).toHaveLength(1);
+    expect(scans[0].fail).toHaveBeenCalledTimes(2);
+    expect(scans[0].update.mock.calls).toEqual([
+      [{ status: 'running', completed_at: null, error_message: null }],
+      [{ status: 'running', completed_at: null, error_message: null }]
+    ]);
+    expect(scans[0].status).toBe('completed');
+    expect(queue.getRetryDelay({ attempts: 30 })).toBe(queue.options.maxRetryDelay);
+  });
+
+  test('should fail a job once it is out of attempts', async () => {
+    const queue = await startQueue({ maxAttempts: 2 });
+    behaviours.push('fail', 'fail');
+
+    const failed = next(queue, 'jobFailed');
+    const jobId = await queue.addJob({ path: '/projects/app' });
+    expect(await failed).toEqual({ jobId, error: 'disk on fire' });
+
+    const [record] = await queue.store.load();
+    expect(record).toMatchObject({ id: jobId, status: 'failed', attempts: 2, max_attempts: 2, last_error: 'disk on fire' });
+  });
+
+  test('should resume queued and interrupted jobs after a restart', async () => {
+    const first = await startQueue({ maxConcurrentJobs: 1 });
+    behaviours.push('hang');
+
+    const started = next(first, 'jobStarted');
+    const runningId = await first.addJob({ path: '/projects/app', userId: 'user-1' });
+    await started;
+    const queuedId = await first.addJob({ path: '/projects/api' });
+    await first.shutdown();
+
+    const second = await startQueue();
+    expect(second.getJobStatus(runningId)).toMatchObject({
+      status: 'retrying',
+      attempts: 1,
+      error: 'Interrupted by server restart',
+      scanData: { path: '/projects/app', userId: 'user-1', scanId: 'scan-1' }
+    });
+    expect(scans[0].fail).toHaveBeenCalledWith('Interrupted by server restart');
+
+    const completed = [];
+    await new Promise(resolve => second.on('jobCompleted', ({ jobId }) => {
+      completed.push(jobId);
+      if (completed.length === 2) resolve();
+    }));
+    expect(completed.sort()).toEqual([queuedId, runningId].sort());
+    expect(second.getJobStatus(runningId).attempts).toBe(2);
+    expect(second.getJobStatus(queuedId).attempts).toBe(1);
+  });
+
+  test('should start interactive jobs before background ones', async () => {
+    const queue = await startQueue({ maxConcurrentJobs: 1 });
+    const first = deferred();
+    behaviours.push(first);
+
+    const running = next(queue, 'jobStarted');
+    await queue.addJob({ path: '/projects/first' });
+    await running;
+    const backgroundId = await queue.addJob({ path: '/projects/nightly' }, { priority: 'background' });
+    const interactiveId = await queue.addJob({ path: '/projects/app' });
+
+    expect(queue.getJobStatus(interactiveId)).toMatchObject({ priority: 'interactive', queuePosition: 1 });
+    expect(queue.getJobStatus(backgroundId)).toMatchObject({ priority: 'background', queuePosition: 2 });
+    expect(queue.getJobStatus(backgroundId).waitingReason).toBe('Waiting for a free slot (1/1 scans running)');
+    expect(queue.getQueueStatus().queuedByPriority).toEqual({ interactive: 1, background: 1 });
+
+    const done = new Promise(resolve => queue.on('jobCompleted', ({ jobId }) => jobId === backgroundId && resolve()));
+    first.resolve();
+    await done;
+    expect(started).toEqual(['/projects/first', '/projects/app', '/projects/nightly']);
+  });
+
+  test('should cap concurrent scans per project', async () => {
+    const queue = await startQueue({ maxConcurrentJobs: 3 });
+    const first = deferred();
+    behaviours.push(first);
+
+    const running = next(queue, 'jobStarted');
+    const firstId = await queue.addJob({ path: '/projects/app', options: { cache: false } });
+    await running;
+    const secondId = await queue.addJob({ path: '/projects/app', options: { cache: true } });
+    const otherId = await queue.addJob({ path: '/projects/api' });
+
+    expect(secondId).not.toBe(firstId);
+    expect(queue.getJobStatus(secondId)).toMatchObject({
+      status: 'queued',
+      waitingReason: 'Waiting: 1 scan of this project already running (limit 1)'
+    });
+    expect(queue.getJobStatus(otherId).status).not.toBe('queued');
+
+    const done = new Promise(resolve => queue.on('jobCompleted', ({ jobId }) => jobId === secondId && resolve()));
+    first.resolve();
+    await done;
+    expect(queue.getJobStatus(secondId).decisions.map(decision => decision.message)).toEqual([
+      'Queued with interactive priority',
+      'Waiting: 1 scan of this project already running (limit 1)',
+      'Started with interactive priority'
+    ]);
+  });
+
+  test('should merge identical pending requests into one job', async () => {
+    const queue = await startQueue({ maxConcurrentJobs: 1 });
+    const first = deferred();
+    behaviours.push(first);
+
+    const running = next(queue, 'jobStarted');
+    const busyId = await queue.addJob({ path: '/projects/busy' });
+    await running;
+
+    const coalesced = [];
+    queue.on('jobCoalesced', job => coalesced.push(job.id));
+    const jobId = await queue.addJob({ path: '/projects/app', options: { cache: true }, userId: 'user-1' }, { priority: 'background' });
+    const sameId = await queue.addJob({ path: '/projects/app', options: { cache: true }, userId: 'user-1' });
+    // Running jobs are not joined: the new request may need newer files
+    const rerunId = await queue.addJob({ path: '/projects/busy' });
+
+    expect(sameId).toBe(jobId);
+    expect(rerunId).not.toBe(busyId);
+    expect(coalesced).toEqual([jobId]);
+    expect(queue.getJobStatus(jobId)).toMatchObject({
+      priority: 'interactive',
+      waiters: [{ userId: 'user-1' }, { userId: 'user-1' }]
+    });
+    expect(queue.getJobStatus(jobId).decisions.map(decision => decision.message)).toEqual(expect.arrayContaining([
+      'Merged a duplicate request from user user-1 (2 waiting)',
+      'Promoted to interactive priority'
+    ]));
+    expect(queue.getQueueStatus().coalescedRequests).toBe(1);
+
+    const completed = [];
+    const done = new Promise(resolve => queue.on('jobCompleted', ({ jobId: id }) => {
+      completed.push(id);
+      if (completed.length === 3) resolve();
+    }));
+    first.resolve();
+    await done;
+    expect(started.filter(scanPath => scanPath === '/projects/app')).toHaveLength(1);
+
+    const [record] = (await queue.store.load()).filter(entry => entry.id === jobId);
+    expect(record).toMatchObject({ priority: 'interactive', waiters: [{ userId: 'user-1' }, { userId: 'user-1' }] });
+  });
+
+  test('should not merge identical requests from different users', async () => {
+    const queue = await startQueue({ maxConcurrentJobs: 1 });
+    const first = deferred();
+    behaviours.push(first);
+
+    const running = next(queue, 'jobStarted');
+    await queue.addJob({ path: '/projects/busy' });
+    await running;
+
+    const coalesced = [];
+    queue.on('jobCoalesced', job => coalesced.push(job.id));
+    const ownId = await queue.addJob({ path: '/projects/app', options: { cache: true }, userId: 'user-1' });
+    const otherId = await queue.addJob({ path: '/projects/app', options: { cache: true }, userId: 'user-2' });
+
+    expect(otherId).not.toBe(ownId);
+    expect(coalesced).toEqual([]);
+    expect(queue.getJobStatus(ownId).waiters).toMatchObject([{ userId: 'user-1' }]);
+    expect(queue.getJobStatus(otherId).waiters).toMatchObject([{ userId: 'user-2' }]);
+    expect(queue.getQueueStatus().coalescedRequests).toBe(0);
+
+    let completed = 0;
+    const done = new Promise(resolve => queue.on('jobCompleted', () => ++completed === 3 && resolve()));
+    first.resolve();
+    await done;
+    expect(started.filter(scanPath => scanPath === '/projects/app')).toHaveLength(2);
+  });
+
+  test('should not run plugins for uploads whatever the stored options say', async () => {
+    const queue = await startQueue();
+    const completed = next(queue, 'jobCompleted');
+    await queue.addJob({ path: path.join(UPLOADS_DIR, 'extracted', '1700000000000-app'), options: { plugins: true } });
+    await completed;
+
+    expect(scannerOptions).toHaveLength(1);
+    expect(scannerOptions[0].plugins).toBe(false);
+  });
+
+  test('should fail interrupted jobs that have no attempts left', async () => {
+    const first = await startQueue({ maxAttempts: 1 });
+    behaviours.push('hang');
+
+    const started = next(first, 'jobStarted');
+    const jobId = await first.addJob({ path: '/projects/app' });
+    await started;
+    await first.shutdown();
+
+    const second = await startQueue({ maxAttempts: 1 });
+    expect(second.getJobStatus(jobId)).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+    expect(second.getQueueStatus()).toMatchObject({ store: 'sqlite', queueLength: 0, jobsByStatus: { failed: 1 } });
+  });
+});
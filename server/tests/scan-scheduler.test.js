@@ -0,0 +1,176 @@
+/**
+ * Scan Scheduler Tests
+ * Uses an in-memory project store and a fake queue, so runs and outcomes
+ * can be driven by hand
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+jest.unstable_mockModule('../services/enhancedDatabase.js', () => ({ default: { connected: false } }));
+jest.unstable_mockModule('../services/scanQueue.js', () => ({ default: new EventEmitter() }));
+
+const { ScanScheduler, validateSchedule } = await import('../services/scan-scheduler.js');
+
+// Projects are re-read on every write, like rows from the database
+const createProjects = (rows) => ({
+  rows,
+  async findAll() {
+    return rows.map(row => this.wrap(row));
+  },
+  async findById(id) {
+    const row = rows.find(entry => entry.id === id);
+    return row ? this.wrap(row) : null;
+  },
+  wrap(row) {
+    return {
+      ...row,
+      scan_schedules: structuredClone(row.scan_schedules || []),
+      saveSchedules: async (schedules) => { row.scan_schedules = structuredClone(schedules); }
+    };
+  }
+});
+
+class FakeQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.added = [];
+  }
+
+  async addJob(scanData, options) {
+    const id = `job-${this.added.length + 1}`;
+    this.added.push({ id, scanData, options });
+    this.jobs.set(id, { id, status: 'queued', scanData: { ...scanData }, error: null });
+    return id;
+  }
+
+  getJobStatus(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  finish(jobId, status, extra = {}) {
+    Object.assign(this.jobs.get(jobId), { status, ...extra });
+    const event = { completed: 'jobCompleted', failed: 'jobFailed', cancelled: 'jobCancelled' }[status];
+    this.emit(event, { jobId, error: extra.error });
+  }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ScanScheduler', () => {
+  let queue;
+  let projects;
+  let scheduler;
+
+  beforeEach(() => {
+    queue = new FakeQueue();
+    projects = createProjects([{ id: 'project-1', path: '/projects/app', user_id: 'user-1' }]);
+    scheduler = new ScanScheduler({ queue, projects });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('should validate cron expressions and timezones', () => {
+    expect(validateSchedule({ type: 'cron', cron: '0 2 * * *', timezone: 'Europe/Berlin' })).toBeNull();
+    expect(validateSchedule({ type: 'cron', cron: 'every night' })).toBe('Invalid cron expression "every night"');
+    expect(validateSchedule({ type: 'cron', cron: '0 2 * * *', timezone: 'Mars/Olympus' })).toBe('Unknown timezone "Mars/Olympus"');
+    expect(validateSchedule({ type: 'interval', interval_minutes: 60 })).toBeNull();
+  });
+
+  test('should enqueue interval runs as background jobs and record their outcome', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    await scheduler.start();
+    const project = await projects.findById('project-1');
+    const created = await scheduler.create(project, { type: 'interval', interval_minutes: 60, options: { cache: true } });
+
+    expect(created).toMatchObject({ name: 'Every 60 min', paused: false, run_count: 0 });
+    expect(new Date(created.next_run_at) - Date.now()).toBe(60 * 60 * 1000);
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    await flush();
+    expect(queue.added).toEqual([{
+      id: 'job-1',
+      scanData: { path: '/projects/app', options: { cache: true }, userId: 'user-1' },
+      options: { priority: 'background' }
+    }]);
+
+    queue.finish('job-1', 'completed', { scanData: { scanId: 'scan-7' } });
+    await flush();
+    const [schedule] = await scheduler.list(await projects.findById('project-1'));
+    expect(schedule).toMatchObject({
+      run_count: 1,
+      last_status: 'completed',
+      last_job_id: 'job-1',
+      last_scan_id: 'scan-7',
+      last_error: null,
+      history: [{ job_id: 'job-1', status: 'completed', scan_id: 'scan-7' }]
+    });
+    expect(new Date(schedule.next_run_at) - new Date(schedule.last_run_at)).toBe(60 * 60 * 1000);
+
+    // The next run follows on from the last one
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    await flush();
+    queue.finish('job-2', 'failed', { error: 'disk on fire' });
+    await flush();
+    const [again] = projects.rows[0].scan_schedules;
+    expect(again).toMatchObject({ run_count: 2, last_status: 'failed', last_error: 'disk on fire' });
+    expect(again.history.map(run => run.status)).toEqual(['failed', 'completed']);
+  });
+
+  test('should not run paused schedules and should stop deleted ones', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const project = await projects.findById('project-1');
+    const { id } = await scheduler.create(project, { type: 'interval', interval_minutes: 10 });
+
+    expect(await scheduler.setPaused(project, id, true)).toMatchObject({ paused: true, next_run_at: null });
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await flush();
+    expect(queue.added).toHaveLength(0);
+
+    await scheduler.setPaused(project, id, false);
+    expect(await scheduler.remove(project, id)).toBe(true);
+    expect(await scheduler.remove(project, id)).toBe(false);
+    expect(await scheduler.setPaused(project, id, true)).toBeNull();
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await flush();
+    expect(queue.added).toHaveLength(0);
+    expect(projects.rows[0].scan_schedules).toEqual([]);
+  });
+
+  test('should record runs that finished while the server was down', async () => {
+    projects.rows[0].scan_schedules = [{
+      id: 'nightly',
+      type: 'cron',
+      cron: '0 2 * * *',
+      paused: true,
+      last_status: 'queued',
+      last_job_id: 'job-lost',
+      history: [{ job_id: 'job-lost', status: 'queued' }]
+    }];
+
+    await scheduler.start();
+    expect(projects.rows[0].scan_schedules[0]).toMatchObject({
+      last_status: 'failed',
+      last_error: 'Job no longer in the queue',
+      history: [{ job_id: 'job-lost', status: 'failed' }]
+    });
+  });
+
+  test('should record a skipped run when the queue rejects it', async () => {
+    queue.addJob = async () => { throw new Error('Scan queue is full'); };
+    const project = await projects.findById('project-1');
+    const { id } = await scheduler.create(project, { type: 'cron', cron: '0 2 * * *', paused: true });
+
+    await scheduler.setPaused(project, id, false);
+    await scheduler.run('project-1', id);
+    expect(projects.rows[0].scan_schedules[0]).toMatchObject({
+      run_count: 1,
+      last_status: 'skipped',
+      last_error: 'Scan queue is full'
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Streaming Scanner Tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StreamingScanner } from '../services/scanner.js';
+
+const AWS_KEY_ID = 'AKIA' + 'Z7Q4XK2M9PLR3VWB';
+
+describe('StreamingScanner', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-streaming-'));
+    await fs.writeFile(path.join(tempDir, 'app.js'), [
+      "import { helper } from './helper.js';",
+      "import { format } from './format.js';",
+      "export const run = () => format(helper());"
+    ].join('\n'));
+    await fs.writeFile(path.join(tempDir, 'helper.js'), "import { format } from './format.js';\nexport const helper = () => format(1);\n");
+    await fs.writeFile(path.join(tempDir, 'format.js'), 'export const format = (value) => String(value);\n');
+    await fs.writeFile(path.join(tempDir, 'config.js'), `export const awsKeyId = '${AWS_KEY_ID}';\n`);
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({
+      name: 'streaming-fixture',
+      main: 'app.js',
+      dependencies: { 'left-pad': '^1.3.0' }
+    }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should record every import once', async () => {
+    const result = await new StreamingScanner({ cache: false, maxConcurrency: 1 }).scan(tempDir);
+    const edge = (from, to) => result.edges.find(entry =>
+      entry.from === path.join(tempDir, from) && entry.to === path.join(tempDir, to));
+
+    expect(edge('app.js', 'helper.js').lines).toEqual([1]);
+    expect(edge('app.js', 'format.js').lines).toEqual([2]);
+    expect(edge('helper.js', 'format.js').lines).toEqual([1]);
+    expect(result.metrics.dependencies).toBe(3);
+    expect(result.dependencies[path.join(tempDir, 'app.js')]).toHaveLength(2);
+  });
+
+  test('should run the project-level analyses of a synchronous scan', async () => {
+    const result = await new StreamingScanner({ cache: false, maxConcurrency: 1 }).scan(tempDir);
+    const types = new Set(result.conflicts.map(conflict => conflict.type));
+
+    expect(types).toContain('unused_dependency');
+    expect(types).toContain('exposed_secret');
+    expect(result.packageDependencies.unused.map(entry => entry.name)).toEqual(['left-pad']);
+    expect(result.secrets.findings).toHaveLength(1);
+    expect(JSON.stringify(result)).not.toContain(AWS_KEY_ID);
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Webhook Tests
+ * Deliveries go to a local HTTP receiver that answers with the next queued
+ * status code (200 when none is queued)
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../services/enhancedDatabase.js', () => ({ default: { connected: false } }));
+jest.unstable_mockModule('../services/scanQueue.js', () => ({ default: new EventEmitter() }));
+
+const { WebhookService, signPayload } = await import('../services/webhook-service.js');
+const { SqliteDeliveryStore } = await import('../services/webhook-store.js');
+
+const received = [];
+const statuses = [];
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+    res.statusCode = statuses.shift() || 200;
+    res.end('ok');
+  });
+});
+
+// Projects are re-read on every attempt, like rows from the database
+const createProjects = (rows) => ({
+  rows,
+  async findById(id) {
+    const row = rows.find(entry => entry.id === id);
+    return row ? this.wrap(row) : null;
+  },
+  async findByPath(projectPath) {
+    const row = rows.find(entry => entry.path === projectPath);
+    return row ? this.wrap(row) : null;
+  },
+  wrap(row) {
+    return {
+      ...row,
+      webhooks: structuredClone(row.webhooks || []),
+      saveWebhooks: async (webhooks) => { row.webhooks = structuredClone(webhooks); }
+    };
+  }
+});
+
+class FakeQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  getJobStatus(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+}
+
+const next = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('WebhookService', () => {
+  let url;
+  let queue;
+  let projects;
+  let scans;
+  let service;
+
+  const startService = async ({ store, ...options } = {}) => {
+    service = new WebhookService({
+      queue,
+      projects,
+      scans,
+      store: store || await new SqliteDeliveryStore(':memory:').init(),
+      retryDelay: 20,
+      ...options
+    });
+    await service.start();
+    return service;
+  };
+
+  const addWebhook = async (input) => service.create(await projects.findById('project-1'), { url, ...input });
+
+  beforeAll(async () => {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    statuses.length = 0;
+    queue = new FakeQueue();
+    projects = createProjects([{ id: 'project-1', name: 'app', path: '/projects/app' }]);
+    scans = { findById: async () => null };
+  });
+
+  afterEach(async () => {
+    await service?.stop();
+  });
+
+  test('should send signed payloads to subscribed webhooks only', async () => {
+    await startService();
+    const all = await addWebhook({ events: ['*'], secret: 'a-long-enough-secret' });
+    await addWebhook({ events: ['gate.*'] });
+    await addWebhook({ events: ['*'], active: false });
+    expect(all.secret).toBe('a-long-enough-secret');
+    expect(service.list(await projects.findById('project-1'))[0]).toMatchObject({ secret_hint: '…cret' });
+    expect(service.list(await projects.findById('project-1'))[0].secret).toBeUndefined();
+
+    const delivered = next(service, 'deliverySucceeded');
+    const [delivery] = await service.dispatch(await projects.findById('project-1'), 'scan.failed', { jobId: 'job-1' });
+    await delivered;
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body, payload }] = received;
+    expect(headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-manito-event': 'scan.failed',
+      'x-manito-delivery': delivery.id,
+      'x-manito-signature-256': signPayload('a-long-enough-secret', body)
+    });
+    expect(payload).toMatchObject({
+      event: 'scan.failed',
+      project: { id: 'project-1', name: 'app', path: '/projects/app' },
+      data: { jobId: 'job-1' }
+    });
+
+    const [logged] = await service.deliveries(all.id);
+    expect(logged).toMatchObject({ id: delivery.id, status: 'succeeded', attempts: 1, last_status_code: 200 });
+  });
+
+  test('should retry failed deliveries with backoff and log each attempt', async () => {
+    await startService();
+    const webhook = await addWebhook({ events: ['scan.completed'] });
+    statuses.push(500, 503);
+
+    const retries = [];
+    service.on('deliveryRetrying', record => retries.push(new Date(record.next_attempt_at) - Date.now()));
+    const delivered = next(service, 'deliverySucceeded');
+    await service.dispatch(await projects.findById('project-1'), 'scan.completed', { scanId: 1 });
+    const record = await delivered;
+
+    expect(received).toHaveLength(3);
+    expect(new Set(received.map(request => request.payload.id)).size).toBe(1);
+    expect(retries).toHaveLength(2);
+    expect(retries[1]).toBeGreaterThan(retries[0]);
+    expect(record.attempt_log.map(attempt => attempt.status_code)).toEqual([500, 503, 200]);
+    expect(record.attempt_log[0].error).toBe('HTTP 500');
+    expect(service.getRetryDelay({ attempts: 30 })).toBe(service.options.maxRetryDelay);
+
+    const [logged] = await service.deliveries(webhook.id);
+    expect(logged).toMatchObject({ status: 'succeeded', attempts: 3, last_error: null });
+  });
+
+  test('should retry a delivery whose project lookup fails', async () => {
+    await startService();
+    await addWebhook({ events: ['*'] });
+    const findById = projects.findById;
+    projects.findById = async () => {
+      projects.findById = findById;
+      throw new Error('database is locked');
+    };
+
+    const delivered = next(service, 'deliverySucceeded');
+    await service.dispatch(await findById.call(projects, 'project-1'), 'scan.queued', {});
+    const record = await delivered;
+
+    expect(received).toHaveLength(1);
+    expect(record.attempts).toBe(2);
+    expect(record.attempt_log[0]).toMatchObject({
+      status_code: null,
+      error: 'Could not load the webhook: database is locked'
+    });
+  });
+
+  test('should keep every webhook when edits to a project overlap', async () => {
+    await startService();
+    const stale = await projects.findById('project-1');
+    const [first, second] = await Promise.all([
+      service.create(stale, { url, events: ['*'] }),
+      service.create(stale, { url, events: ['scan.*'] })
+    ]);
+    const [, removed, updated] = await Promise.all([
+      service.create(stale, { url, events: ['gate.*'] }),
+      service.remove(stale, first.id),
+      service.update(stale, second.id, { active: false })
+    ]);
+
+    expect(removed).toBe(true);
+    expect(updated).toMatchObject({ id: second.id, active: false });
+    expect(projects.rows[0].webhooks.map(webhook => webhook.events)).toEqual([['scan.*'], ['gate.*']]);
+    expect(projects.rows[0].webhooks[0].active).toBe(false);
+    expect(await service.update(stale, first.id, { active: true })).toBeNull();
+    expect(await service.remove(stale, first.id)).toBe(false);
+  });
+
+  test('should give up after the last attempt and redeliver on request', async () => {
+    await startService({ maxAttempts: 2 });
+    const webhook = await addWebhook({ events: ['*'] });
+    statuses.push(500, 500);
+
+    const failed = next(service, 'deliveryFailed');
+    await service.ping(await projects.findById('project-1'), webhook.id);
+    const original = await failed;
+    expect(original).toMatchObject({ status: 'failed', attempts: 2, last_status_code: 500, event: 'ping' });
+
+    const delivered = next(service, 'deliverySucceeded');
+    const redelivery = await service.redeliver(await projects.findById('project-1'), webhook.id, original.id);
+    await delivered;
+
+    expect(redelivery).toMatchObject({ redelivery_of: original.id, payload: original.payload });
+    expect(received.map(request => request.payload.id)).toEqual([original.payload.id, original.payload.id, original.payload.id]);
+    expect((await service.deliveries(webhook.id)).map(record => record.status)).toEqual(['succeeded', 'failed']);
+    expect(await service.redeliver(await projects.findById('project-1'), webhook.id, 'missing')).toBeNull();
+  });
+
+  test('should resume pending retries after a restart', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manito-webhooks-'));
+    const file = path.join(tempDir, 'webhooks.db');
+    try {
+      await startService({ store: await new SqliteDeliveryStore(file).init(), retryDelay: 100 });
+      const webhook = await addWebhook({ events: ['*'] });
+      statuses.push(500);
+
+      const retrying = next(service, 'deliveryRetrying');
+      await service.dispatch(await projects.findById('project-1'), 'scan.queued', {});
+      const { id } = await retrying;
+      await service.stop();
+
+      await startService({ store: await new SqliteDeliveryStore(file).init() });
+      const delivered = await next(service, 'deliverySucceeded');
+      expect(delivered).toMatchObject({ id, attempts: 2 });
+      expect((await service.deliveries(webhook.id))[0].attempt_log.map(attempt => attempt.status_code)).toEqual([500, 200]);
+    } finally {
+      await service.stop();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should turn queue events into scan and gate events', async () => {
+    await startService();
+    await addWebhook({ events: ['scan.completed', 'gate.failed'] });
+    scans = {
+      findById: async (id) => ({
+        id,
+        files_scanned: 12,
+        conflicts_found: 3,
+        results: { quality_gate: { status: 'failed', gates: [] } }
+      })
+    };
+    service.scans = scans;
+    queue.jobs.set('job-1', {
+      id: 'job-1',
+      status: 'completed',
+      priority: 'background',
+      attempts: 1,
+      error: null,
+      scanData: { path: '/projects/app', projectId: 'project-1', scanId: 42 }
+    });
+
+    let delivered = 0;
+    const both = new Promise(resolve => service.on('deliverySucceeded', () => ++delivered === 2 && resolve()));
+    queue.emit('jobCompleted', { jobId: 'job-1' });
+    await both;
+
+    const events = Object.fromEntries(received.map(request => [request.payload.event, request.payload.data]));
+    expect(events['scan.completed']).toMatchObject({ scanId: 42, jobId: 'job-1', filesScanned: 12, qualityGate: 'failed' });
+    expect(events['gate.failed']).toEqual({ scanId: 42, qualityGate: { status: 'failed', gates: [] } });
+  });
+});